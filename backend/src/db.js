@@ -7,6 +7,7 @@ class Database {
   constructor() {
     this.db = null;
     this.dbPath = process.env.DB_PATH || './database.sqlite';
+    this.transactionQueue = Promise.resolve();
   }
 
   // Initialize database connection
@@ -31,6 +32,9 @@ class Database {
     const seedPath = path.join(__dirname, '../../db/seed.sql');
 
     try {
+      // Bring databases created by older versions up to date before the schema's indexes refer to new columns
+      await this.migrate();
+
       // Read and execute schema
       const schema = fs.readFileSync(schemaPath, 'utf8');
       await this.exec(schema);
@@ -49,6 +53,105 @@ class Database {
     }
   }
 
+  // Upgrade tables created before snippets, favorites, saved searches and collections had owners.
+  // Rows that existed then go to the first account; before accounts everyone saw every snippet, so
+  // those snippets stay visible to the team. New tables are left to schema.sql.
+  async migrate() {
+    if (!(await this.tableExists('snippets')) || (await this.hasColumn('snippets', 'user_id'))) {
+      return;
+    }
+
+    await this.exec(`
+      BEGIN TRANSACTION;
+
+      ALTER TABLE snippets ADD COLUMN user_id INTEGER REFERENCES users(id) ON DELETE CASCADE;
+      ALTER TABLE snippets ADD COLUMN visibility TEXT NOT NULL DEFAULT 'team';
+      DROP TRIGGER IF EXISTS update_snippets_updated_at;
+
+      CREATE TABLE favorites_owned (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER,
+          snippet_id INTEGER NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+          FOREIGN KEY (snippet_id) REFERENCES snippets(id) ON DELETE CASCADE,
+          UNIQUE(user_id, snippet_id)
+      );
+      INSERT INTO favorites_owned (id, snippet_id, created_at)
+      SELECT id, snippet_id, created_at FROM favorites;
+      DROP TABLE favorites;
+      ALTER TABLE favorites_owned RENAME TO favorites;
+
+      COMMIT;
+    `);
+
+    if (await this.tableExists('saved_searches')) {
+      await this.exec(`
+        BEGIN TRANSACTION;
+        ALTER TABLE saved_searches RENAME TO saved_searches_unowned;
+        CREATE TABLE saved_searches (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER,
+            name TEXT NOT NULL,
+            search TEXT NOT NULL DEFAULT '',
+            language TEXT,
+            tags TEXT NOT NULL DEFAULT '[]',
+            any_tags TEXT NOT NULL DEFAULT '[]',
+            exclude_tags TEXT NOT NULL DEFAULT '[]',
+            favorites BOOLEAN NOT NULL DEFAULT 0,
+            sort TEXT,
+            sort_order TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            UNIQUE(user_id, name)
+        );
+        INSERT INTO saved_searches (id, name, search, language, tags, any_tags, exclude_tags,
+                                    favorites, sort, sort_order, created_at, updated_at)
+        SELECT id, name, search, language, tags, any_tags, exclude_tags,
+               favorites, sort, sort_order, created_at, updated_at
+        FROM saved_searches_unowned;
+        DROP TABLE saved_searches_unowned;
+        COMMIT;
+      `);
+    }
+
+    if (await this.tableExists('collections')) {
+      await this.exec(`
+        ALTER TABLE collections ADD COLUMN user_id INTEGER REFERENCES users(id) ON DELETE CASCADE;
+        DROP INDEX IF EXISTS idx_collections_sibling_name;
+      `);
+    }
+
+    if (await this.tableExists('users')) {
+      const firstUser = await this.get('SELECT MIN(id) as id FROM users');
+      if (firstUser.id) {
+        await this.claimUnowned(firstUser.id);
+      }
+    }
+
+    console.log('Database migrated to per-user ownership');
+  }
+
+  // Give rows without an owner to a user (the first account)
+  async claimUnowned(userId) {
+    for (const table of ['snippets', 'favorites', 'saved_searches', 'collections']) {
+      if (await this.tableExists(table)) {
+        await this.run(`UPDATE ${table} SET user_id = ? WHERE user_id IS NULL`, [userId]);
+      }
+    }
+  }
+
+  async tableExists(table) {
+    const row = await this.get("SELECT 1 as found FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+    return Boolean(row);
+  }
+
+  async hasColumn(table, column) {
+    const columns = await this.all(`PRAGMA table_info(${table})`);
+    return columns.some(info => info.name === column);
+  }
+
   // Execute SQL statement
   exec(sql) {
     return new Promise((resolve, reject) => {
@@ -104,6 +207,25 @@ class Database {
     await this.run('ROLLBACK');
   }
 
+  // Run work() in a transaction, committing when it resolves and rolling back when it throws.
+  // All requests share one connection, so a transaction that awaits would otherwise have another
+  // one begin inside it; transactions run through here one at a time instead.
+  transaction(work) {
+    const result = this.transactionQueue.then(async () => {
+      await this.beginTransaction();
+      try {
+        const value = await work();
+        await this.commit();
+        return value;
+      } catch (error) {
+        await this.rollback();
+        throw error;
+      }
+    });
+    this.transactionQueue = result.catch(() => {});
+    return result;
+  }
+
   // Close database connection
   close() {
     return new Promise((resolve, reject) => {
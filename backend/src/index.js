@@ -3,10 +3,17 @@ const cors = require('cors');
 require('dotenv').config();
 
 const database = require('./db');
+const { requireAuth, requireScope } = require('./middleware/auth');
+const authRouter = require('./routes/auth');
 const snippetsRouter = require('./routes/snippets');
 const tagsRouter = require('./routes/tags');
 const favoritesRouter = require('./routes/favorites');
 const analyticsRouter = require('./routes/analytics');
+const savedSearchesRouter = require('./routes/savedSearches');
+const collectionsRouter = require('./routes/collections');
+const tokensRouter = require('./routes/tokens');
+const shareRouter = require('./routes/share');
+const publicRouter = require('./routes/public');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -34,11 +41,21 @@ app.get('/health', (req, res) => {
   });
 });
 
-// API routes
-app.use('/api/snippets', snippetsRouter);
-app.use('/api/tags', tagsRouter);
-app.use('/api/favorites', favoritesRouter);
-app.use('/api/analytics', analyticsRouter);
+// API routes; everything but sign-in and share links needs a session or an API token
+app.use('/api/auth', authRouter);
+app.use('/api/snippets', requireAuth, snippetsRouter);
+app.use('/api/tags', requireAuth, tagsRouter);
+app.use('/api/favorites', requireAuth, favoritesRouter);
+app.use('/api/analytics', requireAuth, analyticsRouter);
+app.use('/api/saved-searches', requireAuth, savedSearchesRouter);
+app.use('/api/collections', requireAuth, collectionsRouter);
+app.use('/api/tokens', requireAuth, requireScope('admin'), tokensRouter);
+
+// Share links are read-only and work without an account
+app.use('/api/share', shareRouter);
+
+// So are public snippets
+app.use('/api/public', publicRouter);
 
 // 404 handler
 app.use('*', (req, res) => {
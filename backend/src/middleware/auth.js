@@ -0,0 +1,54 @@
+const authService = require('../services/auth');
+const apiTokenService = require('../services/apiTokens');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Attach the signed-in user to req.user, or reject the request with 401.
+// Scripts can send `Authorization: Bearer <token>` instead of the session cookie; req.auth
+// records which was used and its scopes (sessions have every scope). A token needs the
+// read scope for GET requests and write for anything else.
+async function requireAuth(req, res, next) {
+  try {
+    const bearerToken = apiTokenService.readBearerToken(req);
+
+    if (bearerToken !== null) {
+      const result = await apiTokenService.authenticate(bearerToken);
+      if (!result) {
+        return res.status(401).json({ error: 'Invalid or revoked API token' });
+      }
+
+      req.user = result.user;
+      req.auth = { type: 'token', tokenId: result.tokenId, scopes: result.scopes };
+
+      const required = READ_METHODS.includes(req.method) ? 'read' : 'write';
+      if (!apiTokenService.hasScope(req.auth.scopes, required)) {
+        return res.status(403).json({ error: `This API token needs the "${required}" scope` });
+      }
+      return next();
+    }
+
+    const user = await authService.getSessionUser(authService.readSessionToken(req));
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    req.user = user;
+    req.auth = { type: 'session', scopes: apiTokenService.scopes };
+    next();
+  } catch (error) {
+    console.error('Error checking session:', error);
+    res.status(500).json({ error: 'Failed to check session' });
+  }
+}
+
+// Require a scope on top of requireAuth, e.g. requireScope('admin') for token and account management
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.auth || !apiTokenService.hasScope(req.auth.scopes, scope)) {
+      return res.status(403).json({ error: `This API token needs the "${scope}" scope` });
+    }
+    next();
+  };
+}
+
+module.exports = { requireAuth, requireScope };
@@ -1,71 +1,98 @@
 const express = require('express');
 const database = require('../db');
+const accessService = require('../services/access');
 
 const router = express.Router();
 
+// Every statistic covers only the snippets the caller can see. Favorite counts on
+// snippets include every user's stars; the summary total is the caller's own.
+
 // GET /api/analytics - Get comprehensive analytics
 router.get('/', async (req, res) => {
   try {
+    const visible = accessService.visibleSnippetsCte(req.user.id);
+
     // Basic counts
-    const totalSnippets = await database.get('SELECT COUNT(*) as count FROM snippets');
-    const totalTags = await database.get('SELECT COUNT(*) as count FROM tags');
-    const totalFavorites = await database.get('SELECT COUNT(*) as count FROM favorites');
+    const totalSnippets = await database.get(
+      `WITH ${visible.cte} SELECT COUNT(*) as count FROM visible_snippets`,
+      visible.params
+    );
+    const totalTags = await database.get(`
+      WITH ${visible.cte}
+      SELECT COUNT(DISTINCT st.tag_id) as count
+      FROM snippet_tags st
+      JOIN visible_snippets vs ON vs.id = st.snippet_id
+    `, visible.params);
+    const totalFavorites = await database.get(`
+      WITH ${visible.cte}
+      SELECT COUNT(*) as count
+      FROM favorites f
+      JOIN visible_snippets vs ON vs.id = f.snippet_id
+      WHERE f.user_id = ?
+    `, [...visible.params, req.user.id]);
 
     // Language distribution
     const languageStats = await database.all(`
+      WITH ${visible.cte}
       SELECT language, COUNT(*) as count
-      FROM snippets
+      FROM visible_snippets
       GROUP BY language
       ORDER BY count DESC
-    `);
+    `, visible.params);
 
     // Most popular tags
     const popularTags = await database.all(`
-      SELECT t.name, t.color, COUNT(st.snippet_id) as usage_count
+      WITH ${visible.cte}
+      SELECT t.name, t.color, COUNT(vs.id) as usage_count
       FROM tags t
-      LEFT JOIN snippet_tags st ON t.id = st.tag_id
+      JOIN snippet_tags st ON t.id = st.tag_id
+      JOIN visible_snippets vs ON vs.id = st.snippet_id
       GROUP BY t.id
       ORDER BY usage_count DESC
       LIMIT 10
-    `);
+    `, visible.params);
 
     // Recent activity (snippets created in last 30 days)
     const recentActivity = await database.all(`
+      WITH ${visible.cte}
       SELECT DATE(created_at) as date, COUNT(*) as count
-      FROM snippets
+      FROM visible_snippets
       WHERE created_at >= datetime('now', '-30 days')
       GROUP BY DATE(created_at)
       ORDER BY date DESC
-    `);
+    `, visible.params);
 
     // Top favorited snippets
     const topFavorites = await database.all(`
+      WITH ${visible.cte}
       SELECT s.id, s.title, s.language, COUNT(f.snippet_id) as favorite_count
-      FROM snippets s
+      FROM visible_snippets s
       JOIN favorites f ON s.id = f.snippet_id
       GROUP BY s.id
       ORDER BY favorite_count DESC
       LIMIT 5
-    `);
+    `, visible.params);
 
     // Snippets with most versions (most edited)
     const mostEdited = await database.all(`
+      WITH ${visible.cte}
       SELECT s.id, s.title, s.language, s.version
-      FROM snippets s
+      FROM visible_snippets s
       ORDER BY s.version DESC
       LIMIT 5
-    `);
+    `, visible.params);
 
     // Monthly growth
     const monthlyGrowth = await database.all(`
+      WITH ${visible.cte}
       SELECT 
         strftime('%Y-%m', created_at) as month,
         COUNT(*) as count
-      FROM snippets
+      FROM visible_snippets
       WHERE created_at >= datetime('now', '-12 months')
       GROUP BY strftime('%Y-%m', created_at)
       ORDER BY month DESC
-    `);
+    `, visible.params);
 
     const analytics = {
       summary: {
@@ -99,7 +126,9 @@ router.get('/', async (req, res) => {
 // GET /api/analytics/languages - Get detailed language statistics
 router.get('/languages', async (req, res) => {
   try {
+    const visible = accessService.visibleSnippetsCte(req.user.id);
     const languageStats = await database.all(`
+      WITH ${visible.cte}
       SELECT 
         s.language,
         COUNT(*) as snippet_count,
@@ -107,27 +136,28 @@ router.get('/languages', async (req, res) => {
         COUNT(f.snippet_id) as favorite_count,
         AVG(s.version) as avg_versions,
         MAX(s.created_at) as last_used
-      FROM snippets s
+      FROM visible_snippets s
       LEFT JOIN snippet_tags st ON s.id = st.snippet_id
       LEFT JOIN tags t ON st.tag_id = t.id
       LEFT JOIN favorites f ON s.id = f.snippet_id
       GROUP BY s.language
       ORDER BY snippet_count DESC
-    `);
+    `, visible.params);
 
     // Get most common tags for each language
     const languageDetails = await Promise.all(
       languageStats.map(async (lang) => {
         const topTags = await database.all(`
+          WITH ${visible.cte}
           SELECT t.name, COUNT(*) as count
           FROM tags t
           JOIN snippet_tags st ON t.id = st.tag_id
-          JOIN snippets s ON st.snippet_id = s.id
+          JOIN visible_snippets s ON st.snippet_id = s.id
           WHERE s.language = ?
           GROUP BY t.id
           ORDER BY count DESC
           LIMIT 3
-        `, [lang.language]);
+        `, [...visible.params, lang.language]);
 
         return {
           ...lang,
@@ -146,41 +176,46 @@ router.get('/languages', async (req, res) => {
 // GET /api/analytics/trends - Get trending data
 router.get('/trends', async (req, res) => {
   try {
+    const visible = accessService.visibleSnippetsCte(req.user.id);
     const { period = '30' } = req.query; // days
 
     // Daily snippet creation trend
     const creationTrend = await database.all(`
+      WITH ${visible.cte}
       SELECT 
         DATE(created_at) as date,
         COUNT(*) as snippets_created
-      FROM snippets
+      FROM visible_snippets
       WHERE created_at >= datetime('now', '-${period} days')
       GROUP BY DATE(created_at)
       ORDER BY date ASC
-    `);
+    `, visible.params);
 
     // Favorites trend
     const favoritesTrend = await database.all(`
+      WITH ${visible.cte}
       SELECT 
         DATE(f.created_at) as date,
         COUNT(*) as favorites_added
       FROM favorites f
+      JOIN visible_snippets vs ON vs.id = f.snippet_id
       WHERE f.created_at >= datetime('now', '-${period} days')
       GROUP BY DATE(f.created_at)
       ORDER BY date ASC
-    `);
+    `, visible.params);
 
     // Language popularity trend
     const languageTrend = await database.all(`
+      WITH ${visible.cte}
       SELECT 
         DATE(created_at) as date,
         language,
         COUNT(*) as count
-      FROM snippets
+      FROM visible_snippets
       WHERE created_at >= datetime('now', '-${period} days')
       GROUP BY DATE(created_at), language
       ORDER BY date ASC, count DESC
-    `);
+    `, visible.params);
 
     res.json({
       period_days: parseInt(period),
@@ -197,40 +232,45 @@ router.get('/trends', async (req, res) => {
 // GET /api/analytics/search-insights - Get insights for search optimization
 router.get('/search-insights', async (req, res) => {
   try {
+    const visible = accessService.visibleSnippetsCte(req.user.id);
+
     // Most common words in snippet titles
     const titleWords = await database.all(`
+      WITH ${visible.cte}
       SELECT 
         LOWER(TRIM(word)) as word,
         COUNT(*) as frequency
       FROM (
         SELECT value as word 
-        FROM snippets, json_each('["' || replace(replace(title, ' ', '","'), '-', '","') || '"]')
+        FROM visible_snippets, json_each('["' || replace(replace(title, ' ', '","'), '-', '","') || '"]')
         WHERE length(value) > 2
       )
       GROUP BY LOWER(TRIM(word))
       HAVING frequency > 1
       ORDER BY frequency DESC
       LIMIT 20
-    `);
+    `, visible.params);
 
     // Snippets without tags
     const untaggedCount = await database.get(`
+      WITH ${visible.cte}
       SELECT COUNT(*) as count
-      FROM snippets s
+      FROM visible_snippets s
       LEFT JOIN snippet_tags st ON s.id = st.snippet_id
       WHERE st.snippet_id IS NULL
-    `);
+    `, visible.params);
 
     // Average tags per snippet
     const avgTags = await database.get(`
+      WITH ${visible.cte}
       SELECT AVG(tag_count) as avg_tags
       FROM (
         SELECT s.id, COUNT(st.tag_id) as tag_count
-        FROM snippets s
+        FROM visible_snippets s
         LEFT JOIN snippet_tags st ON s.id = st.snippet_id
         GROUP BY s.id
       )
-    `);
+    `, visible.params);
 
     res.json({
       common_title_words: titleWords,
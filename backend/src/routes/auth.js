@@ -0,0 +1,151 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const database = require('../db');
+const authService = require('../services/auth');
+const { requireAuth, requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation middleware
+const validateRegistration = [
+  body('username')
+    .trim()
+    .matches(/^[A-Za-z0-9_.-]{3,32}$/)
+    .withMessage('Username must be 3-32 letters, digits, dots, dashes or underscores'),
+  body('password').isString().isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('display_name').optional({ nullable: true }).isString().trim().isLength({ max: 100 }).withMessage('Display name is too long')
+];
+
+const validateLogin = [
+  body('username').isString().trim().notEmpty().withMessage('Username is required'),
+  body('password').isString().notEmpty().withMessage('Password is required')
+];
+
+const validatePasswordChange = [
+  body('current_password').isString().notEmpty().withMessage('Current password is required'),
+  body('new_password').isString().isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+];
+
+// Helper function to start a session and set its cookie
+async function startSession(res, userId) {
+  const session = await authService.createSession(userId);
+  res.setHeader('Set-Cookie', authService.sessionCookie(session.token, session.maxAge));
+}
+
+// GET /api/auth/session - Get the signed-in user (or null) and whether sign-up is open
+router.get('/session', async (req, res) => {
+  try {
+    const user = await authService.getSessionUser(authService.readSessionToken(req));
+
+    res.json({
+      user,
+      registration_open: await authService.registrationOpen()
+    });
+  } catch (error) {
+    console.error('Error fetching session:', error);
+    res.status(500).json({ error: 'Failed to fetch session' });
+  }
+});
+
+// POST /api/auth/register - Create an account. The first account (or any, with
+// ALLOW_REGISTRATION=true) signs itself up; after that a signed-in user adds teammates.
+router.post('/register', validateRegistration, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const registrationOpen = await authService.registrationOpen();
+    const currentUser = registrationOpen
+      ? null
+      : await authService.getSessionUser(authService.readSessionToken(req));
+
+    if (!registrationOpen && !currentUser) {
+      return res.status(403).json({ error: 'Registration is closed. Ask a teammate to create your account.' });
+    }
+
+    const { username, password, display_name } = req.body;
+
+    const existing = await database.get('SELECT id FROM users WHERE username = ?', [username]);
+    if (existing) {
+      return res.status(409).json({ error: 'Username is already taken' });
+    }
+
+    const user = await authService.createUser({ username, password, display_name });
+
+    // Self sign-up logs the new account in; a teammate adding someone stays signed in as themselves
+    if (!currentUser) {
+      await startSession(res, user.id);
+    }
+
+    res.status(201).json({ user });
+  } catch (error) {
+    console.error('Error registering user:', error);
+    res.status(500).json({ error: 'Failed to create account' });
+  }
+});
+
+// POST /api/auth/login - Sign in with a username and password
+router.post('/login', validateLogin, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authService.authenticate(req.body.username, req.body.password);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    await startSession(res, user.id);
+
+    res.json({ user });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+// POST /api/auth/logout - End the current session
+router.post('/logout', async (req, res) => {
+  try {
+    await authService.destroySession(authService.readSessionToken(req));
+    res.setHeader('Set-Cookie', authService.sessionCookie('', 0));
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// PUT /api/auth/password - Change the signed-in user's password and end their other sessions
+router.put('/password', requireAuth, requireScope('admin'), validatePasswordChange, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authService.authenticate(req.user.username, req.body.current_password);
+    if (!user) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    await database.run(
+      'UPDATE users SET password_hash = ? WHERE id = ?',
+      [await authService.hashPassword(req.body.new_password), req.user.id]
+    );
+    await database.run('DELETE FROM sessions WHERE user_id = ?', [req.user.id]);
+    await startSession(res, req.user.id);
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,327 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const database = require('../db');
+const collectionService = require('../services/collections');
+const accessService = require('../services/access');
+
+const router = express.Router();
+
+// Validation middleware
+const validateCollection = (nameRequired) => [
+  nameRequired
+    ? body('name').notEmpty().trim().withMessage('Name is required')
+    : body('name').optional().notEmpty().trim().withMessage('Name cannot be empty'),
+  body('description').optional({ nullable: true }).isString().withMessage('Description must be a string'),
+  body('parent_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('parent_id must be a collection ID'),
+  body('position').optional().isInt({ min: 0 }).withMessage('Position must be a non-negative integer')
+];
+
+const validateIdList = (field) => [
+  body(field).isArray({ min: 1 }).withMessage(`${field} must be a non-empty array`),
+  body(`${field}.*`).isInt({ min: 1 }).withMessage(`${field} must contain IDs`)
+];
+
+// Helper function to build the collection query for a user. Snippet counts only include
+// snippets the user can see: a teammate's snippet made private stays filed but isn't counted.
+function collectionSelect(userId) {
+  const visibility = accessService.visibleCondition(userId);
+  return {
+    sql: `
+      SELECT c.*, COUNT(s.id) as snippet_count
+      FROM collections c
+      LEFT JOIN collection_snippets cs ON cs.collection_id = c.id
+      LEFT JOIN snippets s ON s.id = cs.snippet_id AND ${visibility.condition}
+    `,
+    params: visibility.params
+  };
+}
+
+// Helper function to get one of a user's collections with its snippet count
+async function getCollection(collectionId, userId) {
+  const select = collectionSelect(userId);
+  return database.get(
+    `${select.sql} WHERE c.id = ? AND c.user_id = ? GROUP BY c.id`,
+    [...select.params, collectionId, userId]
+  );
+}
+
+// Helper function to check that one of a user's collections exists
+async function ownCollectionExists(collectionId, userId) {
+  const row = await database.get(
+    'SELECT id FROM collections WHERE id = ? AND user_id = ?',
+    [collectionId, userId]
+  );
+  return Boolean(row);
+}
+
+// Helper function to check that no sibling already uses a name
+async function nameTaken(name, parentId, userId, exceptId = null) {
+  const row = await database.get(
+    'SELECT id FROM collections WHERE name = ? AND parent_id IS ? AND user_id = ? AND id IS NOT ?',
+    [name, parentId, userId, exceptId]
+  );
+  return Boolean(row);
+}
+
+// GET /api/collections - Get the user's collections as a flat list; parent_id links the tree
+router.get('/', async (req, res) => {
+  try {
+    const select = collectionSelect(req.user.id);
+    const collections = await database.all(`
+      ${select.sql}
+      WHERE c.user_id = ?
+      GROUP BY c.id
+      ORDER BY c.parent_id IS NOT NULL, c.parent_id, c.position, c.name COLLATE NOCASE
+    `, [...select.params, req.user.id]);
+
+    res.json(collections);
+  } catch (error) {
+    console.error('Error fetching collections:', error);
+    res.status(500).json({ error: 'Failed to fetch collections' });
+  }
+});
+
+// POST /api/collections/reorder - Set the order of sibling collections
+router.post('/reorder', validateIdList('ids'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ids = req.body.ids.map(Number);
+    const placeholders = ids.map(() => '?').join(',');
+    const rows = await database.all(
+      `SELECT id, parent_id FROM collections WHERE id IN (${placeholders}) AND user_id = ?`,
+      [...ids, req.user.id]
+    );
+
+    if (rows.length !== new Set(ids).size) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+    if (new Set(rows.map(row => row.parent_id)).size > 1) {
+      return res.status(400).json({ error: 'Only collections with the same parent can be reordered together' });
+    }
+
+    await database.transaction(async () => {
+      for (const [position, id] of ids.entries()) {
+        await database.run(
+          'UPDATE collections SET position = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [position, id]
+        );
+      }
+    });
+
+    res.json({ message: 'Collections reordered successfully' });
+  } catch (error) {
+    console.error('Error reordering collections:', error);
+    res.status(500).json({ error: 'Failed to reorder collections' });
+  }
+});
+
+// GET /api/collections/:id - Get a single collection
+router.get('/:id', async (req, res) => {
+  try {
+    const collection = await getCollection(req.params.id, req.user.id);
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    res.json(collection);
+  } catch (error) {
+    console.error('Error fetching collection:', error);
+    res.status(500).json({ error: 'Failed to fetch collection' });
+  }
+});
+
+// POST /api/collections - Create a collection, optionally inside another one
+router.post('/', validateCollection(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description = null } = req.body;
+    const parentId = req.body.parent_id ? Number(req.body.parent_id) : null;
+
+    if (parentId !== null && !(await ownCollectionExists(parentId, req.user.id))) {
+      return res.status(400).json({ error: 'Parent collection not found' });
+    }
+
+    if (await nameTaken(name, parentId, req.user.id)) {
+      return res.status(409).json({ error: 'A collection with this name already exists here' });
+    }
+
+    const position = req.body.position !== undefined
+      ? Number(req.body.position)
+      : await collectionService.nextPosition(parentId, req.user.id);
+
+    const result = await database.run(
+      'INSERT INTO collections (user_id, name, description, parent_id, position) VALUES (?, ?, ?, ?, ?)',
+      [req.user.id, name, description || null, parentId, position]
+    );
+
+    res.status(201).json(await getCollection(result.id, req.user.id));
+  } catch (error) {
+    console.error('Error creating collection:', error);
+    res.status(500).json({ error: 'Failed to create collection' });
+  }
+});
+
+// PUT /api/collections/:id - Rename, describe or move a collection; omitted fields keep their values
+router.put('/:id', validateCollection(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const collectionId = Number(req.params.id);
+    const existing = await database.get(
+      'SELECT * FROM collections WHERE id = ? AND user_id = ?',
+      [collectionId, req.user.id]
+    );
+    if (!existing) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const name = req.body.name !== undefined ? req.body.name : existing.name;
+    const description = req.body.description !== undefined ? (req.body.description || null) : existing.description;
+    const parentId = req.body.parent_id !== undefined
+      ? (req.body.parent_id ? Number(req.body.parent_id) : null)
+      : existing.parent_id;
+    const moved = parentId !== existing.parent_id;
+
+    if (moved && parentId !== null) {
+      if (!(await ownCollectionExists(parentId, req.user.id))) {
+        return res.status(400).json({ error: 'Parent collection not found' });
+      }
+      if (await collectionService.wouldCreateCycle(collectionId, parentId)) {
+        return res.status(400).json({ error: 'A collection cannot be moved inside itself' });
+      }
+    }
+
+    if (await nameTaken(name, parentId, req.user.id, collectionId)) {
+      return res.status(409).json({ error: 'A collection with this name already exists here' });
+    }
+
+    // A collection moved to a new parent goes to the end unless a position is given
+    let position = existing.position;
+    if (req.body.position !== undefined) {
+      position = Number(req.body.position);
+    } else if (moved) {
+      position = await collectionService.nextPosition(parentId, req.user.id);
+    }
+
+    await database.run(`
+      UPDATE collections
+      SET name = ?, description = ?, parent_id = ?, position = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [name, description, parentId, position, collectionId]);
+
+    res.json(await getCollection(collectionId, req.user.id));
+  } catch (error) {
+    console.error('Error updating collection:', error);
+    res.status(500).json({ error: 'Failed to update collection' });
+  }
+});
+
+// DELETE /api/collections/:id - Delete a collection and its nested collections (snippets are untouched)
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await database.run(
+      'DELETE FROM collections WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    res.json({ message: 'Collection deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting collection:', error);
+    res.status(500).json({ error: 'Failed to delete collection' });
+  }
+});
+
+// POST /api/collections/:id/snippets - Add snippets to a collection
+router.post('/:id/snippets', validateIdList('snippet_ids'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const collectionId = Number(req.params.id);
+    if (!(await ownCollectionExists(collectionId, req.user.id))) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    // Any snippet the user can see can be filed, not just their own
+    const snippetIds = [...new Set(req.body.snippet_ids.map(Number))];
+    const placeholders = snippetIds.map(() => '?').join(',');
+    const visibility = accessService.visibleCondition(req.user.id);
+    const found = await database.all(
+      `SELECT s.id FROM snippets s WHERE s.id IN (${placeholders}) AND ${visibility.condition}`,
+      [...snippetIds, ...visibility.params]
+    );
+    if (found.length !== snippetIds.length) {
+      const foundIds = new Set(found.map(row => row.id));
+      return res.status(400).json({
+        error: 'Some snippets were not found',
+        missing: snippetIds.filter(id => !foundIds.has(id))
+      });
+    }
+
+    let added = 0;
+    let position = (await database.get(
+      'SELECT COALESCE(MAX(position), -1) + 1 as position FROM collection_snippets WHERE collection_id = ?',
+      [collectionId]
+    )).position;
+
+    for (const snippetId of snippetIds) {
+      const result = await database.run(
+        'INSERT OR IGNORE INTO collection_snippets (collection_id, snippet_id, position) VALUES (?, ?, ?)',
+        [collectionId, snippetId, position]
+      );
+      if (result.changes > 0) {
+        added++;
+        position++;
+      }
+    }
+
+    res.json({
+      message: `Added ${added} snippet(s) to the collection`,
+      added,
+      collection: await getCollection(collectionId, req.user.id)
+    });
+  } catch (error) {
+    console.error('Error adding snippets to collection:', error);
+    res.status(500).json({ error: 'Failed to add snippets to collection' });
+  }
+});
+
+// DELETE /api/collections/:id/snippets/:snippetId - Remove a snippet from a collection
+router.delete('/:id/snippets/:snippetId', async (req, res) => {
+  try {
+    if (!(await ownCollectionExists(req.params.id, req.user.id))) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const result = await database.run(
+      'DELETE FROM collection_snippets WHERE collection_id = ? AND snippet_id = ?',
+      [req.params.id, req.params.snippetId]
+    );
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Snippet is not in this collection' });
+    }
+
+    res.json({ message: 'Snippet removed from collection' });
+  } catch (error) {
+    console.error('Error removing snippet from collection:', error);
+    res.status(500).json({ error: 'Failed to remove snippet from collection' });
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,21 @@
 const express = require('express');
 const database = require('../db');
+const accessService = require('../services/access');
 
 const router = express.Router();
 
-// GET /api/favorites - Get all favorite snippets
+// GET /api/favorites - Get the signed-in user's favorite snippets
 router.get('/', async (req, res) => {
   try {
+    // A favorite stops showing once its owner makes the snippet private
+    const visibility = accessService.visibleCondition(req.user.id);
     const favorites = await database.all(`
       SELECT s.*, f.created_at as favorited_at
       FROM snippets s
       JOIN favorites f ON s.id = f.snippet_id
+      WHERE f.user_id = ? AND ${visibility.condition}
       ORDER BY f.created_at DESC
-    `);
+    `, [req.user.id, ...visibility.params]);
 
     // Get tags for each favorite snippet
     const favoritesWithTags = await Promise.all(
@@ -44,15 +48,15 @@ router.post('/:id', async (req, res) => {
     const snippetId = req.params.id;
 
     // Check if snippet exists
-    const snippet = await database.get('SELECT * FROM snippets WHERE id = ?', [snippetId]);
+    const snippet = await accessService.getVisibleSnippet(snippetId, req.user.id);
     if (!snippet) {
       return res.status(404).json({ error: 'Snippet not found' });
     }
 
     // Check if already favorited
     const existing = await database.get(
-      'SELECT * FROM favorites WHERE snippet_id = ?',
-      [snippetId]
+      'SELECT * FROM favorites WHERE snippet_id = ? AND user_id = ?',
+      [snippetId, req.user.id]
     );
 
     if (existing) {
@@ -61,8 +65,8 @@ router.post('/:id', async (req, res) => {
 
     // Add to favorites
     await database.run(
-      'INSERT INTO favorites (snippet_id) VALUES (?)',
-      [snippetId]
+      'INSERT INTO favorites (user_id, snippet_id) VALUES (?, ?)',
+      [req.user.id, snippetId]
     );
 
     res.json({ message: 'Snippet added to favorites', snippet_id: snippetId });
@@ -79,8 +83,8 @@ router.delete('/:id', async (req, res) => {
 
     // Check if favorited
     const existing = await database.get(
-      'SELECT * FROM favorites WHERE snippet_id = ?',
-      [snippetId]
+      'SELECT * FROM favorites WHERE snippet_id = ? AND user_id = ?',
+      [snippetId, req.user.id]
     );
 
     if (!existing) {
@@ -88,7 +92,7 @@ router.delete('/:id', async (req, res) => {
     }
 
     // Remove from favorites
-    await database.run('DELETE FROM favorites WHERE snippet_id = ?', [snippetId]);
+    await database.run('DELETE FROM favorites WHERE snippet_id = ? AND user_id = ?', [snippetId, req.user.id]);
 
     res.json({ message: 'Snippet removed from favorites', snippet_id: snippetId });
   } catch (error) {
@@ -103,20 +107,20 @@ router.post('/toggle/:id', async (req, res) => {
     const snippetId = req.params.id;
 
     // Check if snippet exists
-    const snippet = await database.get('SELECT * FROM snippets WHERE id = ?', [snippetId]);
+    const snippet = await accessService.getVisibleSnippet(snippetId, req.user.id);
     if (!snippet) {
       return res.status(404).json({ error: 'Snippet not found' });
     }
 
     // Check if already favorited
     const existing = await database.get(
-      'SELECT * FROM favorites WHERE snippet_id = ?',
-      [snippetId]
+      'SELECT * FROM favorites WHERE snippet_id = ? AND user_id = ?',
+      [snippetId, req.user.id]
     );
 
     if (existing) {
       // Remove from favorites
-      await database.run('DELETE FROM favorites WHERE snippet_id = ?', [snippetId]);
+      await database.run('DELETE FROM favorites WHERE snippet_id = ? AND user_id = ?', [snippetId, req.user.id]);
       res.json({ 
         message: 'Snippet removed from favorites', 
         snippet_id: snippetId,
@@ -125,8 +129,8 @@ router.post('/toggle/:id', async (req, res) => {
     } else {
       // Add to favorites
       await database.run(
-        'INSERT INTO favorites (snippet_id) VALUES (?)',
-        [snippetId]
+        'INSERT INTO favorites (user_id, snippet_id) VALUES (?, ?)',
+        [req.user.id, snippetId]
       );
       res.json({ 
         message: 'Snippet added to favorites', 
@@ -0,0 +1,119 @@
+const express = require('express');
+const database = require('../db');
+const accessService = require('../services/access');
+const languageService = require('../services/languages');
+const embedService = require('../services/embed');
+
+const router = express.Router();
+
+// Public snippets can be read by anyone, so these routes never look at a session or token.
+// Everything else answers 404, the same as a snippet that doesn't exist.
+
+// Helper function to load a public snippet. Sends a 404 and returns null when there is none.
+async function getPublicSnippet(req, res) {
+  const snippet = await accessService.getPublicSnippet(req.params.id);
+  if (!snippet) {
+    res.status(404).json({ error: 'Snippet not found' });
+    return null;
+  }
+
+  // The owner can make the snippet private again at any time
+  res.set('Cache-Control', 'public, no-cache');
+  return snippet;
+}
+
+// GET /api/public/:id - A public snippet, read-only
+router.get('/:id', async (req, res) => {
+  try {
+    const snippet = await getPublicSnippet(req, res);
+    if (!snippet) return;
+
+    const tags = await database.all(`
+      SELECT t.name, t.color
+      FROM tags t
+      JOIN snippet_tags st ON t.id = st.tag_id
+      WHERE st.snippet_id = ?
+      ORDER BY t.name
+    `, [snippet.id]);
+
+    const owner = await database.get('SELECT username, display_name FROM users WHERE id = ?', [snippet.user_id]);
+
+    res.json({
+      snippet: {
+        id: snippet.id,
+        title: snippet.title,
+        content: snippet.content,
+        language: snippet.language,
+        source: snippet.source,
+        version: snippet.version,
+        visibility: snippet.visibility,
+        created_at: snippet.created_at,
+        updated_at: snippet.updated_at,
+        tags,
+        owner_name: owner ? owner.display_name || owner.username : null,
+        filename: languageService.filenameFor(snippet)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching public snippet:', error);
+    res.status(500).json({ error: 'Failed to fetch public snippet' });
+  }
+});
+
+// GET /api/public/:id/raw - The public snippet's content as text; ?lines=10-25 for a range
+router.get('/:id/raw', async (req, res) => {
+  try {
+    const snippet = await getPublicSnippet(req, res);
+    if (!snippet) return;
+
+    const range = embedService.parseLineRange(req.query.lines, embedService.splitLines(snippet.content).length);
+
+    // Raw HTML and JavaScript must never run in the API's origin
+    res.set('Content-Type', embedService.contentType(snippet.language));
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Content-Security-Policy', 'sandbox');
+    res.send(embedService.sliceLines(snippet.content, range));
+  } catch (error) {
+    if (error instanceof embedService.EmbedError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error fetching public snippet:', error);
+    res.status(500).json({ error: 'Failed to fetch public snippet' });
+  }
+});
+
+// Helper function to send a public snippet's embed as an HTML page or a script. Nothing private can
+// be read through them, so any site may frame or include them.
+async function sendEmbed(req, res, format) {
+  try {
+    const snippet = await getPublicSnippet(req, res);
+    if (!snippet) return;
+
+    const rawUrl = new URL(`${req.protocol}://${req.get('host')}${req.baseUrl}/${snippet.id}/raw`);
+    if (req.query.lines) rawUrl.searchParams.set('lines', req.query.lines);
+    const options = { theme: req.query.theme, lines: req.query.lines, rawUrl: rawUrl.toString() };
+
+    if (format === 'js') {
+      const script = embedService.renderScript(snippet, options);
+      res.type('application/javascript').send(script);
+    } else {
+      const page = embedService.renderPage(snippet, options);
+      res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; frame-ancestors *");
+      res.type('html').send(page);
+    }
+  } catch (error) {
+    if (error instanceof embedService.EmbedError) {
+      return res.status(400).json({ error: error.message, themes: embedService.themes });
+    }
+    console.error('Error embedding public snippet:', error);
+    res.status(500).json({ error: 'Failed to embed public snippet' });
+  }
+}
+
+// GET /api/public/:id/embed - Highlighted widget page for an <iframe>; ?theme=dark|light|auto&lines=10-25
+router.get('/:id/embed', (req, res) => sendEmbed(req, res, 'html'));
+
+// GET /api/public/:id/embed.js - Script that inserts the highlighted widget where its <script> tag stands
+router.get('/:id/embed.js', (req, res) => sendEmbed(req, res, 'js'));
+
+module.exports = router;
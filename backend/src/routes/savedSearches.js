@@ -0,0 +1,261 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const database = require('../db');
+const filterService = require('../services/filters');
+const sortService = require('../services/sort');
+const queryService = require('../services/query');
+
+const router = express.Router();
+
+// Validation middleware
+const validateSavedSearch = (nameRequired) => [
+  nameRequired
+    ? body('name').notEmpty().trim().withMessage('Name is required')
+    : body('name').optional().notEmpty().trim().withMessage('Name cannot be empty'),
+  body('search').optional().isString().withMessage('Search must be a string'),
+  body('language').optional({ nullable: true }).isString().withMessage('Language must be a string'),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('any_tags').optional().isArray().withMessage('any_tags must be an array'),
+  body('exclude_tags').optional().isArray().withMessage('exclude_tags must be an array'),
+  body('favorites').optional().isBoolean().withMessage('Favorites must be a boolean'),
+  body('sort').optional({ nullable: true }).isString().withMessage('Sort must be a string'),
+  body('order').optional({ nullable: true }).isString().withMessage('Order must be a string')
+];
+
+// Helper function to turn a database row into the API shape
+function formatSavedSearch(row) {
+  const { sort_order, ...fields } = row;
+
+  return {
+    ...fields,
+    tags: JSON.parse(row.tags),
+    any_tags: JSON.parse(row.any_tags),
+    exclude_tags: JSON.parse(row.exclude_tags),
+    favorites: Boolean(row.favorites),
+    order: sort_order
+  };
+}
+
+// Helper function to get the snippet list parameters a saved search stands for
+function toListQuery(savedSearch) {
+  return {
+    search: savedSearch.search || '',
+    language: savedSearch.language || '',
+    tags: savedSearch.tags,
+    any_tags: savedSearch.any_tags,
+    exclude_tags: savedSearch.exclude_tags,
+    favorites: savedSearch.favorites
+  };
+}
+
+// Helper function to attach the live count of snippets the user can see
+async function withCount(savedSearch, userId) {
+  return {
+    ...savedSearch,
+    count: await filterService.count(toListQuery(savedSearch), userId)
+  };
+}
+
+// Helper function to check the query and sort the same way the snippet list would.
+// Returns an error body, or null when the saved search is usable.
+function checkSavedSearch(savedSearch) {
+  try {
+    const { matchQuery } = filterService.build(toListQuery(savedSearch));
+    sortService.parse(savedSearch.sort || undefined, savedSearch.order || undefined, {
+      searching: Boolean(matchQuery)
+    });
+    return null;
+  } catch (error) {
+    if (error instanceof queryService.QueryError) {
+      return {
+        error: 'Invalid search query',
+        details: error.message,
+        position: error.position,
+        length: error.length
+      };
+    }
+    if (error instanceof sortService.SortError) {
+      return { error: error.message, allowed: error.allowed };
+    }
+    throw error;
+  }
+}
+
+// Helper function to read a saved search from a request body over existing values
+function readSavedSearch(reqBody, existing = {}) {
+  const pick = (field, fallback) => (reqBody[field] !== undefined ? reqBody[field] : existing[field] ?? fallback);
+  const favorites = pick('favorites', false);
+
+  return {
+    name: pick('name', ''),
+    search: String(pick('search', '')).trim(),
+    language: pick('language', null) || null,
+    tags: filterService.parseTagList(pick('tags', [])),
+    any_tags: filterService.parseTagList(pick('any_tags', [])),
+    exclude_tags: filterService.parseTagList(pick('exclude_tags', [])),
+    favorites: favorites === true || favorites === 'true',
+    sort: pick('sort', null) || null,
+    order: pick('order', null) || null
+  };
+}
+
+// GET /api/saved-searches - Get the user's saved searches with live snippet counts
+router.get('/', async (req, res) => {
+  try {
+    const rows = await database.all(
+      'SELECT * FROM saved_searches WHERE user_id = ? ORDER BY name COLLATE NOCASE',
+      [req.user.id]
+    );
+    const savedSearches = await Promise.all(rows.map(row => withCount(formatSavedSearch(row), req.user.id)));
+
+    res.json(savedSearches);
+  } catch (error) {
+    console.error('Error fetching saved searches:', error);
+    res.status(500).json({ error: 'Failed to fetch saved searches' });
+  }
+});
+
+// GET /api/saved-searches/:id - Get a single saved search
+router.get('/:id', async (req, res) => {
+  try {
+    const row = await database.get(
+      'SELECT * FROM saved_searches WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+    if (!row) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    res.json(await withCount(formatSavedSearch(row), req.user.id));
+  } catch (error) {
+    console.error('Error fetching saved search:', error);
+    res.status(500).json({ error: 'Failed to fetch saved search' });
+  }
+});
+
+// POST /api/saved-searches - Save a named query
+router.post('/', validateSavedSearch(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const savedSearch = readSavedSearch(req.body);
+
+    const invalid = checkSavedSearch(savedSearch);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+
+    const existing = await database.get(
+      'SELECT id FROM saved_searches WHERE name = ? AND user_id = ?',
+      [savedSearch.name, req.user.id]
+    );
+    if (existing) {
+      return res.status(409).json({ error: 'A saved search with this name already exists' });
+    }
+
+    const result = await database.run(`
+      INSERT INTO saved_searches (user_id, name, search, language, tags, any_tags, exclude_tags, favorites, sort, sort_order)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      req.user.id,
+      savedSearch.name,
+      savedSearch.search,
+      savedSearch.language,
+      JSON.stringify(savedSearch.tags),
+      JSON.stringify(savedSearch.any_tags),
+      JSON.stringify(savedSearch.exclude_tags),
+      savedSearch.favorites ? 1 : 0,
+      savedSearch.sort,
+      savedSearch.order
+    ]);
+
+    const row = await database.get('SELECT * FROM saved_searches WHERE id = ?', [result.id]);
+
+    res.status(201).json(await withCount(formatSavedSearch(row), req.user.id));
+  } catch (error) {
+    console.error('Error creating saved search:', error);
+    res.status(500).json({ error: 'Failed to create saved search' });
+  }
+});
+
+// PUT /api/saved-searches/:id - Rename or change a saved search; omitted fields keep their values
+router.put('/:id', validateSavedSearch(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const savedSearchId = req.params.id;
+    const existing = await database.get(
+      'SELECT * FROM saved_searches WHERE id = ? AND user_id = ?',
+      [savedSearchId, req.user.id]
+    );
+    if (!existing) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    const savedSearch = readSavedSearch(req.body, formatSavedSearch(existing));
+
+    const invalid = checkSavedSearch(savedSearch);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+
+    const nameConflict = await database.get(
+      'SELECT id FROM saved_searches WHERE name = ? AND user_id = ? AND id != ?',
+      [savedSearch.name, req.user.id, savedSearchId]
+    );
+    if (nameConflict) {
+      return res.status(409).json({ error: 'A saved search with this name already exists' });
+    }
+
+    await database.run(`
+      UPDATE saved_searches
+      SET name = ?, search = ?, language = ?, tags = ?, any_tags = ?, exclude_tags = ?,
+          favorites = ?, sort = ?, sort_order = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [
+      savedSearch.name,
+      savedSearch.search,
+      savedSearch.language,
+      JSON.stringify(savedSearch.tags),
+      JSON.stringify(savedSearch.any_tags),
+      JSON.stringify(savedSearch.exclude_tags),
+      savedSearch.favorites ? 1 : 0,
+      savedSearch.sort,
+      savedSearch.order,
+      savedSearchId
+    ]);
+
+    const row = await database.get('SELECT * FROM saved_searches WHERE id = ?', [savedSearchId]);
+
+    res.json(await withCount(formatSavedSearch(row), req.user.id));
+  } catch (error) {
+    console.error('Error updating saved search:', error);
+    res.status(500).json({ error: 'Failed to update saved search' });
+  }
+});
+
+// DELETE /api/saved-searches/:id - Delete a saved search (snippets are untouched)
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await database.run(
+      'DELETE FROM saved_searches WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    res.json({ message: 'Saved search deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting saved search:', error);
+    res.status(500).json({ error: 'Failed to delete saved search' });
+  }
+});
+
+module.exports = router;
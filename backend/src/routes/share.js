@@ -0,0 +1,167 @@
+const express = require('express');
+const database = require('../db');
+const shareLinkService = require('../services/shareLinks');
+const languageService = require('../services/languages');
+const embedService = require('../services/embed');
+
+const router = express.Router();
+
+// Password-protected links take the password in this header
+const PASSWORD_HEADER = 'x-share-password';
+
+// Helper function to load the snippet behind a share link. Sends the error response and
+// returns null when the link is unknown (404), revoked or expired (410), or needs a
+// password that wasn't given or is wrong (403).
+async function getSharedSnippet(req, res) {
+  const link = await shareLinkService.findByToken(req.params.token);
+  if (!link) {
+    res.status(404).json({ error: 'Share link not found' });
+    return null;
+  }
+  if (link.revoked_at) {
+    res.status(410).json({ error: 'This share link has been revoked' });
+    return null;
+  }
+  if (link.expired) {
+    res.status(410).json({ error: 'This share link has expired' });
+    return null;
+  }
+
+  const password = req.get(PASSWORD_HEADER);
+  if (!(await shareLinkService.checkPassword(link, password))) {
+    res.status(403).json({
+      error: password ? 'Incorrect password' : 'This share link needs a password',
+      password_required: true
+    });
+    return null;
+  }
+
+  const snippet = await database.get('SELECT * FROM snippets WHERE id = ?', [link.snippet_id]);
+  if (!snippet) {
+    res.status(404).json({ error: 'Share link not found' });
+    return null;
+  }
+
+  // Shared pages can disappear at any time, so keep them out of caches and search engines
+  res.set('Cache-Control', 'private, no-store');
+  res.set('X-Robots-Tag', 'noindex');
+
+  return { link, snippet };
+}
+
+// GET /api/share/:token - The shared snippet, read-only
+router.get('/:token', async (req, res) => {
+  try {
+    const shared = await getSharedSnippet(req, res);
+    if (!shared) return;
+
+    const { link, snippet } = shared;
+    const tags = await database.all(`
+      SELECT t.name, t.color
+      FROM tags t
+      JOIN snippet_tags st ON t.id = st.tag_id
+      WHERE st.snippet_id = ?
+      ORDER BY t.name
+    `, [snippet.id]);
+
+    const owner = await database.get('SELECT username, display_name FROM users WHERE id = ?', [snippet.user_id]);
+
+    await shareLinkService.recordView(link.id);
+
+    res.json({
+      snippet: {
+        title: snippet.title,
+        content: snippet.content,
+        language: snippet.language,
+        source: snippet.source,
+        version: snippet.version,
+        created_at: snippet.created_at,
+        updated_at: snippet.updated_at,
+        tags,
+        owner_name: owner ? owner.display_name || owner.username : null,
+        filename: languageService.filenameFor(snippet)
+      },
+      share: {
+        expires_at: link.expires_at,
+        has_password: Boolean(link.password_hash)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching shared snippet:', error);
+    res.status(500).json({ error: 'Failed to fetch shared snippet' });
+  }
+});
+
+// GET /api/share/:token/raw - The shared snippet's content as text; ?lines=10-25 for a range
+router.get('/:token/raw', async (req, res) => {
+  try {
+    const shared = await getSharedSnippet(req, res);
+    if (!shared) return;
+
+    const { content, language } = shared.snippet;
+    const range = embedService.parseLineRange(req.query.lines, embedService.splitLines(content).length);
+
+    // Raw HTML and JavaScript must never run in the API's origin
+    res.set('Content-Type', embedService.contentType(language));
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Content-Security-Policy', 'sandbox');
+    res.send(embedService.sliceLines(content, range));
+  } catch (error) {
+    if (error instanceof embedService.EmbedError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error fetching shared snippet:', error);
+    res.status(500).json({ error: 'Failed to fetch shared snippet' });
+  }
+});
+
+// Helper function to send a shared snippet's embed as an HTML page or a script. Embeds can't send
+// a password, so password-protected links can't be embedded.
+async function sendEmbed(req, res, format) {
+  try {
+    const shared = await getSharedSnippet(req, res);
+    if (!shared) return;
+
+    const rawUrl = new URL(`${req.protocol}://${req.get('host')}${req.baseUrl}/${req.params.token}/raw`);
+    if (req.query.lines) rawUrl.searchParams.set('lines', req.query.lines);
+    const options = { theme: req.query.theme, lines: req.query.lines, rawUrl: rawUrl.toString() };
+
+    if (format === 'js') {
+      const script = embedService.renderScript(shared.snippet, options);
+      res.type('application/javascript').send(script);
+    } else {
+      const page = embedService.renderPage(shared.snippet, options);
+      res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; frame-ancestors *");
+      res.type('html').send(page);
+    }
+  } catch (error) {
+    if (error instanceof embedService.EmbedError) {
+      return res.status(400).json({ error: error.message, themes: embedService.themes });
+    }
+    console.error('Error embedding shared snippet:', error);
+    res.status(500).json({ error: 'Failed to embed shared snippet' });
+  }
+}
+
+// GET /api/share/:token/embed - Highlighted widget page for an <iframe>; ?theme=dark|light|auto&lines=10-25
+router.get('/:token/embed', (req, res) => sendEmbed(req, res, 'html'));
+
+// GET /api/share/:token/embed.js - Script that inserts the highlighted widget where its <script> tag stands
+router.get('/:token/embed.js', (req, res) => sendEmbed(req, res, 'js'));
+
+// GET /api/share/:token/download - The shared snippet's content as a file named after the snippet
+router.get('/:token/download', async (req, res) => {
+  try {
+    const shared = await getSharedSnippet(req, res);
+    if (!shared) return;
+
+    res.attachment(languageService.filenameFor(shared.snippet));
+    res.set('Content-Type', 'application/octet-stream');
+    res.send(shared.snippet.content);
+  } catch (error) {
+    console.error('Error downloading shared snippet:', error);
+    res.status(500).json({ error: 'Failed to download shared snippet' });
+  }
+});
+
+module.exports = router;
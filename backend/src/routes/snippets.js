@@ -3,7 +3,22 @@ const { body, validationResult } = require('express-validator');
 const database = require('../db');
 const { createTwoFilesPatch } = require('diff');
 const multer = require('multer');
+const readline = require('readline');
 const exportImportService = require('../services/exportImport');
+const searchService = require('../services/search');
+const diffService = require('../services/diff');
+const paginationService = require('../services/pagination');
+const sortService = require('../services/sort');
+const queryService = require('../services/query');
+const filterService = require('../services/filters');
+const accessService = require('../services/access');
+const shareLinkService = require('../services/shareLinks');
+const embedService = require('../services/embed');
+const templateService = require('../services/templates');
+const languageService = require('../services/languages');
+const importFormatService = require('../services/importFormats');
+const backupService = require('../services/backup');
+const importConflictService = require('../services/importConflicts');
 
 const router = express.Router();
 
@@ -13,15 +28,16 @@ const validateSnippet = [
   body('content').notEmpty().withMessage('Content is required'),
   body('language').notEmpty().trim().withMessage('Language is required'),
   body('tags').optional().isArray().withMessage('Tags must be an array'),
-  body('source').optional().trim()
+  body('source').optional().trim(),
+  body('visibility')
+    .optional()
+    .isIn(accessService.visibilities)
+    .withMessage(`Visibility must be one of: ${accessService.visibilities.join(', ')}`)
 ];
 
-// Helper function to get snippet with tags
-async function getSnippetWithTags(snippetId) {
-  const snippet = await database.get(
-    'SELECT * FROM snippets WHERE id = ?', 
-    [snippetId]
-  );
+// Helper function to get snippet with tags, as seen by a user
+async function getSnippetWithTags(snippetId, userId) {
+  const snippet = await accessService.getVisibleSnippet(snippetId, userId);
   
   if (!snippet) return null;
 
@@ -33,17 +49,63 @@ async function getSnippetWithTags(snippetId) {
   `, [snippetId]);
 
   const isFavorite = await database.get(
-    'SELECT 1 FROM favorites WHERE snippet_id = ?',
-    [snippetId]
+    'SELECT 1 FROM favorites WHERE snippet_id = ? AND user_id = ?',
+    [snippetId, userId]
+  );
+
+  const owner = await database.get(
+    'SELECT username, display_name FROM users WHERE id = ?',
+    [snippet.user_id]
   );
 
   return {
     ...snippet,
     tags,
-    is_favorite: !!isFavorite
+    is_favorite: !!isFavorite,
+    owner_name: owner ? owner.display_name || owner.username : null,
+    is_owner: accessService.canEdit(snippet, userId)
   };
 }
 
+// Helper function to load a snippet the user is allowed to change. Sends the error
+// response and returns null otherwise: 404 when they can't see it, 403 when they can
+// see it but don't own it.
+async function getEditableSnippet(req, res) {
+  const snippet = await accessService.getVisibleSnippet(req.params.id, req.user.id);
+  if (!snippet) {
+    res.status(404).json({ error: 'Snippet not found' });
+    return null;
+  }
+  if (!accessService.canEdit(snippet, req.user.id)) {
+    res.status(403).json({ error: 'Only the owner can change this snippet' });
+    return null;
+  }
+  return snippet;
+}
+
+// Helper function to get tags for many snippets in batched queries
+async function getTagsBySnippet(snippetIds) {
+  const tagsBySnippet = new Map(snippetIds.map(id => [id, []]));
+  const batchSize = 500;
+
+  for (let i = 0; i < snippetIds.length; i += batchSize) {
+    const batch = snippetIds.slice(i, i + batchSize);
+    const rows = await database.all(`
+      SELECT st.snippet_id, t.id, t.name, t.color
+      FROM snippet_tags st
+      JOIN tags t ON t.id = st.tag_id
+      WHERE st.snippet_id IN (${batch.map(() => '?').join(',')})
+      ORDER BY st.id
+    `, batch);
+
+    for (const { snippet_id, ...tag } of rows) {
+      tagsBySnippet.get(snippet_id).push(tag);
+    }
+  }
+
+  return tagsBySnippet;
+}
+
 // Helper function to manage tags
 async function manageTags(snippetId, tagNames) {
   if (!tagNames || !Array.isArray(tagNames)) return;
@@ -74,149 +136,392 @@ async function manageTags(snippetId, tagNames) {
   }
 }
 
-// GET /api/snippets - Get all snippets with filtering and search
+// GET /api/snippets - Get all snippets with filtering, search and pagination
 router.get('/', async (req, res) => {
   try {
-    const { 
-      search = '', 
-      language = '', 
-      tag = '', 
-      favorites = false,
-      sort = 'created_at',
-      order = 'DESC'
-    } = req.query;
+    const paging = paginationService.parseParams(req.query);
 
-    let query = `
-      SELECT DISTINCT s.*, 
-             GROUP_CONCAT(t.name) as tag_names,
-             (SELECT COUNT(*) FROM favorites f WHERE f.snippet_id = s.id) as is_favorite
-      FROM snippets s
-      LEFT JOIN snippet_tags st ON s.id = st.snippet_id
-      LEFT JOIN tags t ON st.tag_id = t.id
-    `;
-
-    let conditions = [];
-    let params = [];
-
-    if (search) {
-      conditions.push('(s.title LIKE ? OR s.content LIKE ?)');
-      params.push(`%${search}%`, `%${search}%`);
+    // Other users' collections are as good as missing
+    if (req.query.collection) {
+      const collectionRow = await database.get(
+        'SELECT id FROM collections WHERE id = ? AND user_id = ?',
+        [req.query.collection, req.user.id]
+      );
+      if (!collectionRow) {
+        return res.status(404).json({ error: 'Collection not found' });
+      }
     }
 
-    if (language) {
-      conditions.push('s.language = ?');
-      params.push(language);
+    const { matchQuery, ctes, joins, conditions, params } = filterService.build(req.query, req.user.id);
+
+    // Sort keys end with the snippet id as a tiebreaker so cursors are stable
+    const sortKeys = sortService.parse(req.query.sort, req.query.order, { searching: Boolean(matchQuery) });
+    const sortDependencies = sortService.dependencies(sortKeys);
+
+    // Sort CTEs work through the filtered snippets only, so their cost follows the result, not the table
+    const pageCtes = [...ctes];
+    const pageConditions = [];
+    if (sortDependencies.ctes.length > 0) {
+      pageCtes.push(`filtered_snippets AS MATERIALIZED (
+        SELECT s.id, s.title
+        FROM snippets s
+        ${joins}
+        ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+      )`, ...sortDependencies.ctes);
+      pageConditions.push('s.id IN (SELECT id FROM filtered_snippets)');
+    } else {
+      pageConditions.push(...conditions);
     }
 
-    if (tag) {
-      conditions.push('t.name = ?');
-      params.push(tag);
-    }
+    const pageWithClause = pageCtes.length > 0
+      ? `WITH ${sortDependencies.ctes.length > 0 ? 'RECURSIVE ' : ''}${pageCtes.join(', ')}`
+      : '';
+    const pageParams = [...params];
 
-    if (favorites === 'true') {
-      query += ' LEFT JOIN favorites f ON s.id = f.snippet_id';
-      conditions.push('f.snippet_id IS NOT NULL');
+    if (paging && paging.cursor) {
+      const keyset = paginationService.keysetCondition(sortKeys, paging.cursor);
+      pageConditions.push(keyset.sql);
+      pageParams.push(...keyset.params);
     }
 
-    if (conditions.length > 0) {
-      query += ' WHERE ' + conditions.join(' AND ');
+    let query = `
+      ${pageWithClause}
+      SELECT s.*,
+             (SELECT COUNT(*) FROM my_favorites fav WHERE fav.snippet_id = s.id) as is_favorite,
+             COALESCE(owner.display_name, owner.username) as owner_name,
+             ${sortKeys.map((key, index) => `${key.expr} AS sort_key_${index}`).join(', ')}
+             ${matchQuery ? ', fts.rank, fts.title_highlight, fts.content_highlight' : ''}
+      FROM snippets s
+      LEFT JOIN users owner ON owner.id = s.user_id
+      ${joins}
+      ${sortDependencies.joins}
+      ${pageConditions.length > 0 ? 'WHERE ' + pageConditions.join(' AND ') : ''}
+      ORDER BY ${sortService.orderBy(sortKeys)}
+    `;
+
+    if (paging) {
+      // Fetch one extra row to know whether another page exists
+      query += ' LIMIT ? OFFSET ?';
+      pageParams.push(paging.limit + 1, paging.offset || 0);
     }
 
-    query += ' GROUP BY s.id';
-    query += ` ORDER BY s.${sort} ${order}`;
+    let snippets;
+    let total;
+    try {
+      snippets = await database.all(query, pageParams);
 
-    const snippets = await database.all(query, params);
+      if (paging) {
+        total = await filterService.count(req.query, req.user.id);
+      }
+    } catch (error) {
+      if (searchService.isQueryError(error)) {
+        return res.status(400).json({ error: 'Invalid search query', details: error.message });
+      }
+      throw error;
+    }
 
-    // Get tags for each snippet
-    const snippetsWithTags = await Promise.all(
-      snippets.map(async (snippet) => {
-        const tags = await database.all(`
-          SELECT t.id, t.name, t.color 
-          FROM tags t
-          JOIN snippet_tags st ON t.id = st.tag_id
-          WHERE st.snippet_id = ?
-        `, [snippet.id]);
+    const hasMore = Boolean(paging) && snippets.length > paging.limit;
+    if (hasMore) {
+      snippets = snippets.slice(0, paging.limit);
+    }
 
-        return {
-          ...snippet,
-          tags,
-          is_favorite: snippet.is_favorite > 0,
-          tag_names: undefined // Remove the concatenated field
-        };
-      })
-    );
+    const lastSnippet = snippets[snippets.length - 1];
+    const nextCursor = hasMore
+      ? paginationService.encodeCursor(sortKeys.map((key, index) => lastSnippet[`sort_key_${index}`]))
+      : null;
+
+    // Get tags for all snippets on the page in one query
+    const tagsBySnippet = await getTagsBySnippet(snippets.map(snippet => snippet.id));
+
+    const snippetsWithTags = snippets.map((snippet) => {
+      const { rank, title_highlight, content_highlight, ...fields } = snippet;
+      sortKeys.forEach((key, index) => delete fields[`sort_key_${index}`]);
+
+      return {
+        ...fields,
+        tags: tagsBySnippet.get(snippet.id) || [],
+        is_favorite: snippet.is_favorite > 0,
+        is_owner: snippet.user_id === req.user.id,
+        ...(matchQuery && {
+          search_rank: rank,
+          highlights: {
+            title: searchService.toSegments(title_highlight),
+            content: searchService.toSegments(content_highlight)
+          }
+        })
+      };
+    });
+
+    if (!paging) {
+      res.setHeader('X-Total-Count', snippetsWithTags.length);
+      return res.json(snippetsWithTags);
+    }
 
-    res.json(snippetsWithTags);
+    res.json({
+      snippets: snippetsWithTags,
+      pagination: {
+        total,
+        limit: paging.limit,
+        offset: paging.offset,
+        has_more: hasMore,
+        next_cursor: nextCursor
+      }
+    });
   } catch (error) {
+    if (error instanceof paginationService.PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof sortService.SortError) {
+      return res.status(400).json({ error: error.message, allowed: error.allowed });
+    }
+    if (error instanceof queryService.QueryError) {
+      return res.status(400).json({
+        error: 'Invalid search query',
+        details: error.message,
+        position: error.position,
+        length: error.length
+      });
+    }
     console.error('Error fetching snippets:', error);
     res.status(500).json({ error: 'Failed to fetch snippets' });
   }
 });
 
+// Helper function to make a name safe for a download filename
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'collection';
+}
+
+// Helper function to write one NDJSON line, waiting while the client catches up
+async function writeLine(res, value) {
+  // Once the client has gone nothing can be written, and 'drain' and 'close' won't come again
+  if (res.destroyed) return;
+  if (res.write(`${JSON.stringify(value)}\n`)) return;
+
+  await new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// How many parsed snippets validate-import sends back for the preview
+const IMPORT_PREVIEW_LIMIT = 100;
+
 // Configure multer for file uploads
 const upload = multer({ 
   storage: multer.memoryStorage(),
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/json' || file.originalname.endsWith('.json')) {
+    if (file.mimetype === 'application/json' || importFormatService.isSupportedFile(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Only JSON files are allowed'), false);
+      cb(new importFormatService.ImportFormatError(
+        `Only ${importFormatService.extensions.join(', ')} files can be imported`
+      ), false);
     }
   }
 });
 
+// Helper function to run the upload middleware and answer a rejected file with 400
+function uploadImportFile(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    next();
+  });
+}
+
+// Helper function to read an uploaded import file in whichever format it is in; answers 400 itself
+async function readImportFile(req, res) {
+  if (!req.file) {
+    res.status(400).json({ error: 'No file uploaded' });
+    return null;
+  }
+
+  try {
+    return await importFormatService.parse(req.file.buffer, req.file.originalname);
+  } catch (error) {
+    if (error instanceof importFormatService.ImportFormatError) {
+      res.status(400).json({ error: error.message });
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Helper function to describe a parsed import file: its validation, format and a preview of its snippets
+function describeImport(parsed) {
+  const validation = exportImportService.validateImportData(parsed.data);
+  const snippets = Array.isArray(parsed.data.snippets) ? parsed.data.snippets : [];
+
+  return {
+    ...validation,
+    format: parsed.format,
+    format_label: importFormatService.formatLabels[parsed.format],
+    preview: snippets.slice(0, IMPORT_PREVIEW_LIMIT).map(snippet => ({
+      title: snippet.title,
+      language: snippet.language,
+      content: typeof snippet.content === 'string' ? snippet.content.slice(0, 2000) : '',
+      tags: Array.isArray(snippet.tags) ? snippet.tags.map(tag => (typeof tag === 'string' ? tag : tag.name)) : []
+    }))
+  };
+}
+
+// Helper function to read the conflict resolutions sent with an import: a JSON object of snippet
+// index to 'keep', 'replace', 'keep_both' or 'merge_tags'. Returns null when they are malformed.
+function parseResolutions(value) {
+  if (!value) return {};
+
+  let resolutions;
+  try {
+    resolutions = JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+  if (!resolutions || typeof resolutions !== 'object' || Array.isArray(resolutions)) return null;
+
+  const valid = Object.entries(resolutions).every(([index, resolution]) =>
+    /^\d+$/.test(index) && importConflictService.isValidResolution(resolution)
+  );
+  return valid ? resolutions : null;
+}
+
 // GET /api/snippets/export - Export snippets
 router.get('/export', async (req, res) => {
   try {
-    const { type = 'json', ids } = req.query;
+    const { type = 'json', ids, collection, include_subcollections, group_by = 'tag' } = req.query;
     
     let snippetIds = [];
     if (ids) {
       snippetIds = ids.split(',').map(id => parseInt(id)).filter(id => !isNaN(id));
     }
 
-    if (type === 'json') {
-      const exportData = await exportImportService.exportToJSON(snippetIds);
+    // A collection export takes the snippets of its nested collections too unless told otherwise
+    const exportOptions = { userId: req.user.id };
+    let filenameBase = 'mysnippethub-export';
+    if (collection) {
+      const collectionRow = await database.get(
+        'SELECT id, name FROM collections WHERE id = ? AND user_id = ?',
+        [collection, req.user.id]
+      );
+      if (!collectionRow) {
+        return res.status(404).json({ error: 'Collection not found' });
+      }
+      exportOptions.collectionId = collectionRow.id;
+      exportOptions.includeSubcollections = include_subcollections !== 'false';
+      filenameBase += `-${slugify(collectionRow.name)}`;
+    }
+
+    if (type === 'backup') {
+      if (snippetIds.length > 0 || collection) {
+        return res.status(400).json({ error: 'A full backup always covers your whole library; leave out ids and collection' });
+      }
+      const backup = await backupService.create(req.user.id);
+
+      const filename = `mysnippethub-backup-${new Date().toISOString().slice(0, 10)}.json`;
+
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.json(backup);
+
+    } else if (type === 'json') {
+      const exportData = await exportImportService.exportToJSON(snippetIds, exportOptions);
       
-      const filename = `mysnippethub-export-${new Date().toISOString().slice(0, 10)}.json`;
+      const filename = `${filenameBase}-${new Date().toISOString().slice(0, 10)}.json`;
       
       res.setHeader('Content-Type', 'application/json');
       res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
       res.json(exportData);
       
     } else if (type === 'md' || type === 'markdown') {
-      const markdownContent = await exportImportService.exportToMarkdown(snippetIds);
+      const markdownContent = await exportImportService.exportToMarkdown(snippetIds, exportOptions);
       
-      const filename = `mysnippethub-export-${new Date().toISOString().slice(0, 10)}.md`;
+      const filename = `${filenameBase}-${new Date().toISOString().slice(0, 10)}.md`;
       
       res.setHeader('Content-Type', 'text/markdown');
       res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
       res.send(markdownContent);
       
+    } else if (type === 'ndjson') {
+      // Streamed a batch at a time, so the size of the library doesn't matter
+      const header = await exportImportService.ndjsonHeader(snippetIds, exportOptions);
+
+      const filename = `${filenameBase}-${new Date().toISOString().slice(0, 10)}.ndjson`;
+
+      res.setHeader('Content-Type', 'application/x-ndjson');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      await writeLine(res, header);
+      for await (const snippet of exportImportService.streamSnippets(snippetIds, exportOptions)) {
+        if (res.destroyed) return;
+        await writeLine(res, snippet);
+      }
+      res.end();
+
+    } else if (type === 'vscode') {
+      const snippetDefinitions = await exportImportService.exportToVSCode(snippetIds, exportOptions);
+
+      const filename = `${filenameBase}-${new Date().toISOString().slice(0, 10)}.code-snippets`;
+
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(JSON.stringify(snippetDefinitions, null, 2));
+
+    } else if (type === 'jetbrains') {
+      const templateSet = await exportImportService.exportToJetBrains(snippetIds, exportOptions);
+
+      const filename = `${filenameBase}-${new Date().toISOString().slice(0, 10)}.xml`;
+
+      res.setHeader('Content-Type', 'application/xml');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(templateSet);
+
+    } else if (type === 'sublime') {
+      const sublimeExport = await exportImportService.exportToSublime(snippetIds, exportOptions);
+
+      const filename = `${filenameBase}-${new Date().toISOString().slice(0, 10)}${sublimeExport.filename}`;
+
+      res.setHeader('Content-Type', sublimeExport.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(sublimeExport.data);
+
+    } else if (type === 'zip') {
+      if (group_by !== 'tag' && group_by !== 'language') {
+        return res.status(400).json({ error: 'Invalid group_by. Use "tag" or "language".' });
+      }
+      const archive = await exportImportService.exportToZip(snippetIds, { ...exportOptions, groupBy: group_by });
+
+      const filename = `${filenameBase}-${new Date().toISOString().slice(0, 10)}.zip`;
+
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(archive);
+
     } else {
-      return res.status(400).json({ error: 'Invalid export type. Use "json" or "md".' });
+      return res.status(400).json({ error: 'Invalid export type. Use "json", "md", "ndjson", "zip", "backup", "vscode", "jetbrains" or "sublime".' });
     }
     
   } catch (error) {
     console.error('Error exporting snippets:', error);
+    // A streamed export that fails halfway can only be cut off
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
     res.status(500).json({ error: 'Failed to export snippets' });
   }
 });
 
 // POST /api/snippets/import - Import snippets
-router.post('/import', upload.single('file'), async (req, res) => {
+router.post('/import', uploadImportFile, async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
-
-    let importData;
-    try {
-      importData = JSON.parse(req.file.buffer.toString('utf8'));
-    } catch (parseError) {
-      return res.status(400).json({ error: 'Invalid JSON file format' });
-    }
+    const parsed = await readImportFile(req, res);
+    if (!parsed) return;
+    const importData = parsed.data;
 
     // Validate import data
     const validation = exportImportService.validateImportData(importData);
@@ -228,18 +533,40 @@ router.post('/import', upload.single('file'), async (req, res) => {
       });
     }
 
+    const resolutions = parseResolutions(req.body.resolutions);
+    if (!resolutions) {
+      return res.status(400).json({
+        error: `resolutions must be a JSON object of snippet index to ${importConflictService.resolutions.map(value => `"${value}"`).join(', ')}`
+      });
+    }
+
     // Parse import options from request body
     const options = {
       overwriteExisting: req.body.overwriteExisting === 'true',
       skipDuplicates: req.body.skipDuplicates !== 'false', // default true
-      preserveIds: req.body.preserveIds === 'true'
+      preserveIds: req.body.preserveIds === 'true',
+      resolutions,
+      userId: req.user.id
     };
 
-    // Perform import
-    const results = await exportImportService.importFromJSON(importData, options);
+    // Perform import; a full backup is restored as it was instead
+    let results;
+    if (parsed.format === 'mysnippethub-backup') {
+      try {
+        results = await backupService.restore(importData, req.user.id);
+      } catch (error) {
+        if (error instanceof backupService.BackupError) {
+          return res.status(400).json({ error: error.message });
+        }
+        throw error;
+      }
+    } else {
+      results = await exportImportService.importFromJSON(importData, options);
+    }
 
     res.json({
       message: 'Import completed',
+      format: parsed.format,
       results: results,
       validation: {
         warnings: validation.warnings,
@@ -253,23 +580,66 @@ router.post('/import', upload.single('file'), async (req, res) => {
   }
 });
 
-// POST /api/snippets/validate-import - Validate import file without importing
-router.post('/validate-import', upload.single('file'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+// POST /api/snippets/import/stream - Import an NDJSON export sent as the raw request body, with no size limit.
+// The response is NDJSON too: progress lines after each batch, then a done line with the results
+router.post('/import/stream', async (req, res) => {
+  if (!req.is('application/x-ndjson')) {
+    return res.status(415).json({ error: 'Send the file as application/x-ndjson' });
+  }
+
+  // A client that goes away stops the import; the batches it already committed stay
+  const cancel = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) cancel.abort(new Error('The client disconnected'));
+  });
+
+  const options = {
+    overwriteExisting: req.query.overwriteExisting === 'true',
+    skipDuplicates: req.query.skipDuplicates !== 'false', // default true
+    preserveIds: req.query.preserveIds === 'true',
+    userId: req.user.id,
+    signal: cancel.signal
+  };
+
+  const sendEvent = (event) => {
+    if (!res.headersSent) {
+      res.setHeader('Content-Type', 'application/x-ndjson');
     }
+    return writeLine(res, event);
+  };
 
-    let importData;
-    try {
-      importData = JSON.parse(req.file.buffer.toString('utf8'));
-    } catch (parseError) {
-      return res.status(400).json({ error: 'Invalid JSON file format' });
+  try {
+    const lines = readline.createInterface({ input: req, crlfDelay: Infinity });
+    // Waiting for each progress line keeps the import from running ahead of a slow client
+    const results = await exportImportService.importFromNDJSON(lines, options, (progress) => (
+      sendEvent({ type: 'progress', ...progress })
+    ));
+
+    await sendEvent({ type: 'done', message: 'Import completed', format: 'ndjson', results });
+    res.end();
+  } catch (error) {
+    // Nobody is left to tell
+    if (cancel.signal.aborted) return;
+
+    console.error('Error streaming snippet import:', error);
+    const message = error instanceof exportImportService.ImportError ? error.message : `Import failed: ${error.message}`;
+    // Once progress has been sent the status can't change, so the error becomes the last line
+    if (res.headersSent) {
+      await sendEvent({ type: 'error', error: message });
+      return res.end();
     }
+    res.status(error instanceof exportImportService.ImportError ? 400 : 500).json({ error: message });
+  }
+});
 
-    const validation = exportImportService.validateImportData(importData);
-    
-    res.json(validation);
+// POST /api/snippets/validate-import - Validate import file without importing; includes the detected
+// format and the parsed snippets so they can be previewed
+router.post('/validate-import', uploadImportFile, async (req, res) => {
+  try {
+    const parsed = await readImportFile(req, res);
+    if (!parsed) return;
+
+    res.json(describeImport(parsed));
 
   } catch (error) {
     console.error('Error validating import file:', error);
@@ -277,10 +647,33 @@ router.post('/validate-import', upload.single('file'), async (req, res) => {
   }
 });
 
+// POST /api/snippets/import/preview - Dry run of an import: everything validate-import returns, plus how
+// each snippet compares with your library. Conflicts come with a diff against your snippet and their
+// index, which is what the resolutions sent to POST /import refer to.
+router.post('/import/preview', uploadImportFile, async (req, res) => {
+  try {
+    const parsed = await readImportFile(req, res);
+    if (!parsed) return;
+
+    const description = describeImport(parsed);
+    // A full backup is restored as it was, so there is nothing to decide
+    if (!description.valid || parsed.format === 'mysnippethub-backup') {
+      return res.json({ ...description, summary: null, conflicts: [] });
+    }
+
+    const { summary, conflicts } = await exportImportService.previewImport(parsed.data, req.user.id);
+    res.json({ ...description, summary, conflicts });
+
+  } catch (error) {
+    console.error('Error previewing import:', error);
+    res.status(500).json({ error: 'Failed to preview import' });
+  }
+});
+
 // GET /api/snippets/:id - Get single snippet
 router.get('/:id', async (req, res) => {
   try {
-    const snippet = await getSnippetWithTags(req.params.id);
+    const snippet = await getSnippetWithTags(req.params.id, req.user.id);
     
     if (!snippet) {
       return res.status(404).json({ error: 'Snippet not found' });
@@ -293,6 +686,103 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// GET /api/snippets/:id/raw - The snippet's content as text with its language's content type; ?lines=10-25 for a range
+router.get('/:id/raw', async (req, res) => {
+  try {
+    const snippet = await accessService.getVisibleSnippet(req.params.id, req.user.id);
+    if (!snippet) {
+      return res.status(404).json({ error: 'Snippet not found' });
+    }
+
+    const range = embedService.parseLineRange(req.query.lines, embedService.splitLines(snippet.content).length);
+
+    // Raw HTML and JavaScript must never run in the API's origin
+    res.set('Content-Type', embedService.contentType(snippet.language));
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Content-Security-Policy', 'sandbox');
+    res.send(embedService.sliceLines(snippet.content, range));
+  } catch (error) {
+    if (error instanceof embedService.EmbedError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error fetching raw snippet:', error);
+    res.status(500).json({ error: 'Failed to fetch raw snippet' });
+  }
+});
+
+// Helper function to list who may frame a signed-in embed: the app itself and the sites in EMBED_ORIGINS.
+// Anyone else could frame a signed-in reader's private snippets, so other sites embed share links instead.
+function embedFrameAncestors() {
+  const origins = (process.env.EMBED_ORIGINS || '').split(/[\s,]+/).filter(Boolean);
+  return ["'self'", process.env.CORS_ORIGIN || 'http://localhost:3000', ...origins].join(' ');
+}
+
+// GET /api/snippets/:id/embed - Highlighted widget page for an <iframe>; ?theme=dark|light|auto&lines=10-25.
+// There is no script embed here: any page could include it with the reader's cookie and read the snippet.
+router.get('/:id/embed', async (req, res) => {
+  try {
+    const snippet = await accessService.getVisibleSnippet(req.params.id, req.user.id);
+    if (!snippet) {
+      return res.status(404).json({ error: 'Snippet not found' });
+    }
+
+    const rawUrl = new URL(`${req.protocol}://${req.get('host')}${req.baseUrl}/${snippet.id}/raw`);
+    if (req.query.lines) rawUrl.searchParams.set('lines', req.query.lines);
+    const options = { theme: req.query.theme, lines: req.query.lines, rawUrl: rawUrl.toString() };
+
+    const page = embedService.renderPage(snippet, options);
+    res.set('Cache-Control', 'private, no-cache');
+    res.set('Content-Security-Policy', `default-src 'none'; style-src 'unsafe-inline'; frame-ancestors ${embedFrameAncestors()}`);
+    res.type('html').send(page);
+  } catch (error) {
+    if (error instanceof embedService.EmbedError) {
+      return res.status(400).json({ error: error.message, themes: embedService.themes });
+    }
+    console.error('Error embedding snippet:', error);
+    res.status(500).json({ error: 'Failed to embed snippet' });
+  }
+});
+
+// GET /api/snippets/:id/template - The placeholders ({{name}}, ${1:label}) in the snippet's content
+router.get('/:id/template', async (req, res) => {
+  try {
+    const snippet = await accessService.getVisibleSnippet(req.params.id, req.user.id);
+    if (!snippet) {
+      return res.status(404).json({ error: 'Snippet not found' });
+    }
+
+    res.json({ variables: templateService.parse(snippet.content) });
+  } catch (error) {
+    console.error('Error reading snippet template:', error);
+    res.status(500).json({ error: 'Failed to read snippet template' });
+  }
+});
+
+// Helper function to send a snippet with its placeholders filled in
+async function sendRendered(req, res, values) {
+  try {
+    const snippet = await accessService.getVisibleSnippet(req.params.id, req.user.id);
+    if (!snippet) {
+      return res.status(404).json({ error: 'Snippet not found' });
+    }
+
+    const rendered = templateService.render(snippet.content, values);
+    res.json({ ...rendered, filename: languageService.filenameFor(snippet) });
+  } catch (error) {
+    if (error instanceof templateService.TemplateError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error rendering snippet template:', error);
+    res.status(500).json({ error: 'Failed to render snippet template' });
+  }
+}
+
+// GET /api/snippets/:id/render?name=value - Fill in the placeholders from query parameters
+router.get('/:id/render', (req, res) => sendRendered(req, res, req.query));
+
+// POST /api/snippets/:id/render - Fill in the placeholders from { values: { name: value } }
+router.post('/:id/render', (req, res) => sendRendered(req, res, req.body.values ?? {}));
+
 // POST /api/snippets - Create new snippet
 router.post('/', validateSnippet, async (req, res) => {
   try {
@@ -301,11 +791,11 @@ router.post('/', validateSnippet, async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { title, content, language, source, tags } = req.body;
+    const { title, content, language, source, tags, visibility = 'private' } = req.body;
 
     const result = await database.run(
-      'INSERT INTO snippets (title, content, language, source) VALUES (?, ?, ?, ?)',
-      [title, content, language, source || null]
+      'INSERT INTO snippets (title, content, language, source, user_id, visibility) VALUES (?, ?, ?, ?, ?, ?)',
+      [title, content, language, source || null, req.user.id, visibility]
     );
 
     const snippetId = result.id;
@@ -314,7 +804,7 @@ router.post('/', validateSnippet, async (req, res) => {
     await manageTags(snippetId, tags);
 
     // Get the created snippet with tags
-    const newSnippet = await getSnippetWithTags(snippetId);
+    const newSnippet = await getSnippetWithTags(snippetId, req.user.id);
 
     res.status(201).json(newSnippet);
   } catch (error) {
@@ -334,23 +824,23 @@ router.put('/:id', validateSnippet, async (req, res) => {
     const { title, content, language, source, tags } = req.body;
     const snippetId = req.params.id;
 
-    // Check if snippet exists
-    const existing = await database.get('SELECT * FROM snippets WHERE id = ?', [snippetId]);
-    if (!existing) {
-      return res.status(404).json({ error: 'Snippet not found' });
-    }
+    const existing = await getEditableSnippet(req, res);
+    if (!existing) return;
+
+    // Visibility is left alone unless the request sets it
+    const visibility = req.body.visibility || existing.visibility;
 
     // Update snippet
     await database.run(
-      'UPDATE snippets SET title = ?, content = ?, language = ?, source = ? WHERE id = ?',
-      [title, content, language, source || null, snippetId]
+      'UPDATE snippets SET title = ?, content = ?, language = ?, source = ?, visibility = ? WHERE id = ?',
+      [title, content, language, source || null, visibility, snippetId]
     );
 
     // Manage tags
     await manageTags(snippetId, tags);
 
     // Get updated snippet
-    const updatedSnippet = await getSnippetWithTags(snippetId);
+    const updatedSnippet = await getSnippetWithTags(snippetId, req.user.id);
 
     res.json(updatedSnippet);
   } catch (error) {
@@ -364,11 +854,8 @@ router.delete('/:id', async (req, res) => {
   try {
     const snippetId = req.params.id;
 
-    // Check if snippet exists
-    const existing = await database.get('SELECT * FROM snippets WHERE id = ?', [snippetId]);
-    if (!existing) {
-      return res.status(404).json({ error: 'Snippet not found' });
-    }
+    const existing = await getEditableSnippet(req, res);
+    if (!existing) return;
 
     await database.run('DELETE FROM snippets WHERE id = ?', [snippetId]);
 
@@ -382,6 +869,11 @@ router.delete('/:id', async (req, res) => {
 // GET /api/snippets/:id/versions - Get version history
 router.get('/:id/versions', async (req, res) => {
   try {
+    const snippet = await accessService.getVisibleSnippet(req.params.id, req.user.id);
+    if (!snippet) {
+      return res.status(404).json({ error: 'Snippet not found' });
+    }
+
     const versions = await database.all(
       'SELECT * FROM versions WHERE snippet_id = ? ORDER BY version_number DESC',
       [req.params.id]
@@ -394,12 +886,67 @@ router.get('/:id/versions', async (req, res) => {
   }
 });
 
+// GET /api/snippets/:id/shares - List the snippet's share links (owner only)
+router.get('/:id/shares', async (req, res) => {
+  try {
+    const snippet = await getEditableSnippet(req, res);
+    if (!snippet) return;
+
+    res.json(await shareLinkService.list(snippet.id));
+  } catch (error) {
+    console.error('Error fetching share links:', error);
+    res.status(500).json({ error: 'Failed to fetch share links' });
+  }
+});
+
+// POST /api/snippets/:id/shares - Create a share link; the response is the only time the token is shown
+router.post('/:id/shares', async (req, res) => {
+  try {
+    const snippet = await getEditableSnippet(req, res);
+    if (!snippet) return;
+
+    const { token, shareLink } = await shareLinkService.create(snippet.id, req.user.id, {
+      expiresInDays: req.body.expires_in_days,
+      password: req.body.password
+    });
+
+    res.status(201).json({ ...shareLink, token });
+  } catch (error) {
+    if (error instanceof shareLinkService.ShareLinkError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error creating share link:', error);
+    res.status(500).json({ error: 'Failed to create share link' });
+  }
+});
+
+// DELETE /api/snippets/:id/shares/:shareId - Revoke a share link; it stays listed as revoked
+router.delete('/:id/shares/:shareId', async (req, res) => {
+  try {
+    const snippet = await getEditableSnippet(req, res);
+    if (!snippet) return;
+
+    const revoked = await shareLinkService.revoke(req.params.shareId, snippet.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Share link not found or already revoked' });
+    }
+
+    res.json(await shareLinkService.get(req.params.shareId, snippet.id));
+  } catch (error) {
+    console.error('Error revoking share link:', error);
+    res.status(500).json({ error: 'Failed to revoke share link' });
+  }
+});
+
 // POST /api/snippets/:id/rollback - Rollback to specific version
 router.post('/:id/rollback', async (req, res) => {
   try {
     const { version_number } = req.body;
     const snippetId = req.params.id;
 
+    const existing = await getEditableSnippet(req, res);
+    if (!existing) return;
+
     // Get the version to rollback to
     const version = await database.get(
       'SELECT * FROM versions WHERE snippet_id = ? AND version_number = ?',
@@ -417,7 +964,7 @@ router.post('/:id/rollback', async (req, res) => {
     );
 
     // Get updated snippet
-    const updatedSnippet = await getSnippetWithTags(snippetId);
+    const updatedSnippet = await getSnippetWithTags(snippetId, req.user.id);
 
     res.json(updatedSnippet);
   } catch (error) {
@@ -431,9 +978,16 @@ router.get('/:id/diff/:version', async (req, res) => {
   try {
     const snippetId = req.params.id;
     const versionNumber = req.params.version;
+    const { format = 'unified' } = req.query;
+
+    if (!diffService.isValidFormat(format)) {
+      return res.status(400).json({
+        error: `Invalid diff format "${format}". Allowed formats: ${diffService.formats.join(', ')}`
+      });
+    }
 
     // Get current snippet
-    const current = await database.get('SELECT * FROM snippets WHERE id = ?', [snippetId]);
+    const current = await accessService.getVisibleSnippet(snippetId, req.user.id);
     if (!current) {
       return res.status(404).json({ error: 'Snippet not found' });
     }
@@ -458,6 +1012,12 @@ router.get('/:id/diff/:version', async (req, res) => {
       { context: 3 }
     );
 
+    const changes = diffService.compareRevisions(
+      current,
+      { ...version, version: version.version_number },
+      format
+    );
+
     res.json({
       current: {
         title: current.title,
@@ -469,7 +1029,8 @@ router.get('/:id/diff/:version', async (req, res) => {
         content: version.content,
         version: version.version_number
       },
-      diff
+      diff,
+      ...changes
     });
   } catch (error) {
     console.error('Error generating diff:', error);
@@ -477,5 +1038,85 @@ router.get('/:id/diff/:version', async (req, res) => {
   }
 });
 
+// Helper function to resolve a version reference ('current' or a version number) to a revision
+async function getRevision(snippet, versionRef) {
+  if (versionRef === 'current' || Number(versionRef) === snippet.version) {
+    return {
+      title: snippet.title,
+      content: snippet.content,
+      language: snippet.language,
+      source: snippet.source,
+      version: snippet.version,
+      created_at: snippet.updated_at,
+      is_current: true
+    };
+  }
+
+  const version = await database.get(
+    'SELECT * FROM versions WHERE snippet_id = ? AND version_number = ?',
+    [snippet.id, versionRef]
+  );
+  if (!version) return null;
+
+  return {
+    title: version.title,
+    content: version.content,
+    language: version.language,
+    source: version.source,
+    version: version.version_number,
+    created_at: version.created_at,
+    is_current: false
+  };
+}
+
+// GET /api/snippets/:id/diff/:from/:to - Get per-field diff between any two versions ('current' allowed)
+router.get('/:id/diff/:from/:to', async (req, res) => {
+  try {
+    const { id: snippetId, from, to } = req.params;
+    const { format = 'unified' } = req.query;
+
+    if (!diffService.isValidFormat(format)) {
+      return res.status(400).json({
+        error: `Invalid diff format "${format}". Allowed formats: ${diffService.formats.join(', ')}`
+      });
+    }
+
+    const invalidRef = [from, to].find(ref => ref !== 'current' && !/^\d+$/.test(ref));
+    if (invalidRef) {
+      return res.status(400).json({ error: `Invalid version "${invalidRef}". Use a version number or "current".` });
+    }
+
+    const snippet = await accessService.getVisibleSnippet(snippetId, req.user.id);
+    if (!snippet) {
+      return res.status(404).json({ error: 'Snippet not found' });
+    }
+
+    const fromRevision = await getRevision(snippet, from);
+    const toRevision = await getRevision(snippet, to);
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const diff = createTwoFilesPatch(
+      `${fromRevision.title} (v${fromRevision.version})`,
+      `${toRevision.title} (v${toRevision.version})`,
+      fromRevision.content,
+      toRevision.content,
+      undefined,
+      undefined,
+      { context: 3 }
+    );
+
+    res.json({
+      from: fromRevision,
+      to: toRevision,
+      diff,
+      ...diffService.compareRevisions(fromRevision, toRevision, format)
+    });
+  } catch (error) {
+    console.error('Error generating diff:', error);
+    res.status(500).json({ error: 'Failed to generate diff' });
+  }
+});
 
 module.exports = router;
@@ -1,19 +1,24 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const database = require('../db');
+const accessService = require('../services/access');
 
 const router = express.Router();
 
-// GET /api/tags - Get all tags with usage count
+// GET /api/tags - Get the tags on snippets the user can see, with usage counts. Tags used only on
+// hidden snippets are left out, since their names alone can give those snippets away.
 router.get('/', async (req, res) => {
   try {
+    const visible = accessService.visibleSnippetsCte(req.user.id);
     const tags = await database.all(`
-      SELECT t.*, COUNT(st.snippet_id) as usage_count
+      WITH ${visible.cte}
+      SELECT t.*, COUNT(vs.id) as usage_count
       FROM tags t
-      LEFT JOIN snippet_tags st ON t.id = st.tag_id
+      JOIN snippet_tags st ON t.id = st.tag_id
+      JOIN visible_snippets vs ON vs.id = st.snippet_id
       GROUP BY t.id
       ORDER BY usage_count DESC, t.name ASC
-    `);
+    `, visible.params);
 
     res.json(tags);
   } catch (error) {
@@ -69,15 +74,18 @@ router.get('/suggestions', async (req, res) => {
     });
 
     // Get existing popular tags
+    const visible = accessService.visibleSnippetsCte(req.user.id);
     const popularTags = await database.all(`
+      WITH ${visible.cte}
       SELECT t.name, COUNT(st.snippet_id) as usage_count
       FROM tags t
       JOIN snippet_tags st ON t.id = st.tag_id
+      JOIN visible_snippets vs ON vs.id = st.snippet_id
       GROUP BY t.id
       HAVING usage_count > 0
       ORDER BY usage_count DESC
       LIMIT 10
-    `);
+    `, visible.params);
 
     // Add popular tags that might match
     popularTags.forEach(tag => {
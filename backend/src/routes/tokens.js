@@ -0,0 +1,62 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const apiTokenService = require('../services/apiTokens');
+
+const router = express.Router();
+
+// Validation middleware
+const validateToken = [
+  body('name').isString().trim().notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name is too long'),
+  body('scopes').isArray({ min: 1 }).withMessage('Choose at least one scope')
+];
+
+// GET /api/tokens - List the user's API tokens (never the tokens themselves)
+router.get('/', async (req, res) => {
+  try {
+    res.json(await apiTokenService.list(req.user.id));
+  } catch (error) {
+    console.error('Error fetching API tokens:', error);
+    res.status(500).json({ error: 'Failed to fetch API tokens' });
+  }
+});
+
+// POST /api/tokens - Create an API token; the response is the only time the token is shown
+router.post('/', validateToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, apiToken } = await apiTokenService.create(req.user.id, {
+      name: req.body.name,
+      scopes: req.body.scopes
+    });
+
+    res.status(201).json({ ...apiToken, token });
+  } catch (error) {
+    if (error instanceof apiTokenService.ApiTokenError) {
+      return res.status(400).json({ error: error.message, allowed: apiTokenService.scopes });
+    }
+    console.error('Error creating API token:', error);
+    res.status(500).json({ error: 'Failed to create API token' });
+  }
+});
+
+// DELETE /api/tokens/:id - Revoke an API token; it stays listed as revoked
+router.delete('/:id', async (req, res) => {
+  try {
+    const revoked = await apiTokenService.revoke(req.params.id, req.user.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'API token not found or already revoked' });
+    }
+
+    res.json(await apiTokenService.get(req.params.id, req.user.id));
+  } catch (error) {
+    console.error('Error revoking API token:', error);
+    res.status(500).json({ error: 'Failed to revoke API token' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const db = require('../db');
+
+/**
+ * Access Service for MySnippetHub
+ * Decides which snippets a user can see and change. Owners can do anything with
+ * their snippets; 'team' and 'public' snippets are readable by every signed-in user,
+ * and 'public' ones also by anyone without an account, through the /api/public routes.
+ */
+
+const VISIBILITIES = ['private', 'team', 'public'];
+
+class AccessService {
+  constructor() {
+    this.visibilities = VISIBILITIES;
+  }
+
+  /**
+   * Condition limiting a snippet query to what a user can see
+   * @param {Number} userId - The signed-in user
+   * @param {String} alias - Alias of the snippets table in the query
+   * @returns {Object} { condition, params }
+   */
+  visibleCondition(userId, alias = 's') {
+    return {
+      condition: `(${alias}.user_id = ? OR ${alias}.visibility IN ('team', 'public'))`,
+      params: [userId]
+    };
+  }
+
+  /**
+   * CTE exposing only the snippets a user can see, for queries that aggregate over them
+   * @param {Number} userId - The signed-in user
+   * @returns {Object} { cte, params } where cte defines `visible_snippets`
+   */
+  visibleSnippetsCte(userId) {
+    const { condition, params } = this.visibleCondition(userId);
+    return {
+      cte: `visible_snippets AS (SELECT s.* FROM snippets s WHERE ${condition})`,
+      params
+    };
+  }
+
+  /**
+   * Get a snippet if the user can see it
+   * @param {Number} snippetId
+   * @param {Number} userId
+   * @returns {Object|null} The snippet row, or null when it doesn't exist or is hidden
+   */
+  async getVisibleSnippet(snippetId, userId) {
+    const { condition, params } = this.visibleCondition(userId);
+    const snippet = await db.get(
+      `SELECT s.* FROM snippets s WHERE s.id = ? AND ${condition}`,
+      [snippetId, ...params]
+    );
+    return snippet || null;
+  }
+
+  /**
+   * Get a snippet anyone may read, signed in or not
+   * @param {Number} snippetId
+   * @returns {Object|null} The snippet row, or null when it doesn't exist or isn't public
+   */
+  async getPublicSnippet(snippetId) {
+    const snippet = await db.get(
+      "SELECT s.* FROM snippets s WHERE s.id = ? AND s.visibility = 'public'",
+      [snippetId]
+    );
+    return snippet || null;
+  }
+
+  /**
+   * Whether a user may edit, delete or roll back a snippet
+   * @param {Object} snippet - Snippet row
+   * @param {Number} userId
+   * @returns {Boolean}
+   */
+  canEdit(snippet, userId) {
+    return snippet.user_id === userId;
+  }
+
+  /**
+   * Whether a value is a known visibility
+   * @param {String} visibility
+   * @returns {Boolean}
+   */
+  isValidVisibility(visibility) {
+    return VISIBILITIES.includes(visibility);
+  }
+}
+
+module.exports = new AccessService();
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+/**
+ * API Token Service for MySnippetHub
+ * Personal tokens that scripts and editor plugins send as `Authorization: Bearer <token>`
+ * instead of a session cookie. Each token carries scopes:
+ *   read  - GET requests
+ *   write - also create, change and delete (implies read)
+ *   admin - also manage tokens and the account (implies write)
+ */
+
+const SCOPES = ['read', 'write', 'admin'];
+const TOKEN_PREFIX = 'msh_';
+
+// Scopes that satisfy each required scope
+const SATISFIED_BY = {
+  read: ['read', 'write', 'admin'],
+  write: ['write', 'admin'],
+  admin: ['admin']
+};
+
+class ApiTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ApiTokenError';
+    this.status = 400;
+  }
+}
+
+class ApiTokenService {
+  constructor() {
+    this.scopes = SCOPES;
+    this.ApiTokenError = ApiTokenError;
+  }
+
+  /**
+   * Check and normalise a list of scopes
+   * @param {Array} scopes - e.g. ['read', 'write']
+   * @returns {Array} Unique scopes in canonical order
+   * @throws {ApiTokenError} When the list is empty or has an unknown scope
+   */
+  parseScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new ApiTokenError(`Choose at least one scope: ${SCOPES.join(', ')}`);
+    }
+
+    const unknown = scopes.find(scope => !SCOPES.includes(scope));
+    if (unknown !== undefined) {
+      throw new ApiTokenError(`Unknown scope "${unknown}". Use ${SCOPES.join(', ')}`);
+    }
+
+    return SCOPES.filter(scope => scopes.includes(scope));
+  }
+
+  /**
+   * Whether a set of granted scopes allows an action
+   * @param {Array} granted - Scopes of the token (sessions get all of them)
+   * @param {String} required - 'read', 'write' or 'admin'
+   * @returns {Boolean}
+   */
+  hasScope(granted, required) {
+    return (granted || []).some(scope => SATISFIED_BY[required].includes(scope));
+  }
+
+  /**
+   * Create a token for a user. The plain token is only returned here; it can't be read back later.
+   * @param {Number} userId
+   * @param {Object} options - { name, scopes }
+   * @returns {Object} { token, apiToken }
+   * @throws {ApiTokenError} When the scopes are invalid
+   */
+  async create(userId, { name, scopes }) {
+    const tokenScopes = this.parseScopes(scopes);
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+    const result = await db.run(
+      'INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes) VALUES (?, ?, ?, ?, ?)',
+      [userId, name, this.hashToken(token), token.slice(0, TOKEN_PREFIX.length + 6), JSON.stringify(tokenScopes)]
+    );
+
+    return { token, apiToken: await this.get(result.id, userId) };
+  }
+
+  /**
+   * List a user's tokens, newest first, revoked ones included
+   * @param {Number} userId
+   * @returns {Array}
+   */
+  async list(userId) {
+    const rows = await db.all(
+      'SELECT * FROM api_tokens WHERE user_id = ? ORDER BY revoked_at IS NOT NULL, created_at DESC, id DESC',
+      [userId]
+    );
+    return rows.map(row => this.format(row));
+  }
+
+  /**
+   * Get one of a user's tokens
+   * @param {Number} tokenId
+   * @param {Number} userId
+   * @returns {Object|null}
+   */
+  async get(tokenId, userId) {
+    const row = await db.get('SELECT * FROM api_tokens WHERE id = ? AND user_id = ?', [tokenId, userId]);
+    return row ? this.format(row) : null;
+  }
+
+  /**
+   * Revoke one of a user's tokens
+   * @param {Number} tokenId
+   * @param {Number} userId
+   * @returns {Boolean} false when the token doesn't exist or was already revoked
+   */
+  async revoke(tokenId, userId) {
+    const result = await db.run(
+      'UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+      [tokenId, userId]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Look up the user behind a bearer token and record that the token was used
+   * @param {String} token - Plain token from the Authorization header
+   * @returns {Object|null} { user, tokenId, scopes }, or null for unknown or revoked tokens
+   */
+  async authenticate(token) {
+    if (!token) return null;
+
+    const row = await db.get(`
+      SELECT t.id as token_id, t.scopes, u.id, u.username, u.display_name, u.created_at, u.last_login_at
+      FROM api_tokens t
+      JOIN users u ON u.id = t.user_id
+      WHERE t.token_hash = ? AND t.revoked_at IS NULL
+    `, [this.hashToken(token)]);
+
+    if (!row) return null;
+
+    await db.run('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [row.token_id]);
+
+    const { token_id, scopes, ...user } = row;
+    return { user, tokenId: token_id, scopes: JSON.parse(scopes) };
+  }
+
+  /**
+   * Read a bearer token from a request
+   * @param {Object} req - Express request
+   * @returns {String|null} The token, '' for a malformed Authorization header, or null when there is none
+   */
+  readBearerToken(req) {
+    const header = req.headers.authorization;
+    if (!header) return null;
+
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(header);
+    return match ? match[1] : '';
+  }
+
+  /**
+   * Turn a database row into the API shape (never includes the hash)
+   * @private
+   */
+  format(row) {
+    const { token_hash, scopes, ...fields } = row;
+    return { ...fields, scopes: JSON.parse(scopes) };
+  }
+
+  /**
+   * Tokens are looked up by a hash so a leaked database doesn't leak working tokens
+   * @private
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+module.exports = new ApiTokenService();
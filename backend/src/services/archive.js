@@ -0,0 +1,207 @@
+const JSZip = require('jszip');
+const languageService = require('./languages');
+
+/**
+ * Archive Service for MySnippetHub
+ * A ZIP with one file per snippet, for keeping a library in git: files are named after their
+ * titles with their language's extension and sorted into a folder per tag or per language.
+ * manifest.json holds everything else (titles, tags, sources, dates) and which file is which,
+ * so the archive imports back as it was, with any edits made to the files.
+ */
+
+const ARCHIVE_FORMAT = 'mysnippethub-archive';
+const ARCHIVE_VERSION = 1;
+const MANIFEST_NAME = 'manifest.json';
+const GROUP_BY = ['tag', 'language'];
+const UNTAGGED_FOLDER = 'untagged';
+
+// What an uploaded ZIP may unpack to. A 10MB upload can inflate to gigabytes, so these are
+// checked against the ZIP's directory before anything is inflated.
+const MAX_ENTRIES = 10000;
+const MAX_UNCOMPRESSED_BYTES = 64 * 1024 * 1024;
+
+class ArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArchiveError';
+    this.status = 400;
+  }
+}
+
+class ArchiveService {
+  constructor() {
+    this.ArchiveError = ArchiveError;
+    this.format = ARCHIVE_FORMAT;
+  }
+
+  /**
+   * Build the archive
+   * @param {Object} exportData - Result of exportToJSON()
+   * @param {String} groupBy - 'tag' puts a snippet in the folder of its first tag, 'language'
+   *   in the folder of its language
+   * @returns {Promise<Buffer>} ZIP file
+   * @throws {ArchiveError} When groupBy isn't one of GROUP_BY
+   */
+  async create(exportData, groupBy = 'tag') {
+    if (!GROUP_BY.includes(groupBy)) {
+      throw new ArchiveError(`Group an archive by ${GROUP_BY.map(value => `"${value}"`).join(' or ')}`);
+    }
+
+    const zip = new JSZip();
+    const used = new Set();
+    const entries = exportData.snippets.map(snippet => {
+      const folder = groupBy === 'tag'
+        ? this.folderName(snippet.tags.length > 0 ? snippet.tags[0].name : UNTAGGED_FOLDER)
+        : this.folderName(snippet.language);
+      const path = this.uniquePath(folder, this.fileName(snippet), used);
+
+      zip.file(path, snippet.content);
+      const { content, ...metadata } = snippet;
+      return { path, ...metadata };
+    });
+
+    const manifest = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      export_date: exportData.export_date,
+      group_by: groupBy,
+      total_snippets: entries.length,
+      snippets: entries
+    };
+    if (exportData.collection) manifest.collection = exportData.collection;
+
+    zip.file(MANIFEST_NAME, `${JSON.stringify(manifest, null, 2)}\n`);
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  }
+
+  /**
+   * Read one of our archives back into import data
+   * @param {JSZip} zip - Loaded ZIP file
+   * @returns {Promise<Object|null>} { snippets } in the JSON export's shape with the content
+   *   taken from the files, or null when the ZIP isn't one of our archives
+   * @throws {ArchiveError} When the manifest can't be read or the ZIP unpacks to too much
+   */
+  async read(zip) {
+    this.checkSize(zip);
+
+    // Unzipping and zipping again often adds a folder around everything
+    const manifestEntry = zip.file(MANIFEST_NAME)
+      || zip.file(new RegExp(`^[^/]+/${MANIFEST_NAME.replace('.', '\\.')}$`))[0];
+    if (!manifestEntry) return null;
+
+    const manifestText = await this.readText(manifestEntry);
+    let manifest;
+    try {
+      manifest = JSON.parse(manifestText);
+    } catch (error) {
+      return null;
+    }
+    if (!manifest || manifest.format !== ARCHIVE_FORMAT) return null;
+
+    if (manifest.version > ARCHIVE_VERSION) {
+      throw new ArchiveError(`This archive was made by a newer version of MySnippetHub (archive version ${manifest.version})`);
+    }
+    if (!Array.isArray(manifest.snippets)) {
+      throw new ArchiveError('The archive manifest has no snippets list');
+    }
+
+    const prefix = manifestEntry.name.slice(0, -MANIFEST_NAME.length);
+    const snippets = [];
+    for (const { path, ...snippet } of manifest.snippets) {
+      const file = typeof path === 'string' ? zip.file(prefix + path) : null;
+      // A snippet whose file was deleted has no content and fails validation with the rest
+      snippets.push({ ...snippet, content: file ? await this.readText(file) : undefined });
+    }
+
+    return { snippets };
+  }
+
+  /**
+   * Reject a ZIP with more entries or more uncompressed bytes than we're willing to unpack
+   * @param {JSZip} zip - Loaded ZIP file
+   * @throws {ArchiveError} When it has too many files or unpacks to too much
+   */
+  checkSize(zip) {
+    const entries = Object.values(zip.files).filter(entry => !entry.dir);
+    if (entries.length > MAX_ENTRIES) {
+      throw new ArchiveError(`The ZIP file has more than ${MAX_ENTRIES} files`);
+    }
+
+    const totalBytes = entries.reduce((total, entry) => total + entry._data.uncompressedSize, 0);
+    if (totalBytes > MAX_UNCOMPRESSED_BYTES) {
+      throw new ArchiveError(`The ZIP file unpacks to more than ${MAX_UNCOMPRESSED_BYTES / 1024 / 1024}MB`);
+    }
+  }
+
+  /**
+   * A ZIP entry's text. The sizes in a ZIP's directory can lie, so inflating stops as soon as
+   * the entry grows past the size it was checked at.
+   * @param {Object} entry - A file in a ZIP checked by checkSize()
+   * @returns {Promise<String>}
+   */
+  readText(entry) {
+    const limit = entry._data.uncompressedSize;
+    const chunks = [];
+    let size = 0;
+
+    return new Promise((resolve, reject) => {
+      const stream = entry.internalStream('uint8array');
+      stream
+        .on('data', chunk => {
+          size += chunk.length;
+          if (size > limit) {
+            stream.pause();
+            reject(new ArchiveError(`${entry.name} is larger than the ZIP file says`));
+            return;
+          }
+          chunks.push(chunk);
+        })
+        .on('error', reject)
+        .on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+        .resume();
+    });
+  }
+
+  /**
+   * A snippet's file name: its title as a slug with the language's extension
+   * @private
+   */
+  fileName(snippet) {
+    if (snippet.language === 'dockerfile') {
+      const base = languageService.filenameFor({ ...snippet, language: 'text' }).replace(/\.txt$/, '');
+      return `${base}.Dockerfile`;
+    }
+    return languageService.filenameFor(snippet);
+  }
+
+  /**
+   * A tag or language as a folder name that works on every file system
+   * @private
+   */
+  folderName(name) {
+    const folder = String(name)
+      .replace(/[\\/:*?"<>|\x00-\x1f]/g, '-')
+      .replace(/^[\s.]+|[\s.]+$/g, '');
+    return folder || UNTAGGED_FOLDER;
+  }
+
+  /**
+   * The path for a file, numbered when the folder already has one by that name. Names are
+   * compared case-insensitively because checkouts on macOS and Windows would merge them.
+   * @private
+   */
+  uniquePath(folder, fileName, used) {
+    const dot = fileName.lastIndexOf('.');
+    const base = dot > 0 ? fileName.slice(0, dot) : fileName;
+    const extension = dot > 0 ? fileName.slice(dot) : '';
+
+    let path = `${folder}/${fileName}`;
+    for (let count = 2; used.has(path.toLowerCase()); count++) {
+      path = `${folder}/${base}-${count}${extension}`;
+    }
+    used.add(path.toLowerCase());
+    return path;
+  }
+}
+
+module.exports = new ArchiveService();
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const db = require('../db');
+
+/**
+ * Auth Service for MySnippetHub
+ * Local accounts with scrypt password hashes and cookie-based login sessions
+ */
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const SESSION_COOKIE = 'mysnippethub_session';
+const SESSION_TTL_DAYS = Number(process.env.SESSION_TTL_DAYS) || 30;
+
+class AuthService {
+  constructor() {
+    this.SESSION_COOKIE = SESSION_COOKIE;
+    this.SESSION_TTL_DAYS = SESSION_TTL_DAYS;
+  }
+
+  /**
+   * Hash a password for storage
+   * @param {String} password - Plain-text password
+   * @returns {String} 'scrypt$<salt>$<hash>' with hex-encoded parts
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+  }
+
+  /**
+   * Check a password against a stored hash in constant time
+   * @param {String} password - Plain-text password
+   * @param {String} stored - Output of hashPassword()
+   * @returns {Boolean}
+   */
+  async verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Create an account. The first account also takes over anything created before
+   * accounts existed (the sample data, or snippets from an older version).
+   * @param {Object} account - { username, password, display_name }
+   * @returns {Object} The new user
+   */
+  async createUser({ username, password, display_name = null }) {
+    const existingUsers = await db.get('SELECT COUNT(*) as total FROM users');
+    const result = await db.run(
+      'INSERT INTO users (username, display_name, password_hash) VALUES (?, ?, ?)',
+      [username, display_name || null, await this.hashPassword(password)]
+    );
+
+    if (existingUsers.total === 0) {
+      await db.claimUnowned(result.id);
+    }
+
+    const user = await db.get('SELECT * FROM users WHERE id = ?', [result.id]);
+    return this.publicUser(user);
+  }
+
+  /**
+   * Check a username and password
+   * @param {String} username
+   * @param {String} password
+   * @returns {Object|null} The user, or null when either is wrong
+   */
+  async authenticate(username, password) {
+    const user = await db.get('SELECT * FROM users WHERE username = ?', [username]);
+
+    // Hash anyway for unknown users so response times don't reveal which usernames exist
+    const valid = await this.verifyPassword(password, user ? user.password_hash : await this.dummyHash());
+    if (!user || !valid) return null;
+
+    await db.run('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+    return this.publicUser(user);
+  }
+
+  /**
+   * A fixed hash to verify against when the username is unknown
+   * @private
+   */
+  async dummyHash() {
+    if (!this.dummyHashPromise) {
+      this.dummyHashPromise = this.hashPassword(crypto.randomBytes(16).toString('hex'));
+    }
+    return this.dummyHashPromise;
+  }
+
+  /**
+   * Start a session for a user
+   * @param {Number} userId
+   * @returns {Object} { token, maxAge } where token goes in the session cookie
+   */
+  async createSession(userId) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    // Expired sessions are never read again, so clear them out as new ones start
+    await db.run('DELETE FROM sessions WHERE expires_at <= CURRENT_TIMESTAMP');
+
+    await db.run(
+      `INSERT INTO sessions (user_id, token_hash, expires_at) VALUES (?, ?, datetime('now', ?))`,
+      [userId, this.hashToken(token), `+${SESSION_TTL_DAYS} days`]
+    );
+
+    return { token, maxAge: SESSION_TTL_DAYS * 24 * 60 * 60 };
+  }
+
+  /**
+   * Look up the user behind a session token
+   * @param {String} token - Session cookie value
+   * @returns {Object|null} The user, or null for unknown or expired sessions
+   */
+  async getSessionUser(token) {
+    if (!token) return null;
+
+    const user = await db.get(`
+      SELECT u.*
+      FROM sessions se
+      JOIN users u ON u.id = se.user_id
+      WHERE se.token_hash = ? AND se.expires_at > CURRENT_TIMESTAMP
+    `, [this.hashToken(token)]);
+
+    return user ? this.publicUser(user) : null;
+  }
+
+  /**
+   * End a session
+   * @param {String} token - Session cookie value
+   */
+  async destroySession(token) {
+    if (!token) return;
+    await db.run('DELETE FROM sessions WHERE token_hash = ?', [this.hashToken(token)]);
+  }
+
+  /**
+   * Whether new accounts can be created without signing in: always for the first
+   * account, afterwards only when ALLOW_REGISTRATION=true
+   * @returns {Boolean}
+   */
+  async registrationOpen() {
+    if (process.env.ALLOW_REGISTRATION === 'true') return true;
+
+    const row = await db.get('SELECT COUNT(*) as total FROM users');
+    return row.total === 0;
+  }
+
+  /**
+   * Read the session token from a request's cookies
+   * @param {Object} req - Express request
+   * @returns {String|null}
+   */
+  readSessionToken(req) {
+    const header = req.headers.cookie || '';
+
+    for (const part of header.split(';')) {
+      const separator = part.indexOf('=');
+      if (separator === -1) continue;
+      if (part.slice(0, separator).trim() === SESSION_COOKIE) {
+        try {
+          return decodeURIComponent(part.slice(separator + 1).trim());
+        } catch {
+          return null;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Build the Set-Cookie header value for a session (an empty token clears it)
+   * @param {String} token
+   * @param {Number} maxAge - Seconds
+   * @returns {String}
+   */
+  sessionCookie(token, maxAge) {
+    const attributes = [
+      `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+      'Path=/',
+      'HttpOnly',
+      'SameSite=Lax',
+      `Max-Age=${maxAge}`
+    ];
+    if (process.env.NODE_ENV === 'production') attributes.push('Secure');
+
+    return attributes.join('; ');
+  }
+
+  /**
+   * Sessions are looked up by a hash so a leaked database doesn't leak live tokens
+   * @private
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Strip the password hash from a user row
+   * @private
+   */
+  publicUser(user) {
+    const { password_hash, ...fields } = user;
+    return fields;
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,383 @@
+const db = require('../db');
+const accessService = require('./access');
+
+/**
+ * Backup Service for MySnippetHub
+ * A full backup holds everything about a user's own snippets as it is stored: IDs, timestamps,
+ * the complete version history, tags with their colors, favorites with the time they were
+ * added and collections with their order. Restoring a backup writes the rows back unchanged,
+ * so exporting again gives the same file, unless a shared tag's color or a collection name
+ * has changed in the meantime.
+ *
+ * Backups are versioned with SCHEMA_VERSION; bump it when the shape changes and keep
+ * restore() able to read the older versions.
+ */
+
+const BACKUP_FORMAT = 'mysnippethub-backup';
+const SCHEMA_VERSION = 1;
+
+class BackupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BackupError';
+    this.status = 400;
+  }
+}
+
+class BackupService {
+  constructor() {
+    this.BackupError = BackupError;
+    this.format = BACKUP_FORMAT;
+    this.schemaVersion = SCHEMA_VERSION;
+  }
+
+  /**
+   * Whether parsed JSON is a full backup
+   * @param {Object} data
+   * @returns {Boolean}
+   */
+  isBackup(data) {
+    return Boolean(data) && typeof data === 'object' && data.format === BACKUP_FORMAT;
+  }
+
+  /**
+   * Build a full backup of a user's snippets, collections and favorites
+   * @param {Number} userId
+   * @returns {Object} Backup data, ordered so the same library always gives the same file
+   */
+  async create(userId) {
+    const snippets = await db.all(`
+      SELECT id, title, content, language, source, version, visibility, created_at, updated_at
+      FROM snippets
+      WHERE user_id = ?
+      ORDER BY id
+    `, [userId]);
+
+    const snippetTags = await db.all(`
+      SELECT st.snippet_id, t.name
+      FROM snippet_tags st
+      JOIN tags t ON t.id = st.tag_id
+      JOIN snippets s ON s.id = st.snippet_id
+      WHERE s.user_id = ?
+      ORDER BY st.id
+    `, [userId]);
+
+    const versions = await db.all(`
+      SELECT v.snippet_id, v.version_number, v.title, v.content, v.language, v.source, v.created_at
+      FROM versions v
+      JOIN snippets s ON s.id = v.snippet_id
+      WHERE s.user_id = ?
+      ORDER BY v.version_number, v.id
+    `, [userId]);
+
+    const tags = await db.all(`
+      SELECT DISTINCT t.name, t.color, t.created_at
+      FROM tags t
+      JOIN snippet_tags st ON st.tag_id = t.id
+      JOIN snippets s ON s.id = st.snippet_id
+      WHERE s.user_id = ?
+      ORDER BY t.name
+    `, [userId]);
+
+    const favorites = await db.all(`
+      SELECT f.snippet_id, f.created_at
+      FROM favorites f
+      JOIN snippets s ON s.id = f.snippet_id
+      WHERE f.user_id = ? AND s.user_id = ?
+      ORDER BY f.snippet_id
+    `, [userId, userId]);
+
+    const collections = await db.all(`
+      SELECT id, name, description, parent_id, position, created_at, updated_at
+      FROM collections
+      WHERE user_id = ?
+      ORDER BY id
+    `, [userId]);
+
+    const collectionSnippets = await db.all(`
+      SELECT cs.collection_id, cs.snippet_id, cs.position, cs.added_at
+      FROM collection_snippets cs
+      JOIN collections c ON c.id = cs.collection_id
+      JOIN snippets s ON s.id = cs.snippet_id
+      WHERE c.user_id = ? AND s.user_id = ?
+      ORDER BY cs.snippet_id
+    `, [userId, userId]);
+
+    const groupBy = (rows, key) => {
+      const groups = new Map();
+      for (const { [key]: id, ...row } of rows) {
+        if (!groups.has(id)) groups.set(id, []);
+        groups.get(id).push(row);
+      }
+      return groups;
+    };
+    const tagsBySnippet = groupBy(snippetTags, 'snippet_id');
+    const versionsBySnippet = groupBy(versions, 'snippet_id');
+    const snippetsByCollection = groupBy(collectionSnippets, 'collection_id');
+
+    return {
+      format: BACKUP_FORMAT,
+      schema_version: SCHEMA_VERSION,
+      created_at: new Date().toISOString(),
+      total_snippets: snippets.length,
+      snippets: snippets.map(snippet => ({
+        ...snippet,
+        tags: (tagsBySnippet.get(snippet.id) || []).map(tag => tag.name),
+        versions: versionsBySnippet.get(snippet.id) || []
+      })),
+      tags,
+      favorites,
+      collections: collections.map(collection => ({
+        ...collection,
+        snippets: snippetsByCollection.get(collection.id) || []
+      }))
+    };
+  }
+
+  /**
+   * Restore a full backup for a user, in one transaction. Snippets and collections keep their
+   * IDs unless the ID belongs to someone else's, in which case they get a new one. A snippet
+   * of the user's that has the ID already is updated in place to the backed-up one, history
+   * and all, so other users' favorites, collections and share links of it are kept. Tags that
+   * exist keep their color, since tags are shared by every user.
+   * @param {Object} backup - Data from create()
+   * @param {Number} userId - Owner of the restored snippets
+   * @returns {Object} Import results: { success, skipped, errors, versions, collections, details }
+   * @throws {BackupError} When the backup is malformed or from a newer schema
+   */
+  async restore(backup, userId) {
+    this.validate(backup);
+
+    const results = { success: 0, skipped: 0, errors: 0, versions: 0, collections: 0, details: [] };
+    const snippetIds = new Map();
+
+    await db.transaction(async () => {
+      for (const tag of backup.tags || []) {
+        await db.run(
+          'INSERT OR IGNORE INTO tags (name, color, created_at) VALUES (?, ?, ?)',
+          [tag.name, tag.color, tag.created_at]
+        );
+      }
+
+      for (const snippet of backup.snippets) {
+        const claimed = await this.claimId('snippets', snippet.id, userId);
+        const existing = claimed === null ? null : await db.get('SELECT id FROM snippets WHERE id = ?', [claimed]);
+
+        let id;
+        if (existing) {
+          id = existing.id;
+          await this.restoreSnippetRow(id, snippet);
+        } else {
+          const result = await db.run(`
+            INSERT INTO snippets (id, title, content, language, source, version, user_id, visibility, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `, [
+            claimed, snippet.title, snippet.content, snippet.language, snippet.source ?? null, snippet.version,
+            userId, snippet.visibility, snippet.created_at, snippet.updated_at
+          ]);
+          id = result.id;
+        }
+        snippetIds.set(snippet.id, id);
+
+        for (const version of snippet.versions || []) {
+          await db.run(`
+            INSERT INTO versions (snippet_id, title, content, language, source, version_number, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+          `, [
+            id, version.title, version.content, version.language, version.source ?? null,
+            version.version_number, version.created_at
+          ]);
+          results.versions++;
+        }
+
+        for (const tagName of snippet.tags || []) {
+          let tag = await db.get('SELECT id FROM tags WHERE name = ?', [tagName]);
+          if (!tag) {
+            tag = await db.run('INSERT INTO tags (name) VALUES (?)', [tagName]);
+          }
+          await db.run('INSERT OR IGNORE INTO snippet_tags (snippet_id, tag_id) VALUES (?, ?)', [id, tag.id]);
+        }
+
+        results.success++;
+        results.details.push({
+          title: snippet.title,
+          status: 'imported',
+          message: id === snippet.id
+            ? 'Restored'
+            : `Restored as #${id} because #${snippet.id} belongs to another snippet`
+        });
+      }
+
+      for (const favorite of backup.favorites || []) {
+        const snippetId = snippetIds.get(favorite.snippet_id);
+        if (!snippetId) continue;
+        await db.run(
+          'INSERT OR REPLACE INTO favorites (user_id, snippet_id, created_at) VALUES (?, ?, ?)',
+          [userId, snippetId, favorite.created_at]
+        );
+      }
+
+      await this.restoreCollections(backup.collections || [], snippetIds, userId, results);
+    });
+
+    return results;
+  }
+
+  /**
+   * Set an existing snippet's own columns to the backed-up ones and clear its history and tags
+   * for the backup's. The row is updated rather than replaced so nothing that refers to it is
+   * deleted along with it. The first update sets off the version trigger, which saves the
+   * current content as a version and bumps the version number; that version is deleted with
+   * the rest of the history, and the second update, which leaves title and content alone,
+   * puts back the version number and the timestamps the triggers changed.
+   * @private
+   */
+  async restoreSnippetRow(id, snippet) {
+    await db.run(
+      'UPDATE snippets SET title = ?, content = ?, language = ?, source = ?, visibility = ? WHERE id = ?',
+      [snippet.title, snippet.content, snippet.language, snippet.source ?? null, snippet.visibility, id]
+    );
+    await db.run('DELETE FROM versions WHERE snippet_id = ?', [id]);
+    await db.run('DELETE FROM snippet_tags WHERE snippet_id = ?', [id]);
+    await db.run(
+      'UPDATE snippets SET version = ?, created_at = ?, updated_at = ? WHERE id = ?',
+      [snippet.version, snippet.created_at, snippet.updated_at, id]
+    );
+  }
+
+  /**
+   * Restore collections parents first, then their snippets. A collection whose name is taken by
+   * another of the user's collections with the same parent is merged into that one.
+   * @private
+   */
+  async restoreCollections(collections, snippetIds, userId, results) {
+    const collectionIds = new Map();
+    const pending = [...collections];
+
+    while (pending.length > 0) {
+      // A collection can be restored once its parent has been, or when its parent isn't in the backup
+      const index = pending.findIndex(collection =>
+        collection.parent_id === null ||
+        collectionIds.has(collection.parent_id) ||
+        !collections.some(other => other.id === collection.parent_id)
+      );
+      if (index === -1) {
+        throw new BackupError('The backup\'s collections are nested in a loop');
+      }
+      const [collection] = pending.splice(index, 1);
+
+      let parentId = null;
+      if (collectionIds.has(collection.parent_id)) {
+        parentId = collectionIds.get(collection.parent_id);
+      } else if (collection.parent_id !== null) {
+        const parent = await db.get('SELECT id FROM collections WHERE id = ? AND user_id = ?', [collection.parent_id, userId]);
+        parentId = parent ? parent.id : null;
+      }
+
+      const id = await this.claimId('collections', collection.id, userId);
+
+      // Another collection of the user's with the same name in the same place takes the snippets
+      const sibling = await db.get(`
+        SELECT id FROM collections
+        WHERE user_id = ? AND IFNULL(parent_id, 0) = IFNULL(?, 0) AND name = ? AND id != IFNULL(?, 0)
+      `, [userId, parentId, collection.name, id]);
+
+      const values = [
+        collection.name, collection.description ?? null, parentId, collection.position,
+        collection.created_at, collection.updated_at
+      ];
+      if (sibling) {
+        collectionIds.set(collection.id, sibling.id);
+      } else if (id === collection.id && await db.get('SELECT id FROM collections WHERE id = ?', [id])) {
+        await db.run(`
+          UPDATE collections SET name = ?, description = ?, parent_id = ?, position = ?, created_at = ?, updated_at = ?
+          WHERE id = ?
+        `, [...values, id]);
+        collectionIds.set(collection.id, id);
+      } else {
+        const result = await db.run(`
+          INSERT INTO collections (id, name, description, parent_id, position, created_at, updated_at, user_id)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [id, ...values, userId]);
+        collectionIds.set(collection.id, result.id);
+      }
+      results.collections++;
+
+      for (const entry of collection.snippets || []) {
+        const snippetId = snippetIds.get(entry.snippet_id);
+        if (!snippetId) continue;
+        await db.run(`
+          INSERT OR REPLACE INTO collection_snippets (collection_id, snippet_id, position, added_at)
+          VALUES (?, ?, ?, ?)
+        `, [collectionIds.get(collection.id), snippetId, entry.position, entry.added_at]);
+      }
+    }
+  }
+
+  /**
+   * The ID a restored row can have: its own when that is free or already the user's,
+   * null (a new ID) when someone else has it
+   * @private
+   */
+  async claimId(table, id, userId) {
+    const existing = await db.get(`SELECT user_id FROM ${table} WHERE id = ?`, [id]);
+    if (!existing || existing.user_id === userId) return id;
+    return null;
+  }
+
+  /**
+   * Check a backup's shape before anything is written
+   * @private
+   * @throws {BackupError}
+   */
+  validate(backup) {
+    if (!this.isBackup(backup)) {
+      throw new BackupError('Not a MySnippetHub full backup');
+    }
+    if (!Number.isInteger(backup.schema_version) || backup.schema_version < 1) {
+      throw new BackupError('The backup has no valid schema_version');
+    }
+    if (backup.schema_version > SCHEMA_VERSION) {
+      throw new BackupError(
+        `The backup uses schema version ${backup.schema_version}; this server reads up to version ${SCHEMA_VERSION}`
+      );
+    }
+    if (!Array.isArray(backup.snippets)) {
+      throw new BackupError('The backup has no snippets array');
+    }
+
+    const ids = new Set();
+    backup.snippets.forEach((snippet, index) => {
+      const label = `Snippet ${index + 1}`;
+      if (!Number.isInteger(snippet.id) || ids.has(snippet.id)) {
+        throw new BackupError(`${label}: Missing or duplicate id`);
+      }
+      ids.add(snippet.id);
+      if (typeof snippet.title !== 'string' || typeof snippet.content !== 'string' || typeof snippet.language !== 'string') {
+        throw new BackupError(`${label}: title, content and language must be strings`);
+      }
+      if (!accessService.isValidVisibility(snippet.visibility)) {
+        throw new BackupError(`${label}: Invalid visibility "${snippet.visibility}"`);
+      }
+      if (!Number.isInteger(snippet.version) || !snippet.created_at || !snippet.updated_at) {
+        throw new BackupError(`${label}: Missing version or timestamps`);
+      }
+      if (snippet.versions !== undefined && !Array.isArray(snippet.versions)) {
+        throw new BackupError(`${label}: versions must be an array`);
+      }
+      (snippet.versions || []).forEach(version => {
+        if (!Number.isInteger(version.version_number) || typeof version.title !== 'string' || typeof version.content !== 'string') {
+          throw new BackupError(`${label}: Every version needs a version_number, title and content`);
+        }
+      });
+    });
+
+    for (const key of ['tags', 'favorites', 'collections']) {
+      if (backup[key] !== undefined && !Array.isArray(backup[key])) {
+        throw new BackupError(`The backup's ${key} must be an array`);
+      }
+    }
+  }
+}
+
+module.exports = new BackupService();
@@ -0,0 +1,81 @@
+const db = require('../db');
+
+/**
+ * Collection Service for MySnippetHub
+ * Helpers for nested collections: walking a collection's subtree, guarding
+ * against cycles when moving one, and selecting the snippets inside it
+ */
+
+// Collection ids in the subtree rooted at ? (the collection itself included)
+const SUBTREE_SQL = `
+  WITH RECURSIVE subtree(id) AS (
+    SELECT id FROM collections WHERE id = ?
+    UNION
+    SELECT c.id FROM collections c JOIN subtree ON c.parent_id = subtree.id
+  )
+  SELECT id FROM subtree
+`;
+
+class CollectionService {
+  /**
+   * Get the ids of a collection and all of its nested collections
+   * @param {Number} collectionId - Root collection ID
+   * @returns {Array} Collection IDs, the root first
+   */
+  async subtreeIds(collectionId) {
+    const rows = await db.all(SUBTREE_SQL, [collectionId]);
+    return rows.map(row => row.id);
+  }
+
+  /**
+   * Check whether moving a collection under a new parent would nest it inside itself
+   * @param {Number} collectionId - Collection being moved
+   * @param {Number|null} parentId - Proposed parent
+   * @returns {Boolean}
+   */
+  async wouldCreateCycle(collectionId, parentId) {
+    if (parentId === null || parentId === undefined) return false;
+
+    const ids = await this.subtreeIds(collectionId);
+    return ids.includes(Number(parentId));
+  }
+
+  /**
+   * Get the position after the last of a parent's child collections
+   * @param {Number|null} parentId - Parent collection, or null for top level
+   * @param {Number} userId - Owner of the collections (top-level ones are per user)
+   * @returns {Number}
+   */
+  async nextPosition(parentId, userId) {
+    const row = await db.get(
+      'SELECT COALESCE(MAX(position), -1) + 1 as position FROM collections WHERE parent_id IS ? AND user_id = ?',
+      [parentId ?? null, userId]
+    );
+    return row.position;
+  }
+
+  /**
+   * Build a condition selecting the snippets in a collection
+   * @param {Number} collectionId - Collection ID
+   * @param {Object} options - { includeSubcollections } to also take snippets from nested collections
+   * @returns {Object} { condition, params } for a query over `snippets s`
+   */
+  snippetCondition(collectionId, { includeSubcollections = false } = {}) {
+    if (!includeSubcollections) {
+      return {
+        condition: 's.id IN (SELECT cs.snippet_id FROM collection_snippets cs WHERE cs.collection_id = ?)',
+        params: [collectionId]
+      };
+    }
+
+    return {
+      condition: `s.id IN (
+        SELECT cs.snippet_id FROM collection_snippets cs
+        WHERE cs.collection_id IN (${SUBTREE_SQL})
+      )`,
+      params: [collectionId]
+    };
+  }
+}
+
+module.exports = new CollectionService();
@@ -0,0 +1,100 @@
+const { createTwoFilesPatch, diffWordsWithSpace, structuredPatch } = require('diff');
+
+/**
+ * Diff Service for MySnippetHub
+ * Compares two snippet revisions field by field in several output formats
+ */
+
+const DIFF_FIELDS = ['title', 'content', 'language', 'source'];
+const DIFF_FORMATS = ['unified', 'words', 'json'];
+
+class DiffService {
+  constructor() {
+    this.fields = DIFF_FIELDS;
+    this.formats = DIFF_FORMATS;
+  }
+
+  /**
+   * Check whether a diff output format is supported
+   * @param {String} format - Requested format
+   * @returns {Boolean}
+   */
+  isValidFormat(format) {
+    return DIFF_FORMATS.includes(format);
+  }
+
+  /**
+   * Compare two revisions field by field
+   * @param {Object} fromRevision - Older side ({ title, content, language, source, version })
+   * @param {Object} toRevision - Newer side
+   * @param {String} format - 'unified' (patch text), 'words' (inline word changes) or 'json' (hunks)
+   * @returns {Object} { format, changed_fields, fields }
+   */
+  compareRevisions(fromRevision, toRevision, format = 'unified') {
+    const fields = {};
+
+    for (const field of DIFF_FIELDS) {
+      const before = fromRevision[field] ?? '';
+      const after = toRevision[field] ?? '';
+      const changed = before !== after;
+
+      fields[field] = {
+        changed,
+        from: fromRevision[field] ?? null,
+        to: toRevision[field] ?? null
+      };
+
+      if (changed) {
+        const oldName = `${field} (v${fromRevision.version})`;
+        const newName = `${field} (v${toRevision.version})`;
+        fields[field].diff = this.diffField(oldName, newName, before, after, format);
+        fields[field].stats = this.lineStats(before, after);
+      }
+    }
+
+    return {
+      format,
+      changed_fields: DIFF_FIELDS.filter(field => fields[field].changed),
+      fields
+    };
+  }
+
+  /**
+   * Diff a single field in the requested format
+   * @private
+   */
+  diffField(oldName, newName, before, after, format) {
+    switch (format) {
+      case 'words':
+        return diffWordsWithSpace(before, after).map(part => ({
+          value: part.value,
+          added: Boolean(part.added),
+          removed: Boolean(part.removed)
+        }));
+      case 'json':
+        return structuredPatch(oldName, newName, before, after, '', '', { context: 3 }).hunks;
+      default:
+        return createTwoFilesPatch(oldName, newName, before, after, undefined, undefined, { context: 3 });
+    }
+  }
+
+  /**
+   * Count added and removed lines between two values
+   * @private
+   */
+  lineStats(before, after) {
+    const stats = { additions: 0, deletions: 0 };
+    const { hunks } = structuredPatch('', '', before, after, '', '', { context: 0 });
+
+    for (const hunk of hunks) {
+      for (const line of hunk.lines) {
+        if (line.startsWith('+')) stats.additions++;
+        else if (line.startsWith('-')) stats.deletions++;
+      }
+    }
+
+    return stats;
+  }
+}
+
+module.exports = new DiffService();
@@ -0,0 +1,304 @@
+const JSZip = require('jszip');
+const templateService = require('./templates');
+
+/**
+ * Editor Snippet Service for MySnippetHub
+ * Converts snippets into the snippet formats of VS Code, JetBrains IDEs and Sublime Text.
+ * Our placeholders become the editor's tab stops: `${1:label}` keeps its number and each
+ * {{name}} gets the next free one, so a snippet fills in the same way in the editor as in
+ * the Fill In tab.
+ */
+
+// Snippet languages to VS Code language identifiers
+const VSCODE_SCOPES = {
+  javascript: 'javascript',
+  typescript: 'typescript',
+  python: 'python',
+  rust: 'rust',
+  go: 'go',
+  java: 'java',
+  'c++': 'cpp',
+  'c#': 'csharp',
+  php: 'php',
+  ruby: 'ruby',
+  css: 'css',
+  html: 'html',
+  sql: 'sql',
+  json: 'json',
+  yaml: 'yaml',
+  markdown: 'markdown',
+  bash: 'shellscript',
+  powershell: 'powershell',
+  dockerfile: 'dockerfile'
+};
+
+// Snippet languages to JetBrains live template contexts; anything else goes in OTHER
+const JETBRAINS_CONTEXTS = {
+  javascript: 'JAVA_SCRIPT',
+  typescript: 'TypeScript',
+  python: 'Python',
+  go: 'GO',
+  java: 'JAVA_CODE',
+  php: 'PHP',
+  ruby: 'RUBY',
+  css: 'CSS',
+  html: 'HTML',
+  sql: 'SQL',
+  json: 'JSON',
+  yaml: 'YAML',
+  markdown: 'MARKDOWN',
+  bash: 'SHELL_SCRIPT'
+};
+
+// Snippet languages to Sublime Text scope selectors
+const SUBLIME_SCOPES = {
+  javascript: 'source.js',
+  typescript: 'source.ts',
+  python: 'source.python',
+  rust: 'source.rust',
+  go: 'source.go',
+  java: 'source.java',
+  'c++': 'source.c++',
+  'c#': 'source.cs',
+  php: 'embedding.php',
+  ruby: 'source.ruby',
+  css: 'source.css',
+  html: 'text.html',
+  sql: 'source.sql',
+  json: 'source.json',
+  yaml: 'source.yaml',
+  markdown: 'text.html.markdown',
+  bash: 'source.shell.bash',
+  powershell: 'source.powershell',
+  dockerfile: 'source.dockerfile'
+};
+
+const GROUP_NAME = 'MySnippetHub';
+
+class EditorSnippetService {
+  /**
+   * Build a VS Code `.code-snippets` file. Entries are grouped by language and scoped to it.
+   * @param {Array} snippets - Snippets as returned by exportToJSON()
+   * @returns {Object} Snippet definitions keyed by title
+   */
+  toVSCode(snippets) {
+    const sorted = this.byLanguage(snippets);
+    const titles = this.uniqueNames(sorted, snippet => snippet.title, ' (#)');
+    const prefixes = this.uniqueNames(sorted, snippet => this.prefixFor(snippet), '-#');
+    const result = {};
+
+    sorted.forEach(snippet => {
+      const body = this.tabStopBody(snippet.content);
+      const entry = {
+        prefix: prefixes.get(snippet),
+        body: body.replace(/\r\n/g, '\n').split('\n'),
+        description: this.describe(snippet)
+      };
+      const scope = VSCODE_SCOPES[String(snippet.language).toLowerCase()];
+      if (scope) entry.scope = scope;
+
+      result[titles.get(snippet)] = entry;
+    });
+
+    return result;
+  }
+
+  /**
+   * Build a JetBrains live template set, for the IDE's templates folder or Settings > Import
+   * @param {Array} snippets - Snippets as returned by exportToJSON()
+   * @returns {String} XML document
+   */
+  toJetBrains(snippets) {
+    const sorted = this.byLanguage(snippets);
+    const names = this.uniqueNames(sorted, snippet => this.prefixFor(snippet), '-#');
+    let xml = `<templateSet group="${GROUP_NAME}">\n`;
+
+    sorted.forEach(snippet => {
+      const variables = new Map();
+      const value = this.placeholders(snippet.content)
+        .map(part => {
+          if (part.text !== undefined) return part.text.replace(/\$/g, '$$$$');
+          if (part.index === 0) return '$END$';
+
+          const name = part.syntax === 'named'
+            ? part.name.toUpperCase().replace(/[^A-Z0-9_]/g, '_')
+            : `TAB_STOP_${part.index}`;
+          if (!variables.has(name)) variables.set(name, part.value);
+          return `$${name}$`;
+        })
+        .join('');
+
+      xml += `  <template name="${this.escapeXml(names.get(snippet))}" value="${this.escapeXml(value)}"`
+        + ` description="${this.escapeXml(this.describe(snippet))}" toReformat="false" toShortenFQNames="true">\n`;
+      variables.forEach((defaultValue, name) => {
+        const expression = `"${defaultValue.replace(/[\\"]/g, '\\$&')}"`;
+        xml += `    <variable name="${name}" expression="" defaultValue="${this.escapeXml(expression)}" alwaysStopAt="true" />\n`;
+      });
+      xml += '    <context>\n';
+      xml += `      <option name="${JETBRAINS_CONTEXTS[String(snippet.language).toLowerCase()] || 'OTHER'}" value="true" />\n`;
+      xml += '    </context>\n';
+      xml += '  </template>\n';
+    });
+
+    return `${xml}</templateSet>\n`;
+  }
+
+  /**
+   * Build Sublime Text snippets. Sublime keeps one snippet per file, so a single snippet
+   * comes back as a `.sublime-snippet` file and several as a ZIP of a package folder.
+   * @param {Array} snippets - Snippets as returned by exportToJSON()
+   * @returns {Promise<Object>} { filename, contentType, data } where filename is relative
+   *   to the export name, e.g. '.sublime-snippet' or '.zip'
+   */
+  async toSublime(snippets) {
+    const files = this.uniqueNames(this.byLanguage(snippets), snippet => this.prefixFor(snippet), '-#');
+
+    if (snippets.length === 1) {
+      return {
+        filename: '.sublime-snippet',
+        contentType: 'application/xml',
+        data: this.sublimeSnippet(snippets[0], files.get(snippets[0]))
+      };
+    }
+
+    const zip = new JSZip();
+    const folder = zip.folder(GROUP_NAME);
+    snippets.forEach(snippet => {
+      folder.file(`${files.get(snippet)}.sublime-snippet`, this.sublimeSnippet(snippet, files.get(snippet)));
+    });
+
+    return {
+      filename: '.zip',
+      contentType: 'application/zip',
+      data: await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' })
+    };
+  }
+
+  /**
+   * One `.sublime-snippet` document
+   * @private
+   */
+  sublimeSnippet(snippet, tabTrigger) {
+    const content = this.tabStopBody(snippet.content)
+      // `]]>` would end the CDATA section early
+      .replace(/]]>/g, ']]]]><![CDATA[>');
+
+    const scope = SUBLIME_SCOPES[String(snippet.language).toLowerCase()];
+    let xml = '<snippet>\n';
+    xml += `  <content><![CDATA[${content}]]></content>\n`;
+    xml += `  <tabTrigger>${this.escapeXml(tabTrigger)}</tabTrigger>\n`;
+    if (scope) xml += `  <scope>${scope}</scope>\n`;
+    xml += `  <description>${this.escapeXml(this.describe(snippet))}</description>\n`;
+    return `${xml}</snippet>\n`;
+  }
+
+  /**
+   * Content in the TextMate snippet syntax that VS Code and Sublime share: `${1:label}` tab
+   * stops, with literal `$` and `\` escaped
+   * @private
+   */
+  tabStopBody(content) {
+    return this.placeholders(content)
+      .map(part => {
+        if (part.text !== undefined) return part.text.replace(/[\\$]/g, '\\$&');
+        return `\${${part.index}:${part.value.replace(/[\\$}]/g, '\\$&')}}`;
+      })
+      .join('');
+  }
+
+  /**
+   * Split content into text and numbered tab stops. Named placeholders are numbered after
+   * the highest `${n:...}` in the snippet; repeats of a placeholder share its number.
+   * @private
+   * @returns {Array} { text } or { index, name, value, syntax } parts
+   */
+  placeholders(content) {
+    const parts = templateService.segments(content);
+    const tabStops = parts
+      .filter(part => part.placeholder && part.placeholder.syntax === 'tabstop')
+      .map(part => Number(part.placeholder.name));
+    let next = Math.max(0, ...tabStops) + 1;
+
+    // The first occurrence with a default decides the value, as in templateService.parse()
+    const values = new Map(templateService.parse(content).map(variable => [
+      variable.name, variable.default ?? variable.label
+    ]));
+    const numbers = new Map();
+
+    return parts.map(part => {
+      if (!part.placeholder) return part;
+
+      const { name, syntax } = part.placeholder;
+      if (!numbers.has(name)) {
+        numbers.set(name, syntax === 'tabstop' ? Number(name) : next++);
+      }
+      return { index: numbers.get(name), name, value: values.get(name), syntax };
+    });
+  }
+
+  /**
+   * Snippets sorted by language, then title, so exports come out the same every time
+   * @private
+   */
+  byLanguage(snippets) {
+    return [...snippets].sort((a, b) =>
+      String(a.language).localeCompare(String(b.language)) || String(a.title).localeCompare(String(b.title))
+    );
+  }
+
+  /**
+   * What the editor shows next to the snippet: its title and tags
+   * @private
+   */
+  describe(snippet) {
+    const tags = (snippet.tags || []).map(tag => tag.name);
+    return tags.length > 0 ? `${snippet.title} [${tags.join(', ')}]` : snippet.title;
+  }
+
+  /**
+   * The abbreviation typed to insert a snippet: its title as a slug, e.g. 'fetch-json'
+   * @private
+   */
+  prefixFor(snippet) {
+    return String(snippet.title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'snippet';
+  }
+
+  /**
+   * Names that are unique across the snippets; repeats get a counter through the suffix,
+   * where '#' stands for the number
+   * @private
+   * @returns {Map} Snippet to name
+   */
+  uniqueNames(snippets, nameFor, suffix) {
+    const used = new Set();
+    const names = new Map();
+
+    snippets.forEach(snippet => {
+      const base = nameFor(snippet);
+      let name = base;
+      for (let count = 2; used.has(name.toLowerCase()); count++) {
+        name = base + suffix.replace('#', count);
+      }
+      used.add(name.toLowerCase());
+      names.set(snippet, name);
+    });
+
+    return names;
+  }
+
+  /**
+   * Escape text for XML content and attributes; line breaks are kept as character references
+   * @private
+   */
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/\r?\n/g, '&#10;')
+      .replace(/\t/g, '&#9;');
+  }
+}
+
+module.exports = new EditorSnippetService();
@@ -0,0 +1,340 @@
+const Prism = require('prismjs');
+const loadLanguages = require('prismjs/components/');
+
+/**
+ * Embed Service for MySnippetHub
+ * Raw text and self-contained, syntax-highlighted widgets for putting snippets into wikis and docs,
+ * either as an <iframe> page or as a <script> tag that inserts the widget where it stands.
+ * Widgets only use `msh-` class names so they don't clash with the page they are embedded in.
+ */
+
+// Snippet languages to Prism grammars
+const PRISM_LANGUAGES = {
+  javascript: 'javascript',
+  typescript: 'typescript',
+  python: 'python',
+  rust: 'rust',
+  go: 'go',
+  java: 'java',
+  'c++': 'cpp',
+  'c#': 'csharp',
+  php: 'php',
+  ruby: 'ruby',
+  css: 'css',
+  html: 'markup',
+  sql: 'sql',
+  json: 'json',
+  yaml: 'yaml',
+  markdown: 'markdown',
+  bash: 'bash',
+  powershell: 'powershell',
+  dockerfile: 'docker'
+};
+
+// Content types for raw snippets; anything else is plain text
+const CONTENT_TYPES = {
+  javascript: 'text/javascript',
+  typescript: 'application/typescript',
+  python: 'text/x-python',
+  css: 'text/css',
+  html: 'text/html',
+  json: 'application/json',
+  yaml: 'application/yaml',
+  markdown: 'text/markdown',
+  sql: 'application/sql',
+  bash: 'application/x-sh'
+};
+
+const THEMES = ['dark', 'light', 'auto'];
+
+loadLanguages([...new Set(Object.values(PRISM_LANGUAGES))]);
+
+// Token colours per theme; `auto` follows the reader's prefers-color-scheme
+const THEME_VARIABLES = {
+  dark: {
+    bg: '#1e1e1e', fg: '#d4d4d4', border: '#3c3c3c', muted: '#858585', meta: '#252526',
+    comment: '#6a9955', keyword: '#569cd6', string: '#ce9178', number: '#b5cea8',
+    function: '#dcdcaa', type: '#4ec9b0', property: '#9cdcfe', tag: '#569cd6', punctuation: '#d4d4d4'
+  },
+  light: {
+    bg: '#ffffff', fg: '#24292f', border: '#d0d7de', muted: '#6e7781', meta: '#f6f8fa',
+    comment: '#6e7781', keyword: '#cf222e', string: '#0a3069', number: '#0550ae',
+    function: '#8250df', type: '#953800', property: '#0550ae', tag: '#116329', punctuation: '#24292f'
+  }
+};
+
+// Prism token types to the theme colour they use
+const TOKEN_COLORS = {
+  comment: 'comment', prolog: 'comment', doctype: 'comment', cdata: 'comment',
+  keyword: 'keyword', boolean: 'keyword', important: 'keyword', atrule: 'keyword',
+  string: 'string', char: 'string', 'attr-value': 'string', regex: 'string', url: 'string',
+  number: 'number', constant: 'number', symbol: 'number',
+  function: 'function', builtin: 'function',
+  'class-name': 'type', namespace: 'type',
+  property: 'property', variable: 'property', 'attr-name': 'property', selector: 'property',
+  tag: 'tag',
+  punctuation: 'punctuation', operator: 'punctuation'
+};
+
+class EmbedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EmbedError';
+    this.status = 400;
+  }
+}
+
+// Helper function to escape text for HTML
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+class EmbedService {
+  constructor() {
+    this.themes = THEMES;
+    this.EmbedError = EmbedError;
+  }
+
+  /**
+   * Content type for a snippet's raw text
+   * @param {String} language - Snippet language
+   * @returns {String} e.g. 'text/x-python; charset=utf-8'
+   */
+  contentType(language) {
+    return `${CONTENT_TYPES[String(language).toLowerCase()] || 'text/plain'}; charset=utf-8`;
+  }
+
+  /**
+   * Split content into lines, without an empty line for a trailing newline
+   * @param {String} content
+   * @returns {Array}
+   */
+  splitLines(content) {
+    const lines = String(content).split(/\r?\n/);
+    if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+    return lines;
+  }
+
+  /**
+   * Parse a `lines` parameter such as '10-25' or '7'
+   * @param {String} value - The parameter; empty means every line
+   * @param {Number} lineCount - Lines in the snippet
+   * @returns {Object} { start, end }, 1-based and inclusive; end is capped at lineCount
+   * @throws {EmbedError} When the range is malformed or starts past the end
+   */
+  parseLineRange(value, lineCount) {
+    if (value === undefined || value === null || value === '') {
+      return { start: 1, end: lineCount };
+    }
+
+    const match = /^(\d+)(?:-(\d+))?$/.exec(String(value).trim());
+    if (!match) {
+      throw new EmbedError('lines must be a line number or a range such as 10-25');
+    }
+
+    const start = Number(match[1]);
+    const end = match[2] === undefined ? start : Number(match[2]);
+    if (start < 1 || end < start) {
+      throw new EmbedError('lines must start at 1 or later and end after they start');
+    }
+    if (start > lineCount) {
+      throw new EmbedError(`The snippet has only ${lineCount} line${lineCount === 1 ? '' : 's'}`);
+    }
+
+    return { start, end: Math.min(end, lineCount) };
+  }
+
+  /**
+   * Check a theme parameter
+   * @param {String} value - 'dark', 'light' or 'auto'; empty means dark
+   * @returns {String}
+   * @throws {EmbedError} For unknown themes
+   */
+  parseTheme(value) {
+    if (value === undefined || value === null || value === '') return 'dark';
+    if (!THEMES.includes(value)) {
+      throw new EmbedError(`Unknown theme "${value}". Use ${THEMES.join(', ')}`);
+    }
+    return value;
+  }
+
+  /**
+   * The lines of a snippet in a range, as plain text
+   * @param {String} content
+   * @param {Object} range - { start, end } from parseLineRange()
+   * @returns {String}
+   */
+  sliceLines(content, { start, end }) {
+    const lines = this.splitLines(content);
+    if (start === 1 && end === lines.length) return content;
+    return `${lines.slice(start - 1, end).join('\n')}\n`;
+  }
+
+  /**
+   * Highlight a snippet line by line. The whole snippet is tokenized first so constructs
+   * spanning lines (block comments, template strings) stay coloured inside a line range.
+   * @param {String} content
+   * @param {String} language - Snippet language
+   * @returns {Array} One HTML string per line
+   */
+  highlightLines(content, language) {
+    const grammarName = PRISM_LANGUAGES[String(language).toLowerCase()];
+    const grammar = grammarName && Prism.languages[grammarName];
+    const text = this.splitLines(content).join('\n');
+    const tokens = grammar ? Prism.tokenize(text, grammar) : [text];
+
+    const lines = [[]];
+    const addText = (value, color) => {
+      value.split('\n').forEach((part, index) => {
+        if (index > 0) lines.push([]);
+        if (!part) return;
+        lines[lines.length - 1].push(color ? `<span class="msh-${color}">${escapeHtml(part)}</span>` : escapeHtml(part));
+      });
+    };
+
+    // Nested tokens take the colour of the innermost type that has one
+    const walk = (items, color) => {
+      for (const token of items) {
+        if (typeof token === 'string') {
+          addText(token, color);
+          continue;
+        }
+        const types = [token.type, ...[].concat(token.alias || [])];
+        const tokenColor = types.map(type => TOKEN_COLORS[type]).find(Boolean) || color;
+        if (typeof token.content === 'string') {
+          addText(token.content, tokenColor);
+        } else {
+          walk([].concat(token.content), tokenColor);
+        }
+      }
+    };
+    walk(tokens, null);
+
+    return lines.map(parts => parts.join(''));
+  }
+
+  /**
+   * The widget's stylesheet, covering every theme so one copy serves all widgets on a page
+   * @returns {String}
+   */
+  stylesheet() {
+    const variables = (theme) => Object.entries(THEME_VARIABLES[theme])
+      .map(([name, value]) => `--msh-${name}:${value}`)
+      .join(';');
+    const colors = [...new Set(Object.values(TOKEN_COLORS))]
+      .map(color => `.msh-embed .msh-${color}{color:var(--msh-${color})}`)
+      .join('\n');
+
+    return `
+.msh-embed-dark{${variables('dark')}}
+.msh-embed-light,.msh-embed-auto{${variables('light')}}
+@media (prefers-color-scheme: dark){.msh-embed-auto{${variables('dark')}}}
+.msh-embed{margin:0 0 16px;border:1px solid var(--msh-border);border-radius:6px;overflow:hidden;background:var(--msh-bg);color:var(--msh-fg);font:12px/1.5 -apple-system,BlinkMacSystemFont,"Segoe UI",Helvetica,Arial,sans-serif;text-align:left}
+.msh-embed-code{overflow:auto}
+.msh-embed table{border-collapse:collapse;border:0;margin:0;width:100%;background:transparent}
+.msh-embed td{border:0;padding:0 12px;vertical-align:top;background:transparent}
+.msh-embed .msh-embed-num{width:1%;min-width:40px;text-align:right;color:var(--msh-muted);user-select:none}
+.msh-embed .msh-embed-num::before{content:attr(data-line)}
+.msh-embed .msh-embed-line{white-space:pre;font:12px/20px ui-monospace,SFMono-Regular,Menlo,Consolas,monospace;color:var(--msh-fg)}
+.msh-embed tr:first-child td{padding-top:8px}
+.msh-embed tr:last-child td{padding-bottom:8px}
+.msh-embed-meta{display:flex;justify-content:space-between;gap:8px;padding:6px 12px;background:var(--msh-meta);border-top:1px solid var(--msh-border);color:var(--msh-muted)}
+.msh-embed-meta a{color:var(--msh-property);text-decoration:none;font-weight:600}
+.msh-embed-meta a:hover{text-decoration:underline}
+${colors}
+`.trim();
+  }
+
+  /**
+   * The widget's HTML
+   * @param {Object} snippet - { title, content, language }
+   * @param {Object} options - { theme, lines, rawUrl } where lines is the raw `lines` parameter
+   * @returns {String}
+   * @throws {EmbedError} For unknown themes and bad line ranges
+   */
+  renderWidget(snippet, { theme, lines, rawUrl } = {}) {
+    const widgetTheme = this.parseTheme(theme);
+    const highlighted = this.highlightLines(snippet.content, snippet.language);
+    const range = this.parseLineRange(lines, highlighted.length);
+
+    const rows = highlighted.slice(range.start - 1, range.end).map((line, index) => (
+      `<tr><td class="msh-embed-num" data-line="${range.start + index}"></td><td class="msh-embed-line">${line}</td></tr>`
+    )).join('');
+
+    const rangeLabel = range.start === 1 && range.end === highlighted.length
+      ? ''
+      : ` · lines ${range.start}${range.end > range.start ? `–${range.end}` : ''}`;
+    const rawLink = rawUrl ? `<a href="${escapeHtml(rawUrl)}" target="_blank" rel="noopener noreferrer">view raw</a>` : '';
+
+    return `<div class="msh-embed msh-embed-${widgetTheme}">`
+      + `<div class="msh-embed-code"><table><tbody>${rows}</tbody></table></div>`
+      + '<div class="msh-embed-meta">'
+      + `<span><strong>${escapeHtml(snippet.title)}</strong> · ${escapeHtml(snippet.language)}${rangeLabel}</span>`
+      + `<span>${rawLink}${rawLink ? ' · ' : ''}MySnippetHub</span>`
+      + '</div></div>';
+  }
+
+  /**
+   * A standalone page with the widget, for <iframe> embeds
+   * @param {Object} snippet
+   * @param {Object} options - See renderWidget()
+   * @returns {String}
+   */
+  renderPage(snippet, options = {}) {
+    const widget = this.renderWidget(snippet, options);
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(snippet.title)}</title>
+<style>body{margin:0;background:transparent}.msh-embed{margin:0}
+${this.stylesheet()}</style>
+</head>
+<body>${widget}</body>
+</html>
+`;
+  }
+
+  /**
+   * A script that inserts the widget right after its own <script> tag, like a gist embed
+   * @param {Object} snippet
+   * @param {Object} options - See renderWidget()
+   * @returns {String}
+   */
+  renderScript(snippet, options = {}) {
+    // Escape '<' so the strings can't close the host page's <script> tag
+    const toScriptString = (value) => JSON.stringify(value)
+      .replace(/</g, '\\u003c')
+      .replace(/\u2028/g, '\\u2028')
+      .replace(/\u2029/g, '\\u2029');
+
+    return `(function () {
+  var css = ${toScriptString(this.stylesheet())};
+  var html = ${toScriptString(this.renderWidget(snippet, options))};
+  if (!document.getElementById('msh-embed-style')) {
+    var style = document.createElement('style');
+    style.id = 'msh-embed-style';
+    style.textContent = css;
+    document.head.appendChild(style);
+  }
+  var container = document.createElement('div');
+  container.innerHTML = html;
+  var script = document.currentScript;
+  if (script && script.parentNode) {
+    script.parentNode.insertBefore(container.firstChild, script.nextSibling);
+  } else {
+    document.body.appendChild(container.firstChild);
+  }
+})();
+`;
+  }
+}
+
+module.exports = new EmbedService();
@@ -1,68 +1,69 @@
 const path = require('path');
 const fs = require('fs/promises');
 const db = require('../db');
+const collectionService = require('./collections');
+const accessService = require('./access');
+const editorSnippetService = require('./editorSnippets');
+const archiveService = require('./archive');
+const importConflictService = require('./importConflicts');
+
+// Snippets read per query when streaming an export, and imported per transaction when streaming an import
+const STREAM_BATCH_SIZE = 500;
+
+// First line of an NDJSON export; the lines after it are snippets
+const NDJSON_FORMAT = 'mysnippethub-ndjson';
+const NDJSON_VERSION = 1;
+
+// Streamed imports keep details for this many snippets so the results stay small
+const MAX_STREAM_DETAILS = 1000;
+
+// Import result detail statuses to the count they add to
+const RESULT_COUNTS = { imported: 'success', updated: 'updated', skipped: 'skipped', error: 'errors' };
+
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+    this.status = 400;
+  }
+}
 
 /**
  * Export Service for MySnippetHub
- * Handles JSON and Markdown export/import functionality
+ * Handles JSON and Markdown export/import functionality, plus export to editor snippet files
  */
 
 class ExportImportService {
+  constructor() {
+    this.ImportError = ImportError;
+  }
+
   /**
    * Export snippets to JSON format
    * @param {Array} snippetIds - Array of snippet IDs to export (empty = all)
+   * @param {Object} options - { userId } whose visible snippets and favorites are exported, and
+   *   { collectionId, includeSubcollections } to export only one of their collections
    * @returns {Object} Export data object
    */
-  async exportToJSON(snippetIds = []) {
+  async exportToJSON(snippetIds = [], options = {}) {
+    const { userId, collectionId = null, includeSubcollections = true } = options;
+
     try {
-      let query = `
-        SELECT 
-          s.id,
-          s.title,
-          s.content,
-          s.language,
-          s.source,
-          s.version,
-          s.created_at,
-          s.updated_at,
-          GROUP_CONCAT(t.name) as tag_names,
-          GROUP_CONCAT(t.color) as tag_colors,
-          CASE WHEN f.snippet_id IS NOT NULL THEN 1 ELSE 0 END as is_favorite
-        FROM snippets s
-        LEFT JOIN snippet_tags st ON s.id = st.snippet_id
-        LEFT JOIN tags t ON st.tag_id = t.id
-        LEFT JOIN favorites f ON s.id = f.snippet_id
-      `;
-
-      const params = [];
-      
-      if (snippetIds && snippetIds.length > 0) {
-        const placeholders = snippetIds.map(() => '?').join(',');
-        query += ` WHERE s.id IN (${placeholders})`;
-        params.push(...snippetIds);
+      const { query, params } = this.buildSnippetQuery(snippetIds, options);
+
+      let collection = null;
+      if (collectionId) {
+        collection = await db.get(
+          'SELECT id, name, description FROM collections WHERE id = ? AND user_id = ?',
+          [collectionId, userId]
+        );
       }
 
-      query += ` GROUP BY s.id ORDER BY s.created_at DESC`;
-
-      const rows = await db.all(query, params);
-
-      const snippets = rows.map(row => ({
-        id: row.id,
-        title: row.title,
-        content: row.content,
-        language: row.language,
-        source: row.source,
-        version: row.version,
-        created_at: row.created_at,
-        updated_at: row.updated_at,
-        is_favorite: Boolean(row.is_favorite),
-        tags: row.tag_names ? row.tag_names.split(',').map((name, index) => ({
-          name: name.trim(),
-          color: row.tag_colors ? row.tag_colors.split(',')[index]?.trim() : '#6B7280'
-        })) : []
-      }));
-
-      return {
+      const rows = await db.all(`${query} ORDER BY s.created_at DESC, s.id DESC`, params);
+      const tagsBySnippet = await this.getTagsBySnippet(rows.map(row => row.id));
+      const snippets = rows.map(row => this.formatSnippet(row, tagsBySnippet.get(row.id)));
+
+      const exportData = {
         version: '1.1.0',
         export_date: new Date().toISOString(),
         total_snippets: snippets.length,
@@ -73,23 +74,280 @@ class ExportImportService {
           schema_version: '1.0'
         }
       };
+
+      if (collection) {
+        exportData.collection = { ...collection, include_subcollections: includeSubcollections };
+      }
+
+      return exportData;
     } catch (error) {
       console.error('Error exporting to JSON:', error);
       throw new Error('Failed to export snippets to JSON');
     }
   }
 
+  /**
+   * Export snippets one at a time without holding the whole export in memory. Snippets are
+   * read in batches in ID order and come out in the same shape as in exportToJSON().
+   * @param {Array} snippetIds - Array of snippet IDs to export (empty = all)
+   * @param {Object} options - Same options as exportToJSON()
+   * @returns {AsyncGenerator<Object>} Snippets
+   */
+  async *streamSnippets(snippetIds = [], options = {}) {
+    const { query, params } = this.buildSnippetQuery(snippetIds, options);
+    let lastId = 0;
+
+    while (true) {
+      const rows = await db.all(
+        `${query} AND s.id > ? ORDER BY s.id LIMIT ?`,
+        [...params, lastId, STREAM_BATCH_SIZE]
+      );
+      if (rows.length === 0) return;
+
+      const tagsBySnippet = await this.getTagsBySnippet(rows.map(row => row.id));
+      for (const row of rows) {
+        yield this.formatSnippet(row, tagsBySnippet.get(row.id));
+      }
+      lastId = rows[rows.length - 1].id;
+    }
+  }
+
+  /**
+   * The first line of an NDJSON export
+   * @param {Array} snippetIds - Array of snippet IDs to export (empty = all)
+   * @param {Object} options - Same options as exportToJSON()
+   * @returns {Object} { type: 'header', format, version, export_date, total_snippets }
+   */
+  async ndjsonHeader(snippetIds = [], options = {}) {
+    const { query, params } = this.buildSnippetQuery(snippetIds, options);
+    const { total } = await db.get(`SELECT COUNT(*) as total FROM (${query})`, params);
+
+    return {
+      type: 'header',
+      format: NDJSON_FORMAT,
+      version: NDJSON_VERSION,
+      export_date: new Date().toISOString(),
+      total_snippets: total
+    };
+  }
+
+  /**
+   * Import snippets from NDJSON lines as they arrive: an optional header line from
+   * ndjsonHeader(), then one snippet per line. Snippets are imported in batches, each in its
+   * own transaction with a savepoint per snippet, so a broken line only fails that snippet.
+   * @param {AsyncIterable<String>} lines - Lines of the file, e.g. from readline
+   * @param {Object} options - Same options as importFromJSON(), plus an optional AbortSignal as
+   *   `signal` that stops the import before the next snippet; the unfinished batch is rolled back
+   * @param {Function} onProgress - Called after each batch with
+   *   { processed, total, success, updated, skipped, errors, bytes }; total comes from the header.
+   *   When it returns a promise, the import waits for it before going on
+   * @returns {Object} Import results like importFromJSON(); details stop after 1000 snippets
+   *   and details_truncated is set
+   * @throws {ImportError} When the header is from another format or a newer version
+   * @throws The signal's reason when it is aborted
+   */
+  async importFromNDJSON(lines, options = {}, onProgress = () => {}) {
+    const results = { success: 0, updated: 0, skipped: 0, errors: 0, details: [] };
+    let total = null;
+    let bytes = 0;
+    let lineNumber = 0;
+    let batch = [];
+
+    const addDetail = (detail) => {
+      if (results.details.length < MAX_STREAM_DETAILS) {
+        results.details.push(detail);
+      } else {
+        results.details_truncated = true;
+      }
+    };
+
+    const reportProgress = () => onProgress({
+      processed: results.success + results.updated + results.skipped + results.errors,
+      total,
+      success: results.success,
+      updated: results.updated,
+      skipped: results.skipped,
+      errors: results.errors,
+      bytes
+    });
+
+    const importBatch = async () => {
+      await db.transaction(async () => {
+        for (const snippetData of batch) {
+          options.signal?.throwIfAborted();
+          try {
+            const detail = await this.inSavepoint(() => this.importSingleSnippet(snippetData, options));
+            results[RESULT_COUNTS[detail.status]]++;
+            addDetail({ title: snippetData.title, ...detail });
+          } catch (error) {
+            results.errors++;
+            addDetail({ title: snippetData.title, status: 'error', message: error.message });
+          }
+        }
+      });
+      batch = [];
+      await reportProgress();
+    };
+
+    for await (const line of lines) {
+      options.signal?.throwIfAborted();
+      lineNumber++;
+      bytes += Buffer.byteLength(line) + 1;
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (parseError) {
+        results.errors++;
+        addDetail({ title: `Line ${lineNumber}`, status: 'error', message: 'Invalid JSON' });
+        continue;
+      }
+
+      if (record && record.type === 'header') {
+        if (record.format !== NDJSON_FORMAT) {
+          throw new ImportError(`Line ${lineNumber}: Unknown NDJSON format "${record.format}"`);
+        }
+        if (record.version > NDJSON_VERSION) {
+          throw new ImportError(`Line ${lineNumber}: NDJSON version ${record.version} is newer than this server supports`);
+        }
+        total = Number.isInteger(record.total_snippets) ? record.total_snippets : null;
+        continue;
+      }
+
+      const snippetErrors = record && typeof record === 'object' && !Array.isArray(record)
+        ? this.validateSnippet(record, lineNumber - 1).map(error => error.replace(/^Snippet \d+/, `Line ${lineNumber}`))
+        : [`Line ${lineNumber}: Not a snippet`];
+      if (snippetErrors.length > 0) {
+        results.errors++;
+        addDetail({ title: record?.title || `Line ${lineNumber}`, status: 'error', message: snippetErrors.join('; ') });
+        continue;
+      }
+
+      batch.push(record);
+      if (batch.length >= STREAM_BATCH_SIZE) {
+        await importBatch();
+      }
+    }
+
+    if (batch.length > 0) {
+      await importBatch();
+    } else {
+      await reportProgress();
+    }
+
+    return results;
+  }
+
+  /**
+   * The snippets query shared by the exports, with its WHERE clause; callers add the order
+   * @private
+   * @returns {Object} { query, params }
+   */
+  buildSnippetQuery(snippetIds, options) {
+    const { userId, collectionId = null, includeSubcollections = true } = options;
+
+    const visibility = accessService.visibleCondition(userId);
+    const conditions = [visibility.condition];
+    const params = [userId, ...visibility.params];
+
+    if (snippetIds && snippetIds.length > 0) {
+      const placeholders = snippetIds.map(() => '?').join(',');
+      conditions.push(`s.id IN (${placeholders})`);
+      params.push(...snippetIds);
+    }
+
+    if (collectionId) {
+      const collectionFilter = collectionService.snippetCondition(collectionId, { includeSubcollections });
+      conditions.push(collectionFilter.condition);
+      params.push(...collectionFilter.params);
+    }
+
+    const query = `
+      SELECT 
+        s.id,
+        s.title,
+        s.content,
+        s.language,
+        s.source,
+        s.version,
+        s.visibility,
+        s.created_at,
+        s.updated_at,
+        CASE WHEN f.snippet_id IS NOT NULL THEN 1 ELSE 0 END as is_favorite
+      FROM snippets s
+      LEFT JOIN favorites f ON s.id = f.snippet_id AND f.user_id = ?
+      WHERE ${conditions.join(' AND ')}
+    `;
+
+    return { query, params };
+  }
+
+  /**
+   * An exported snippet from its row and tags
+   * @private
+   */
+  formatSnippet(row, tags = []) {
+    return {
+      id: row.id,
+      title: row.title,
+      content: row.content,
+      language: row.language,
+      source: row.source,
+      version: row.version,
+      visibility: row.visibility,
+      created_at: row.created_at,
+      updated_at: row.updated_at,
+      is_favorite: Boolean(row.is_favorite),
+      tags
+    };
+  }
+
+  /**
+   * Tags of many snippets in batched queries, in the order they were added
+   * @private
+   * @returns {Map} Snippet ID to [{ name, color }]
+   */
+  async getTagsBySnippet(snippetIds) {
+    const tagsBySnippet = new Map(snippetIds.map(id => [id, []]));
+    const batchSize = 500;
+
+    for (let i = 0; i < snippetIds.length; i += batchSize) {
+      const batch = snippetIds.slice(i, i + batchSize);
+      const rows = await db.all(`
+        SELECT st.snippet_id, t.name, t.color
+        FROM snippet_tags st
+        JOIN tags t ON t.id = st.tag_id
+        WHERE st.snippet_id IN (${batch.map(() => '?').join(',')})
+        ORDER BY st.id
+      `, batch);
+
+      for (const { snippet_id, ...tag } of rows) {
+        tagsBySnippet.get(snippet_id).push(tag);
+      }
+    }
+
+    return tagsBySnippet;
+  }
+
   /**
    * Export snippets to Markdown format
    * @param {Array} snippetIds - Array of snippet IDs to export (empty = all)
+   * @param {Object} options - Same options as exportToJSON()
    * @returns {String} Markdown content
    */
-  async exportToMarkdown(snippetIds = []) {
+  async exportToMarkdown(snippetIds = [], options = {}) {
     try {
-      const exportData = await this.exportToJSON(snippetIds);
-      const { snippets } = exportData;
+      const exportData = await this.exportToJSON(snippetIds, options);
+      const { snippets, collection } = exportData;
 
       let markdown = `# MySnippetHub Export\n\n`;
+      if (collection) {
+        markdown += `**Collection:** ${collection.name}\n`;
+        if (collection.description) {
+          markdown += `**Description:** ${collection.description}\n`;
+        }
+      }
       markdown += `**Export Date:** ${new Date().toLocaleDateString()}\n`;
       markdown += `**Total Snippets:** ${snippets.length}\n\n`;
       markdown += `---\n\n`;
@@ -111,10 +369,12 @@ class ExportImportService {
         }
         markdown += `\n`;
 
-        // Code block
-        markdown += `\`\`\`${snippet.language}\n`;
+        // Code block, fenced with more backticks than any run inside it so the content comes back intact
+        const longestRun = Math.max(0, ...(snippet.content.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(Math.max(3, longestRun + 1));
+        markdown += `${fence}${snippet.language}\n`;
         markdown += `${snippet.content}\n`;
-        markdown += `\`\`\`\n\n`;
+        markdown += `${fence}\n\n`;
         markdown += `---\n\n`;
       }
 
@@ -127,21 +387,114 @@ class ExportImportService {
     }
   }
 
+  /**
+   * Export snippets as a VS Code `.code-snippets` file
+   * @param {Array} snippetIds - Array of snippet IDs to export (empty = all)
+   * @param {Object} options - Same options as exportToJSON()
+   * @returns {Object} Snippet definitions, ready to be written as JSON
+   */
+  async exportToVSCode(snippetIds = [], options = {}) {
+    const { snippets } = await this.exportToJSON(snippetIds, options);
+    return editorSnippetService.toVSCode(snippets);
+  }
+
+  /**
+   * Export snippets as a JetBrains live template set
+   * @param {Array} snippetIds - Array of snippet IDs to export (empty = all)
+   * @param {Object} options - Same options as exportToJSON()
+   * @returns {String} Template set XML
+   */
+  async exportToJetBrains(snippetIds = [], options = {}) {
+    const { snippets } = await this.exportToJSON(snippetIds, options);
+    return editorSnippetService.toJetBrains(snippets);
+  }
+
+  /**
+   * Export snippets as Sublime Text `.sublime-snippet` files
+   * @param {Array} snippetIds - Array of snippet IDs to export (empty = all)
+   * @param {Object} options - Same options as exportToJSON()
+   * @returns {Object} { filename, contentType, data }; see editorSnippetService.toSublime()
+   */
+  async exportToSublime(snippetIds = [], options = {}) {
+    const { snippets } = await this.exportToJSON(snippetIds, options);
+    return editorSnippetService.toSublime(snippets);
+  }
+
+  /**
+   * Export snippets as a ZIP with one file per snippet and a manifest.json; see archiveService
+   * @param {Array} snippetIds - Array of snippet IDs to export (empty = all)
+   * @param {Object} options - Same options as exportToJSON(), plus groupBy ('tag' or 'language')
+   * @returns {Promise<Buffer>} ZIP file
+   */
+  async exportToZip(snippetIds = [], options = {}) {
+    const { groupBy = 'tag', ...exportOptions } = options;
+    const exportData = await this.exportToJSON(snippetIds, exportOptions);
+    return archiveService.create(exportData, groupBy);
+  }
+
+  /**
+   * Classify every snippet of an import against the importer's library without writing
+   * anything, so conflicts can be resolved one by one before importing
+   * @param {Object} importData - Import data that passed validateImportData()
+   * @param {Number} userId - The importer
+   * @returns {Promise<Object>} { summary, conflicts } where summary counts the snippets per status
+   *   and conflicts lists the ones that aren't new:
+   *   { index, title, language, tags, status, similarity, existing, diff }
+   */
+  async previewImport(importData, userId) {
+    const library = await importConflictService.loadLibrary(userId);
+    const summary = { new: 0, identical: 0, title_conflict: 0, similar: 0 };
+    const conflicts = [];
+
+    importData.snippets.forEach((snippetData, index) => {
+      const { status, existing, similarity } = importConflictService.classify(snippetData, library);
+      summary[status]++;
+      if (status === 'new') return;
+
+      conflicts.push({
+        index,
+        title: snippetData.title,
+        language: snippetData.language || 'plaintext',
+        tags: this.tagNames(snippetData.tags),
+        status,
+        similarity: Math.round(similarity * 100) / 100,
+        existing: {
+          id: existing.id,
+          title: existing.title,
+          language: existing.language,
+          tags: existing.tags,
+          updated_at: existing.updated_at
+        },
+        diff: status === 'identical' ? null : importConflictService.compare(existing, snippetData)
+      });
+    });
+
+    return { summary, conflicts };
+  }
+
   /**
    * Import snippets from JSON data
    * @param {Object} importData - JSON data to import
-   * @param {Object} options - Import options
+   * @param {Object} options - Import options; userId owns the imported snippets and favorites.
+   *   resolutions maps a snippet's index in importData.snippets to how a conflict found by
+   *   previewImport() is settled: 'keep' the library's snippet, 'replace' it, 'keep_both' or
+   *   'merge_tags' into it. Snippets without one follow overwriteExisting and skipDuplicates.
+   *   The import is one transaction with a savepoint per snippet, so a snippet that fails is
+   *   undone on its own and counted in errors while the others are imported.
    * @returns {Object} Import results
    */
   async importFromJSON(importData, options = {}) {
     const { 
       overwriteExisting = false, 
       skipDuplicates = true,
-      preserveIds = false 
+      preserveIds = false,
+      resolutions = {},
+      userId
     } = options;
 
     const results = {
       success: 0,
+      updated: 0,
       skipped: 0,
       errors: 0,
       details: []
@@ -153,70 +506,141 @@ class ExportImportService {
         throw new Error('Invalid import data format: missing snippets array');
       }
 
-      await db.run('BEGIN TRANSACTION');
-
-      for (const snippetData of importData.snippets) {
-        try {
-          await this.importSingleSnippet(snippetData, {
-            overwriteExisting,
-            skipDuplicates,
-            preserveIds
-          });
-          results.success++;
-          results.details.push({
-            title: snippetData.title,
-            status: 'imported',
-            message: 'Successfully imported'
-          });
-        } catch (error) {
-          results.errors++;
-          results.details.push({
-            title: snippetData.title,
-            status: 'error',
-            message: error.message
-          });
-          
-          // Continue processing other snippets
-          console.error(`Error importing snippet "${snippetData.title}":`, error);
+      await db.transaction(async () => {
+        // Conflicts are looked up again here; the library may have changed since the preview
+        const library = Object.keys(resolutions).length > 0 ? await importConflictService.loadLibrary(userId) : null;
+
+        for (const [index, snippetData] of importData.snippets.entries()) {
+          const resolution = resolutions[index];
+          const conflict = resolution && snippetData && snippetData.title && snippetData.content
+            ? importConflictService.classify(snippetData, library)
+            : null;
+
+          if (conflict && conflict.status !== 'new') {
+            try {
+              const detail = await this.inSavepoint(() => (
+                this.resolveConflict(snippetData, conflict.existing, resolution, { userId, preserveIds })
+              ));
+              results[RESULT_COUNTS[detail.status]]++;
+              results.details.push({ title: snippetData.title, ...detail });
+            } catch (error) {
+              results.errors++;
+              results.details.push({ title: snippetData.title, status: 'error', message: error.message });
+              console.error(`Error importing snippet "${snippetData.title}":`, error);
+            }
+            continue;
+          }
+
+          try {
+            const detail = await this.inSavepoint(() => this.importSingleSnippet(snippetData, {
+              overwriteExisting,
+              skipDuplicates,
+              preserveIds,
+              userId
+            }));
+            results[RESULT_COUNTS[detail.status]]++;
+            results.details.push({ title: snippetData.title, ...detail });
+          } catch (error) {
+            results.errors++;
+            results.details.push({
+              title: snippetData.title,
+              status: 'error',
+              message: error.message
+            });
+
+            // Continue processing other snippets
+            console.error(`Error importing snippet "${snippetData.title}":`, error);
+          }
         }
-      }
-
-      await db.run('COMMIT');
+      });
 
       return results;
     } catch (error) {
-      await db.run('ROLLBACK');
       console.error('Error importing from JSON:', error);
       throw new Error(`Import failed: ${error.message}`);
     }
   }
 
   /**
-   * Import a single snippet
+   * Run one snippet's import in a savepoint, so a snippet that fails part way undoes only its
+   * own writes and the snippets around it in the transaction are kept
+   * @private
+   */
+  async inSavepoint(work) {
+    await db.run('SAVEPOINT import_snippet');
+    try {
+      const result = await work();
+      await db.run('RELEASE SAVEPOINT import_snippet');
+      return result;
+    } catch (error) {
+      await db.run('ROLLBACK TO SAVEPOINT import_snippet');
+      await db.run('RELEASE SAVEPOINT import_snippet');
+      throw error;
+    }
+  }
+
+  /**
+   * Settle a conflict between an incoming snippet and one of the importer's
+   * @private
+   * @returns {Object} Result detail: { status: 'imported' | 'updated' | 'skipped', id, message }
+   */
+  async resolveConflict(snippetData, existing, resolution, { userId, preserveIds }) {
+    switch (resolution) {
+      case 'keep':
+        return { status: 'skipped', id: existing.id, message: `Kept your snippet #${existing.id}` };
+      case 'replace':
+        await db.run(`
+          UPDATE snippets SET title = ?, content = ?, language = ?, source = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [snippetData.title, snippetData.content, snippetData.language || 'plaintext', snippetData.source || null, existing.id]);
+        await this.saveTags(existing.id, snippetData.tags, { replace: true });
+        await this.saveFavorite(existing.id, userId, snippetData.is_favorite);
+        return { status: 'updated', id: existing.id, message: `Replaced your snippet #${existing.id}` };
+      case 'merge_tags':
+        await this.saveTags(existing.id, snippetData.tags, { replace: false });
+        return { status: 'updated', id: existing.id, message: `Added its tags to your snippet #${existing.id}` };
+      case 'keep_both': {
+        const snippetId = await this.insertSnippet(snippetData, userId, preserveIds ? this.requestedId(snippetData) : null);
+        await this.saveTags(snippetId, snippetData.tags, { replace: true });
+        await this.saveFavorite(snippetId, userId, snippetData.is_favorite);
+        return { status: 'imported', id: snippetId, message: 'Imported alongside your existing snippet' };
+      }
+      default:
+        throw new Error(`Unknown resolution "${resolution}"`);
+    }
+  }
+
+  /**
+   * Import a single snippet. An existing snippet of the importer's is the same snippet when it
+   * has the same title and content or, with preserveIds, the same ID; it is updated with
+   * overwriteExisting, left alone with skipDuplicates and otherwise imported again as a copy.
    * @private
+   * @returns {Object} Result detail: { status: 'imported' | 'updated' | 'skipped', id, message }
    */
   async importSingleSnippet(snippetData, options) {
-    const { overwriteExisting, skipDuplicates, preserveIds } = options;
+    const { overwriteExisting, skipDuplicates, preserveIds, userId } = options;
 
     // Validate required fields
     if (!snippetData.title || !snippetData.content) {
       throw new Error('Missing required fields: title or content');
     }
 
-    // Check for existing snippet by title and content
-    const existingSnippet = await db.get(
-      'SELECT id FROM snippets WHERE title = ? AND content = ?',
-      [snippetData.title, snippetData.content]
+    // Imported snippets keep their visibility when it's valid and are private otherwise
+    const visibility = accessService.isValidVisibility(snippetData.visibility) ? snippetData.visibility : 'private';
+
+    const requestedId = preserveIds ? this.requestedId(snippetData) : null;
+    const existingSnippet = (requestedId && await db.get(
+      'SELECT id FROM snippets WHERE id = ? AND user_id = ?',
+      [requestedId, userId]
+    )) || await db.get(
+      'SELECT id FROM snippets WHERE title = ? AND content = ? AND user_id = ?',
+      [snippetData.title, snippetData.content, userId]
     );
 
-    if (existingSnippet) {
-      if (skipDuplicates && !overwriteExisting) {
-        throw new Error('Snippet already exists (skipped)');
-      }
+    if (existingSnippet && !overwriteExisting && skipDuplicates) {
+      return { status: 'skipped', id: existingSnippet.id, message: `Snippet already exists as #${existingSnippet.id}` };
     }
 
-    let snippetId;
-
     if (existingSnippet && overwriteExisting) {
       // Update existing snippet
       await db.run(`
@@ -225,6 +649,7 @@ class ExportImportService {
           content = ?,
           language = ?,
           source = ?,
+          visibility = ?,
           updated_at = CURRENT_TIMESTAMP
         WHERE id = ?
       `, [
@@ -232,59 +657,105 @@ class ExportImportService {
         snippetData.content,
         snippetData.language || 'plaintext',
         snippetData.source || null,
+        visibility,
         existingSnippet.id
       ]);
-      snippetId = existingSnippet.id;
-    } else if (!existingSnippet) {
-      // Create new snippet
-      const result = await db.run(`
-        INSERT INTO snippets (title, content, language, source, created_at, updated_at)
-        VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-      `, [
-        snippetData.title,
-        snippetData.content,
-        snippetData.language || 'plaintext',
-        snippetData.source || null
-      ]);
-      snippetId = result.lastID;
+      await this.saveTags(existingSnippet.id, snippetData.tags, { replace: true });
+      await this.saveFavorite(existingSnippet.id, userId, snippetData.is_favorite);
+      return { status: 'updated', id: existingSnippet.id, message: `Updated snippet #${existingSnippet.id}` };
+    }
+
+    const snippetId = await this.insertSnippet(snippetData, userId, requestedId);
+    await this.saveTags(snippetId, snippetData.tags, { replace: true });
+    await this.saveFavorite(snippetId, userId, snippetData.is_favorite);
+
+    if (requestedId && snippetId !== requestedId) {
+      return { status: 'imported', id: snippetId, message: `ID ${requestedId} is taken; imported as #${snippetId}` };
     }
+    return { status: 'imported', id: snippetId, message: 'Successfully imported' };
+  }
+
+  /**
+   * Create a snippet from import data
+   * @private
+   * @param {Number|null} requestedId - ID to keep when no snippet has it yet
+   * @returns {Number} The new snippet's ID
+   */
+  async insertSnippet(snippetData, userId, requestedId = null) {
+    // Imported snippets keep their visibility when it's valid and are private otherwise
+    const visibility = accessService.isValidVisibility(snippetData.visibility) ? snippetData.visibility : 'private';
+
+    const taken = requestedId && await db.get('SELECT id FROM snippets WHERE id = ?', [requestedId]);
+    const result = await db.run(`
+      INSERT INTO snippets (id, title, content, language, source, user_id, visibility, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    `, [
+      requestedId && !taken ? requestedId : null,
+      snippetData.title,
+      snippetData.content,
+      snippetData.language || 'plaintext',
+      snippetData.source || null,
+      userId,
+      visibility
+    ]);
+    return result.id;
+  }
+
+  /**
+   * The ID an import asks a snippet to keep, when it has a usable one
+   * @private
+   */
+  requestedId(snippetData) {
+    return Number.isSafeInteger(snippetData.id) && snippetData.id > 0 ? snippetData.id : null;
+  }
+
+  /**
+   * Attach an imported snippet's tags, given as names or { name, color }
+   * @private
+   * @param {Object} options - replace removes the snippet's other tags first
+   */
+  async saveTags(snippetId, tags, { replace }) {
+    if (!tags || !Array.isArray(tags)) return;
 
-    // Handle tags if present
-    if (snippetData.tags && Array.isArray(snippetData.tags)) {
-      // Remove existing tags
+    if (replace) {
       await db.run('DELETE FROM snippet_tags WHERE snippet_id = ?', [snippetId]);
+    }
 
-      // Add new tags
-      for (const tagData of snippetData.tags) {
-        if (typeof tagData === 'string') {
-          await this.ensureTagExists(tagData);
-          const tag = await db.get('SELECT id FROM tags WHERE name = ?', [tagData]);
-          await db.run(
-            'INSERT OR IGNORE INTO snippet_tags (snippet_id, tag_id) VALUES (?, ?)',
-            [snippetId, tag.id]
-          );
-        } else if (tagData.name) {
-          await this.ensureTagExists(tagData.name, tagData.color);
-          const tag = await db.get('SELECT id FROM tags WHERE name = ?', [tagData.name]);
-          await db.run(
-            'INSERT OR IGNORE INTO snippet_tags (snippet_id, tag_id) VALUES (?, ?)',
-            [snippetId, tag.id]
-          );
-        }
-      }
+    for (const tagData of tags) {
+      const name = typeof tagData === 'string' ? tagData : tagData && tagData.name;
+      if (!name) continue;
+
+      await this.ensureTagExists(name, typeof tagData === 'string' ? undefined : tagData.color);
+      const tag = await db.get('SELECT id FROM tags WHERE name = ?', [name]);
+      await db.run(
+        'INSERT OR IGNORE INTO snippet_tags (snippet_id, tag_id) VALUES (?, ?)',
+        [snippetId, tag.id]
+      );
     }
+  }
 
-    // Handle favorites
-    if (snippetData.is_favorite) {
+  /**
+   * Favorite or unfavorite an imported snippet for the importer
+   * @private
+   */
+  async saveFavorite(snippetId, userId, isFavorite) {
+    if (isFavorite) {
       await db.run(
-        'INSERT OR IGNORE INTO favorites (snippet_id, created_at) VALUES (?, CURRENT_TIMESTAMP)',
-        [snippetId]
+        'INSERT OR IGNORE INTO favorites (user_id, snippet_id, created_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
+        [userId, snippetId]
       );
     } else {
-      await db.run('DELETE FROM favorites WHERE snippet_id = ?', [snippetId]);
+      await db.run('DELETE FROM favorites WHERE snippet_id = ? AND user_id = ?', [snippetId, userId]);
     }
+  }
 
-    return snippetId;
+  /**
+   * Tag names from import data, where tags are names or { name, color }
+   * @private
+   */
+  tagNames(tags) {
+    if (!Array.isArray(tags)) return [];
+    return tags.map(tag => (typeof tag === 'string' ? tag : tag && tag.name)).filter(Boolean);
   }
 
   /**
@@ -0,0 +1,156 @@
+const db = require('../db');
+const searchService = require('./search');
+const queryService = require('./query');
+const collectionService = require('./collections');
+const accessService = require('./access');
+
+/**
+ * Filter Service for MySnippetHub
+ * Turns snippet list parameters (search text, language, tags, favorites, collection) into SQL
+ * so the list route and saved search counts select exactly the same snippets.
+ * Results are always limited to the snippets the caller can see, and favorites
+ * mean the caller's own favorites (exposed to the query as the `my_favorites` CTE).
+ */
+
+class FilterService {
+  /**
+   * Read a tag list from a comma-separated or repeated query parameter
+   * @param {String|Array} value - e.g. 'react,hooks' or ['react', 'hooks']
+   * @returns {Array} Unique, trimmed tag names
+   */
+  parseTagList(value) {
+    if (value === undefined || value === null) return [];
+
+    const names = [].concat(value)
+      .flatMap(item => String(item).split(','))
+      .map(name => name.trim())
+      .filter(Boolean);
+
+    return [...new Set(names)];
+  }
+
+  /**
+   * Build tag filter conditions: every tag in `all`, at least one tag in `any`,
+   * and none of the tags in `exclude`
+   * @private
+   */
+  tagConditions({ all = [], any = [], exclude = [] }) {
+    const conditions = [];
+    const params = [];
+    const placeholders = (names) => names.map(() => '?').join(', ');
+
+    if (all.length > 0) {
+      conditions.push(`s.id IN (
+        SELECT st.snippet_id
+        FROM snippet_tags st
+        JOIN tags t ON t.id = st.tag_id
+        WHERE t.name IN (${placeholders(all)})
+        GROUP BY st.snippet_id
+        HAVING COUNT(DISTINCT t.id) = ?
+      )`);
+      params.push(...all, all.length);
+    }
+
+    if (any.length > 0) {
+      conditions.push(`EXISTS (
+        SELECT 1
+        FROM snippet_tags st
+        JOIN tags t ON t.id = st.tag_id
+        WHERE st.snippet_id = s.id AND t.name IN (${placeholders(any)})
+      )`);
+      params.push(...any);
+    }
+
+    if (exclude.length > 0) {
+      conditions.push(`NOT EXISTS (
+        SELECT 1
+        FROM snippet_tags st
+        JOIN tags t ON t.id = st.tag_id
+        WHERE st.snippet_id = s.id AND t.name IN (${placeholders(exclude)})
+      )`);
+      params.push(...exclude);
+    }
+
+    return { conditions, params };
+  }
+
+  /**
+   * Build the filtering part of a snippet list query
+   * @param {Object} query - List parameters: search, language, tag, tags, any_tags, exclude_tags, favorites, collection
+   * @param {Number} userId - The signed-in user
+   * @returns {Object} { matchQuery, ctes, joins, conditions, params } for `FROM snippets s`
+   * @throws {QueryError} When the search text has an invalid filter
+   */
+  build(query = {}, userId) {
+    const { search = '', language = '', favorites = false, collection } = query;
+
+    // Field filters (lang:, tag:, is:fav, ...) come out of the search text; the rest is full-text
+    const parsedQuery = queryService.parse(search);
+    const queryFilter = queryService.filterConditions(parsedQuery);
+    const visibility = accessService.visibleCondition(userId);
+
+    // `tag` is the original single-tag filter and behaves like one entry in `tags`
+    const tagFilter = this.tagConditions({
+      all: this.parseTagList([].concat(query.tags ?? [], query.tag ?? [], parsedQuery.tags.all)),
+      any: this.parseTagList([].concat(query.any_tags ?? [], parsedQuery.tags.any)),
+      exclude: this.parseTagList([].concat(query.exclude_tags ?? [], parsedQuery.tags.exclude))
+    });
+
+    const matchQuery = searchService.buildMatchQuery(parsedQuery.text);
+    const ctes = ['my_favorites AS (SELECT snippet_id, created_at FROM favorites WHERE user_id = ?)'];
+    const conditions = [visibility.condition];
+    const params = [userId];
+    let joins = '';
+
+    if (matchQuery) {
+      ctes.push(`fts AS MATERIALIZED (${searchService.matchSubquery()})`);
+      joins += ' JOIN fts ON fts.snippet_id = s.id';
+      params.push(...searchService.matchParams(matchQuery));
+    }
+
+    params.push(...visibility.params);
+
+    if (language) {
+      conditions.push('s.language = ?');
+      params.push(language);
+    }
+
+    conditions.push(...tagFilter.conditions, ...queryFilter.conditions);
+    params.push(...tagFilter.params, ...queryFilter.params);
+
+    if (favorites === true || favorites === 'true') {
+      joins += ' JOIN my_favorites f ON s.id = f.snippet_id';
+    }
+
+    // Only the snippets filed directly in the collection, not in its nested collections,
+    // and only when the collection is the caller's own
+    if (collection) {
+      const collectionFilter = collectionService.snippetCondition(collection);
+      conditions.push(collectionFilter.condition, 'EXISTS (SELECT 1 FROM collections c WHERE c.id = ? AND c.user_id = ?)');
+      params.push(...collectionFilter.params, collection, userId);
+    }
+
+    return { matchQuery, ctes, joins, conditions, params };
+  }
+
+  /**
+   * Count the snippets matching a set of list parameters
+   * @param {Object} query - Same parameters as build()
+   * @param {Number} userId - The signed-in user
+   * @returns {Number}
+   */
+  async count(query, userId) {
+    const filter = this.build(query, userId);
+    const row = await db.get(`
+      ${filter.ctes.length > 0 ? `WITH ${filter.ctes.join(', ')}` : ''}
+      SELECT COUNT(*) as total
+      FROM snippets s
+      ${filter.joins}
+      ${filter.conditions.length > 0 ? 'WHERE ' + filter.conditions.join(' AND ') : ''}
+    `, filter.params);
+
+    return row.total;
+  }
+}
+
+module.exports = new FilterService();
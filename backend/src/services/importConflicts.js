@@ -0,0 +1,181 @@
+const db = require('../db');
+const diffService = require('./diff');
+
+/**
+ * Import Conflict Service for MySnippetHub
+ * Compares snippets about to be imported with the importer's own library so each one can be
+ * decided on before anything is written. A snippet is:
+ *   new            - unlike anything in the library
+ *   identical      - the same title and content as a snippet in the library
+ *   title_conflict - the same title as a snippet in the library, with different content
+ *   similar        - close to the content of a snippet in the library (a fuzzy duplicate)
+ * and conflicts are resolved one by one with keep, replace, keep_both or merge_tags.
+ */
+
+const STATUSES = ['new', 'identical', 'title_conflict', 'similar'];
+const RESOLUTIONS = ['keep', 'replace', 'keep_both', 'merge_tags'];
+
+// Share of distinct tokens two snippets must have in common to count as the same snippet
+const SIMILARITY_THRESHOLD = 0.8;
+
+class ImportConflictService {
+  constructor() {
+    this.statuses = STATUSES;
+    this.resolutions = RESOLUTIONS;
+  }
+
+  /**
+   * Check whether a resolution is one we know
+   * @param {String} resolution
+   * @returns {Boolean}
+   */
+  isValidResolution(resolution) {
+    return RESOLUTIONS.includes(resolution);
+  }
+
+  /**
+   * Load a user's snippets for classify()
+   * @param {Number} userId
+   * @returns {Promise<Object>} Library index; treat it as opaque
+   */
+  async loadLibrary(userId) {
+    const snippets = await db.all(`
+      SELECT id, title, content, language, source, updated_at
+      FROM snippets
+      WHERE user_id = ?
+      ORDER BY id
+    `, [userId]);
+
+    const tagRows = await db.all(`
+      SELECT st.snippet_id, t.name
+      FROM snippet_tags st
+      JOIN tags t ON t.id = st.tag_id
+      JOIN snippets s ON s.id = st.snippet_id
+      WHERE s.user_id = ?
+      ORDER BY st.id
+    `, [userId]);
+    const tagsBySnippet = new Map();
+    tagRows.forEach(row => {
+      if (!tagsBySnippet.has(row.snippet_id)) tagsBySnippet.set(row.snippet_id, []);
+      tagsBySnippet.get(row.snippet_id).push(row.name);
+    });
+
+    const library = { snippets: [], byTitle: new Map() };
+    snippets.forEach(snippet => {
+      const entry = { ...snippet, tags: tagsBySnippet.get(snippet.id) || [], tokens: this.tokens(snippet.content) };
+      library.snippets.push(entry);
+
+      const key = this.titleKey(snippet.title);
+      if (!library.byTitle.has(key)) library.byTitle.set(key, []);
+      library.byTitle.get(key).push(entry);
+    });
+
+    return library;
+  }
+
+  /**
+   * Find how an incoming snippet relates to the library
+   * @param {Object} snippet - Incoming snippet ({ title, content })
+   * @param {Object} library - Result of loadLibrary()
+   * @returns {Object} { status, existing, similarity } where existing is the library snippet it
+   *   conflicts with ({ id, title, content, language, source, tags, updated_at }) or null
+   */
+  classify(snippet, library) {
+    const tokens = this.tokens(snippet.content);
+    const sameTitle = library.byTitle.get(this.titleKey(snippet.title)) || [];
+
+    const identical = sameTitle.find(existing => existing.title === snippet.title && existing.content === snippet.content);
+    if (identical) {
+      return { status: 'identical', existing: this.publicEntry(identical), similarity: 1 };
+    }
+
+    if (sameTitle.length > 0) {
+      // With several of the same title, the closest one is the one being updated
+      const closest = this.mostSimilar(tokens, sameTitle);
+      return { status: 'title_conflict', existing: this.publicEntry(closest.entry), similarity: closest.similarity };
+    }
+
+    const closest = this.mostSimilar(tokens, library.snippets);
+    if (closest.entry && closest.similarity >= SIMILARITY_THRESHOLD) {
+      return { status: 'similar', existing: this.publicEntry(closest.entry), similarity: closest.similarity };
+    }
+
+    return { status: 'new', existing: null, similarity: 0 };
+  }
+
+  /**
+   * What changes if an incoming snippet replaces the one it conflicts with
+   * @param {Object} existing - The library snippet from classify()
+   * @param {Object} snippet - Incoming snippet
+   * @returns {Object} Field comparison in the 'words' format of diffService.compareRevisions()
+   */
+  compare(existing, snippet) {
+    return diffService.compareRevisions(
+      existing,
+      { title: snippet.title, content: snippet.content, language: snippet.language || 'plaintext', source: snippet.source || null },
+      'words'
+    );
+  }
+
+  /**
+   * The library snippet with the highest similarity to the tokens
+   * @private
+   * @returns {Object} { entry, similarity }; entry is null for an empty list
+   */
+  mostSimilar(tokens, entries) {
+    let best = { entry: entries[0] || null, similarity: entries[0] ? this.similarity(tokens, entries[0].tokens) : 0 };
+
+    for (const entry of entries.slice(1)) {
+      // Jaccard similarity can't exceed the ratio of the set sizes, so most pairs are skipped unseen
+      const sizeRatio = Math.min(tokens.size, entry.tokens.size) / Math.max(tokens.size, entry.tokens.size, 1);
+      if (sizeRatio <= best.similarity) continue;
+
+      const similarity = this.similarity(tokens, entry.tokens);
+      if (similarity > best.similarity) best = { entry, similarity };
+    }
+
+    return best;
+  }
+
+  /**
+   * Jaccard similarity of two token sets, from 0 to 1
+   * @private
+   */
+  similarity(a, b) {
+    if (a.size === 0 && b.size === 0) return 1;
+
+    let shared = 0;
+    const [smaller, larger] = a.size < b.size ? [a, b] : [b, a];
+    smaller.forEach(token => {
+      if (larger.has(token)) shared++;
+    });
+    return shared / (a.size + b.size - shared);
+  }
+
+  /**
+   * The distinct words and symbols of some content, ignoring case and whitespace
+   * @private
+   */
+  tokens(content) {
+    return new Set(String(content).toLowerCase().match(/[a-z0-9_]+|[^\sa-z0-9_]/g) || []);
+  }
+
+  /**
+   * Titles that differ only in case or surrounding spaces are the same title
+   * @private
+   */
+  titleKey(title) {
+    return String(title).trim().toLowerCase();
+  }
+
+  /**
+   * A library entry without its token set
+   * @private
+   */
+  publicEntry(entry) {
+    const { tokens, ...snippet } = entry;
+    return snippet;
+  }
+}
+
+module.exports = new ImportConflictService();
@@ -0,0 +1,416 @@
+const path = require('path');
+const JSZip = require('jszip');
+const languageService = require('./languages');
+const backupService = require('./backup');
+const archiveService = require('./archive');
+
+/**
+ * Import Format Service for MySnippetHub
+ * Reads uploaded files in the formats snippets usually live in and turns them into our own
+ * import shape ({ snippets: [{ title, content, language, source, tags }] }):
+ *   mysnippethub - our JSON export
+ *   mysnippethub-backup - our full backup, which is restored rather than imported (see backupService)
+ *   mysnippethub-markdown - our Markdown export, with its tags, sources and favorites
+ *   mysnippethub-archive - our ZIP export with a file per snippet and a manifest.json
+ *   vscode       - VS Code `.code-snippets` or per-language snippet files (comments allowed)
+ *   gist         - GitHub gists, either as API JSON or a ZIP of gist folders ("Download ZIP")
+ *   markdown     - every fenced code block, titled by the heading above it
+ */
+
+const FORMAT_LABELS = {
+  mysnippethub: 'MySnippetHub export',
+  'mysnippethub-backup': 'MySnippetHub full backup',
+  'mysnippethub-markdown': 'MySnippetHub Markdown export',
+  'mysnippethub-archive': 'MySnippetHub ZIP archive',
+  vscode: 'VS Code snippets',
+  gist: 'GitHub Gist',
+  markdown: 'Markdown'
+};
+
+// Extensions the upload accepts
+const EXTENSIONS = ['.json', '.code-snippets', '.md', '.markdown', '.zip'];
+
+// Folder names of GitHub's gist downloads: <gist id>-<commit sha>
+const GIST_FOLDER_PATTERN = /^([0-9a-f]{20,32})(?:-[0-9a-f]{40})?$/;
+
+class ImportFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportFormatError';
+    this.status = 400;
+  }
+}
+
+class ImportFormatService {
+  constructor() {
+    this.ImportFormatError = ImportFormatError;
+    this.extensions = EXTENSIONS;
+    this.formatLabels = FORMAT_LABELS;
+  }
+
+  /**
+   * Whether an upload looks like a file we can import, going by its name
+   * @param {String} filename
+   * @returns {Boolean}
+   */
+  isSupportedFile(filename) {
+    return EXTENSIONS.includes(path.extname(String(filename)).toLowerCase());
+  }
+
+  /**
+   * Detect an uploaded file's format and convert it to import data
+   * @param {Buffer} buffer - File contents
+   * @param {String} filename - Original file name; decides between JSON and Markdown
+   * @returns {Promise<Object>} { format, data } where data has a snippets array
+   * @throws {ImportFormatError} When the file can't be read or isn't a format we know
+   */
+  async parse(buffer, filename = '') {
+    const extension = path.extname(String(filename)).toLowerCase();
+
+    if (buffer.subarray(0, 4).toString('binary') === 'PK\x03\x04') {
+      return this.readZip(buffer);
+    }
+
+    const text = buffer.toString('utf8').replace(/^﻿/, '');
+
+    if (extension === '.md' || extension === '.markdown') {
+      return this.readMarkdown(text, filename);
+    }
+
+    let json;
+    try {
+      json = this.parseJSON(text);
+    } catch (parseError) {
+      if (extension !== '.json' && extension !== '.code-snippets' && /^ {0,3}(```|~~~)/m.test(text)) {
+        return this.readMarkdown(text, filename);
+      }
+      throw new ImportFormatError('Invalid JSON file format');
+    }
+
+    if (backupService.isBackup(json)) {
+      return { format: 'mysnippethub-backup', data: json };
+    }
+    if (json && Array.isArray(json.snippets)) {
+      return { format: 'mysnippethub', data: json };
+    }
+    if (this.isGist(json) || (Array.isArray(json) && json.length > 0 && json.every(gist => this.isGist(gist)))) {
+      return { format: 'gist', data: this.fromGists(Array.isArray(json) ? json : [json]) };
+    }
+    if (this.isVSCode(json)) {
+      return { format: 'vscode', data: this.fromVSCode(json, filename) };
+    }
+
+    throw new ImportFormatError('Unrecognized file: expected a MySnippetHub export, VS Code snippets or a GitHub gist');
+  }
+
+  /**
+   * A ZIP as our own archive when it has our manifest, and as gist folders otherwise
+   * @private
+   */
+  async readZip(buffer) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+      throw new ImportFormatError('Invalid ZIP file');
+    }
+
+    // read() turns away ZIPs that unpack to too much before anything is inflated, gists included
+    try {
+      const archive = await archiveService.read(zip);
+      if (archive) {
+        return { format: 'mysnippethub-archive', data: archive };
+      }
+      return { format: 'gist', data: await this.parseGistArchive(zip) };
+    } catch (error) {
+      if (error instanceof archiveService.ArchiveError) throw new ImportFormatError(error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Markdown as our own export when it is one, and as plain code blocks otherwise
+   * @private
+   */
+  readMarkdown(text, filename) {
+    if (this.isMarkdownExport(text)) {
+      return { format: 'mysnippethub-markdown', data: this.parseMarkdownExport(text) };
+    }
+    return { format: 'markdown', data: this.parseMarkdown(text, filename) };
+  }
+
+  /**
+   * Snippets from a Markdown document: one per fenced code block. The nearest heading above a
+   * block is its title; the fence's info string is its language.
+   * @param {String} text
+   * @param {String} filename - Used for the titles of blocks above the first heading
+   * @returns {Object} { snippets }
+   * @throws {ImportFormatError} When the document has no code blocks
+   */
+  parseMarkdown(text, filename = '') {
+    const fallbackTitle = path.basename(String(filename), path.extname(String(filename))) || 'Untitled snippet';
+    const titleCounts = new Map();
+
+    const snippets = this.markdownBlocks(text)
+      .filter(block => block.content.trim())
+      .map(block => {
+        const base = block.heading ? block.heading.replace(/\s+#+\s*$/, '').trim() : fallbackTitle;
+        const count = (titleCounts.get(base) || 0) + 1;
+        titleCounts.set(base, count);
+
+        return {
+          title: count > 1 ? `${base} (${count})` : base,
+          content: block.content,
+          language: languageService.normalize(block.info.split(/\s+/)[0]) || 'text',
+          tags: []
+        };
+      });
+
+    if (snippets.length === 0) {
+      throw new ImportFormatError('No fenced code blocks found in the Markdown file');
+    }
+    return { snippets };
+  }
+
+  /**
+   * Snippets from our own Markdown export (exportImportService.exportToMarkdown()): each
+   * `## title` section's `**Language:**`, `**Source:**`, `**Tags:**` and `**Favorite:**`
+   * lines and its code block, taken as they are
+   * @param {String} text
+   * @returns {Object} { snippets }
+   * @throws {ImportFormatError} When the export has no snippets
+   */
+  parseMarkdownExport(text) {
+    const snippets = this.markdownBlocks(text)
+      .filter(block => block.level === 2)
+      .map(block => {
+        const tags = block.fields.get('Tags') || '';
+        return {
+          title: block.heading,
+          content: block.content,
+          language: block.fields.get('Language') || block.info || 'text',
+          source: block.fields.get('Source') || null,
+          tags: [...tags.matchAll(/`([^`]+)`/g)].map(match => match[1]),
+          is_favorite: block.fields.has('Favorite')
+        };
+      });
+
+    if (snippets.length === 0) {
+      throw new ImportFormatError('No snippets found in the MySnippetHub Markdown export');
+    }
+    return { snippets };
+  }
+
+  /**
+   * Whether Markdown is one of our own exports
+   * @private
+   */
+  isMarkdownExport(text) {
+    const firstLine = text.split('\n').find(line => line.trim()) || '';
+    return firstLine.trim() === '# MySnippetHub Export';
+  }
+
+  /**
+   * The fenced code blocks of a Markdown document, each with the heading above it and the
+   * `**Key:** value` lines between that heading and the block
+   * @private
+   * @returns {Array} { heading, level, fields, info, content }
+   */
+  markdownBlocks(text) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let heading = null;
+    let level = 0;
+    let fields = new Map();
+    let fence = null;
+
+    const addBlock = () => {
+      blocks.push({ heading, level, fields, info: fence.info, content: fence.lines.join('\n') });
+      fields = new Map();
+    };
+
+    for (const line of lines) {
+      if (fence) {
+        const closing = line.match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+        if (closing && closing[1][0] === fence.marker[0] && closing[1].length >= fence.marker.length) {
+          addBlock();
+          fence = null;
+        } else {
+          // Content is indented like its opening fence; drop that much indentation
+          fence.lines.push(line.replace(new RegExp(`^ {0,${fence.indent}}`), ''));
+        }
+        continue;
+      }
+
+      const opening = line.match(/^( {0,3})(`{3,}|~{3,})\s*(.*)$/);
+      if (opening && !(opening[2][0] === '`' && opening[3].includes('`'))) {
+        fence = { marker: opening[2], indent: opening[1].length, info: opening[3].trim(), lines: [] };
+        continue;
+      }
+
+      const headingMatch = line.match(/^ {0,3}(#{1,6})\s+(.*)$/);
+      if (headingMatch && headingMatch[2].trim()) {
+        level = headingMatch[1].length;
+        heading = headingMatch[2];
+        fields = new Map();
+        continue;
+      }
+
+      const field = line.match(/^\*\*([^*]+):\*\*\s?(.*)$/);
+      if (field) {
+        fields.set(field[1], field[2].trim());
+      }
+    }
+
+    // An unclosed fence runs to the end of the document
+    if (fence) addBlock();
+
+    return blocks;
+  }
+
+  /**
+   * JSON, or JSON with comments and trailing commas as VS Code writes it
+   * @private
+   */
+  parseJSON(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      // Drop comments outside strings, then commas before a closing bracket
+      const stripped = text
+        .replace(/("(?:[^"\\]|\\.)*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string || '')
+        .replace(/("(?:[^"\\]|\\.)*")|,(\s*[}\]])/g, (match, string, closing) => string || closing);
+      return JSON.parse(stripped);
+    }
+  }
+
+  /**
+   * Whether parsed JSON is a gist as the GitHub API returns it
+   * @private
+   */
+  isGist(json) {
+    return Boolean(json) && typeof json === 'object' && !Array.isArray(json) &&
+      Boolean(json.files) && typeof json.files === 'object' &&
+      Object.values(json.files).every(file => file && typeof file === 'object' && 'filename' in file);
+  }
+
+  /**
+   * Whether parsed JSON is a VS Code snippets file: snippet definitions with a body, keyed by name
+   * @private
+   */
+  isVSCode(json) {
+    if (!json || typeof json !== 'object' || Array.isArray(json)) return false;
+    const definitions = Object.values(json);
+    return definitions.length > 0 && definitions.every(definition =>
+      definition && typeof definition === 'object' &&
+      (typeof definition.body === 'string' || Array.isArray(definition.body))
+    );
+  }
+
+  /**
+   * Snippets from VS Code definitions. The language comes from `scope` or, for per-language
+   * files like `javascript.json`, the file name.
+   * @private
+   */
+  fromVSCode(definitions, filename) {
+    const fileLanguage = path.extname(String(filename)).toLowerCase() === '.json'
+      ? languageService.normalize(path.basename(String(filename), '.json'))
+      : null;
+
+    const snippets = Object.entries(definitions).map(([name, definition]) => {
+      const body = Array.isArray(definition.body) ? definition.body.join('\n') : definition.body;
+      const scopes = typeof definition.scope === 'string' ? definition.scope.split(',') : [];
+      const scopeLanguage = scopes.map(scope => languageService.normalize(scope)).find(Boolean);
+
+      return {
+        title: name,
+        content: this.unescapeVSCode(body),
+        language: scopeLanguage || fileLanguage || 'text',
+        tags: []
+      };
+    });
+
+    return { snippets };
+  }
+
+  /**
+   * Undo VS Code's escaping of `$`, `}` and `\`. An escaped `${` stays escaped so it isn't read
+   * as one of our placeholders.
+   * @private
+   */
+  unescapeVSCode(body) {
+    return String(body).replace(/\\([\\$}])/g, (match, character, offset, whole) => {
+      if (character === '$' && whole[offset + 2] === '{') return match;
+      return character;
+    });
+  }
+
+  /**
+   * Snippets from gists in GitHub API form: one per file. A single-file gist is titled by its
+   * description; files of larger gists by file name.
+   * @private
+   */
+  fromGists(gists) {
+    const snippets = [];
+
+    gists.forEach(gist => {
+      const files = Object.values(gist.files);
+      const description = typeof gist.description === 'string' ? gist.description.trim() : '';
+
+      files.forEach(file => {
+        const title = files.length === 1 && description
+          ? description
+          : description ? `${description} (${file.filename})` : file.filename;
+
+        snippets.push({
+          title,
+          content: file.content,
+          language: languageService.normalize(file.language) || languageService.detect(file.filename),
+          source: gist.html_url || null,
+          tags: []
+        });
+      });
+    });
+
+    return { snippets };
+  }
+
+  /**
+   * Snippets from a ZIP of gist folders, as GitHub's "Download ZIP" or a folder of cloned
+   * gists gives: one per text file, titled by file name
+   * @private
+   */
+  async parseGistArchive(zip) {
+    const entries = Object.values(zip.files).filter(entry => {
+      if (entry.dir) return false;
+      const parts = entry.name.split('/');
+      // Skip version control and OS metadata, and hidden files
+      return !parts.some(part => part.startsWith('.') || part === '__MACOSX');
+    });
+
+    const snippets = [];
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const content = await archiveService.readText(entry);
+      // Binary files such as images can't be snippets
+      if (content.includes('\u0000') || !content.trim()) continue;
+
+      const parts = entry.name.split('/');
+      const gistFolder = parts.length > 1 ? parts[0].match(GIST_FOLDER_PATTERN) : null;
+
+      snippets.push({
+        title: parts[parts.length - 1],
+        content,
+        language: languageService.detect(entry.name),
+        source: gistFolder ? `https://gist.github.com/${gistFolder[1]}` : null,
+        tags: []
+      });
+    }
+
+    if (snippets.length === 0) {
+      throw new ImportFormatError('No text files found in the ZIP file');
+    }
+    return { snippets };
+  }
+}
+
+module.exports = new ImportFormatService();
@@ -0,0 +1,97 @@
+/**
+ * Language Service for MySnippetHub
+ * File names for snippets, based on the languages offered in the snippet form, and the way back:
+ * which of those languages an imported file name or another tool's language name means
+ */
+
+const EXTENSIONS = {
+  javascript: 'js',
+  typescript: 'ts',
+  python: 'py',
+  rust: 'rs',
+  go: 'go',
+  java: 'java',
+  'c++': 'cpp',
+  'c#': 'cs',
+  php: 'php',
+  ruby: 'rb',
+  css: 'css',
+  html: 'html',
+  sql: 'sql',
+  json: 'json',
+  yaml: 'yml',
+  markdown: 'md',
+  bash: 'sh',
+  powershell: 'ps1',
+  text: 'txt'
+};
+
+// Other names for our languages: editor language ids, fence info strings, GitHub's names and extensions
+const ALIASES = {
+  js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript', javascriptreact: 'javascript',
+  ts: 'typescript', tsx: 'typescript', typescriptreact: 'typescript',
+  py: 'python', python3: 'python',
+  rs: 'rust',
+  golang: 'go',
+  cpp: 'c++', cc: 'c++', cxx: 'c++', hpp: 'c++',
+  cs: 'c#', csharp: 'c#',
+  rb: 'ruby',
+  htm: 'html',
+  yml: 'yaml',
+  md: 'markdown',
+  sh: 'bash', shell: 'bash', shellscript: 'bash', zsh: 'bash', console: 'bash',
+  ps1: 'powershell', pwsh: 'powershell', ps: 'powershell',
+  docker: 'dockerfile',
+  txt: 'text', plaintext: 'text', plain: 'text'
+};
+
+const LANGUAGES = new Set([...Object.keys(EXTENSIONS), 'dockerfile']);
+
+class LanguageService {
+  /**
+   * File extension for a language, without the dot
+   * @param {String} language - Snippet language
+   * @returns {String} 'txt' for languages without a known extension
+   */
+  extensionFor(language) {
+    return EXTENSIONS[String(language).toLowerCase()] || 'txt';
+  }
+
+  /**
+   * A download file name for a snippet, e.g. 'debounce-helper.js' or 'Dockerfile'
+   * @param {Object} snippet - { title, language }
+   * @returns {String}
+   */
+  filenameFor(snippet) {
+    if (snippet.language === 'dockerfile') return 'Dockerfile';
+
+    const base = String(snippet.title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'snippet';
+    return `${base}.${this.extensionFor(snippet.language)}`;
+  }
+
+  /**
+   * One of our languages for another tool's name for it, e.g. 'js', 'Shell' or 'shellscript'
+   * @param {String} name - Language name or id
+   * @returns {String|null} The language, or null when the name is empty or unknown
+   */
+  normalize(name) {
+    const key = String(name || '').trim().toLowerCase();
+    if (LANGUAGES.has(key)) return key;
+    return ALIASES[key] || null;
+  }
+
+  /**
+   * The language of a file from its name, e.g. 'utils.py' or 'Dockerfile'
+   * @param {String} filename
+   * @returns {String} 'text' for files without a known extension
+   */
+  detect(filename) {
+    const base = String(filename).split('/').pop();
+    if (/^dockerfile$/i.test(base)) return 'dockerfile';
+
+    const dot = base.lastIndexOf('.');
+    return dot > 0 ? this.normalize(base.slice(dot + 1)) || 'text' : 'text';
+  }
+}
+
+module.exports = new LanguageService();
@@ -0,0 +1,111 @@
+/**
+ * Pagination Service for MySnippetHub
+ * Parses limit/offset/cursor parameters and builds keyset (cursor) conditions
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class PaginationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PaginationError';
+    this.status = 400;
+  }
+}
+
+class PaginationService {
+  constructor() {
+    this.DEFAULT_LIMIT = DEFAULT_LIMIT;
+    this.MAX_LIMIT = MAX_LIMIT;
+    this.PaginationError = PaginationError;
+  }
+
+  /**
+   * Parse paging parameters from a query string
+   * @param {Object} query - req.query
+   * @returns {Object|null} { limit, offset, cursor } or null when the request isn't paginated
+   */
+  parseParams(query = {}) {
+    const { limit, offset, cursor } = query;
+
+    if (limit === undefined && offset === undefined && cursor === undefined) {
+      return null;
+    }
+
+    if (offset !== undefined && cursor !== undefined) {
+      throw new PaginationError('Use either offset or cursor, not both');
+    }
+
+    const parsedLimit = limit === undefined ? DEFAULT_LIMIT : Number(limit);
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_LIMIT) {
+      throw new PaginationError(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+
+    const parsedOffset = offset === undefined ? 0 : Number(offset);
+    if (!Number.isInteger(parsedOffset) || parsedOffset < 0) {
+      throw new PaginationError('offset must be a non-negative integer');
+    }
+
+    return {
+      limit: parsedLimit,
+      offset: cursor === undefined ? parsedOffset : null,
+      cursor: cursor === undefined ? null : this.decodeCursor(cursor)
+    };
+  }
+
+  /**
+   * Encode the sort values of the last row on a page as an opaque cursor
+   * @param {Array} values - Sort key values, tiebreaker last
+   * @returns {String} base64url cursor
+   */
+  encodeCursor(values) {
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor produced by encodeCursor()
+   * @param {String} cursor - base64url cursor
+   * @returns {Array} Sort key values
+   */
+  decodeCursor(cursor) {
+    try {
+      const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (!Array.isArray(values)) throw new Error('not an array');
+      return values;
+    } catch (error) {
+      throw new PaginationError('Invalid cursor');
+    }
+  }
+
+  /**
+   * Build a keyset condition selecting rows after the cursor position.
+   * For keys (a DESC, id DESC) and values (x, y): (a < x) OR (a = x AND id < y)
+   * @param {Array} keys - Sort keys like { expr, direction }
+   * @param {Array} values - Cursor values, one per key
+   * @returns {Object} { sql, params }
+   */
+  keysetCondition(keys, values) {
+    if (values.length !== keys.length) {
+      throw new PaginationError('Cursor does not match the requested sort order');
+    }
+
+    const clauses = [];
+    const params = [];
+
+    keys.forEach((key, index) => {
+      const parts = [];
+      for (let i = 0; i < index; i++) {
+        parts.push(`${keys[i].expr} = ?`);
+        params.push(values[i]);
+      }
+      parts.push(`${key.expr} ${key.direction === 'ASC' ? '>' : '<'} ?`);
+      params.push(values[index]);
+      clauses.push(`(${parts.join(' AND ')})`);
+    });
+
+    return { sql: `(${clauses.join(' OR ')})`, params };
+  }
+}
+
+module.exports = new PaginationService();
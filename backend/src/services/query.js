@@ -0,0 +1,252 @@
+/**
+ * Query Service for MySnippetHub
+ * Parses the search box language: field filters such as lang:, tag:, is:fav,
+ * created:>2025-01-01 and source:, with everything else left as full-text search
+ */
+
+// Field names, with aliases, mapped onto the filter they set
+const FIELDS = {
+  lang: 'language',
+  language: 'language',
+  tag: 'tag',
+  is: 'is',
+  created: 'created_at',
+  updated: 'updated_at',
+  source: 'source'
+};
+
+const FAVORITE_VALUES = ['fav', 'favorite', 'favorited'];
+const DATE_OPERATORS = ['>=', '<=', '>', '<', '='];
+
+class QueryError extends Error {
+  constructor(message, position, length) {
+    super(message);
+    this.name = 'QueryError';
+    this.status = 400;
+    this.position = position;
+    this.length = length;
+  }
+}
+
+class QueryService {
+  constructor() {
+    this.fields = Object.keys(FIELDS);
+    this.QueryError = QueryError;
+  }
+
+  /**
+   * Split a query into field filters and free-text tokens
+   * @private
+   */
+  tokenize(input) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < input.length) {
+      const char = input[index];
+
+      if (/\s/.test(char)) {
+        index++;
+        continue;
+      }
+
+      const start = index;
+
+      // Filters look like field:value or -field:value; "std::vector" and URLs stay text
+      const field = /^(-?)([A-Za-z]+):(?!:|\/\/)/.exec(input.slice(index));
+      if (field) {
+        index += field[0].length;
+        const value = this.readValue(input, index, start);
+        index = value.end;
+        tokens.push({
+          type: 'field',
+          negated: field[1] === '-',
+          name: field[2].toLowerCase(),
+          value: value.text,
+          position: start,
+          length: index - start
+        });
+        continue;
+      }
+
+      if (char === '"') {
+        // Full-text search already tolerates a stray quote, so only filter values reject one
+        const end = input.indexOf('"', index + 1);
+        index = end === -1 ? input.length : end + 1;
+        if (input[index] === '*') index++;
+      } else if (char === '(' || char === ')') {
+        index++;
+      } else {
+        while (index < input.length && !/[\s()"]/.test(input[index])) index++;
+      }
+
+      tokens.push({ type: 'text', value: input.slice(start, index) });
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Read a filter value, which may be quoted to include spaces
+   * @private
+   */
+  readValue(input, index, tokenStart) {
+    if (input[index] === '"') {
+      const end = input.indexOf('"', index + 1);
+      if (end === -1) {
+        throw new QueryError('Unterminated quote', tokenStart, input.length - tokenStart);
+      }
+      return { text: input.slice(index + 1, end), end: end + 1 };
+    }
+
+    let end = index;
+    while (end < input.length && !/[\s()]/.test(input[end])) end++;
+    return { text: input.slice(index, end), end };
+  }
+
+  /**
+   * Parse a search box query
+   * @param {String} input - e.g. 'lang:python tag:pandas is:fav created:>2025-01-01 "read_csv"'
+   * @returns {Object} { text, languages, tags, favorites, dates, sources }
+   * @throws {QueryError} With the position and length of the offending token
+   */
+  parse(input = '') {
+    const parsed = {
+      text: '',
+      languages: { include: [], exclude: [] },
+      tags: { all: [], any: [], exclude: [] },
+      favorites: null,
+      dates: [],
+      sources: { include: [], exclude: [] }
+    };
+    const text = [];
+
+    for (const token of this.tokenize(String(input))) {
+      if (token.type === 'text') {
+        text.push(token.value);
+        continue;
+      }
+
+      const fail = (message) => {
+        throw new QueryError(message, token.position, token.length);
+      };
+      const field = FIELDS[token.name];
+      const value = token.value.trim();
+
+      if (!field) {
+        fail(`Unknown filter "${token.name}:". Use ${this.fields.map(name => `${name}:`).join(', ')} or put the text in quotes`);
+      }
+      if (!value) {
+        fail(`"${token.name}:" needs a value`);
+      }
+
+      const values = value.split(',').map(item => item.trim()).filter(Boolean);
+
+      switch (field) {
+        case 'language':
+          parsed.languages[token.negated ? 'exclude' : 'include'].push(...values.map(item => item.toLowerCase()));
+          break;
+        case 'tag':
+          if (token.negated) {
+            parsed.tags.exclude.push(...values);
+          } else if (values.length > 1) {
+            parsed.tags.any.push(...values);
+          } else {
+            parsed.tags.all.push(...values);
+          }
+          break;
+        case 'is':
+          if (!FAVORITE_VALUES.includes(value.toLowerCase())) {
+            fail(`Unknown value "is:${value}". Use is:fav`);
+          }
+          parsed.favorites = !token.negated;
+          break;
+        case 'source':
+          parsed.sources[token.negated ? 'exclude' : 'include'].push(value);
+          break;
+        default:
+          if (token.negated) {
+            fail(`"${token.name}:" can't be negated; use < or > instead`);
+          }
+          parsed.dates.push(this.parseDate(field, value, fail));
+      }
+    }
+
+    parsed.text = text.join(' ');
+    return parsed;
+  }
+
+  /**
+   * Parse a date comparison like >2025-01-01 or 2025-01-01
+   * @private
+   */
+  parseDate(field, value, fail) {
+    const operator = DATE_OPERATORS.find(op => value.startsWith(op)) || '=';
+    const date = value.startsWith(operator) ? value.slice(operator.length) : value;
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+
+    if (!match) {
+      fail(`Invalid date "${date}". Use YYYY-MM-DD, optionally after >, >=, < or <=`);
+    }
+
+    // Reject dates like 2025-02-30 that Date would silently roll over
+    const parsedDate = new Date(`${date}T00:00:00Z`);
+    if (Number.isNaN(parsedDate.getTime()) || parsedDate.toISOString().slice(0, 10) !== date) {
+      fail(`Invalid date "${date}"`);
+    }
+
+    return { field, operator, date };
+  }
+
+  /**
+   * SQL conditions for the language, favorite, date and source filters of a parsed query.
+   * Tag filters are left in parsed.tags so callers can merge them with their own tag parameters.
+   * is:fav reads the caller's favorites from the `my_favorites` CTE that filterService provides.
+   * @param {Object} parsed - Output of parse()
+   * @returns {Object} { conditions, params }
+   */
+  filterConditions(parsed) {
+    const conditions = [];
+    const params = [];
+    const placeholders = (values) => values.map(() => '?').join(', ');
+
+    if (parsed.languages.include.length > 0) {
+      conditions.push(`LOWER(s.language) IN (${placeholders(parsed.languages.include)})`);
+      params.push(...parsed.languages.include);
+    }
+    if (parsed.languages.exclude.length > 0) {
+      conditions.push(`LOWER(s.language) NOT IN (${placeholders(parsed.languages.exclude)})`);
+      params.push(...parsed.languages.exclude);
+    }
+
+    if (parsed.favorites !== null) {
+      conditions.push(`${parsed.favorites ? '' : 'NOT '}EXISTS (SELECT 1 FROM my_favorites qf WHERE qf.snippet_id = s.id)`);
+    }
+
+    for (const { field, operator, date } of parsed.dates) {
+      conditions.push(`date(s.${field}) ${operator} ?`);
+      params.push(date);
+    }
+
+    for (const source of parsed.sources.include) {
+      conditions.push("s.source LIKE ? ESCAPE '\\'");
+      params.push(`%${this.escapeLike(source)}%`);
+    }
+    for (const source of parsed.sources.exclude) {
+      conditions.push("(s.source IS NULL OR s.source NOT LIKE ? ESCAPE '\\')");
+      params.push(`%${this.escapeLike(source)}%`);
+    }
+
+    return { conditions, params };
+  }
+
+  /**
+   * Escape LIKE wildcards so source filters match literally
+   * @private
+   */
+  escapeLike(value) {
+    return value.replace(/[\\%_]/g, char => `\\${char}`);
+  }
+}
+
+module.exports = new QueryService();
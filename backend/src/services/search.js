@@ -0,0 +1,167 @@
+/**
+ * Search Service for MySnippetHub
+ * Builds FTS5 match expressions and turns highlighted matches into segments
+ */
+
+// Control characters used to delimit matches in highlight()/snippet() output.
+// They never appear in user content, so splitting on them is unambiguous.
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+// Relative bm25 weights for the title, content, source and tags columns
+const COLUMN_WEIGHTS = [10.0, 1.0, 2.0, 5.0];
+
+class SearchService {
+  /**
+   * Tokenize a user search string into terms, phrases, operators and parentheses
+   * @private
+   */
+  tokenize(input) {
+    const tokens = [];
+    const pattern = /"([^"]*)"(\*)?|(\()|(\))|([^\s()"]+)/g;
+    let match;
+
+    while ((match = pattern.exec(input)) !== null) {
+      const [, phrase, phrasePrefix, open, close, word] = match;
+
+      if (phrase !== undefined) {
+        if (phrase.trim()) {
+          tokens.push({ type: 'phrase', value: phrase, prefix: Boolean(phrasePrefix) });
+        }
+      } else if (open) {
+        tokens.push({ type: 'open' });
+      } else if (close) {
+        tokens.push({ type: 'close' });
+      } else if (OPERATORS.includes(word)) {
+        tokens.push({ type: 'operator', value: word });
+      } else {
+        const prefix = word.length > 1 && word.endsWith('*');
+        const value = word.replace(/\*+$/, '');
+        if (value) {
+          tokens.push({ type: 'term', value, prefix });
+        }
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Build a safe FTS5 MATCH expression from a user search string.
+   * Supports "exact phrases", prefix* queries, AND / OR / NOT and parentheses.
+   * Every term is quoted so punctuation (c++, foo-bar, a:b) can't cause syntax errors.
+   * @param {String} input - Raw search text
+   * @returns {String} FTS5 expression, or '' when nothing searchable remains
+   */
+  buildMatchQuery(input = '') {
+    const tokens = this.tokenize(String(input));
+    const parts = [];
+    let depth = 0;
+
+    const lastPart = () => parts[parts.length - 1];
+    const expectsOperand = () => {
+      const last = lastPart();
+      return !last || last === '(' || OPERATORS.includes(last);
+    };
+
+    for (const token of tokens) {
+      // FTS5 only allows implicit AND between plain phrases, so spell it out
+      if ((token.type === 'term' || token.type === 'phrase' || token.type === 'open') && !expectsOperand()) {
+        parts.push('AND');
+      }
+
+      if (token.type === 'term' || token.type === 'phrase') {
+        const quoted = `"${token.value.replace(/"/g, '""')}"${token.prefix ? '*' : ''}`;
+        parts.push(quoted);
+      } else if (token.type === 'operator') {
+        // Operators need an operand on their left; drop leading or repeated ones
+        if (!expectsOperand()) {
+          parts.push(token.value);
+        }
+      } else if (token.type === 'open') {
+        parts.push('(');
+        depth++;
+      } else if (token.type === 'close') {
+        if (depth === 0) continue;
+        while (expectsOperand() && lastPart() !== '(') parts.pop();
+        if (lastPart() === '(') {
+          parts.pop();
+        } else {
+          parts.push(')');
+        }
+        depth--;
+      }
+    }
+
+    // Drop dangling operators and close any open groups
+    while (parts.length > 0 && (OPERATORS.includes(lastPart()) || lastPart() === '(')) {
+      if (parts.pop() === '(') depth--;
+    }
+    while (depth-- > 0) parts.push(')');
+
+    return parts.join(' ');
+  }
+
+  /**
+   * SQL fragment selecting matching snippet ids with rank and highlights.
+   * Bind parameters, in order: MATCH_START, MATCH_END, MATCH_START, MATCH_END, match query.
+   * Use it as a MATERIALIZED CTE: FTS5 auxiliary functions fail once the
+   * query planner flattens them into a join.
+   * @returns {String} Subquery for a WITH clause
+   */
+  matchSubquery() {
+    return `
+      SELECT rowid AS snippet_id,
+             bm25(snippets_fts, ${COLUMN_WEIGHTS.join(', ')}) AS rank,
+             highlight(snippets_fts, 0, ?, ?) AS title_highlight,
+             snippet(snippets_fts, 1, ?, ?, '…', 24) AS content_highlight
+      FROM snippets_fts
+      WHERE snippets_fts MATCH ?
+    `;
+  }
+
+  /**
+   * Parameters for matchSubquery()
+   * @param {String} matchQuery - Expression from buildMatchQuery()
+   */
+  matchParams(matchQuery) {
+    return [MATCH_START, MATCH_END, MATCH_START, MATCH_END, matchQuery];
+  }
+
+  /**
+   * Split highlighted text into plain and matched segments
+   * @param {String} text - Output of highlight() or snippet()
+   * @returns {Array} Segments like { text, match }
+   */
+  toSegments(text) {
+    if (!text) return [];
+
+    const segments = [];
+    let matched = false;
+    let buffer = '';
+
+    for (const char of text) {
+      if (char === MATCH_START || char === MATCH_END) {
+        if (buffer) segments.push({ text: buffer, match: matched });
+        buffer = '';
+        matched = char === MATCH_START;
+      } else {
+        buffer += char;
+      }
+    }
+    if (buffer) segments.push({ text: buffer, match: matched });
+
+    return segments;
+  }
+
+  /**
+   * Check whether a database error came from an invalid FTS5 expression
+   */
+  isQueryError(error) {
+    return Boolean(error && /fts5/i.test(error.message));
+  }
+}
+
+module.exports = new SearchService();
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const db = require('../db');
+const authService = require('./auth');
+
+/**
+ * Share Link Service for MySnippetHub
+ * Read-only links to a single snippet for people without an account. The link token is
+ * unguessable and only stored as a hash; links can expire, need a password, and be revoked.
+ */
+
+const MAX_EXPIRY_DAYS = 365;
+const MIN_PASSWORD_LENGTH = 4;
+
+class ShareLinkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ShareLinkError';
+    this.status = 400;
+  }
+}
+
+class ShareLinkService {
+  constructor() {
+    this.ShareLinkError = ShareLinkError;
+    this.MAX_EXPIRY_DAYS = MAX_EXPIRY_DAYS;
+  }
+
+  /**
+   * Create a share link for a snippet. The plain token is only returned here.
+   * @param {Number} snippetId
+   * @param {Number} userId - The owner creating the link
+   * @param {Object} options - { expiresInDays, password }, both optional
+   * @returns {Object} { token, shareLink }
+   * @throws {ShareLinkError} When the expiry or password is invalid
+   */
+  async create(snippetId, userId, { expiresInDays = null, password = null } = {}) {
+    const hasExpiry = expiresInDays !== null && expiresInDays !== undefined && expiresInDays !== '';
+    const days = Number(expiresInDays);
+    if (hasExpiry && (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS)) {
+      throw new ShareLinkError(`Expiry must be a whole number of days between 1 and ${MAX_EXPIRY_DAYS}`);
+    }
+    if (password !== null && password !== undefined && password !== '') {
+      if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new ShareLinkError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      }
+    }
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    const passwordHash = password ? await authService.hashPassword(password) : null;
+
+    const result = await db.run(
+      `INSERT INTO share_links (snippet_id, user_id, token_hash, token_prefix, password_hash, expires_at)
+       VALUES (?, ?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END)`,
+      [
+        snippetId,
+        userId,
+        this.hashToken(token),
+        token.slice(0, 6),
+        passwordHash,
+        hasExpiry ? days : null,
+        `+${days} days`
+      ]
+    );
+
+    return { token, shareLink: await this.get(result.id, snippetId) };
+  }
+
+  /**
+   * List a snippet's share links, active ones first
+   * @param {Number} snippetId
+   * @returns {Array}
+   */
+  async list(snippetId) {
+    const rows = await db.all(`
+      SELECT l.*, ${this.expiredColumn()}
+      FROM share_links l
+      WHERE l.snippet_id = ?
+      ORDER BY l.revoked_at IS NOT NULL, expired, l.created_at DESC, l.id DESC
+    `, [snippetId]);
+    return rows.map(row => this.format(row));
+  }
+
+  /**
+   * Get one of a snippet's share links
+   * @param {Number} linkId
+   * @param {Number} snippetId
+   * @returns {Object|null}
+   */
+  async get(linkId, snippetId) {
+    const row = await db.get(
+      `SELECT l.*, ${this.expiredColumn()} FROM share_links l WHERE l.id = ? AND l.snippet_id = ?`,
+      [linkId, snippetId]
+    );
+    return row ? this.format(row) : null;
+  }
+
+  /**
+   * Revoke one of a snippet's share links
+   * @param {Number} linkId
+   * @param {Number} snippetId
+   * @returns {Boolean} false when the link doesn't exist or was already revoked
+   */
+  async revoke(linkId, snippetId) {
+    const result = await db.run(
+      'UPDATE share_links SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND snippet_id = ? AND revoked_at IS NULL',
+      [linkId, snippetId]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Look up a share link by its token
+   * @param {String} token - From the share URL
+   * @returns {Object|null} The link row with `expired`, or null for unknown tokens. Revoked and expired
+   *   links are returned too so callers can say why they no longer work.
+   */
+  async findByToken(token) {
+    if (!token) return null;
+
+    const row = await db.get(
+      `SELECT l.*, ${this.expiredColumn()} FROM share_links l WHERE l.token_hash = ?`,
+      [this.hashToken(token)]
+    );
+    return row ? { ...row, expired: Boolean(row.expired) } : null;
+  }
+
+  /**
+   * Check the password for a link; links without one always pass
+   * @param {Object} link - Row from findByToken()
+   * @param {String} password
+   * @returns {Boolean}
+   */
+  async checkPassword(link, password) {
+    if (!link.password_hash) return true;
+    if (!password) return false;
+    return authService.verifyPassword(password, link.password_hash);
+  }
+
+  /**
+   * Count a view of the shared page
+   * @param {Number} linkId
+   */
+  async recordView(linkId) {
+    await db.run(
+      'UPDATE share_links SET view_count = view_count + 1, last_viewed_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [linkId]
+    );
+  }
+
+  /**
+   * Select expression flagging expired links
+   * @private
+   */
+  expiredColumn() {
+    return '(l.expires_at IS NOT NULL AND l.expires_at <= CURRENT_TIMESTAMP) as expired';
+  }
+
+  /**
+   * Turn a database row into the API shape (never includes the hashes)
+   * @private
+   */
+  format(row) {
+    const { token_hash, password_hash, expired, ...fields } = row;
+    return { ...fields, has_password: Boolean(password_hash), expired: Boolean(expired) };
+  }
+
+  /**
+   * Tokens are looked up by a hash so a leaked database doesn't leak working links
+   * @private
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+module.exports = new ShareLinkService();
@@ -0,0 +1,158 @@
+/**
+ * Sort Service for MySnippetHub
+ * Validates sort parameters and maps them onto whitelisted ORDER BY expressions
+ */
+
+// Zero-pad a run of digits so text comparison orders numbers by value.
+// Runs longer than the pad width are left alone rather than truncated.
+const padDigits = (run) => `
+  CASE
+    WHEN ${run} = '' THEN ''
+    WHEN length(${run}) >= 20 THEN ${run}
+    ELSE substr('00000000000000000000' || ${run}, -20)
+  END`;
+
+// Walks each title one character at a time, lower-casing letters and padding
+// digit runs: "Step 10" -> "step 00000000000000000010", which sorts after "Step 9".
+// Only the titles being listed are walked, from the caller's `filtered_snippets` CTE.
+const NATURAL_TITLES_CTE = `
+  natural_titles_walk(snippet_id, rest, sort_key, digits) AS (
+    SELECT id, title, '', '' FROM filtered_snippets
+    UNION ALL
+    SELECT snippet_id,
+           substr(rest, 2),
+           CASE WHEN substr(rest, 1, 1) GLOB '[0-9]'
+                THEN sort_key
+                ELSE sort_key || ${padDigits('digits')} || lower(substr(rest, 1, 1))
+           END,
+           CASE WHEN substr(rest, 1, 1) GLOB '[0-9]' THEN digits || substr(rest, 1, 1) ELSE '' END
+    FROM natural_titles_walk
+    WHERE rest <> ''
+  ),
+  natural_titles AS MATERIALIZED (
+    SELECT snippet_id, sort_key || ${padDigits('digits')} AS sort_key
+    FROM natural_titles_walk
+    WHERE rest = ''
+  )
+`;
+
+// Sortable fields. Unfavorited snippets sort as '' so cursor comparisons never see NULL;
+// favorited_at reads the caller's favorites from filterService's `my_favorites` CTE.
+const SORT_FIELDS = {
+  relevance: { expr: 'fts.rank', direction: 'ASC', requiresSearch: true },
+  created_at: { expr: 's.created_at', direction: 'DESC' },
+  updated_at: { expr: 's.updated_at', direction: 'DESC' },
+  title: { expr: 's.title COLLATE NOCASE', direction: 'ASC' },
+  title_natural: {
+    expr: 'nt.sort_key',
+    direction: 'ASC',
+    cte: NATURAL_TITLES_CTE,
+    join: 'JOIN natural_titles nt ON nt.snippet_id = s.id'
+  },
+  language: { expr: 's.language', direction: 'ASC' },
+  favorited_at: {
+    expr: "COALESCE((SELECT fs.created_at FROM my_favorites fs WHERE fs.snippet_id = s.id), '')",
+    direction: 'DESC'
+  },
+  versions: { expr: 's.version', direction: 'DESC' }
+};
+
+const SORT_ORDERS = ['asc', 'desc'];
+
+class SortError extends Error {
+  constructor(message, allowed) {
+    super(message);
+    this.name = 'SortError';
+    this.status = 400;
+    this.allowed = allowed;
+  }
+}
+
+class SortService {
+  constructor() {
+    this.fields = Object.keys(SORT_FIELDS);
+    this.orders = SORT_ORDERS;
+    this.SortError = SortError;
+  }
+
+  /**
+   * Parse sort and order query parameters.
+   * `sort` is a comma-separated list of fields; a leading '-' sorts that field
+   * descending and '+' ascending. Unprefixed fields use `order` when given,
+   * otherwise the field's natural direction (newest, most or A-Z first).
+   * @param {String} sort - e.g. 'language,-updated_at'
+   * @param {String} order - 'asc' or 'desc'
+   * @param {Object} options - { searching } whether a search query is active
+   * @returns {Array} Sort keys like { field, expr, direction, cte, join }, ending with the id tiebreaker
+   */
+  parse(sort, order, { searching = false } = {}) {
+    let defaultOrder = null;
+    if (order !== undefined && order !== '') {
+      defaultOrder = String(order).toLowerCase();
+      if (!SORT_ORDERS.includes(defaultOrder)) {
+        throw new SortError(`Invalid order "${order}"`, SORT_ORDERS);
+      }
+    }
+
+    const requested = sort === undefined || sort === ''
+      ? [searching ? 'relevance' : 'created_at']
+      : String(sort).split(',').map(part => part.trim());
+
+    const keys = [];
+    for (const part of requested) {
+      const prefix = part.charAt(0) === '-' || part.charAt(0) === '+' ? part.charAt(0) : '';
+      const field = part.slice(prefix.length);
+      const definition = SORT_FIELDS[field];
+
+      if (!definition) {
+        throw new SortError(`Invalid sort field "${part}"`, this.fields);
+      }
+      if (keys.some(key => key.field === field)) {
+        throw new SortError(`Sort field "${field}" is listed more than once`, this.fields);
+      }
+
+      // Relevance only means something while searching; fall back to newest first
+      if (definition.requiresSearch && !searching) {
+        if (requested.length === 1) {
+          keys.push({ field: 'created_at', ...SORT_FIELDS.created_at });
+        }
+        continue;
+      }
+
+      let direction = defaultOrder ? defaultOrder.toUpperCase() : definition.direction;
+      if (prefix === '-') direction = 'DESC';
+      if (prefix === '+') direction = 'ASC';
+
+      keys.push({ field, ...definition, direction });
+    }
+
+    // The snippet id breaks ties so cursors are stable
+    keys.push({ field: 'id', expr: 's.id', direction: keys[0] ? keys[0].direction : 'DESC' });
+
+    return keys;
+  }
+
+  /**
+   * Extra CTEs and joins the sort keys depend on. The CTEs read the snippets being listed
+   * from a `filtered_snippets` CTE (id, title) the caller defines before them.
+   * @param {Array} keys - Output of parse()
+   * @returns {Object} { ctes, joins }
+   */
+  dependencies(keys) {
+    return {
+      ctes: keys.filter(key => key.cte).map(key => key.cte),
+      joins: keys.filter(key => key.join).map(key => key.join).join(' ')
+    };
+  }
+
+  /**
+   * ORDER BY clause body for the sort keys
+   * @param {Array} keys - Output of parse()
+   * @returns {String}
+   */
+  orderBy(keys) {
+    return keys.map(key => `${key.expr} ${key.direction}`).join(', ');
+  }
+}
+
+module.exports = new SortService();
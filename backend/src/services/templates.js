@@ -0,0 +1,134 @@
+/**
+ * Template Service for MySnippetHub
+ * Snippets can be boilerplate with blanks. Two placeholder styles are recognised:
+ *   {{name}} / {{name:default}}  - named variables
+ *   ${1:label}                   - editor-style tab stops; the label is also the default
+ * Repeated placeholders share one value. `\{{` and `\${` write the characters literally.
+ * Bare `$1` and `${1:-x}` are left alone because shell scripts use them.
+ */
+
+const PLACEHOLDER_PATTERN = /\\(\{\{|\$\{)|\{\{\s*([A-Za-z_][\w.-]*)\s*(?::([^}]*))?\}\}|\$\{(\d+):([^}\-=+?][^}]*)\}/g;
+
+class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+    this.status = 400;
+  }
+}
+
+class TemplateService {
+  constructor() {
+    this.TemplateError = TemplateError;
+  }
+
+  /**
+   * Find the placeholders in a snippet's content
+   * @param {String} content
+   * @returns {Array} Variables in order of first use: { name, label, default, syntax }
+   */
+  parse(content) {
+    const variables = new Map();
+
+    for (const match of String(content).matchAll(PLACEHOLDER_PATTERN)) {
+      const placeholder = this.readMatch(match);
+      if (!placeholder) continue;
+
+      const existing = variables.get(placeholder.name);
+      if (!existing) {
+        variables.set(placeholder.name, placeholder);
+      } else if (existing.default === null && placeholder.default !== null) {
+        // A later occurrence may be the one that gives the default
+        variables.set(placeholder.name, { ...existing, label: placeholder.label, default: placeholder.default });
+      }
+    }
+
+    return [...variables.values()];
+  }
+
+  /**
+   * Fill in a snippet's placeholders
+   * @param {String} content
+   * @param {Object} values - Variable name to value; empty values fall back to the default
+   * @returns {Object} { content, variables, missing } where missing lists variables that had
+   *   neither a value nor a default and were left empty
+   * @throws {TemplateError} When values isn't an object of strings
+   */
+  render(content, values = {}) {
+    if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+      throw new TemplateError('values must be an object of variable names to values');
+    }
+    const invalid = Object.entries(values).find(([, value]) => typeof value !== 'string' && typeof value !== 'number');
+    if (invalid) {
+      throw new TemplateError(`The value for "${invalid[0]}" must be a string`);
+    }
+
+    const variables = this.parse(content);
+    const defaults = new Map(variables.map(variable => [variable.name, variable.default]));
+    const missing = new Set();
+
+    const rendered = String(content).replace(PLACEHOLDER_PATTERN, (...args) => {
+      const placeholder = this.readMatch(args);
+      if (!placeholder) return args[1];
+
+      const value = values[placeholder.name];
+      if (value !== undefined && value !== '') return String(value);
+
+      const fallback = defaults.get(placeholder.name);
+      if (fallback !== null) return fallback;
+
+      missing.add(placeholder.name);
+      return '';
+    });
+
+    return { content: rendered, variables, missing: [...missing] };
+  }
+
+  /**
+   * Split a snippet's content into literal text and placeholders, for converting it to
+   * another placeholder syntax. Escaped `\{{` / `\${` come back as plain text.
+   * @param {String} content
+   * @returns {Array} { text } and { placeholder: { name, label, default, syntax } } parts in order
+   */
+  segments(content) {
+    const text = String(content);
+    const parts = [];
+    let literal = '';
+    let position = 0;
+
+    for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+      literal += text.slice(position, match.index);
+      position = match.index + match[0].length;
+
+      const placeholder = this.readMatch(match);
+      if (!placeholder) {
+        literal += match[1];
+        continue;
+      }
+      if (literal) parts.push({ text: literal });
+      parts.push({ placeholder });
+      literal = '';
+    }
+
+    literal += text.slice(position);
+    if (literal) parts.push({ text: literal });
+    return parts;
+  }
+
+  /**
+   * Turn a regex match into a placeholder, or null for an escaped `\{{` / `\${`
+   * @private
+   */
+  readMatch(match) {
+    const [, escaped, name, nameDefault, tabStop, tabStopLabel] = match;
+    if (escaped) return null;
+
+    if (name) {
+      const fallback = nameDefault === undefined ? null : nameDefault.trim();
+      return { name, label: name, default: fallback, syntax: 'named' };
+    }
+    return { name: tabStop, label: tabStopLabel, default: tabStopLabel, syntax: 'tabstop' };
+  }
+}
+
+module.exports = new TemplateService();
@@ -1,7 +1,12 @@
 const request = require('supertest');
 const express = require('express');
 const cors = require('cors');
+const JSZip = require('jszip');
 const database = require('../db');
+const authService = require('../services/auth');
+
+// Signed-in user for requests to the test app; created in beforeAll
+let testUser;
 
 // Create test app
 const createTestApp = () => {
@@ -9,12 +14,24 @@ const createTestApp = () => {
   
   app.use(cors());
   app.use(express.json());
+
+  // Stand-in for requireAuth: every request is made as the test user
+  app.use((req, res, next) => {
+    req.user = testUser;
+    next();
+  });
   
   // Import routes
   app.use('/api/snippets', require('../routes/snippets'));
   app.use('/api/tags', require('../routes/tags'));
   app.use('/api/favorites', require('../routes/favorites'));
   app.use('/api/analytics', require('../routes/analytics'));
+  app.use('/api/saved-searches', require('../routes/savedSearches'));
+  app.use('/api/collections', require('../routes/collections'));
+  app.use('/api/auth', require('../routes/auth'));
+  app.use('/api/tokens', require('../routes/tokens'));
+  app.use('/api/share', require('../routes/share'));
+  app.use('/api/public', require('../routes/public'));
   
   // Health check
   app.get('/health', (req, res) => {
@@ -30,6 +47,7 @@ beforeAll(async () => {
   // Initialize test database
   await database.connect();
   await database.initSchema();
+  testUser = await authService.createUser({ username: `owner${Date.now()}`, password: 'test user password' });
   app = createTestApp();
 });
 
@@ -169,6 +187,2232 @@ describe('Snippets API', () => {
   });
 });
 
+describe('Snippet pagination', () => {
+  test('GET /api/snippets with limit and offset should return a page with totals', async () => {
+    const all = await request(app).get('/api/snippets').expect(200);
+    expect(Number(all.headers['x-total-count'])).toBe(all.body.length);
+
+    const response = await request(app)
+      .get('/api/snippets?limit=2&offset=1')
+      .expect(200);
+
+    expect(response.body.snippets.map(s => s.id)).toEqual(all.body.slice(1, 3).map(s => s.id));
+    expect(response.body.pagination).toMatchObject({
+      total: all.body.length,
+      limit: 2,
+      offset: 1,
+      has_more: true
+    });
+    expect(Array.isArray(response.body.snippets[0].tags)).toBe(true);
+  });
+
+  test('GET /api/snippets with a cursor should walk every snippet once', async () => {
+    const all = await request(app).get('/api/snippets?sort=title&order=asc').expect(200);
+
+    const seen = [];
+    let cursor = null;
+    do {
+      const response = await request(app)
+        .get(`/api/snippets?sort=title&order=asc&limit=3${cursor ? `&cursor=${cursor}` : ''}`)
+        .expect(200);
+      seen.push(...response.body.snippets.map(s => s.id));
+      cursor = response.body.pagination.next_cursor;
+    } while (cursor);
+
+    expect(seen).toEqual(all.body.map(s => s.id));
+  });
+
+  test('GET /api/snippets should reject invalid paging parameters', async () => {
+    await request(app).get('/api/snippets?limit=0').expect(400);
+    await request(app).get('/api/snippets?limit=500').expect(400);
+    await request(app).get('/api/snippets?offset=-1').expect(400);
+    await request(app).get('/api/snippets?cursor=not-a-cursor').expect(400);
+    await request(app).get('/api/snippets?offset=2&cursor=WzFd').expect(400);
+  });
+});
+
+describe('Snippet sorting', () => {
+  // Other runs' team snippets stay in the database, so the step snippets carry this run's tag
+  const stepTag = `steps-${Date.now()}`;
+
+  beforeAll(async () => {
+    for (const title of ['Step 10', 'Step 9', 'step 2']) {
+      await request(app)
+        .post('/api/snippets')
+        .send({ title, content: `echo "${title}"`, language: 'bash', tags: [stepTag] })
+        .expect(201);
+    }
+  });
+
+  test('sorts titles in natural order', async () => {
+    const response = await request(app)
+      .get(`/api/snippets?tag=${stepTag}&sort=title_natural`)
+      .expect(200);
+
+    expect(response.body.map(s => s.title)).toEqual(['step 2', 'Step 9', 'Step 10']);
+    expect(response.body[0]).not.toHaveProperty('sort_key_0');
+  });
+
+  test('sorts only the filtered snippets in natural order, with search and cursors', async () => {
+    const first = await request(app)
+      .get(`/api/snippets?search=echo%20step&tag=${stepTag}&sort=-title_natural&limit=2`)
+      .expect(200);
+    expect(first.body.snippets.map(s => s.title)).toEqual(['Step 10', 'Step 9']);
+    expect(first.body.pagination.total).toBe(3);
+
+    const rest = await request(app)
+      .get(`/api/snippets?search=echo%20step&tag=${stepTag}&sort=-title_natural&limit=2&cursor=${first.body.pagination.next_cursor}`)
+      .expect(200);
+    expect(rest.body.snippets.map(s => s.title)).toEqual(['step 2']);
+  });
+
+  test('supports multiple keys with per-key direction', async () => {
+    const response = await request(app)
+      .get('/api/snippets?sort=language,-updated_at')
+      .expect(200);
+
+    const languages = response.body.map(s => s.language);
+    expect(languages).toEqual([...languages].sort());
+
+    response.body.forEach((snippet, index) => {
+      const next = response.body[index + 1];
+      if (next && next.language === snippet.language) {
+        expect(snippet.updated_at >= next.updated_at).toBe(true);
+      }
+    });
+  });
+
+  test('walks a multi-key sort with cursors', async () => {
+    const all = await request(app).get('/api/snippets?sort=-versions,title_natural').expect(200);
+
+    const seen = [];
+    let cursor = null;
+    do {
+      const response = await request(app)
+        .get(`/api/snippets?sort=-versions,title_natural&limit=4${cursor ? `&cursor=${cursor}` : ''}`)
+        .expect(200);
+      seen.push(...response.body.snippets.map(s => s.id));
+      cursor = response.body.pagination.next_cursor;
+    } while (cursor);
+
+    expect(seen).toEqual(all.body.map(s => s.id));
+  });
+
+  test('puts the most recently favorited snippets first', async () => {
+    const list = await request(app).get('/api/snippets?language=bash').expect(200);
+    const target = list.body.find(s => !s.is_favorite);
+    await request(app).post(`/api/favorites/${target.id}`).expect(200);
+
+    const response = await request(app).get('/api/snippets?sort=favorited_at').expect(200);
+    expect(response.body[0].id).toBe(target.id);
+  });
+
+  test('rejects unknown sort fields and orders with the allowed values', async () => {
+    const badSort = await request(app)
+      .get('/api/snippets?sort=title;DROP TABLE snippets')
+      .expect(400);
+    expect(badSort.body.error).toMatch(/Invalid sort field/);
+    expect(badSort.body.allowed).toEqual(expect.arrayContaining(['title_natural', 'favorited_at', 'versions']));
+
+    const badOrder = await request(app).get('/api/snippets?sort=title&order=sideways').expect(400);
+    expect(badOrder.body.allowed).toEqual(['asc', 'desc']);
+
+    await request(app).get('/api/snippets?sort=title,-title').expect(400);
+  });
+});
+
+describe('Snippet tag filtering', () => {
+  const titlesFor = async (query) => {
+    const response = await request(app).get(`/api/snippets?language=tsx&sort=title&${query}`).expect(200);
+    return response.body.map(s => s.title);
+  };
+
+  beforeAll(async () => {
+    const snippets = [
+      { title: 'Custom hook', tags: ['react', 'hooks'] },
+      { title: 'Legacy mixin hook', tags: ['react', 'hooks', 'deprecated'] },
+      { title: 'Plain component', tags: ['react'] },
+      { title: 'Vue composable', tags: ['vue', 'hooks'] }
+    ];
+
+    for (const snippet of snippets) {
+      await request(app)
+        .post('/api/snippets')
+        .send({ ...snippet, content: `// ${snippet.title}`, language: 'tsx' })
+        .expect(201);
+    }
+  });
+
+  test('requires every tag in tags', async () => {
+    expect(await titlesFor('tags=react,hooks')).toEqual(['Custom hook', 'Legacy mixin hook']);
+    expect(await titlesFor('tags=react&tags=hooks')).toEqual(['Custom hook', 'Legacy mixin hook']);
+  });
+
+  test('matches any tag in any_tags and drops exclude_tags', async () => {
+    expect(await titlesFor('any_tags=vue,deprecated')).toEqual(['Legacy mixin hook', 'Vue composable']);
+    expect(await titlesFor('tags=react,hooks&exclude_tags=deprecated')).toEqual(['Custom hook']);
+    expect(await titlesFor('exclude_tags=react')).toEqual(['Vue composable']);
+  });
+
+  test('keeps the single tag parameter and returns every tag of a match', async () => {
+    expect(await titlesFor('tag=vue')).toEqual(['Vue composable']);
+
+    const response = await request(app).get('/api/snippets?language=tsx&tags=deprecated').expect(200);
+    expect(response.body[0].tags.map(t => t.name)).toEqual(['react', 'hooks', 'deprecated']);
+  });
+});
+
+describe('Snippet search', () => {
+  beforeAll(async () => {
+    const snippets = [
+      {
+        title: 'Parse CSV files',
+        content: 'import pandas as pd\ndf = pd.read_csv("data.csv")',
+        language: 'python',
+        tags: ['pandas']
+      },
+      {
+        title: 'Running background jobs',
+        content: 'queue.process(async (job) => runJob(job));',
+        language: 'javascript',
+        tags: ['queues']
+      }
+    ];
+
+    for (const snippet of snippets) {
+      await request(app).post('/api/snippets').send(snippet).expect(201);
+    }
+  });
+
+  test('ranks title matches and returns highlighted fragments', async () => {
+    const response = await request(app)
+      .get('/api/snippets?search=csv')
+      .expect(200);
+
+    expect(response.body[0].title).toBe('Parse CSV files');
+    expect(response.body[0].highlights.title).toEqual([
+      { text: 'Parse ', match: false },
+      { text: 'CSV', match: true },
+      { text: ' files', match: false }
+    ]);
+    expect(response.body[0].highlights.content.some(s => s.match)).toBe(true);
+  });
+
+  test('matches word stems, tag names and prefixes', async () => {
+    const stem = await request(app).get('/api/snippets?search=run').expect(200);
+    expect(stem.body.map(s => s.title)).toContain('Running background jobs');
+
+    const tag = await request(app).get('/api/snippets?search=queues').expect(200);
+    expect(tag.body.map(s => s.title)).toContain('Running background jobs');
+
+    const prefix = await request(app).get('/api/snippets?search=pand*').expect(200);
+    expect(prefix.body.map(s => s.title)).toContain('Parse CSV files');
+  });
+
+  test('supports phrase queries and boolean operators', async () => {
+    const phrase = await request(app)
+      .get(`/api/snippets?search=${encodeURIComponent('"read_csv data"')}`)
+      .expect(200);
+    expect(phrase.body.map(s => s.title)).toEqual(['Parse CSV files']);
+
+    const either = await request(app)
+      .get(`/api/snippets?search=${encodeURIComponent('pandas OR queues')}`)
+      .expect(200);
+    expect(either.body).toHaveLength(2);
+
+    const excluded = await request(app)
+      .get(`/api/snippets?search=${encodeURIComponent('(pandas OR queues) NOT csv')}`)
+      .expect(200);
+    expect(excluded.body.map(s => s.title)).toEqual(['Running background jobs']);
+  });
+
+  test('tolerates punctuation and unbalanced syntax', async () => {
+    const response = await request(app)
+      .get(`/api/snippets?search=${encodeURIComponent('c++ ( OR "open')}`)
+      .expect(200);
+
+    expect(Array.isArray(response.body)).toBe(true);
+  });
+
+  test('keeps the index in sync with updates and deletes', async () => {
+    const created = await request(app)
+      .post('/api/snippets')
+      .send({ title: 'Ephemeral', content: 'zanzibar', language: 'text' })
+      .expect(201);
+
+    await request(app)
+      .put(`/api/snippets/${created.body.id}`)
+      .send({ title: 'Ephemeral', content: 'timbuktu', language: 'text', tags: ['travel'] })
+      .expect(200);
+
+    const stale = await request(app).get('/api/snippets?search=zanzibar').expect(200);
+    expect(stale.body).toHaveLength(0);
+    const fresh = await request(app).get('/api/snippets?search=timbuktu travel').expect(200);
+    expect(fresh.body).toHaveLength(1);
+
+    await request(app).delete(`/api/snippets/${created.body.id}`).expect(200);
+    const gone = await request(app).get('/api/snippets?search=timbuktu').expect(200);
+    expect(gone.body).toHaveLength(0);
+  });
+});
+
+describe('Search query language', () => {
+  const search = (query) => request(app).get(`/api/snippets?search=${encodeURIComponent(query)}`);
+
+  beforeAll(async () => {
+    await request(app)
+      .post('/api/snippets')
+      .send({
+        title: 'Read Excel sheets',
+        content: 'df = pd.read_excel("report.xlsx")',
+        language: 'python',
+        source: 'https://github.com/pandas-dev/pandas',
+        tags: ['pandas', 'excel']
+      })
+      .expect(201);
+  });
+
+  test('combines field filters with full-text search', async () => {
+    const response = await search('lang:python tag:pandas "read_csv"').expect(200);
+    expect(response.body.map(s => s.title)).toEqual(['Parse CSV files']);
+
+    const bySource = await search('source:github.com tag:excel').expect(200);
+    expect(bySource.body.map(s => s.title)).toEqual(['Read Excel sheets']);
+
+    const excluded = await search('tag:pandas -tag:excel -source:github.com').expect(200);
+    expect(excluded.body.map(s => s.title)).toContain('Parse CSV files');
+    expect(excluded.body.map(s => s.title)).not.toContain('Read Excel sheets');
+  });
+
+  test('filters by favorites and dates', async () => {
+    const favorites = await search('is:fav').expect(200);
+    expect(favorites.body.length).toBeGreaterThan(0);
+    expect(favorites.body.every(s => s.is_favorite)).toBe(true);
+
+    const all = await request(app).get('/api/snippets').expect(200);
+    const recent = await search('created:>=2000-01-01').expect(200);
+    expect(recent.body.length).toBe(all.body.length);
+    await search('created:<2000-01-01').expect(200).then(r => expect(r.body).toEqual([]));
+  });
+
+  test('reports parse errors with their position', async () => {
+    const unknown = await search('hooks colour:red').expect(400);
+    expect(unknown.body).toMatchObject({ error: 'Invalid search query', position: 6, length: 10 });
+    expect(unknown.body.details).toMatch(/Unknown filter "colour:"/);
+
+    await search('created:>yesterday').expect(400);
+    await search('created:2025-02-30').expect(400);
+    await search('is:cool').expect(400);
+    await search('tag:').expect(400);
+    await search('tag:"unterminated').expect(400);
+  });
+
+  test('leaves scope operators and URLs as plain text', async () => {
+    await search('std::vector').expect(200);
+    await search('https://github.com').expect(200);
+  });
+});
+
+describe('Version history API', () => {
+  let snippetId;
+
+  beforeAll(async () => {
+    const created = await request(app)
+      .post('/api/snippets')
+      .send({ title: 'Versioned', content: 'line one\n', language: 'text' })
+      .expect(201);
+    snippetId = created.body.id;
+
+    for (const content of ['line one\nline two\n', 'line one\nline two\nline three\n']) {
+      await request(app)
+        .put(`/api/snippets/${snippetId}`)
+        .send({ title: 'Versioned', content, language: 'text' })
+        .expect(200);
+    }
+  });
+
+  test('GET /api/snippets/:id/versions should list previous versions', async () => {
+    const response = await request(app)
+      .get(`/api/snippets/${snippetId}/versions`)
+      .expect(200);
+
+    expect(response.body.map(v => v.version_number)).toEqual([2, 1]);
+  });
+
+  test('GET /api/snippets/:id/diff/:from/:to should diff two stored versions', async () => {
+    const response = await request(app)
+      .get(`/api/snippets/${snippetId}/diff/1/2`)
+      .expect(200);
+
+    expect(response.body.from.version).toBe(1);
+    expect(response.body.to.version).toBe(2);
+    expect(response.body.diff).toContain('+line two');
+    expect(response.body.diff).not.toContain('line three');
+  });
+
+  test('GET /api/snippets/:id/diff/:from/current should diff against the live snippet', async () => {
+    const response = await request(app)
+      .get(`/api/snippets/${snippetId}/diff/1/current`)
+      .expect(200);
+
+    expect(response.body.to.is_current).toBe(true);
+    expect(response.body.diff).toContain('+line three');
+  });
+
+  test('GET /api/snippets/:id/diff/:from/:to should report per-field changes', async () => {
+    await request(app)
+      .put(`/api/snippets/${snippetId}`)
+      .send({
+        title: 'Versioned snippet',
+        content: 'line one\nline two\nline three\n',
+        language: 'markdown',
+        source: 'docs'
+      })
+      .expect(200);
+
+    const response = await request(app)
+      .get(`/api/snippets/${snippetId}/diff/3/current`)
+      .expect(200);
+
+    expect(response.body.format).toBe('unified');
+    expect(response.body.changed_fields).toEqual(['title', 'language', 'source']);
+    expect(response.body.fields.content.changed).toBe(false);
+    expect(response.body.fields.language).toMatchObject({ from: 'text', to: 'markdown' });
+    expect(response.body.fields.title.diff).toContain('+Versioned snippet');
+  });
+
+  test('GET /api/snippets/:id/diff/:from/:to should support word and hunk formats', async () => {
+    const words = await request(app)
+      .get(`/api/snippets/${snippetId}/diff/1/3?format=words`)
+      .expect(200);
+
+    const parts = words.body.fields.content.diff;
+    expect(parts[0]).toEqual({ value: 'line one\n', added: false, removed: false });
+    expect(parts.filter(part => part.added).map(part => part.value).join('')).toContain('line two\nline three');
+    expect(parts.some(part => part.removed)).toBe(false);
+
+    const hunks = await request(app)
+      .get(`/api/snippets/${snippetId}/diff/1/3?format=json`)
+      .expect(200);
+
+    expect(hunks.body.fields.content.diff[0]).toMatchObject({
+      oldStart: 1,
+      newStart: 1,
+      lines: [' line one', '+line two', '+line three']
+    });
+    expect(hunks.body.fields.content.stats).toEqual({ additions: 2, deletions: 0 });
+
+    await request(app)
+      .get(`/api/snippets/${snippetId}/diff/1/3?format=html`)
+      .expect(400);
+  });
+
+  test('GET /api/snippets/:id/diff/:from/:to should reject unknown versions', async () => {
+    await request(app).get(`/api/snippets/${snippetId}/diff/abc/1`).expect(400);
+    await request(app).get(`/api/snippets/${snippetId}/diff/1/42`).expect(404);
+  });
+
+  test('POST /api/snippets/:id/rollback should restore a version', async () => {
+    const response = await request(app)
+      .post(`/api/snippets/${snippetId}/rollback`)
+      .send({ version_number: 1 })
+      .expect(200);
+
+    expect(response.body.content).toBe('line one\n');
+    expect(response.body.version).toBe(5);
+  });
+});
+
+describe('Saved searches API', () => {
+  let savedSearchId;
+
+  test('POST /api/saved-searches should save a named query with its live count', async () => {
+    const expected = await request(app)
+      .get('/api/snippets?search=tag:pandas&language=python')
+      .expect(200);
+
+    const response = await request(app)
+      .post('/api/saved-searches')
+      .send({ name: 'Pandas recipes', search: 'tag:pandas', language: 'python', sort: 'title_natural' })
+      .expect(201);
+
+    savedSearchId = response.body.id;
+    expect(response.body).toMatchObject({
+      name: 'Pandas recipes',
+      search: 'tag:pandas',
+      language: 'python',
+      tags: [],
+      favorites: false,
+      sort: 'title_natural',
+      order: null,
+      count: expected.body.length
+    });
+  });
+
+  test('GET /api/saved-searches should list saved searches with counts that follow the data', async () => {
+    const before = await request(app).get('/api/saved-searches').expect(200);
+    const saved = before.body.find(s => s.id === savedSearchId);
+
+    await request(app)
+      .post('/api/snippets')
+      .send({ title: 'Group by', content: 'df.groupby("a")', language: 'python', tags: ['pandas'] })
+      .expect(201);
+
+    const after = await request(app).get(`/api/saved-searches/${savedSearchId}`).expect(200);
+    expect(after.body.count).toBe(saved.count + 1);
+  });
+
+  test('PUT /api/saved-searches/:id should update only the given fields', async () => {
+    const response = await request(app)
+      .put(`/api/saved-searches/${savedSearchId}`)
+      .send({ name: 'Pandas', exclude_tags: ['excel'] })
+      .expect(200);
+
+    expect(response.body).toMatchObject({
+      name: 'Pandas',
+      search: 'tag:pandas',
+      language: 'python',
+      exclude_tags: ['excel']
+    });
+  });
+
+  test('should reject invalid queries, sorts and duplicate names', async () => {
+    const badQuery = await request(app)
+      .post('/api/saved-searches')
+      .send({ name: 'Broken', search: 'colour:red' })
+      .expect(400);
+    expect(badQuery.body.position).toBe(0);
+
+    const badSort = await request(app)
+      .post('/api/saved-searches')
+      .send({ name: 'Broken', sort: 'popularity' })
+      .expect(400);
+    expect(badSort.body.allowed).toContain('created_at');
+
+    await request(app).post('/api/saved-searches').send({ search: 'react' }).expect(400);
+    await request(app).post('/api/saved-searches').send({ name: 'Pandas' }).expect(409);
+  });
+
+  test('DELETE /api/saved-searches/:id should remove the saved search', async () => {
+    await request(app).delete(`/api/saved-searches/${savedSearchId}`).expect(200);
+    await request(app).get(`/api/saved-searches/${savedSearchId}`).expect(404);
+    await request(app).delete(`/api/saved-searches/${savedSearchId}`).expect(404);
+  });
+});
+
+describe('Collections API', () => {
+  let parentId;
+  let childId;
+  let snippetIds;
+
+  beforeAll(async () => {
+    snippetIds = [];
+    for (const title of ['Collected one', 'Collected two', 'Collected three']) {
+      const response = await request(app)
+        .post('/api/snippets')
+        .send({ title, content: `// ${title}`, language: 'javascript' })
+        .expect(201);
+      snippetIds.push(response.body.id);
+    }
+  });
+
+  test('POST /api/collections should create nested collections in order', async () => {
+    const parent = await request(app)
+      .post('/api/collections')
+      .send({ name: 'Work', description: 'Things for the day job' })
+      .expect(201);
+    parentId = parent.body.id;
+    expect(parent.body).toMatchObject({ name: 'Work', parent_id: null, snippet_count: 0 });
+
+    const child = await request(app)
+      .post('/api/collections')
+      .send({ name: 'Deploys', parent_id: parentId })
+      .expect(201);
+    childId = child.body.id;
+
+    const second = await request(app)
+      .post('/api/collections')
+      .send({ name: 'Reviews', parent_id: parentId })
+      .expect(201);
+    expect(second.body.position).toBe(child.body.position + 1);
+
+    await request(app).post('/api/collections').send({ name: 'Deploys', parent_id: parentId }).expect(409);
+    await request(app).post('/api/collections').send({ name: 'Orphan', parent_id: 999999 }).expect(400);
+    await request(app).post('/api/collections').send({ description: 'No name' }).expect(400);
+  });
+
+  test('POST /api/collections/:id/snippets should add snippets once each', async () => {
+    const response = await request(app)
+      .post(`/api/collections/${childId}/snippets`)
+      .send({ snippet_ids: [snippetIds[0], snippetIds[1], snippetIds[0]] })
+      .expect(200);
+    expect(response.body.added).toBe(2);
+    expect(response.body.collection.snippet_count).toBe(2);
+
+    const again = await request(app)
+      .post(`/api/collections/${childId}/snippets`)
+      .send({ snippet_ids: [snippetIds[1]] })
+      .expect(200);
+    expect(again.body.added).toBe(0);
+
+    // A snippet can be in several collections
+    await request(app)
+      .post(`/api/collections/${parentId}/snippets`)
+      .send({ snippet_ids: [snippetIds[0], snippetIds[2]] })
+      .expect(200);
+
+    const missing = await request(app)
+      .post(`/api/collections/${childId}/snippets`)
+      .send({ snippet_ids: [999999] })
+      .expect(400);
+    expect(missing.body.missing).toEqual([999999]);
+  });
+
+  test('GET /api/snippets?collection= should list only the snippets filed in that collection', async () => {
+    const response = await request(app)
+      .get(`/api/snippets?collection=${childId}`)
+      .expect(200);
+
+    expect(response.body.map(s => s.id).sort()).toEqual([snippetIds[0], snippetIds[1]].sort());
+  });
+
+  test('GET /api/snippets/export?collection= should export the collection and its nested collections', async () => {
+    const response = await request(app)
+      .get(`/api/snippets/export?type=json&collection=${parentId}`)
+      .expect(200);
+
+    expect(response.body.collection).toMatchObject({ id: parentId, name: 'Work' });
+    expect(response.body.snippets.map(s => s.id).sort()).toEqual([...snippetIds].sort());
+
+    const direct = await request(app)
+      .get(`/api/snippets/export?type=json&collection=${parentId}&include_subcollections=false`)
+      .expect(200);
+    expect(direct.body.snippets.map(s => s.id).sort()).toEqual([snippetIds[0], snippetIds[2]].sort());
+
+    const markdown = await request(app)
+      .get(`/api/snippets/export?type=md&collection=${childId}`)
+      .expect(200);
+    expect(markdown.text).toContain('**Collection:** Deploys');
+    expect(markdown.text).not.toContain('Collected three');
+
+    await request(app).get('/api/snippets/export?type=json&collection=999999').expect(404);
+  });
+
+  test('PUT /api/collections/:id should move collections but not inside themselves', async () => {
+    await request(app)
+      .put(`/api/collections/${parentId}`)
+      .send({ parent_id: childId })
+      .expect(400);
+
+    const moved = await request(app)
+      .put(`/api/collections/${childId}`)
+      .send({ parent_id: null, description: 'Release checklists' })
+      .expect(200);
+    expect(moved.body).toMatchObject({ name: 'Deploys', parent_id: null, description: 'Release checklists' });
+
+    await request(app)
+      .put(`/api/collections/${childId}`)
+      .send({ parent_id: parentId })
+      .expect(200);
+  });
+
+  test('POST /api/collections/reorder should set sibling positions', async () => {
+    const list = await request(app).get('/api/collections').expect(200);
+    const siblings = list.body.filter(c => c.parent_id === parentId).map(c => c.id).reverse();
+
+    await request(app).post('/api/collections/reorder').send({ ids: siblings }).expect(200);
+
+    const after = await request(app).get('/api/collections').expect(200);
+    expect(after.body.filter(c => c.parent_id === parentId).map(c => c.id)).toEqual(siblings);
+
+    await request(app).post('/api/collections/reorder').send({ ids: [parentId, childId] }).expect(400);
+  });
+
+  test('DELETE endpoints should remove memberships and nested collections but keep snippets', async () => {
+    await request(app).delete(`/api/collections/${childId}/snippets/${snippetIds[1]}`).expect(200);
+    await request(app).delete(`/api/collections/${childId}/snippets/${snippetIds[1]}`).expect(404);
+
+    await request(app).delete(`/api/collections/${parentId}`).expect(200);
+    await request(app).get(`/api/collections/${childId}`).expect(404);
+    await request(app).get(`/api/snippets/${snippetIds[0]}`).expect(200);
+    await request(app).delete(`/api/collections/${parentId}`).expect(404);
+  });
+});
+
+describe('Authentication', () => {
+  const username = `tester${Date.now()}`;
+  const password = 'correct horse battery';
+  let protectedApp;
+
+  beforeAll(() => {
+    // Same wiring as src/index.js: auth routes are open, everything else needs a session
+    const { requireAuth } = require('../middleware/auth');
+    protectedApp = express();
+    protectedApp.use(express.json());
+    protectedApp.use('/api/auth', require('../routes/auth'));
+    protectedApp.use('/api/snippets', requireAuth, require('../routes/snippets'));
+  });
+
+  afterEach(() => {
+    delete process.env.ALLOW_REGISTRATION;
+  });
+
+  test('protected routes should reject requests without a session', async () => {
+    const response = await request(protectedApp).get('/api/snippets').expect(401);
+    expect(response.body.error).toBe('Authentication required');
+
+    await request(protectedApp)
+      .get('/api/snippets')
+      .set('Cookie', 'mysnippethub_session=not-a-real-token')
+      .expect(401);
+  });
+
+  test('POST /api/auth/register should create an account with a hashed password and sign it in', async () => {
+    process.env.ALLOW_REGISTRATION = 'true';
+    const agent = request.agent(protectedApp);
+
+    const response = await agent
+      .post('/api/auth/register')
+      .send({ username, password, display_name: 'Test User' })
+      .expect(201);
+
+    expect(response.body.user).toMatchObject({ username, display_name: 'Test User' });
+    expect(response.body.user.password_hash).toBeUndefined();
+    expect(response.headers['set-cookie'][0]).toMatch(/HttpOnly/);
+
+    const row = await database.get('SELECT password_hash FROM users WHERE username = ?', [username]);
+    expect(row.password_hash).toMatch(/^scrypt\$/);
+    expect(row.password_hash).not.toContain(password);
+
+    await agent.get('/api/snippets').expect(200);
+
+    await agent.post('/api/auth/register').send({ username, password }).expect(409);
+    await agent.post('/api/auth/register').send({ username: 'x', password: 'short' }).expect(400);
+  });
+
+  test('POST /api/auth/register should be closed to anonymous callers once accounts exist', async () => {
+    await request(protectedApp)
+      .post('/api/auth/register')
+      .send({ username: `${username}b`, password })
+      .expect(403);
+
+    const session = await request(protectedApp).get('/api/auth/session').expect(200);
+    expect(session.body).toEqual({ user: null, registration_open: false });
+  });
+
+  test('login, session and logout should control access', async () => {
+    const agent = request.agent(protectedApp);
+
+    await agent.post('/api/auth/login').send({ username, password: 'wrong password' }).expect(401);
+    await agent.post('/api/auth/login').send({ username: 'nobody-here', password }).expect(401);
+
+    const login = await agent.post('/api/auth/login').send({ username, password }).expect(200);
+    expect(login.body.user.username).toBe(username);
+
+    const session = await agent.get('/api/auth/session').expect(200);
+    expect(session.body.user.username).toBe(username);
+    await agent.get('/api/snippets').expect(200);
+
+    // A signed-in user can add a teammate without being signed out
+    await agent.post('/api/auth/register').send({ username: `${username}mate`, password }).expect(201);
+    await agent.get('/api/snippets').expect(200);
+
+    await agent.post('/api/auth/logout').expect(200);
+    await agent.get('/api/snippets').expect(401);
+  });
+
+  test('PUT /api/auth/password should change the password and end other sessions', async () => {
+    const first = request.agent(protectedApp);
+    const second = request.agent(protectedApp);
+    await first.post('/api/auth/login').send({ username, password }).expect(200);
+    await second.post('/api/auth/login').send({ username, password }).expect(200);
+
+    await first.put('/api/auth/password').send({ current_password: 'wrong password', new_password: 'another password' }).expect(400);
+    await first.put('/api/auth/password').send({ current_password: password, new_password: 'another password' }).expect(200);
+
+    await first.get('/api/snippets').expect(200);
+    await second.get('/api/snippets').expect(401);
+    await request(protectedApp).post('/api/auth/login').send({ username, password: 'another password' }).expect(200);
+  });
+});
+
+describe('Ownership and visibility', () => {
+  const password = 'ownership test password';
+  let alice;
+  let bob;
+  let privateId;
+  let teamId;
+  let secretTag;
+  let marker;
+  let protectedApp;
+
+  beforeAll(async () => {
+    const { requireAuth } = require('../middleware/auth');
+    protectedApp = express();
+    protectedApp.use(express.json());
+    protectedApp.use('/api/auth', require('../routes/auth'));
+    protectedApp.use('/api/snippets', requireAuth, require('../routes/snippets'));
+    protectedApp.use('/api/tags', requireAuth, require('../routes/tags'));
+    protectedApp.use('/api/favorites', requireAuth, require('../routes/favorites'));
+    protectedApp.use('/api/analytics', requireAuth, require('../routes/analytics'));
+    protectedApp.use('/api/collections', requireAuth, require('../routes/collections'));
+    protectedApp.use('/api/public', require('../routes/public'));
+
+    const stamp = Date.now();
+    secretTag = `alice-secret-${stamp}`;
+    // The database outlives a run, so searches look for this run's snippets only
+    marker = `zeppelin${stamp}`;
+    process.env.ALLOW_REGISTRATION = 'true';
+    alice = request.agent(protectedApp);
+    bob = request.agent(protectedApp);
+    await alice.post('/api/auth/register').send({ username: `alice${stamp}`, password }).expect(201);
+    await bob.post('/api/auth/register').send({ username: `bob${stamp}`, password }).expect(201);
+    delete process.env.ALLOW_REGISTRATION;
+
+    const privateSnippet = await alice.post('/api/snippets')
+      .send({ title: `Alice private ${marker}`, content: 'secret()', language: 'javascript', tags: [secretTag] })
+      .expect(201);
+    const teamSnippet = await alice.post('/api/snippets')
+      .send({ title: `Alice team ${marker}`, content: 'shared()', language: 'javascript', visibility: 'team' })
+      .expect(201);
+    privateId = privateSnippet.body.id;
+    teamId = teamSnippet.body.id;
+
+    expect(privateSnippet.body).toMatchObject({ visibility: 'private', is_owner: true });
+  });
+
+  test('private snippets should be hidden from other users', async () => {
+    const aliceList = await alice.get(`/api/snippets?search=${marker}`).expect(200);
+    expect(aliceList.body.map(s => s.id).sort()).toEqual([privateId, teamId].sort());
+
+    const bobList = await bob.get(`/api/snippets?search=${marker}`).expect(200);
+    expect(bobList.body.map(s => s.id)).toEqual([teamId]);
+    expect(bobList.body[0].is_owner).toBe(false);
+
+    await bob.get(`/api/snippets/${privateId}`).expect(404);
+    await bob.get(`/api/snippets/${privateId}/versions`).expect(404);
+    await bob.post(`/api/favorites/toggle/${privateId}`).expect(404);
+
+    const exported = await bob.get('/api/snippets/export?type=json').expect(200);
+    expect(exported.body.snippets.map(s => s.id)).not.toContain(privateId);
+  });
+
+  test('tags only on hidden snippets should not be listed or counted', async () => {
+    const aliceTags = await alice.get('/api/tags').expect(200);
+    expect(aliceTags.body.find(tag => tag.name === secretTag)).toMatchObject({ usage_count: 1 });
+    const bobTags = await bob.get('/api/tags').expect(200);
+    expect(bobTags.body.map(tag => tag.name)).not.toContain(secretTag);
+    expect(bobTags.body.every(tag => tag.usage_count > 0)).toBe(true);
+
+    const aliceAnalytics = await alice.get('/api/analytics').expect(200);
+    const bobAnalytics = await bob.get('/api/analytics').expect(200);
+    expect(aliceAnalytics.body.summary.total_tags).toBe(bobAnalytics.body.summary.total_tags + 1);
+    expect(bobAnalytics.body.popular_tags.map(tag => tag.name)).not.toContain(secretTag);
+  });
+
+  test('only the owner should be able to change a snippet', async () => {
+    const update = { title: 'Taken over', content: 'shared()', language: 'javascript' };
+
+    await bob.put(`/api/snippets/${teamId}`).send(update).expect(403);
+    await bob.delete(`/api/snippets/${teamId}`).expect(403);
+    await bob.put(`/api/snippets/${privateId}`).send(update).expect(404);
+
+    await alice.put(`/api/snippets/${teamId}`).send({ ...update, visibility: 'everyone' }).expect(400);
+    const updated = await alice.put(`/api/snippets/${teamId}`)
+      .send({ ...update, title: 'Alice team zeppelin v2' })
+      .expect(200);
+    expect(updated.body.visibility).toBe('team');
+  });
+
+  test('favorites should be kept per user', async () => {
+    await bob.post(`/api/favorites/toggle/${teamId}`).expect(200);
+
+    const bobFavorites = await bob.get('/api/favorites').expect(200);
+    expect(bobFavorites.body.map(s => s.id)).toEqual([teamId]);
+
+    const aliceFavorites = await alice.get('/api/favorites').expect(200);
+    expect(aliceFavorites.body).toEqual([]);
+
+    const aliceView = await alice.get(`/api/snippets/${teamId}`).expect(200);
+    expect(aliceView.body.is_favorite).toBe(false);
+    const aliceStarred = await alice.get('/api/snippets?favorites=true').expect(200);
+    expect(aliceStarred.body).toEqual([]);
+
+    // Alice's star doesn't clash with Bob's
+    await alice.post(`/api/favorites/${teamId}`).expect(200);
+    const bobAnalytics = await bob.get('/api/analytics').expect(200);
+    expect(bobAnalytics.body.summary.total_favorites).toBe(1);
+  });
+
+  test('analytics and collections should only count visible snippets', async () => {
+    const aliceAnalytics = await alice.get('/api/analytics').expect(200);
+    const bobAnalytics = await bob.get('/api/analytics').expect(200);
+    // Other users' team snippets count for both; only Alice sees her private one
+    expect(aliceAnalytics.body.summary.total_snippets).toBe(bobAnalytics.body.summary.total_snippets + 1);
+
+    const collection = await bob.post('/api/collections').send({ name: 'Borrowed' }).expect(201);
+    await bob.post(`/api/collections/${collection.body.id}/snippets`).send({ snippet_ids: [privateId] }).expect(400);
+    await bob.post(`/api/collections/${collection.body.id}/snippets`).send({ snippet_ids: [teamId] }).expect(200);
+
+    const aliceCollections = await alice.get('/api/collections').expect(200);
+    expect(aliceCollections.body).toEqual([]);
+    await alice.get(`/api/collections/${collection.body.id}`).expect(404);
+    await alice.get(`/api/snippets?collection=${collection.body.id}`).expect(404);
+    await alice.get(`/api/snippets?collection=${collection.body.id}&limit=5`).expect(404);
+    const bobFiled = await bob.get(`/api/snippets?collection=${collection.body.id}`).expect(200);
+    expect(bobFiled.body.map(s => s.id)).toEqual([teamId]);
+
+    // Once Alice makes it private, Bob's collection still holds it but no longer counts it
+    await alice.put(`/api/snippets/${teamId}`)
+      .send({ title: 'Alice team zeppelin v2', content: 'shared()', language: 'javascript', visibility: 'private' })
+      .expect(200);
+    const bobCollection = await bob.get(`/api/collections/${collection.body.id}`).expect(200);
+    expect(bobCollection.body.snippet_count).toBe(0);
+  });
+
+  test('public snippets should be readable without signing in, and nothing else should', async () => {
+    const created = await alice.post('/api/snippets')
+      .send({ title: 'Alice public zeppelin', content: 'open()\nclose()', language: 'javascript', visibility: 'public' })
+      .expect(201);
+    const publicId = created.body.id;
+    const signedOut = request(protectedApp);
+
+    await signedOut.get(`/api/snippets/${publicId}`).expect(401);
+    const bobView = await bob.get(`/api/snippets/${publicId}`).expect(200);
+    expect(bobView.body.visibility).toBe('public');
+
+    const snippet = await signedOut.get(`/api/public/${publicId}`).expect(200);
+    expect(snippet.body.snippet).toMatchObject({ id: publicId, title: 'Alice public zeppelin', visibility: 'public' });
+    const raw = await signedOut.get(`/api/public/${publicId}/raw?lines=2`).expect(200);
+    expect(raw.text).toBe('close()\n');
+    const page = await signedOut.get(`/api/public/${publicId}/embed`).expect(200);
+    expect(page.headers['content-security-policy']).toContain('frame-ancestors *');
+    const script = await signedOut.get(`/api/public/${publicId}/embed.js`).expect(200);
+    expect(script.headers['content-type']).toMatch(/javascript/);
+    expect(script.text).toContain(`/api/public/${publicId}/raw`);
+
+    for (const id of [privateId, teamId, 999999]) {
+      await signedOut.get(`/api/public/${id}`).expect(404);
+      await signedOut.get(`/api/public/${id}/raw`).expect(404);
+      await signedOut.get(`/api/public/${id}/embed.js`).expect(404);
+    }
+
+    // Making it private again takes it off the public routes at once
+    await alice.put(`/api/snippets/${publicId}`)
+      .send({ title: 'Alice public zeppelin', content: 'open()', language: 'javascript', visibility: 'private' })
+      .expect(200);
+    await signedOut.get(`/api/public/${publicId}/raw`).expect(404);
+
+    await alice.delete(`/api/snippets/${publicId}`).expect(200);
+  });
+});
+
+describe('API tokens', () => {
+  let protectedApp;
+  let agent;
+
+  beforeAll(async () => {
+    const { requireAuth, requireScope } = require('../middleware/auth');
+    protectedApp = express();
+    protectedApp.use(express.json());
+    protectedApp.use('/api/auth', require('../routes/auth'));
+    protectedApp.use('/api/snippets', requireAuth, require('../routes/snippets'));
+    protectedApp.use('/api/tokens', requireAuth, requireScope('admin'), require('../routes/tokens'));
+
+    const username = `scripter${Date.now()}`;
+    const password = 'token test password';
+    process.env.ALLOW_REGISTRATION = 'true';
+    agent = request.agent(protectedApp);
+    await agent.post('/api/auth/register').send({ username, password }).expect(201);
+    delete process.env.ALLOW_REGISTRATION;
+  });
+
+  const createToken = async (name, scopes) => {
+    const response = await agent.post('/api/tokens').send({ name, scopes }).expect(201);
+    return response.body;
+  };
+
+  test('POST /api/tokens should return the token once and store only its hash', async () => {
+    const created = await createToken('Laptop script', ['write', 'read']);
+
+    expect(created.token).toMatch(/^msh_/);
+    expect(created).toMatchObject({ name: 'Laptop script', scopes: ['read', 'write'], last_used_at: null, revoked_at: null });
+    expect(created.token.startsWith(created.token_prefix)).toBe(true);
+    expect(created.created_at).toBeDefined();
+
+    const row = await database.get('SELECT token_hash FROM api_tokens WHERE id = ?', [created.id]);
+    expect(row.token_hash).not.toContain(created.token);
+
+    const list = await agent.get('/api/tokens').expect(200);
+    const listed = list.body.find(token => token.id === created.id);
+    expect(listed.token).toBeUndefined();
+    expect(listed.token_hash).toBeUndefined();
+
+    await agent.post('/api/tokens').send({ name: 'Bad', scopes: ['everything'] }).expect(400);
+    await agent.post('/api/tokens').send({ name: 'Empty', scopes: [] }).expect(400);
+  });
+
+  test('Bearer tokens should be limited to their scopes and record their last use', async () => {
+    const readOnly = await createToken('Search plugin', ['read']);
+    const writer = await createToken('Editor plugin', ['write']);
+    const snippet = { title: 'From a script', content: 'echo hi', language: 'bash' };
+
+    await request(protectedApp).get('/api/snippets').set('Authorization', `Bearer ${readOnly.token}`).expect(200);
+    const denied = await request(protectedApp)
+      .post('/api/snippets')
+      .set('Authorization', `Bearer ${readOnly.token}`)
+      .send(snippet)
+      .expect(403);
+    expect(denied.body.error).toMatch(/write/);
+
+    const created = await request(protectedApp)
+      .post('/api/snippets')
+      .set('Authorization', `Bearer ${writer.token}`)
+      .send(snippet)
+      .expect(201);
+    expect(created.body.is_owner).toBe(true);
+
+    // Only admin tokens (or a browser session) manage tokens
+    await request(protectedApp).get('/api/tokens').set('Authorization', `Bearer ${writer.token}`).expect(403);
+
+    const list = await agent.get('/api/tokens').expect(200);
+    expect(list.body.find(token => token.id === readOnly.id).last_used_at).not.toBeNull();
+
+    await request(protectedApp).get('/api/snippets').set('Authorization', 'Bearer msh_not-a-token').expect(401);
+    await request(protectedApp).get('/api/snippets').set('Authorization', 'Basic abc').expect(401);
+  });
+
+  test('DELETE /api/tokens/:id should revoke a token', async () => {
+    const admin = await createToken('Admin script', ['admin']);
+    const doomed = await createToken('Old laptop', ['read']);
+
+    const revoked = await request(protectedApp)
+      .delete(`/api/tokens/${doomed.id}`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .expect(200);
+    expect(revoked.body.revoked_at).not.toBeNull();
+
+    await request(protectedApp).get('/api/snippets').set('Authorization', `Bearer ${doomed.token}`).expect(401);
+    await agent.delete(`/api/tokens/${doomed.id}`).expect(404);
+
+    const list = await agent.get('/api/tokens').expect(200);
+    expect(list.body.find(token => token.id === doomed.id).revoked_at).not.toBeNull();
+  });
+});
+
+describe('Share links', () => {
+  let snippet;
+
+  beforeAll(async () => {
+    const response = await request(app)
+      .post('/api/snippets')
+      .send({ title: 'Retry Helper', content: 'def retry():\n    pass\n', language: 'python', tags: ['shared'] })
+      .expect(201);
+    snippet = response.body;
+  });
+
+  const createShare = async (options = {}) => {
+    const response = await request(app).post(`/api/snippets/${snippet.id}/shares`).send(options).expect(201);
+    return response.body;
+  };
+
+  test('a share link should serve the snippet read-only, raw and as a download', async () => {
+    const share = await createShare();
+    expect(share.token).toBeDefined();
+    expect(share.token.startsWith(share.token_prefix)).toBe(true);
+    expect(share).toMatchObject({ has_password: false, expires_at: null, expired: false, view_count: 0 });
+
+    const row = await database.get('SELECT token_hash FROM share_links WHERE id = ?', [share.id]);
+    expect(row.token_hash).not.toContain(share.token);
+
+    const page = await request(app).get(`/api/share/${share.token}`).expect(200);
+    expect(page.body.snippet).toMatchObject({
+      title: 'Retry Helper',
+      language: 'python',
+      filename: 'retry-helper.py',
+      tags: [expect.objectContaining({ name: 'shared' })]
+    });
+    expect(page.body.snippet.id).toBeUndefined();
+    expect(page.body.snippet.user_id).toBeUndefined();
+
+    const raw = await request(app).get(`/api/share/${share.token}/raw`).expect(200);
+    expect(raw.headers['content-type']).toMatch(/^text\/x-python/);
+    expect(raw.text).toBe('def retry():\n    pass\n');
+
+    const download = await request(app).get(`/api/share/${share.token}/download`).expect(200);
+    expect(download.headers['content-disposition']).toBe('attachment; filename="retry-helper.py"');
+
+    const list = await request(app).get(`/api/snippets/${snippet.id}/shares`).expect(200);
+    const listed = list.body.find(link => link.id === share.id);
+    expect(listed.view_count).toBe(1);
+    expect(listed.token).toBeUndefined();
+    expect(listed.token_hash).toBeUndefined();
+
+    await request(app).get('/api/share/not-a-real-token').expect(404);
+  });
+
+  test('password-protected and expiring links should be enforced', async () => {
+    const protectedShare = await createShare({ password: 'open sesame', expires_in_days: 7 });
+    expect(protectedShare.has_password).toBe(true);
+    expect(protectedShare.expires_at).not.toBeNull();
+
+    const missing = await request(app).get(`/api/share/${protectedShare.token}`).expect(403);
+    expect(missing.body.password_required).toBe(true);
+    await request(app).get(`/api/share/${protectedShare.token}/raw`).set('X-Share-Password', 'wrong').expect(403);
+    await request(app).get(`/api/share/${protectedShare.token}/raw`).set('X-Share-Password', 'open sesame').expect(200);
+
+    await database.run("UPDATE share_links SET expires_at = datetime('now', '-1 minute') WHERE id = ?", [protectedShare.id]);
+    const expired = await request(app).get(`/api/share/${protectedShare.token}`).set('X-Share-Password', 'open sesame').expect(410);
+    expect(expired.body.error).toMatch(/expired/);
+
+    await request(app).post(`/api/snippets/${snippet.id}/shares`).send({ expires_in_days: 0 }).expect(400);
+    await request(app).post(`/api/snippets/${snippet.id}/shares`).send({ password: 'abc' }).expect(400);
+  });
+
+  test('share links should be revocable and managed only by the owner', async () => {
+    const share = await createShare();
+
+    const revoked = await request(app).delete(`/api/snippets/${snippet.id}/shares/${share.id}`).expect(200);
+    expect(revoked.body.revoked_at).not.toBeNull();
+    await request(app).get(`/api/share/${share.token}`).expect(410);
+    await request(app).delete(`/api/snippets/${snippet.id}/shares/${share.id}`).expect(404);
+
+    const otherUser = await authService.createUser({ username: `sharer${Date.now()}`, password: 'share test password' });
+    const othersSnippet = await database.run(
+      "INSERT INTO snippets (title, content, language, user_id, visibility) VALUES ('Team note', 'x', 'text', ?, 'team')",
+      [otherUser.id]
+    );
+    await request(app).post(`/api/snippets/${othersSnippet.id}/shares`).send({}).expect(403);
+    await request(app).get(`/api/snippets/${othersSnippet.id}/shares`).expect(403);
+  });
+});
+
+describe('Raw and embed endpoints', () => {
+  let snippet;
+
+  beforeAll(async () => {
+    const response = await request(app)
+      .post('/api/snippets')
+      .send({
+        title: 'Fetch <JSON>',
+        content: '/* fetch\n   helper */\nconst load = async (url) => {\n  const res = await fetch(url);\n  return res.json();\n};\n',
+        language: 'javascript'
+      })
+      .expect(201);
+    snippet = response.body;
+  });
+
+  test('GET /api/snippets/:id/raw should return the content, or a line range, with its content type', async () => {
+    const raw = await request(app).get(`/api/snippets/${snippet.id}/raw`).expect(200);
+    expect(raw.headers['content-type']).toBe('text/javascript; charset=utf-8');
+    expect(raw.headers['x-content-type-options']).toBe('nosniff');
+    expect(raw.text).toBe(snippet.content);
+
+    const range = await request(app).get(`/api/snippets/${snippet.id}/raw?lines=4-5`).expect(200);
+    expect(range.text).toBe('  const res = await fetch(url);\n  return res.json();\n');
+
+    const clamped = await request(app).get(`/api/snippets/${snippet.id}/raw?lines=6-99`).expect(200);
+    expect(clamped.text).toBe('};\n');
+
+    await request(app).get(`/api/snippets/${snippet.id}/raw?lines=7`).expect(400);
+    await request(app).get(`/api/snippets/${snippet.id}/raw?lines=5-2`).expect(400);
+    await request(app).get(`/api/snippets/${snippet.id}/raw?lines=abc`).expect(400);
+    await request(app).get('/api/snippets/999999/raw').expect(404);
+  });
+
+  test('GET /api/snippets/:id/embed should render a highlighted, themed widget page', async () => {
+    const page = await request(app).get(`/api/snippets/${snippet.id}/embed?theme=light&lines=2-4`).expect(200);
+    expect(page.headers['content-type']).toMatch(/^text\/html/);
+    expect(page.text).toContain('msh-embed msh-embed-light');
+    expect(page.text).toContain('Fetch &lt;JSON&gt;');
+    expect(page.text).toContain('lines 2–4');
+
+    // The block comment started on line 1 stays a comment on line 2
+    expect(page.text).toMatch(/data-line="2"><\/td><td class="msh-embed-line"><span class="msh-comment">/);
+    expect(page.text).toContain('data-line="4"');
+    expect(page.text).not.toContain('data-line="1"');
+    expect(page.text).not.toContain('data-line="5"');
+    expect(page.text).toContain(`/api/snippets/${snippet.id}/raw?lines=2-4`);
+
+    const dark = await request(app).get(`/api/snippets/${snippet.id}/embed`).expect(200);
+    expect(dark.text).toContain('msh-embed msh-embed-dark');
+
+    const badTheme = await request(app).get(`/api/snippets/${snippet.id}/embed?theme=neon`).expect(400);
+    expect(badTheme.body.themes).toEqual(['dark', 'light', 'auto']);
+  });
+
+  test('signed-in embeds should only be framed by the app and have no script version', async () => {
+    const page = await request(app).get(`/api/snippets/${snippet.id}/embed`).expect(200);
+    const frameAncestors = page.headers['content-security-policy'].match(/frame-ancestors ([^;]*)/)[1];
+    expect(frameAncestors.split(' ')).toEqual(expect.arrayContaining(["'self'", process.env.CORS_ORIGIN || 'http://localhost:3000']));
+    expect(frameAncestors).not.toContain('*');
+
+    // A script would run with the reader's cookie on any page that includes it
+    await request(app).get(`/api/snippets/${snippet.id}/embed.js`).expect(404);
+  });
+
+  test('GET /api/share/:token/embed.js should return a script that inserts the widget', async () => {
+    const share = await request(app).post(`/api/snippets/${snippet.id}/shares`).send({}).expect(201);
+    const script = await request(app).get(`/api/share/${share.body.token}/embed.js?theme=auto`).expect(200);
+    expect(script.headers['content-type']).toMatch(/^application\/javascript/);
+    expect(script.text).toContain('document.currentScript');
+    expect(script.text).toContain('msh-embed-auto');
+    // Markup is escaped so it can't close the host page's <script> tag
+    expect(script.text).not.toMatch(/<\/script/i);
+    expect(() => new Function(script.text)).not.toThrow();
+  });
+
+  test('share links should offer raw line ranges and embeds unless they need a password', async () => {
+    const share = await request(app).post(`/api/snippets/${snippet.id}/shares`).send({}).expect(201);
+    const range = await request(app).get(`/api/share/${share.body.token}/raw?lines=3`).expect(200);
+    expect(range.text).toBe('const load = async (url) => {\n');
+
+    const embed = await request(app).get(`/api/share/${share.body.token}/embed?lines=3`).expect(200);
+    expect(embed.text).toContain('data-line="3"');
+    await request(app).get(`/api/share/${share.body.token}/embed.js`).expect(200);
+
+    const locked = await request(app).post(`/api/snippets/${snippet.id}/shares`).send({ password: 'secret words' }).expect(201);
+    await request(app).get(`/api/share/${locked.body.token}/embed`).expect(403);
+  });
+});
+
+describe('Snippet templates', () => {
+  let snippet;
+
+  beforeAll(async () => {
+    const response = await request(app)
+      .post('/api/snippets')
+      .send({
+        title: 'Service Config',
+        content: 'name: {{service}}\nport: {{port:8080}}\nurl: http://{{service}}:${1:host}\nraw: \\{{keep}} echo ${1:-fallback} $1\n',
+        language: 'yaml'
+      })
+      .expect(201);
+    snippet = response.body;
+  });
+
+  test('GET /api/snippets/:id/template should list placeholders once, with defaults', async () => {
+    const response = await request(app).get(`/api/snippets/${snippet.id}/template`).expect(200);
+
+    expect(response.body.variables).toEqual([
+      { name: 'service', label: 'service', default: null, syntax: 'named' },
+      { name: 'port', label: 'port', default: '8080', syntax: 'named' },
+      { name: '1', label: 'host', default: 'host', syntax: 'tabstop' }
+    ]);
+  });
+
+  test('POST /api/snippets/:id/render should fill in values and fall back to defaults', async () => {
+    const response = await request(app)
+      .post(`/api/snippets/${snippet.id}/render`)
+      .send({ values: { service: 'billing', 1: 'db.internal' } })
+      .expect(200);
+
+    expect(response.body.content).toBe(
+      'name: billing\nport: 8080\nurl: http://billing:db.internal\nraw: {{keep}} echo ${1:-fallback} $1\n'
+    );
+    expect(response.body.missing).toEqual([]);
+    expect(response.body.filename).toBe('service-config.yml');
+
+    // The stored snippet keeps its placeholders
+    const stored = await request(app).get(`/api/snippets/${snippet.id}`).expect(200);
+    expect(stored.body.content).toBe(snippet.content);
+  });
+
+  test('GET /api/snippets/:id/render should take values from the query and report missing ones', async () => {
+    const response = await request(app).get(`/api/snippets/${snippet.id}/render?port=9090`).expect(200);
+
+    expect(response.body.content).toContain('name: \nport: 9090\n');
+    expect(response.body.missing).toEqual(['service']);
+
+    await request(app).post(`/api/snippets/${snippet.id}/render`).send({ values: ['billing'] }).expect(400);
+    await request(app).post(`/api/snippets/${snippet.id}/render`).send({ values: { service: { nested: true } } }).expect(400);
+    await request(app).get('/api/snippets/999999/render').expect(404);
+  });
+});
+
+describe('Editor snippet export', () => {
+  let fetchSnippet;
+  let shellSnippet;
+
+  beforeAll(async () => {
+    const fetchResponse = await request(app)
+      .post('/api/snippets')
+      .send({
+        title: 'Fetch JSON',
+        content: 'const ${1:data} = await fetch(`${{url}}`);\nconsole.log(${1:data}, "{{url}}");',
+        language: 'javascript',
+        tags: ['http']
+      })
+      .expect(201);
+    fetchSnippet = fetchResponse.body;
+
+    const shellResponse = await request(app)
+      .post('/api/snippets')
+      .send({ title: 'Fetch JSON', content: 'echo "$HOME" ]]> {{dir:/tmp}}', language: 'bash' })
+      .expect(201);
+    shellSnippet = shellResponse.body;
+  });
+
+  test('GET /api/snippets/export?type=vscode should build a .code-snippets file with tab stops', async () => {
+    const response = await request(app)
+      .get(`/api/snippets/export?type=vscode&ids=${fetchSnippet.id},${shellSnippet.id}`)
+      .expect(200);
+
+    expect(response.headers['content-disposition']).toMatch(/\.code-snippets"$/);
+    const definitions = JSON.parse(response.text);
+    // Grouped by language; the repeated title gets a counter
+    expect(Object.keys(definitions)).toEqual(['Fetch JSON', 'Fetch JSON (2)']);
+    expect(definitions['Fetch JSON (2)']).toEqual({
+      prefix: 'fetch-json-2',
+      body: ['const ${1:data} = await fetch(`\\$${2:url}`);', 'console.log(${1:data}, "${2:url}");'],
+      description: 'Fetch JSON [http]',
+      scope: 'javascript'
+    });
+    expect(definitions['Fetch JSON']).toMatchObject({
+      prefix: 'fetch-json',
+      body: ['echo "\\$HOME" ]]> ${1:/tmp}'],
+      scope: 'shellscript'
+    });
+  });
+
+  test('GET /api/snippets/export?type=jetbrains should build a live template set', async () => {
+    const response = await request(app)
+      .get(`/api/snippets/export?type=jetbrains&ids=${fetchSnippet.id}`)
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/application\/xml/);
+    expect(response.text).toContain('<templateSet group="MySnippetHub">');
+    expect(response.text).toContain(
+      'value="const $TAB_STOP_1$ = await fetch(`$$$URL$`);&#10;console.log($TAB_STOP_1$, &quot;$URL$&quot;);"'
+    );
+    expect(response.text).toContain('<variable name="URL" expression="" defaultValue="&quot;url&quot;" alwaysStopAt="true" />');
+    expect(response.text).toContain('<option name="JAVA_SCRIPT" value="true" />');
+  });
+
+  test('GET /api/snippets/export?type=sublime should return one snippet file, or a ZIP of several', async () => {
+    const single = await request(app)
+      .get(`/api/snippets/export?type=sublime&ids=${shellSnippet.id}`)
+      .expect(200);
+
+    expect(single.headers['content-disposition']).toMatch(/\.sublime-snippet"$/);
+    expect(single.text).toContain('<content><![CDATA[echo "\\$HOME" ]]]]><![CDATA[> ${1:/tmp}]]></content>');
+    expect(single.text).toContain('<scope>source.shell.bash</scope>');
+
+    const zipped = await request(app)
+      .get(`/api/snippets/export?type=sublime&ids=${fetchSnippet.id},${shellSnippet.id}`)
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+
+    expect(zipped.headers['content-type']).toMatch(/application\/zip/);
+    const zip = await JSZip.loadAsync(zipped.body);
+    expect(Object.keys(zip.files).filter(name => !zip.files[name].dir).sort()).toEqual([
+      'MySnippetHub/fetch-json-2.sublime-snippet',
+      'MySnippetHub/fetch-json.sublime-snippet'
+    ]);
+
+    await request(app).get('/api/snippets/export?type=atom').expect(400);
+  });
+});
+
+describe('Import formats', () => {
+  test('POST /api/snippets/validate-import should turn Markdown code blocks into snippets', async () => {
+    const markdown = [
+      '# Deploy notes',
+      '',
+      '```sh',
+      'kubectl rollout restart deploy/api',
+      '```',
+      '',
+      '## Check status',
+      '',
+      '~~~yml title="status"',
+      'status: ok',
+      '```not a fence```',
+      '~~~',
+      '',
+      '```',
+      'plain text',
+      '```'
+    ].join('\n');
+
+    const response = await request(app)
+      .post('/api/snippets/validate-import')
+      .attach('file', Buffer.from(markdown), 'notes.md')
+      .expect(200);
+
+    expect(response.body.valid).toBe(true);
+    expect(response.body.format).toBe('markdown');
+    expect(response.body.preview).toEqual([
+      { title: 'Deploy notes', language: 'bash', content: 'kubectl rollout restart deploy/api', tags: [] },
+      { title: 'Check status', language: 'yaml', content: 'status: ok\n```not a fence```', tags: [] },
+      { title: 'Check status (2)', language: 'text', content: 'plain text', tags: [] }
+    ]);
+
+    await request(app)
+      .post('/api/snippets/validate-import')
+      .attach('file', Buffer.from('# Nothing to see'), 'empty.md')
+      .expect(400);
+  });
+
+  test('POST /api/snippets/import should import VS Code snippet files, comments and all', async () => {
+    const codeSnippets = `{
+      // Place your snippets here
+      "Import Lodash Debounce": {
+        "scope": "javascript,typescript",
+        "prefix": "ldeb",
+        "body": ["import debounce from 'lodash/debounce';", "const \${1:fn} = debounce(\\\\$HOME, \\\\\${2:x});"],
+        "description": "Debounce import",
+      },
+    }`;
+
+    const response = await request(app)
+      .post('/api/snippets/import')
+      .attach('file', Buffer.from(codeSnippets), 'team.code-snippets')
+      .expect(200);
+
+    expect(response.body.format).toBe('vscode');
+    expect(response.body.results.success).toBe(1);
+
+    const snippets = await request(app).get('/api/snippets?search=Lodash%20Debounce').expect(200);
+    const imported = snippets.body.find(snippet => snippet.title === 'Import Lodash Debounce');
+    expect(imported.language).toBe('javascript');
+    expect(imported.content).toBe("import debounce from 'lodash/debounce';\nconst ${1:fn} = debounce($HOME, \\${2:x});");
+  });
+
+  test('POST /api/snippets/validate-import should read gists from API JSON and ZIP downloads', async () => {
+    const gist = {
+      description: 'Retry helper',
+      html_url: 'https://gist.github.com/abc123',
+      files: { 'retry.py': { filename: 'retry.py', language: 'Python', content: 'def retry(): pass' } }
+    };
+    const fromJson = await request(app)
+      .post('/api/snippets/validate-import')
+      .attach('file', Buffer.from(JSON.stringify([gist])), 'gists.json')
+      .expect(200);
+
+    expect(fromJson.body.format).toBe('gist');
+    expect(fromJson.body.preview).toEqual([
+      { title: 'Retry helper', language: 'python', content: 'def retry(): pass', tags: [] }
+    ]);
+
+    const zip = new JSZip();
+    const folder = zip.folder(`${'a'.repeat(32)}-${'b'.repeat(40)}`);
+    folder.file('query.sql', 'SELECT 1;');
+    folder.file('Dockerfile', 'FROM node:20');
+    folder.file('.git/HEAD', 'ref: refs/heads/main');
+    const archive = await zip.generateAsync({ type: 'nodebuffer' });
+
+    const fromZip = await request(app)
+      .post('/api/snippets/validate-import')
+      .attach('file', archive, 'gist.zip')
+      .expect(200);
+
+    expect(fromZip.body.format).toBe('gist');
+    expect(fromZip.body.preview.map(snippet => [snippet.title, snippet.language])).toEqual([
+      ['Dockerfile', 'dockerfile'],
+      ['query.sql', 'sql']
+    ]);
+  });
+
+  test('POST /api/snippets/validate-import should reject unknown files', async () => {
+    const unsupported = await request(app)
+      .post('/api/snippets/validate-import')
+      .attach('file', Buffer.from('MZ'), 'tool.exe')
+      .expect(400);
+    expect(unsupported.body.error).toMatch(/can be imported/);
+
+    const unknownJson = await request(app)
+      .post('/api/snippets/validate-import')
+      .attach('file', Buffer.from('{"hello": "world"}'), 'data.json')
+      .expect(400);
+    expect(unknownJson.body.error).toMatch(/Unrecognized file/);
+  });
+
+  test('POST /api/snippets/validate-import should refuse ZIP files that unpack to too much', async () => {
+    const manyFiles = new JSZip();
+    for (let i = 0; i <= 10000; i++) manyFiles.file(`gist/file${i}.txt`, 'x');
+    const tooMany = await request(app)
+      .post('/api/snippets/validate-import')
+      .attach('file', await manyFiles.generateAsync({ type: 'nodebuffer' }), 'many.zip')
+      .expect(400);
+    expect(tooMany.body.error).toBe('The ZIP file has more than 10000 files');
+
+    const bomb = new JSZip();
+    bomb.file('gist/zeros.txt', Buffer.alloc(65 * 1024 * 1024));
+    const tooBig = await request(app)
+      .post('/api/snippets/validate-import')
+      .attach('file', await bomb.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }), 'bomb.zip')
+      .expect(400);
+    expect(tooBig.body.error).toBe('The ZIP file unpacks to more than 64MB');
+
+    // A file whose ZIP headers understate its size stops inflating once it passes that size
+    const understated = await new JSZip().file('notes.txt', 'x'.repeat(1000))
+      .generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    const localHeader = understated.indexOf(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+    const centralHeader = understated.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    understated.writeUInt32LE(10, localHeader + 22);
+    understated.writeUInt32LE(10, centralHeader + 24);
+    const lying = await request(app)
+      .post('/api/snippets/validate-import')
+      .attach('file', understated, 'lying.zip')
+      .expect(400);
+    expect(lying.body.error).toBe('notes.txt is larger than the ZIP file says');
+  }, 30000); // Building the oversized ZIPs takes a few seconds
+});
+
+describe('Markdown export round trip', () => {
+  const originals = [
+    {
+      title: 'Compose file',
+      content: 'services:\n  api:\n    image: api:latest\n---\n## not a heading\n**Language:** not metadata\n',
+      language: 'yaml',
+      source: 'https://docs.docker.com/compose/',
+      tags: ['docker', 'round-trip']
+    },
+    {
+      title: 'Fenced README',
+      content: 'Run:\n\n```bash\nnpm start\n```\n\nand ```` too',
+      language: 'markdown',
+      tags: []
+    }
+  ];
+
+  test('a Markdown export should import back with its tags, sources and favorites', async () => {
+    const created = [];
+    for (const original of originals) {
+      const response = await request(app).post('/api/snippets').send(original).expect(201);
+      created.push(response.body);
+    }
+    await request(app).post(`/api/favorites/toggle/${created[0].id}`).expect(200);
+
+    const exported = await request(app)
+      .get(`/api/snippets/export?type=md&ids=${created.map(snippet => snippet.id).join(',')}`)
+      .expect(200);
+
+    for (const snippet of created) {
+      await request(app).delete(`/api/snippets/${snippet.id}`).expect(200);
+    }
+
+    const imported = await request(app)
+      .post('/api/snippets/import')
+      .attach('file', Buffer.from(exported.text), 'backup.md')
+      .expect(200);
+
+    expect(imported.body.format).toBe('mysnippethub-markdown');
+    expect(imported.body.results.success).toBe(2);
+
+    const restored = await request(app).get('/api/snippets?limit=100').expect(200);
+    for (const original of originals) {
+      const snippet = restored.body.snippets.find(s => s.title === original.title);
+      expect(snippet).toBeDefined();
+      expect(snippet.content).toBe(original.content);
+      expect(snippet.language).toBe(original.language);
+      expect(snippet.source || null).toBe(original.source || null);
+      expect(snippet.tags.map(tag => tag.name).sort()).toEqual([...original.tags].sort());
+      expect(Boolean(snippet.is_favorite)).toBe(original === originals[0]);
+    }
+  });
+
+  test('importing the same Markdown export twice should skip the duplicates', async () => {
+    const list = await request(app).get('/api/snippets?limit=100').expect(200);
+    const ids = list.body.snippets
+      .filter(snippet => originals.some(original => original.title === snippet.title))
+      .map(snippet => snippet.id);
+    const exported = await request(app).get(`/api/snippets/export?type=md&ids=${ids.join(',')}`).expect(200);
+
+    const preview = await request(app)
+      .post('/api/snippets/validate-import')
+      .attach('file', Buffer.from(exported.text), 'backup.md')
+      .expect(200);
+    const compose = preview.body.preview.find(snippet => snippet.title === 'Compose file');
+    expect(compose.tags.sort()).toEqual(['docker', 'round-trip']);
+
+    const imported = await request(app)
+      .post('/api/snippets/import')
+      .attach('file', Buffer.from(exported.text), 'backup.md')
+      .expect(200);
+
+    expect(imported.body.results.success).toBe(0);
+    expect(imported.body.results.details.map(detail => detail.message)).toEqual([
+      expect.stringMatching(/already exists/),
+      expect.stringMatching(/already exists/)
+    ]);
+  });
+});
+
+describe('Full backup', () => {
+  const withoutTimestamp = ({ created_at, ...backup }) => backup;
+
+  test('a full backup should restore byte-for-byte, with history, tag colors, favorites and collections', async () => {
+    // Tags are shared and outlive a run, so these are this run's own
+    const stamp = Date.now();
+    const opsTag = `ops, infra ${stamp}`;
+    const backupTag = `backup ${stamp}`;
+    await request(app).post('/api/tags').send({ name: opsTag, color: '#FF8800' }).expect(201);
+
+    const created = await request(app)
+      .post('/api/snippets')
+      .send({ title: 'Backup me', content: 'v1', language: 'bash', tags: [opsTag, backupTag], source: 'runbook' })
+      .expect(201);
+    const snippetId = created.body.id;
+    await request(app).put(`/api/snippets/${snippetId}`).send({ title: 'Backup me', content: 'v2', language: 'bash', tags: [opsTag, backupTag] }).expect(200);
+    await request(app).put(`/api/snippets/${snippetId}`).send({ title: 'Backed up', content: 'v3\n', language: 'bash', tags: [opsTag, backupTag] }).expect(200);
+    await request(app).post(`/api/favorites/toggle/${snippetId}`).expect(200);
+
+    const parent = await request(app).post('/api/collections').send({ name: 'Backup parent' }).expect(201);
+    const child = await request(app).post('/api/collections').send({ name: 'Backup child', parent_id: parent.body.id }).expect(201);
+    await request(app).post(`/api/collections/${child.body.id}/snippets`).send({ snippet_ids: [snippetId] }).expect(200);
+
+    const before = await request(app).get('/api/snippets/export?type=backup').expect(200);
+    expect(before.body.format).toBe('mysnippethub-backup');
+    expect(before.body.schema_version).toBe(1);
+    const backedUp = before.body.snippets.find(snippet => snippet.id === snippetId);
+    expect(backedUp.versions.map(version => version.content)).toEqual(['v1', 'v2']);
+    expect(backedUp.tags).toEqual([opsTag, backupTag]);
+    expect(before.body.tags).toContainEqual(expect.objectContaining({ name: opsTag, color: '#FF8800' }));
+    expect(before.body.favorites).toContainEqual(expect.objectContaining({ snippet_id: snippetId }));
+
+    // The regular JSON export no longer splits tag names on commas either
+    const json = await request(app).get(`/api/snippets/export?type=json&ids=${snippetId}`).expect(200);
+    expect(json.body.snippets[0].tags).toEqual([
+      { name: opsTag, color: '#FF8800' },
+      { name: backupTag, color: '#6B7280' }
+    ]);
+
+    await request(app).delete(`/api/snippets/${snippetId}`).expect(200);
+    await request(app).delete(`/api/collections/${parent.body.id}`).expect(200);
+
+    const restored = await request(app)
+      .post('/api/snippets/import')
+      .attach('file', Buffer.from(JSON.stringify(before.body)), 'backup.json')
+      .expect(200);
+    expect(restored.body.format).toBe('mysnippethub-backup');
+    expect(restored.body.results.success).toBe(before.body.snippets.length);
+
+    const after = await request(app).get('/api/snippets/export?type=backup').expect(200);
+    expect(JSON.stringify(withoutTimestamp(after.body))).toBe(JSON.stringify(withoutTimestamp(before.body)));
+
+    const history = await request(app).get(`/api/snippets/${snippetId}/versions`).expect(200);
+    expect(history.body.map(version => version.version_number)).toEqual([2, 1]);
+  });
+
+  test('restoring should give snippets a new ID when theirs belongs to someone else, and reject newer schemas', async () => {
+    const otherUser = await authService.createUser({ username: `restorer${Date.now()}`, password: 'restore test password' });
+    const taken = await database.run(
+      "INSERT INTO snippets (title, content, language, user_id) VALUES ('Not yours', 'x', 'text', ?)",
+      [otherUser.id]
+    );
+    const backup = {
+      format: 'mysnippethub-backup',
+      schema_version: 1,
+      snippets: [{
+        id: taken.id, title: 'Mine', content: 'y', language: 'text', source: null, version: 1,
+        visibility: 'private', created_at: '2024-01-02 03:04:05', updated_at: '2024-01-02 03:04:05', tags: [], versions: []
+      }]
+    };
+
+    const restored = await request(app)
+      .post('/api/snippets/import')
+      .attach('file', Buffer.from(JSON.stringify(backup)), 'backup.json')
+      .expect(200);
+    expect(restored.body.results.details[0].message).toMatch(/^Restored as #\d+/);
+
+    const untouched = await database.get('SELECT title, user_id FROM snippets WHERE id = ?', [taken.id]);
+    expect(untouched).toEqual({ title: 'Not yours', user_id: otherUser.id });
+    const mine = await database.get("SELECT created_at FROM snippets WHERE title = 'Mine' AND user_id = ?", [testUser.id]);
+    expect(mine.created_at).toBe('2024-01-02 03:04:05');
+
+    const newer = await request(app)
+      .post('/api/snippets/import')
+      .attach('file', Buffer.from(JSON.stringify({ ...backup, schema_version: 2 })), 'backup.json')
+      .expect(400);
+    expect(newer.body.error).toMatch(/schema version 2/);
+
+    await request(app).get('/api/snippets/export?type=backup&ids=1').expect(400);
+  });
+
+  test('restoring should update snippets in place, keeping other users\' favorites, collections and share links', async () => {
+    const stamp = Date.now();
+    const otherUser = await authService.createUser({ username: `teammate${stamp}`, password: 'teammate test password' });
+    const colorTag = `restore-color-${stamp}`;
+    await request(app).post('/api/tags').send({ name: colorTag, color: '#112233' }).expect(201);
+
+    const created = await request(app)
+      .post('/api/snippets')
+      .send({ title: 'Shared runbook', content: 'v1', language: 'bash', visibility: 'team', tags: [colorTag] })
+      .expect(201);
+    const snippetId = created.body.id;
+    await request(app).put(`/api/snippets/${snippetId}`).send({ title: 'Shared runbook', content: 'v2', language: 'bash', tags: [colorTag] }).expect(200);
+    const collection = await request(app).post('/api/collections').send({ name: 'Restore target' }).expect(201);
+
+    const backup = (await request(app).get('/api/snippets/export?type=backup').expect(200)).body;
+
+    const share = (await request(app).post(`/api/snippets/${snippetId}/shares`).send({}).expect(201)).body;
+    await database.run('INSERT INTO favorites (user_id, snippet_id) VALUES (?, ?)', [otherUser.id, snippetId]);
+    const othersCollection = await database.run("INSERT INTO collections (name, user_id) VALUES ('Team picks', ?)", [otherUser.id]);
+    await database.run('INSERT INTO collection_snippets (collection_id, snippet_id) VALUES (?, ?)', [othersCollection.id, snippetId]);
+
+    await request(app).put(`/api/snippets/${snippetId}`).send({ title: 'Shared runbook', content: 'v3', language: 'bash', tags: [] }).expect(200);
+    const tag = await database.get('SELECT id FROM tags WHERE name = ?', [colorTag]);
+    await request(app).put(`/api/tags/${tag.id}`).send({ name: colorTag, color: '#445566' }).expect(200);
+
+    // The backed-up collection's ID is gone, but its name is taken by a new one in the same place
+    await request(app).delete(`/api/collections/${collection.body.id}`).expect(200);
+    const sameName = await request(app).post('/api/collections').send({ name: 'Restore target' }).expect(201);
+
+    await request(app)
+      .post('/api/snippets/import')
+      .attach('file', Buffer.from(JSON.stringify(backup)), 'backup.json')
+      .expect(200);
+
+    const restored = await database.get('SELECT content, version FROM snippets WHERE id = ?', [snippetId]);
+    expect(restored).toEqual({ content: 'v2', version: 2 });
+    const history = await request(app).get(`/api/snippets/${snippetId}/versions`).expect(200);
+    expect(history.body.map(version => version.content)).toEqual(['v1']);
+    const tags = await database.all('SELECT t.name, t.color FROM snippet_tags st JOIN tags t ON t.id = st.tag_id WHERE st.snippet_id = ?', [snippetId]);
+    expect(tags).toEqual([{ name: colorTag, color: '#445566' }]);
+
+    const favorite = await database.get('SELECT user_id FROM favorites WHERE user_id = ? AND snippet_id = ?', [otherUser.id, snippetId]);
+    expect(favorite).toBeDefined();
+    const membership = await database.get('SELECT collection_id FROM collection_snippets WHERE collection_id = ? AND snippet_id = ?', [othersCollection.id, snippetId]);
+    expect(membership).toBeDefined();
+    const page = await request(app).get(`/api/share/${share.token}`).expect(200);
+    expect(page.body.snippet.content).toBe('v2');
+
+    const targets = await database.all("SELECT id FROM collections WHERE name = 'Restore target' AND user_id = ?", [testUser.id]);
+    expect(targets).toEqual([{ id: sameName.body.id }]);
+  });
+
+  test('a restore and an import at the same time should both complete', async () => {
+    const stamp = Date.now();
+    const backup = (await request(app).get('/api/snippets/export?type=backup').expect(200)).body;
+    const snippets = [1, 2, 3].map(n => ({ title: `Alongside restore ${n} ${stamp}`, content: `alongside ${n} ${stamp}`, language: 'text' }));
+
+    const [restore, importing] = await Promise.all([
+      request(app).post('/api/snippets/import').attach('file', Buffer.from(JSON.stringify(backup)), 'backup.json'),
+      request(app).post('/api/snippets/import').attach('file', Buffer.from(JSON.stringify({ snippets })), 'alongside.json')
+    ]);
+    expect(restore.status).toBe(200);
+    expect(restore.body.results).toMatchObject({ success: backup.snippets.length, errors: 0 });
+    expect(importing.status).toBe(200);
+    expect(importing.body.results).toMatchObject({ success: 3, errors: 0 });
+
+    const imported = await database.get('SELECT COUNT(*) as count FROM snippets WHERE content LIKE ?', [`alongside % ${stamp}`]);
+    expect(imported.count).toBe(3);
+  });
+});
+
+describe('ZIP archive export', () => {
+  const binary = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  };
+  let snippets;
+
+  beforeAll(async () => {
+    snippets = [];
+    const definitions = [
+      { title: 'Archive retry', content: 'def retry():\n    pass\n', language: 'python', tags: ['archive/tools', 'archive-extra'] },
+      { title: 'Archive Retry', content: 'def retry_twice():\n    pass\n', language: 'python', tags: ['archive/tools'] },
+      { title: 'Archive parse', content: 'fn parse() {}\n', language: 'rust' },
+      { title: 'Archive image', content: 'FROM node:20\n', language: 'dockerfile' }
+    ];
+    for (const definition of definitions) {
+      const response = await request(app).post('/api/snippets').send(definition).expect(201);
+      snippets.push(response.body);
+    }
+  });
+
+  test('GET /api/snippets/export?type=zip should write a file per snippet in tag folders with a manifest', async () => {
+    const response = await request(app)
+      .get(`/api/snippets/export?type=zip&ids=${snippets.map(snippet => snippet.id).join(',')}`)
+      .buffer(true)
+      .parse(binary)
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/application\/zip/);
+    expect(response.headers['content-disposition']).toMatch(/\.zip"$/);
+
+    const zip = await JSZip.loadAsync(response.body);
+    expect(Object.keys(zip.files).filter(name => !zip.files[name].dir).sort()).toEqual([
+      'archive-tools/archive-retry-2.py',
+      'archive-tools/archive-retry.py',
+      'manifest.json',
+      'untagged/archive-image.Dockerfile',
+      'untagged/archive-parse.rs'
+    ]);
+    expect(await zip.file('untagged/archive-parse.rs').async('string')).toBe('fn parse() {}\n');
+
+    const manifest = JSON.parse(await zip.file('manifest.json').async('string'));
+    expect(manifest).toMatchObject({ format: 'mysnippethub-archive', version: 1, group_by: 'tag', total_snippets: 4 });
+    // Newest first, so the older of the two retries is the one renamed
+    const retry = manifest.snippets.find(snippet => snippet.id === snippets[0].id);
+    expect(retry).toMatchObject({
+      path: 'archive-tools/archive-retry-2.py',
+      title: 'Archive retry',
+      language: 'python',
+      tags: [{ name: 'archive/tools', color: '#6B7280' }, { name: 'archive-extra', color: '#6B7280' }]
+    });
+    expect(retry.content).toBeUndefined();
+  });
+
+  test('GET /api/snippets/export?type=zip&group_by=language should use language folders', async () => {
+    const response = await request(app)
+      .get(`/api/snippets/export?type=zip&group_by=language&ids=${snippets.map(snippet => snippet.id).join(',')}`)
+      .buffer(true)
+      .parse(binary)
+      .expect(200);
+
+    const zip = await JSZip.loadAsync(response.body);
+    expect(Object.keys(zip.files).filter(name => !zip.files[name].dir).sort()).toEqual([
+      'dockerfile/archive-image.Dockerfile',
+      'manifest.json',
+      'python/archive-retry-2.py',
+      'python/archive-retry.py',
+      'rust/archive-parse.rs'
+    ]);
+
+    await request(app).get('/api/snippets/export?type=zip&group_by=color').expect(400);
+  });
+
+  test('POST /api/snippets/import should read the archive back, with edits made to its files', async () => {
+    const exported = await request(app)
+      .get(`/api/snippets/export?type=zip&ids=${snippets.map(snippet => snippet.id).join(',')}`)
+      .buffer(true)
+      .parse(binary)
+      .expect(200);
+
+    // As if it had been unzipped into a repository, edited and zipped up again
+    const original = await JSZip.loadAsync(exported.body);
+    const edited = new JSZip();
+    for (const entry of Object.values(original.files).filter(file => !file.dir)) {
+      edited.file(`snippets-repo/${entry.name}`, await entry.async('string'));
+    }
+    edited.file('snippets-repo/untagged/archive-parse.rs', 'fn parse() -> bool { true }\n');
+    const archive = await edited.generateAsync({ type: 'nodebuffer' });
+
+    const validation = await request(app)
+      .post('/api/snippets/validate-import')
+      .attach('file', archive, 'snippets-repo.zip')
+      .expect(200);
+    expect(validation.body).toMatchObject({ valid: true, format: 'mysnippethub-archive', format_label: 'MySnippetHub ZIP archive' });
+
+    for (const snippet of snippets) {
+      await request(app).delete(`/api/snippets/${snippet.id}`).expect(200);
+    }
+
+    const imported = await request(app)
+      .post('/api/snippets/import')
+      .attach('file', archive, 'snippets-repo.zip')
+      .expect(200);
+    expect(imported.body.format).toBe('mysnippethub-archive');
+    expect(imported.body.results).toMatchObject({ success: 4, errors: 0 });
+
+    const restored = await request(app).get('/api/snippets?search=Archive&limit=10').expect(200);
+    const byTitle = Object.fromEntries(restored.body.snippets.map(snippet => [snippet.title, snippet]));
+    expect(byTitle['Archive parse'].content).toBe('fn parse() -> bool { true }\n');
+    expect(byTitle['Archive image'].language).toBe('dockerfile');
+    expect(byTitle['Archive retry'].tags.map(tag => tag.name).sort()).toEqual(['archive-extra', 'archive/tools']);
+  });
+
+  test('POST /api/snippets/validate-import should reject an archive from a newer version', async () => {
+    const zip = new JSZip();
+    zip.file('manifest.json', JSON.stringify({ format: 'mysnippethub-archive', version: 99, snippets: [] }));
+    const response = await request(app)
+      .post('/api/snippets/validate-import')
+      .attach('file', await zip.generateAsync({ type: 'nodebuffer' }), 'future.zip')
+      .expect(400);
+    expect(response.body.error).toMatch(/newer version/);
+  });
+
+  test('reading an archive should stop at a file larger than its ZIP headers say', async () => {
+    const archiveService = require('../services/archive');
+    const zip = new JSZip();
+    zip.file('notes.txt', 'x'.repeat(1000));
+    zip.file('manifest.json', JSON.stringify({
+      format: 'mysnippethub-archive',
+      version: 1,
+      snippets: [{ path: 'notes.txt', title: 'Notes', language: 'text', tags: [] }]
+    }));
+    const archive = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    // notes.txt comes first, so its headers are the first of each kind
+    archive.writeUInt32LE(10, archive.indexOf(Buffer.from([0x50, 0x4b, 0x03, 0x04])) + 22);
+    archive.writeUInt32LE(10, archive.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 24);
+
+    await expect(archiveService.read(await JSZip.loadAsync(archive)))
+      .rejects.toThrow(new archiveService.ArchiveError('notes.txt is larger than the ZIP file says'));
+    const response = await request(app)
+      .post('/api/snippets/validate-import')
+      .attach('file', archive, 'snippets-repo.zip')
+      .expect(400);
+    expect(response.body.error).toBe('notes.txt is larger than the ZIP file says');
+  });
+});
+
+describe('Import conflict resolution', () => {
+  const similarContent = 'function conflictSimilarBase(items) {\n  return items.filter(item => item.enabled).map(item => item.name);\n}\n';
+  const library = {};
+  let importFile;
+
+  beforeAll(async () => {
+    const definitions = {
+      identical: { title: 'Conflict identical', content: 'echo conflict-identical\n', language: 'bash' },
+      title: { title: 'Conflict title', content: 'SELECT conflict_title FROM old_table;\n', language: 'sql', tags: ['conflict-old'] },
+      similar: { title: 'Conflict similar base', content: similarContent, language: 'javascript', tags: ['conflict-kept'] }
+    };
+    for (const [key, definition] of Object.entries(definitions)) {
+      const response = await request(app).post('/api/snippets').send(definition).expect(201);
+      library[key] = response.body;
+    }
+
+    importFile = Buffer.from(JSON.stringify({
+      snippets: [
+        { title: 'Conflict identical', content: 'echo conflict-identical\n', language: 'bash' },
+        { title: 'conflict title', content: 'SELECT conflict_title FROM new_table;\n', language: 'sql', tags: ['conflict-new'] },
+        { title: 'Conflict similar renamed', content: similarContent.replace('.name)', '.name).sort()'), language: 'javascript', tags: ['conflict-merged'] },
+        { title: 'Conflict fresh', content: 'print("quarantine zebra xylophone")\n', language: 'python' }
+      ]
+    }));
+  });
+
+  test('POST /api/snippets/import/preview should classify each snippet without importing', async () => {
+    const response = await request(app)
+      .post('/api/snippets/import/preview')
+      .attach('file', importFile, 'conflicts.json')
+      .expect(200);
+
+    expect(response.body.valid).toBe(true);
+    expect(response.body.summary).toEqual({ new: 1, identical: 1, title_conflict: 1, similar: 1 });
+    expect(response.body.conflicts.map(conflict => [conflict.index, conflict.status, conflict.existing.id])).toEqual([
+      [0, 'identical', library.identical.id],
+      [1, 'title_conflict', library.title.id],
+      [2, 'similar', library.similar.id]
+    ]);
+
+    const titleConflict = response.body.conflicts[1];
+    expect(titleConflict.existing.tags).toEqual(['conflict-old']);
+    expect(titleConflict.tags).toEqual(['conflict-new']);
+    expect(titleConflict.diff.changed_fields).toEqual(['title', 'content']);
+    expect(titleConflict.diff.fields.content.diff).toEqual(expect.arrayContaining([
+      { value: 'old_table', added: false, removed: true },
+      { value: 'new_table', added: true, removed: false }
+    ]));
+    expect(response.body.conflicts[0].diff).toBeNull();
+    expect(response.body.conflicts[2].similarity).toBeGreaterThanOrEqual(0.8);
+
+    const fresh = await request(app).get('/api/snippets?search=quarantine&limit=10').expect(200);
+    expect(fresh.body.snippets).toHaveLength(0);
+  });
+
+  test('POST /api/snippets/import should apply keep, replace and merge_tags per snippet', async () => {
+    const response = await request(app)
+      .post('/api/snippets/import')
+      .field('resolutions', JSON.stringify({ 0: 'keep', 1: 'replace', 2: 'merge_tags' }))
+      .attach('file', importFile, 'conflicts.json')
+      .expect(200);
+
+    expect(response.body.results).toMatchObject({ success: 1, updated: 2, skipped: 1, errors: 0 });
+    expect(response.body.results.details.map(detail => detail.status)).toEqual(['skipped', 'updated', 'updated', 'imported']);
+
+    const replaced = await request(app).get(`/api/snippets/${library.title.id}`).expect(200);
+    expect(replaced.body).toMatchObject({ title: 'conflict title', content: 'SELECT conflict_title FROM new_table;\n' });
+    expect(replaced.body.tags.map(tag => tag.name)).toEqual(['conflict-new']);
+
+    const merged = await request(app).get(`/api/snippets/${library.similar.id}`).expect(200);
+    expect(merged.body.content).toBe(similarContent);
+    expect(merged.body.tags.map(tag => tag.name).sort()).toEqual(['conflict-kept', 'conflict-merged']);
+  });
+
+  test('POST /api/snippets/import should import a copy for keep_both', async () => {
+    const response = await request(app)
+      .post('/api/snippets/import')
+      .field('resolutions', JSON.stringify({ 0: 'keep_both' }))
+      .attach('file', Buffer.from(JSON.stringify({
+        snippets: [{ title: 'Conflict identical', content: 'echo conflict-identical\n', language: 'bash' }]
+      })), 'copy.json')
+      .expect(200);
+
+    expect(response.body.results).toMatchObject({ success: 1, updated: 0, skipped: 0, errors: 0 });
+    const copies = await request(app).get('/api/snippets?search=identical&limit=50').expect(200);
+    expect(copies.body.snippets.filter(snippet => snippet.title === 'Conflict identical')).toHaveLength(2);
+  });
+
+  test('POST /api/snippets/import should reject malformed resolutions', async () => {
+    const response = await request(app)
+      .post('/api/snippets/import')
+      .field('resolutions', JSON.stringify({ 0: 'overwrite' }))
+      .attach('file', importFile, 'conflicts.json')
+      .expect(400);
+    expect(response.body.error).toMatch(/resolutions must be/);
+  });
+});
+
+describe('Import IDs and result accounting', () => {
+  const importJson = (snippets, fields = {}) => {
+    let req = request(app).post('/api/snippets/import');
+    Object.entries(fields).forEach(([key, value]) => {
+      req = req.field(key, value);
+    });
+    return req.attach('file', Buffer.from(JSON.stringify({ snippets })), 'accounting.json');
+  };
+  let mine;
+  let freeId;
+
+  beforeAll(async () => {
+    const response = await request(app)
+      .post('/api/snippets')
+      .send({ title: 'Accounting original', content: 'original accounting body', language: 'text' })
+      .expect(201);
+    mine = response.body;
+    freeId = (await database.get('SELECT MAX(id) AS id FROM snippets')).id + 1000;
+  });
+
+  test('new snippets should get their tags and favorite on the ID they were created with', async () => {
+    const response = await importJson([
+      { id: freeId + 1, title: 'Accounting tagged', content: 'tagged accounting body', language: 'text', tags: ['accounting'], is_favorite: true }
+    ]).expect(200);
+
+    const [detail] = response.body.results.details;
+    expect(detail).toMatchObject({ status: 'imported', message: 'Successfully imported' });
+    // Without preserveIds the ID in the file is ignored
+    expect(detail.id).not.toBe(freeId + 1);
+
+    const snippet = await request(app).get(`/api/snippets/${detail.id}`).expect(200);
+    expect(snippet.body.tags.map(tag => tag.name)).toEqual(['accounting']);
+    const favorites = await request(app).get('/api/favorites').expect(200);
+    expect(favorites.body.map(favorite => favorite.id)).toContain(detail.id);
+  });
+
+  test('preserveIds should keep free IDs and give taken ones a new ID', async () => {
+    const otherUser = await authService.createUser({ username: `importer${Date.now()}`, password: 'import test password' });
+    const others = await database.run(
+      "INSERT INTO snippets (title, content, language, user_id) VALUES ('Not yours either', 'x', 'text', ?)",
+      [otherUser.id]
+    );
+
+    const response = await importJson([
+      { id: freeId, title: 'Accounting kept ID', content: 'kept id body', language: 'text', tags: ['accounting'] },
+      { id: others.id, title: 'Accounting taken ID', content: 'taken id body', language: 'text' }
+    ], { preserveIds: 'true' }).expect(200);
+
+    expect(response.body.results).toMatchObject({ success: 2, updated: 0, skipped: 0, errors: 0 });
+    const [kept, moved] = response.body.results.details;
+    expect(kept).toMatchObject({ id: freeId, message: 'Successfully imported' });
+    expect(moved.id).not.toBe(others.id);
+    expect(moved.message).toBe(`ID ${others.id} is taken; imported as #${moved.id}`);
+
+    const keptSnippet = await request(app).get(`/api/snippets/${freeId}`).expect(200);
+    expect(keptSnippet.body).toMatchObject({ title: 'Accounting kept ID', tags: [expect.objectContaining({ name: 'accounting' })] });
+    const othersSnippet = await database.get('SELECT title, user_id FROM snippets WHERE id = ?', [others.id]);
+    expect(othersSnippet).toEqual({ title: 'Not yours either', user_id: otherUser.id });
+  });
+
+  test('preserveIds should treat a snippet of yours with the same ID as the same snippet', async () => {
+    const edited = { id: mine.id, title: 'Accounting original', content: 'edited accounting body', language: 'text' };
+
+    const skipped = await importJson([edited], { preserveIds: 'true' }).expect(200);
+    expect(skipped.body.results).toMatchObject({ success: 0, updated: 0, skipped: 1, errors: 0 });
+    expect(skipped.body.results.details[0]).toMatchObject({ status: 'skipped', id: mine.id });
+
+    const updated = await importJson([edited], { preserveIds: 'true', overwriteExisting: 'true' }).expect(200);
+    expect(updated.body.results).toMatchObject({ success: 0, updated: 1, skipped: 0, errors: 0 });
+    const snippet = await request(app).get(`/api/snippets/${mine.id}`).expect(200);
+    expect(snippet.body.content).toBe('edited accounting body');
+
+    const copied = await importJson([edited], { preserveIds: 'true', skipDuplicates: 'false' }).expect(200);
+    expect(copied.body.results).toMatchObject({ success: 1, updated: 0, skipped: 0, errors: 0 });
+    expect(copied.body.results.details[0].message).toBe(`ID ${mine.id} is taken; imported as #${copied.body.results.details[0].id}`);
+  });
+
+  test('duplicates should count as skipped or updated, not as errors', async () => {
+    const duplicate = { title: 'Accounting duplicate', content: 'duplicate accounting body', language: 'text' };
+    const first = await importJson([duplicate, { ...duplicate }]).expect(200);
+    // The second copy matches the first one, imported a moment earlier
+    expect(first.body.results).toMatchObject({ success: 1, updated: 0, skipped: 1, errors: 0 });
+    expect(first.body.results.details[1].message).toBe(`Snippet already exists as #${first.body.results.details[0].id}`);
+
+    const overwritten = await importJson([duplicate], { overwriteExisting: 'true' }).expect(200);
+    expect(overwritten.body.results).toMatchObject({ success: 0, updated: 1, skipped: 0, errors: 0 });
+
+    const copied = await importJson([duplicate], { skipDuplicates: 'false' }).expect(200);
+    expect(copied.body.results).toMatchObject({ success: 1, updated: 0, skipped: 0, errors: 0 });
+    const { id } = copied.body.results.details[0];
+    const copy = await request(app).get(`/api/snippets/${id}`).expect(200);
+    expect(copy.body.title).toBe('Accounting duplicate');
+  });
+
+  test('a snippet that fails part way should undo only its own writes', async () => {
+    // Saving one snippet's tags fails after its row was inserted
+    const exportImportService = require('../services/exportImport');
+    const saveTags = exportImportService.saveTags;
+    const failingTags = jest.spyOn(exportImportService, 'saveTags').mockImplementation(function (snippetId, tags, options) {
+      if (tags && tags.includes('accounting-failure')) return Promise.reject(new Error('Could not save tags'));
+      return saveTags.call(this, snippetId, tags, options);
+    });
+
+    // The database outlives a run, so the titles are this run's own
+    const stamp = Date.now();
+    let response;
+    try {
+      response = await importJson([
+        { title: `Accounting before failure ${stamp}`, content: 'before failure body', language: 'text' },
+        { title: `Accounting during failure ${stamp}`, content: 'during failure body', language: 'text', tags: ['accounting-failure'] },
+        { title: `Accounting after failure ${stamp}`, content: 'after failure body', language: 'text' }
+      ]).expect(200);
+    } finally {
+      failingTags.mockRestore();
+    }
+
+    expect(response.body.results).toMatchObject({ success: 2, updated: 0, skipped: 0, errors: 1 });
+    expect(response.body.results.details[1].status).toBe('error');
+
+    const titles = await database.all('SELECT title FROM snippets WHERE title LIKE ? ORDER BY id', [`Accounting % failure ${stamp}`]);
+    expect(titles.map(row => row.title)).toEqual([`Accounting before failure ${stamp}`, `Accounting after failure ${stamp}`]);
+  });
+
+  test('imports running at the same time should each commit all of their snippets', async () => {
+    const stamp = Date.now();
+    const batches = ['first', 'second', 'third'].map(name => (
+      [1, 2, 3].map(n => ({ title: `Concurrent ${name} ${n} ${stamp}`, content: `${name} ${n} ${stamp}`, language: 'text' }))
+    ));
+
+    const responses = await Promise.all(batches.map(batch => importJson(batch)));
+    responses.forEach(response => {
+      expect(response.status).toBe(200);
+      expect(response.body.results).toMatchObject({ success: 3, errors: 0 });
+    });
+
+    const imported = await database.get('SELECT COUNT(*) as count FROM snippets WHERE content LIKE ?', [`% ${stamp}`]);
+    expect(imported.count).toBe(9);
+  });
+});
+
+describe('Streaming NDJSON export and import', () => {
+  const parseLines = text => text.trim().split('\n').map(line => JSON.parse(line));
+  let snippetIds;
+
+  beforeAll(async () => {
+    snippetIds = [];
+    for (const title of ['Streamed one', 'Streamed two', 'Streamed three']) {
+      const response = await request(app)
+        .post('/api/snippets')
+        .send({ title, content: `echo "${title}"\n`, language: 'bash', tags: ['stream, test'] })
+        .expect(201);
+      snippetIds.push(response.body.id);
+    }
+  });
+
+  test('GET /api/snippets/export?type=ndjson should write a header and one snippet per line', async () => {
+    const response = await request(app)
+      .get(`/api/snippets/export?type=ndjson&ids=${snippetIds.join(',')}`)
+      .buffer(true)
+      .parse((res, callback) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { text += chunk; });
+        res.on('end', () => callback(null, text));
+      })
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/application\/x-ndjson/);
+    expect(response.headers['content-disposition']).toMatch(/\.ndjson"$/);
+    const [header, ...snippets] = parseLines(response.body);
+    expect(header).toMatchObject({ type: 'header', format: 'mysnippethub-ndjson', version: 1, total_snippets: 3 });
+    expect(snippets.map(snippet => snippet.id)).toEqual(snippetIds);
+    expect(snippets[0]).toMatchObject({
+      title: 'Streamed one',
+      content: 'echo "Streamed one"\n',
+      tags: [{ name: 'stream, test', color: '#6B7280' }]
+    });
+  });
+
+  test('POST /api/snippets/import/stream should import line by line and report progress', async () => {
+    const exported = await request(app)
+      .get(`/api/snippets/export?type=ndjson&ids=${snippetIds.join(',')}`)
+      .buffer(true)
+      .parse((res, callback) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { text += chunk; });
+        res.on('end', () => callback(null, text));
+      })
+      .expect(200);
+    for (const id of snippetIds) {
+      await request(app).delete(`/api/snippets/${id}`).expect(200);
+    }
+
+    const body = `${exported.body}not json\n{"title":"No content"}\n`;
+    const response = await request(app)
+      .post('/api/snippets/import/stream')
+      .set('Content-Type', 'application/x-ndjson')
+      .send(body)
+      .expect(200);
+
+    const events = parseLines(response.text);
+    const progress = events.filter(event => event.type === 'progress');
+    expect(progress[progress.length - 1]).toEqual({
+      type: 'progress', processed: 5, total: 3, success: 3, updated: 0, skipped: 0, errors: 2, bytes: Buffer.byteLength(body)
+    });
+
+    const done = events[events.length - 1];
+    expect(done.type).toBe('done');
+    expect(done.results).toMatchObject({ success: 3, errors: 2 });
+    expect(done.results.details.filter(detail => detail.status === 'error').map(detail => detail.message)).toEqual([
+      'Invalid JSON',
+      'Line 6: Missing or invalid content'
+    ]);
+
+    const restored = await request(app).get('/api/snippets?search=Streamed&limit=10').expect(200);
+    expect(restored.body.snippets.map(snippet => snippet.title).sort()).toEqual(['Streamed one', 'Streamed three', 'Streamed two']);
+  });
+
+  test('POST /api/snippets/import/stream should refuse other formats and content types', async () => {
+    const wrongFormat = await request(app)
+      .post('/api/snippets/import/stream')
+      .set('Content-Type', 'application/x-ndjson')
+      .send('{"type":"header","format":"something-else","version":1}\n')
+      .expect(400);
+    expect(wrongFormat.body.error).toMatch(/Unknown NDJSON format/);
+
+    await request(app)
+      .post('/api/snippets/import/stream')
+      .send({ title: 'Plain JSON', content: 'x' })
+      .expect(415);
+  });
+
+  test('streamed imports should wait for progress to be sent and stop when cancelled', async () => {
+    const exportImportService = require('../services/exportImport');
+    const options = { skipDuplicates: true, userId: testUser.id };
+    const line = title => JSON.stringify({ title, content: `echo "${title}"\n`, language: 'bash' });
+
+    let progressSent = false;
+    await exportImportService.importFromNDJSON([line('Streamed slowly')], options, async () => {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      progressSent = true;
+    });
+    expect(progressSent).toBe(true);
+
+    // As if the client disconnected after its first line
+    const cancel = new AbortController();
+    async function* lines() {
+      yield line('Streamed before cancel');
+      cancel.abort(new Error('The client disconnected'));
+      yield line('Streamed after cancel');
+    }
+    await expect(exportImportService.importFromNDJSON(lines(), { ...options, signal: cancel.signal }))
+      .rejects.toThrow('The client disconnected');
+
+    const cancelled = await database.all("SELECT title FROM snippets WHERE title LIKE 'Streamed % cancel'");
+    expect(cancelled).toEqual([]);
+  });
+});
+
 describe('Tags API', () => {
   test('GET /api/tags should return tags array', async () => {
     const response = await request(app)
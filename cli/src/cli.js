@@ -0,0 +1,453 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const { spawnSync } = require('child_process');
+const config = require('./config');
+const { SnipClient, ApiError } = require('./client');
+
+/**
+ * snip - command-line client for MySnippetHub
+ * Each command maps onto the REST routes the web app uses. Exports and imports use the
+ * same JSON file format as the web app's Export/Import buttons.
+ */
+
+// File extensions to the language names the web app offers
+const LANGUAGES_BY_EXTENSION = {
+  '.js': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript', '.jsx': 'javascript',
+  '.ts': 'typescript', '.tsx': 'typescript',
+  '.py': 'python', '.rs': 'rust', '.go': 'go', '.java': 'java',
+  '.cpp': 'c++', '.cc': 'c++', '.cxx': 'c++', '.hpp': 'c++', '.h': 'c++',
+  '.cs': 'c#', '.php': 'php', '.rb': 'ruby',
+  '.css': 'css', '.html': 'html', '.htm': 'html', '.sql': 'sql', '.json': 'json',
+  '.yml': 'yaml', '.yaml': 'yaml', '.md': 'markdown',
+  '.sh': 'bash', '.bash': 'bash', '.zsh': 'bash', '.ps1': 'powershell'
+};
+
+const EXTENSIONS_BY_LANGUAGE = Object.entries(LANGUAGES_BY_EXTENSION).reduce((extensions, [extension, language]) => {
+  if (!extensions[language]) extensions[language] = extension;
+  return extensions;
+}, {});
+
+// Bad arguments; reported with the command's usage line
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+// A command that could not do its job for some other reason
+class CommandError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CommandError';
+  }
+}
+
+// Helper function to guess a snippet language from a file name
+function detectLanguage(filename) {
+  if (path.basename(filename).toLowerCase() === 'dockerfile') return 'dockerfile';
+  return LANGUAGES_BY_EXTENSION[path.extname(filename).toLowerCase()] || 'text';
+}
+
+// Helper function to read a file argument, where '-' means stdin
+function readInput(file) {
+  return fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+}
+
+// Helper function to read repeated and comma-separated tag options
+function parseTags(values = []) {
+  return [...new Set(values.flatMap(value => value.split(',')).map(tag => tag.trim()).filter(Boolean))];
+}
+
+// Helper function to get the one required positional argument
+function requireArgument(positionals, name) {
+  if (positionals.length !== 1) {
+    throw new UsageError(`Expected exactly one ${name}`);
+  }
+  return positionals[0];
+}
+
+// Helper function to print a snippet as one line of a list
+function formatListLine(snippet) {
+  const tags = snippet.tags.length > 0 ? `  [${snippet.tags.map(tag => tag.name).join(', ')}]` : '';
+  return `${String(snippet.id).padStart(6)}  ${snippet.language.padEnd(12)}  ${snippet.title}${tags}`;
+}
+
+async function add({ client, positionals, values, out }) {
+  const file = requireArgument(positionals, 'file (or - for stdin)');
+  const content = readInput(file);
+  if (!content.trim()) {
+    throw new CommandError(`${file === '-' ? 'stdin' : file} is empty`);
+  }
+
+  const snippet = await client.createSnippet({
+    title: values.title || (file === '-' ? 'Untitled snippet' : path.basename(file)),
+    content,
+    language: values.language || (file === '-' ? 'text' : detectLanguage(file)),
+    source: values.source,
+    tags: parseTags(values.tag),
+    ...(values.visibility && { visibility: values.visibility })
+  });
+
+  out.write(values.json ? `${JSON.stringify(snippet, null, 2)}\n` : `Created snippet ${snippet.id}: ${snippet.title}\n`);
+}
+
+async function search({ client, positionals, values, out }) {
+  const result = await client.listSnippets({
+    search: positionals.join(' '),
+    language: values.language,
+    tags: parseTags(values.tag),
+    favorites: values.favorites ? 'true' : undefined,
+    sort: values.sort,
+    limit: values.limit
+  });
+
+  if (values.json) {
+    out.write(`${JSON.stringify(result.snippets, null, 2)}\n`);
+    return;
+  }
+
+  if (result.snippets.length === 0) {
+    out.write('No snippets found\n');
+    return;
+  }
+
+  for (const snippet of result.snippets) {
+    out.write(`${formatListLine(snippet)}\n`);
+  }
+  if (result.pagination.has_more) {
+    out.write(`… ${result.pagination.total - result.snippets.length} more; narrow the search or raise --limit\n`);
+  }
+}
+
+// Prints only the content so it can be piped, e.g. `snip get 12 | pbcopy`
+async function get({ client, positionals, values, out }) {
+  const snippet = await client.getSnippet(requireArgument(positionals, 'snippet id'));
+
+  if (values.json) {
+    out.write(`${JSON.stringify(snippet, null, 2)}\n`);
+    return;
+  }
+
+  out.write(snippet.content);
+  if (out.isTTY && !snippet.content.endsWith('\n')) out.write('\n');
+}
+
+// Opens the content in $VISUAL or $EDITOR and saves it back if it changed
+async function edit({ client, positionals, values, out }) {
+  const snippet = await client.getSnippet(requireArgument(positionals, 'snippet id'));
+  if (snippet.is_owner === false) {
+    throw new CommandError(`Snippet ${snippet.id} belongs to ${snippet.owner_name || 'someone else'}; only its owner can edit it`);
+  }
+
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'snip-'));
+  const file = path.join(directory, `snippet-${snippet.id}${EXTENSIONS_BY_LANGUAGE[snippet.language] || '.txt'}`);
+
+  try {
+    fs.writeFileSync(file, snippet.content);
+
+    // The editor setting may carry arguments (e.g. "code --wait"), so run it through the shell
+    const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+    const result = spawnSync(`${editor} "${file}"`, { shell: true, stdio: 'inherit' });
+    if (result.error || result.status !== 0) {
+      throw new CommandError(`Editor "${editor}" exited with ${result.error ? result.error.message : `status ${result.status}`}; nothing was saved`);
+    }
+
+    const content = fs.readFileSync(file, 'utf8');
+    const changed = content !== snippet.content
+      || (values.title && values.title !== snippet.title)
+      || (values.language && values.language !== snippet.language);
+    if (!changed) {
+      out.write('No changes\n');
+      return;
+    }
+    if (!content.trim()) {
+      throw new CommandError('The snippet is empty; nothing was saved');
+    }
+
+    const updated = await client.updateSnippet(snippet.id, {
+      title: values.title || snippet.title,
+      content,
+      language: values.language || snippet.language,
+      source: snippet.source || undefined,
+      tags: snippet.tags.map(tag => tag.name),
+      visibility: snippet.visibility
+    });
+    out.write(`Saved snippet ${updated.id} (version ${updated.version})\n`);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+async function exportCommand({ client, positionals, values, out }) {
+  if (positionals.length > 0) {
+    throw new UsageError('export takes no arguments; use --ids to pick snippets');
+  }
+
+  const format = values.format || 'json';
+  if (!['json', 'md'].includes(format)) {
+    throw new UsageError('--format must be json or md');
+  }
+
+  const contents = await client.exportSnippets(format, {
+    ids: values.ids,
+    collection: values.collection,
+    includeSubcollections: !values['no-subcollections']
+  });
+
+  if (values.output) {
+    fs.writeFileSync(values.output, contents);
+    process.stderr.write(`Wrote ${values.output}\n`);
+  } else {
+    out.write(contents);
+  }
+}
+
+async function importCommand({ client, positionals, values, out }) {
+  const file = requireArgument(positionals, 'file (or - for stdin)');
+  const contents = readInput(file);
+
+  let data;
+  try {
+    data = JSON.parse(contents);
+  } catch {
+    throw new CommandError(`${file === '-' ? 'stdin' : file} is not JSON. snip import reads files from snip export or the web app's JSON export`);
+  }
+  if (!Array.isArray(data.snippets)) {
+    throw new CommandError('The file has no "snippets" array. snip import reads files from snip export or the web app\'s JSON export');
+  }
+
+  const response = await client.importSnippets(file === '-' ? 'stdin.json' : path.basename(file), contents, {
+    overwriteExisting: Boolean(values.overwrite),
+    skipDuplicates: !values['keep-duplicates']
+  });
+
+  if (values.json) {
+    out.write(`${JSON.stringify(response, null, 2)}\n`);
+    return;
+  }
+
+  const { results } = response;
+  out.write(`Imported ${results.success}, skipped ${results.skipped}, failed ${results.errors}\n`);
+  for (const detail of results.details.filter(item => item.status !== 'imported')) {
+    out.write(`  ${detail.title}: ${detail.message}\n`);
+  }
+}
+
+async function configCommand({ positionals, values, out }) {
+  const [action, name] = positionals;
+  const settings = config.load();
+
+  switch (action) {
+    case 'add': {
+      if (!name || !values.url) {
+        throw new UsageError('Usage: snip config add <profile> --url <url> [--token <token>] [--default]');
+      }
+      settings.profiles[name] = { url: values.url.replace(/\/+$/, ''), ...(values.token && { token: values.token }) };
+      if (values.default || !settings.default_profile) settings.default_profile = name;
+      config.save(settings);
+      out.write(`Saved profile "${name}"${settings.default_profile === name ? ' (default)' : ''} to ${config.configPath()}\n`);
+      return;
+    }
+    case 'use': {
+      if (!name || !settings.profiles[name]) {
+        throw new UsageError(`Unknown profile "${name || ''}"`);
+      }
+      settings.default_profile = name;
+      config.save(settings);
+      out.write(`Default profile is now "${name}"\n`);
+      return;
+    }
+    case 'remove': {
+      if (!name || !settings.profiles[name]) {
+        throw new UsageError(`Unknown profile "${name || ''}"`);
+      }
+      delete settings.profiles[name];
+      if (settings.default_profile === name) settings.default_profile = Object.keys(settings.profiles)[0] || null;
+      config.save(settings);
+      out.write(`Removed profile "${name}"\n`);
+      return;
+    }
+    case 'list':
+    case undefined: {
+      const names = Object.keys(settings.profiles);
+      if (names.length === 0) {
+        out.write(`No profiles yet; snip uses ${config.DEFAULT_URL}. Add one with: snip config add <profile> --url <url> --token <token>\n`);
+        return;
+      }
+      for (const profileName of names) {
+        const profile = settings.profiles[profileName];
+        const marker = profileName === settings.default_profile ? '*' : ' ';
+        out.write(`${marker} ${profileName.padEnd(16)} ${profile.url}${profile.token ? '' : '  (no token)'}\n`);
+      }
+      return;
+    }
+    default:
+      throw new UsageError(`Unknown config action "${action}". Use add, use, remove or list`);
+  }
+}
+
+const COMMANDS = {
+  add: {
+    usage: 'snip add <file|-> [--title <title>] [--tag <tag>]... [--language <language>] [--source <source>] [--visibility private|team|public]',
+    summary: 'Create a snippet from a file (or stdin); the language comes from the file extension',
+    options: {
+      title: { type: 'string' },
+      tag: { type: 'string', short: 't', multiple: true },
+      language: { type: 'string', short: 'l' },
+      source: { type: 'string' },
+      visibility: { type: 'string' },
+      json: { type: 'boolean' }
+    },
+    run: add
+  },
+  search: {
+    usage: 'snip search [query...] [--language <language>] [--tag <tag>]... [--favorites] [--sort <fields>] [--limit <n>] [--json]',
+    summary: 'Search snippets; the query supports the same filters as the search box (lang:, tag:, is:fav, ...)',
+    options: {
+      language: { type: 'string', short: 'l' },
+      tag: { type: 'string', short: 't', multiple: true },
+      favorites: { type: 'boolean' },
+      sort: { type: 'string' },
+      limit: { type: 'string', short: 'n' },
+      json: { type: 'boolean' }
+    },
+    run: search
+  },
+  get: {
+    usage: 'snip get <id> [--json]',
+    summary: 'Print a snippet\'s content (e.g. snip get 12 | pbcopy), or the whole snippet with --json',
+    options: {
+      json: { type: 'boolean' }
+    },
+    run: get
+  },
+  edit: {
+    usage: 'snip edit <id> [--title <title>] [--language <language>]',
+    summary: 'Open a snippet in $VISUAL or $EDITOR and save it when you close the editor',
+    options: {
+      title: { type: 'string' },
+      language: { type: 'string', short: 'l' }
+    },
+    run: edit
+  },
+  export: {
+    usage: 'snip export [--format json|md] [--ids <id,id>] [--collection <id>] [--no-subcollections] [--output <file>]',
+    summary: 'Export snippets in the web app\'s JSON or Markdown format',
+    options: {
+      format: { type: 'string', short: 'f' },
+      ids: { type: 'string' },
+      collection: { type: 'string' },
+      'no-subcollections': { type: 'boolean' },
+      output: { type: 'string', short: 'o' }
+    },
+    run: exportCommand
+  },
+  import: {
+    usage: 'snip import <file|-> [--overwrite] [--keep-duplicates] [--json]',
+    summary: 'Import a JSON export; snippets you already have are skipped unless --overwrite is given',
+    options: {
+      overwrite: { type: 'boolean' },
+      'keep-duplicates': { type: 'boolean' },
+      json: { type: 'boolean' }
+    },
+    run: importCommand
+  },
+  config: {
+    usage: 'snip config [list | add <profile> --url <url> [--token <token>] [--default] | use <profile> | remove <profile>]',
+    summary: 'Manage server profiles',
+    options: {
+      url: { type: 'string' },
+      token: { type: 'string' },
+      default: { type: 'boolean' }
+    },
+    run: configCommand,
+    offline: true
+  }
+};
+
+const GLOBAL_OPTIONS = {
+  profile: { type: 'string', short: 'p' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Helper function to build the help text
+function helpText(command) {
+  if (command) {
+    return `Usage: ${COMMANDS[command].usage}\n\n${COMMANDS[command].summary}\n`;
+  }
+
+  const lines = Object.entries(COMMANDS).map(([name, { summary }]) => `  ${name.padEnd(8)} ${summary}`);
+  return [
+    'Usage: snip <command> [options] [--profile <name>]',
+    '',
+    'Commands:',
+    ...lines,
+    '',
+    'Options:',
+    '  -p, --profile <name>  Use a server profile from the config (default: the default profile)',
+    '  -h, --help            Show help for a command',
+    '',
+    `Config: ${config.configPath()} (SNIP_PROFILE, SNIP_URL and SNIP_TOKEN override it)`,
+    ''
+  ].join('\n');
+}
+
+/**
+ * Run the CLI
+ * @param {Array} argv - Arguments after `snip`
+ * @param {Object} io - { out, err } streams, for testing
+ * @returns {Number} Exit code: 0 on success, 1 for failed requests, 2 for usage errors
+ */
+async function main(argv, { out = process.stdout, err = process.stderr } = {}) {
+  const [commandName, ...rest] = argv;
+
+  if (!commandName || commandName === '--help' || commandName === '-h' || commandName === 'help') {
+    out.write(helpText(rest[0] && COMMANDS[rest[0]] ? rest[0] : null));
+    return 0;
+  }
+
+  const command = COMMANDS[commandName];
+  if (!command) {
+    err.write(`Unknown command "${commandName}"\n\n${helpText()}`);
+    return 2;
+  }
+
+  try {
+    let parsed;
+    try {
+      parsed = parseArgs({
+        args: rest,
+        options: { ...GLOBAL_OPTIONS, ...command.options },
+        allowPositionals: true,
+        strict: true
+      });
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+
+    if (parsed.values.help) {
+      out.write(helpText(commandName));
+      return 0;
+    }
+
+    const client = command.offline ? null : new SnipClient(config.resolve(parsed.values.profile));
+    await command.run({ client, positionals: parsed.positionals, values: parsed.values, out });
+    return 0;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      err.write(`${error.message}\nUsage: ${command.usage}\n`);
+      return 2;
+    }
+    if (error instanceof CommandError || error instanceof ApiError || error instanceof config.ConfigError || error.code === 'ENOENT') {
+      err.write(`snip: ${error.message}\n`);
+      return 1;
+    }
+    err.write(`snip: ${error.stack || error.message}\n`);
+    return 1;
+  }
+}
+
+module.exports = { main, detectLanguage };
@@ -0,0 +1,122 @@
+/**
+ * REST client for the snip CLI
+ * Thin wrapper over the MySnippetHub API routes, authenticated with an API token
+ */
+
+class ApiError extends Error {
+  constructor(message, status, data) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+class SnipClient {
+  /**
+   * @param {Object} options - { url, token } from the resolved profile
+   */
+  constructor({ url, token }) {
+    this.url = url;
+    this.token = token;
+  }
+
+  /**
+   * Send a request to the API
+   * @param {String} method
+   * @param {String} endpoint - e.g. '/api/snippets'
+   * @param {Object} options - { query, body, form, responseType } where responseType is 'json' or 'text'
+   * @returns {Object|String}
+   * @throws {ApiError} For error responses and unreachable servers
+   */
+  async request(method, endpoint, { query = {}, body, form, responseType = 'json' } = {}) {
+    const url = new URL(`${this.url}${endpoint}`);
+    for (const [key, value] of Object.entries(query)) {
+      if (value === undefined || value === null || value === '') continue;
+      url.searchParams.set(key, Array.isArray(value) ? value.join(',') : String(value));
+    }
+
+    const headers = {};
+    if (this.token) headers.Authorization = `Bearer ${this.token}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers,
+        body: form || (body !== undefined ? JSON.stringify(body) : undefined)
+      });
+    } catch (error) {
+      throw new ApiError(`Could not reach ${this.url} (${error.cause?.code || error.message})`, null, null);
+    }
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      let message = data.error || data.errors?.[0]?.msg || `HTTP ${response.status}`;
+      if (data.details && typeof data.details === 'string') message += `: ${data.details}`;
+      if (response.status === 401 && !this.token) {
+        message += '. Create an API token under Settings and run: snip config add <profile> --url <url> --token <token>';
+      }
+      throw new ApiError(message, response.status, data);
+    }
+
+    return responseType === 'text' ? response.text() : response.json();
+  }
+
+  /**
+   * List snippets matching the snippet list parameters (search, language, tags, limit, ...)
+   * @returns {Object} { snippets, pagination }
+   */
+  async listSnippets(params = {}) {
+    return this.request('GET', '/api/snippets', { query: { ...params, limit: params.limit || 20 } });
+  }
+
+  async getSnippet(id) {
+    return this.request('GET', `/api/snippets/${encodeURIComponent(id)}`);
+  }
+
+  async createSnippet(snippet) {
+    return this.request('POST', '/api/snippets', { body: snippet });
+  }
+
+  async updateSnippet(id, snippet) {
+    return this.request('PUT', `/api/snippets/${encodeURIComponent(id)}`, { body: snippet });
+  }
+
+  /**
+   * Download an export, in the same JSON shape or Markdown the web app exports
+   * @param {String} format - 'json' or 'md'
+   * @param {Object} options - { ids, collection, includeSubcollections }
+   * @returns {String} The file contents
+   */
+  async exportSnippets(format, { ids, collection, includeSubcollections } = {}) {
+    return this.request('GET', '/api/snippets/export', {
+      query: {
+        type: format,
+        ids,
+        collection,
+        include_subcollections: includeSubcollections === false ? 'false' : undefined
+      },
+      responseType: 'text'
+    });
+  }
+
+  /**
+   * Upload a JSON export file to the import endpoint
+   * @param {String} filename
+   * @param {String} contents - JSON in the export format
+   * @param {Object} options - { overwriteExisting, skipDuplicates }
+   * @returns {Object} Import results
+   */
+  async importSnippets(filename, contents, { overwriteExisting = false, skipDuplicates = true } = {}) {
+    const form = new FormData();
+    form.append('file', new Blob([contents], { type: 'application/json' }), filename);
+    form.append('overwriteExisting', String(overwriteExisting));
+    form.append('skipDuplicates', String(skipDuplicates));
+
+    return this.request('POST', '/api/snippets/import', { form });
+  }
+}
+
+module.exports = { SnipClient, ApiError };
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Config for the snip CLI
+ * Profiles name the servers snip can talk to, each with its URL and API token:
+ *
+ *   { "default_profile": "work",
+ *     "profiles": { "work": { "url": "https://snippets.example.com", "token": "msh_..." } } }
+ *
+ * SNIP_PROFILE, SNIP_URL and SNIP_TOKEN override the file, which is handy in CI.
+ */
+
+const DEFAULT_URL = 'http://localhost:5001';
+
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+// Helper function to find the config file
+function configPath() {
+  if (process.env.SNIP_CONFIG) return process.env.SNIP_CONFIG;
+
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'mysnippethub', 'config.json');
+}
+
+/**
+ * Read the config file
+ * @returns {Object} { default_profile, profiles }; empty when there is no file yet
+ * @throws {ConfigError} When the file isn't valid JSON
+ */
+function load() {
+  const file = configPath();
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { default_profile: null, profiles: {} };
+    throw error;
+  }
+
+  try {
+    const config = JSON.parse(text);
+    return { default_profile: config.default_profile || null, profiles: config.profiles || {} };
+  } catch {
+    throw new ConfigError(`${file} is not valid JSON`);
+  }
+}
+
+/**
+ * Write the config file. It holds API tokens, so only the owner can read it.
+ * @param {Object} config - { default_profile, profiles }
+ */
+function save(config) {
+  const file = configPath();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(config, null, 2)}\n`, { mode: 0o600 });
+  fs.chmodSync(file, 0o600);
+}
+
+/**
+ * Work out which server and token to use
+ * @param {String} profileName - From --profile; falls back to SNIP_PROFILE, then the default profile
+ * @returns {Object} { name, url, token }
+ * @throws {ConfigError} When a named profile doesn't exist
+ */
+function resolve(profileName) {
+  const config = load();
+  const name = profileName || process.env.SNIP_PROFILE || config.default_profile || null;
+  const profile = name ? config.profiles[name] : null;
+
+  if (name && !profile && (profileName || process.env.SNIP_PROFILE)) {
+    throw new ConfigError(`Unknown profile "${name}". Add it with: snip config add ${name} --url <url> --token <token>`);
+  }
+
+  return {
+    name,
+    url: (process.env.SNIP_URL || profile?.url || DEFAULT_URL).replace(/\/+$/, ''),
+    token: process.env.SNIP_TOKEN || profile?.token || null
+  };
+}
+
+module.exports = { ConfigError, configPath, load, save, resolve, DEFAULT_URL };
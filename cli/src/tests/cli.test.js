@@ -0,0 +1,282 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main, detectLanguage } = require('../cli');
+const config = require('../config');
+
+// Stream stand-in that keeps what the CLI writes
+const createStream = () => ({
+  text: '',
+  write(chunk) {
+    this.text += chunk;
+  }
+});
+
+// Run the CLI like `snip ...args` and collect its output
+const run = async (...args) => {
+  const out = createStream();
+  const err = createStream();
+  const code = await main(args, { out, err });
+  return { code, out: out.text, err: err.text };
+};
+
+// Answer the next fetch with a JSON response
+const respondWith = (body, status = 200) => {
+  global.fetch.mockResolvedValueOnce(new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  }));
+};
+
+const ENV_KEYS = ['SNIP_CONFIG', 'SNIP_PROFILE', 'SNIP_URL', 'SNIP_TOKEN'];
+const realFetch = global.fetch;
+let savedEnv;
+let directory;
+
+beforeEach(() => {
+  savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+  ENV_KEYS.forEach(key => delete process.env[key]);
+
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'snip-test-'));
+  process.env.SNIP_CONFIG = path.join(directory, 'config.json');
+  global.fetch = jest.fn();
+});
+
+afterEach(() => {
+  ENV_KEYS.forEach(key => {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  });
+  fs.rmSync(directory, { recursive: true, force: true });
+  global.fetch = realFetch;
+});
+
+// Write a config file with a work profile (the default) and a home profile
+const writeProfiles = () => {
+  config.save({
+    default_profile: 'work',
+    profiles: {
+      work: { url: 'https://work.example.com', token: 'msh_work' },
+      home: { url: 'http://home.local:5001', token: 'msh_home' }
+    }
+  });
+};
+
+describe('Argument parsing', () => {
+  test('help should list the commands, or show one command\'s usage', async () => {
+    const help = await run('--help');
+    expect(help.code).toBe(0);
+    expect(help.out).toMatch(/^Usage: snip <command>/);
+    expect(help.out).toContain('  search ');
+    expect(help.out).toContain(process.env.SNIP_CONFIG);
+
+    const commandHelp = await run('get', '--help');
+    expect(commandHelp.code).toBe(0);
+    expect(commandHelp.out).toMatch(/^Usage: snip get <id> \[--json\]/);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('unknown commands and options should exit with 2 and the usage', async () => {
+    const unknownCommand = await run('frobnicate');
+    expect(unknownCommand.code).toBe(2);
+    expect(unknownCommand.err).toMatch(/^Unknown command "frobnicate"/);
+
+    const unknownOption = await run('get', '12', '--colour');
+    expect(unknownOption.code).toBe(2);
+    expect(unknownOption.err).toContain("Unknown option '--colour'");
+    expect(unknownOption.err).toContain('Usage: snip get <id> [--json]');
+
+    const missingId = await run('get');
+    expect(missingId.code).toBe(2);
+    expect(missingId.err).toMatch(/^Expected exactly one snippet id/);
+
+    const badFormat = await run('export', '--format', 'xml');
+    expect(badFormat.code).toBe(2);
+    expect(badFormat.err).toMatch(/^--format must be json or md/);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('Config', () => {
+  test('load should treat a missing file as no profiles and reject invalid JSON', () => {
+    expect(config.load()).toEqual({ default_profile: null, profiles: {} });
+
+    fs.writeFileSync(process.env.SNIP_CONFIG, '{ not json');
+    expect(() => config.load()).toThrow(config.ConfigError);
+  });
+
+  test('save should keep the file private to its owner', () => {
+    writeProfiles();
+    expect(fs.statSync(process.env.SNIP_CONFIG).mode & 0o777).toBe(0o600);
+  });
+
+  test('resolve should pick --profile, then SNIP_PROFILE, then the default profile', () => {
+    expect(config.resolve()).toEqual({ name: null, url: config.DEFAULT_URL, token: null });
+
+    writeProfiles();
+    expect(config.resolve()).toEqual({ name: 'work', url: 'https://work.example.com', token: 'msh_work' });
+
+    process.env.SNIP_PROFILE = 'home';
+    expect(config.resolve()).toEqual({ name: 'home', url: 'http://home.local:5001', token: 'msh_home' });
+    expect(config.resolve('work').name).toBe('work');
+
+    expect(() => config.resolve('missing')).toThrow(/Unknown profile "missing"/);
+    process.env.SNIP_PROFILE = 'missing';
+    expect(() => config.resolve()).toThrow(config.ConfigError);
+  });
+
+  test('SNIP_URL and SNIP_TOKEN should override the profile', () => {
+    writeProfiles();
+    process.env.SNIP_URL = 'https://ci.example.com/';
+    process.env.SNIP_TOKEN = 'msh_ci';
+    expect(config.resolve()).toEqual({ name: 'work', url: 'https://ci.example.com', token: 'msh_ci' });
+  });
+
+  test('snip config should add, switch and remove profiles without the server', async () => {
+    expect((await run('config', 'add', 'work', '--url', 'https://work.example.com/', '--token', 'msh_work')).out)
+      .toContain('Saved profile "work" (default)');
+    await run('config', 'add', 'home', '--url', 'http://home.local:5001');
+
+    const list = await run('config', 'list');
+    expect(list.out).toBe('* work             https://work.example.com\n  home             http://home.local:5001  (no token)\n');
+
+    expect((await run('config', 'use', 'home')).code).toBe(0);
+    expect(config.load().default_profile).toBe('home');
+    expect((await run('config', 'use', 'office')).code).toBe(2);
+
+    await run('config', 'remove', 'home');
+    expect(config.load()).toEqual({
+      default_profile: 'work',
+      profiles: { work: { url: 'https://work.example.com', token: 'msh_work' } }
+    });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('detectLanguage', () => {
+  test('should map file extensions to the web app\'s language names', () => {
+    expect(detectLanguage('retry.py')).toBe('python');
+    expect(detectLanguage('src/App.TSX')).toBe('typescript');
+    expect(detectLanguage('deploy.sh')).toBe('bash');
+    expect(detectLanguage('main.cc')).toBe('c++');
+    expect(detectLanguage('docker/Dockerfile')).toBe('dockerfile');
+    expect(detectLanguage('notes')).toBe('text');
+    expect(detectLanguage('archive.tar.gz')).toBe('text');
+  });
+});
+
+describe('Commands', () => {
+  const snippet = {
+    id: 12,
+    title: 'Retry helper',
+    content: 'def retry():\n    pass',
+    language: 'python',
+    tags: [{ name: 'utils' }]
+  };
+
+  beforeEach(() => {
+    writeProfiles();
+  });
+
+  test('get should print only the content, with the profile\'s token', async () => {
+    respondWith(snippet);
+    const result = await run('get', '12');
+
+    expect(result).toEqual({ code: 0, out: 'def retry():\n    pass', err: '' });
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url.toString()).toBe('https://work.example.com/api/snippets/12');
+    expect(options).toMatchObject({ method: 'GET', headers: { Authorization: 'Bearer msh_work' } });
+
+    respondWith(snippet);
+    const json = await run('get', '12', '--json', '--profile', 'home');
+    expect(JSON.parse(json.out)).toEqual(snippet);
+    expect(global.fetch.mock.calls[1][0].toString()).toBe('http://home.local:5001/api/snippets/12');
+  });
+
+  test('get should report API errors and unreachable servers with exit code 1', async () => {
+    respondWith({ error: 'Snippet not found' }, 404);
+    expect(await run('get', '99')).toEqual({ code: 1, out: '', err: 'snip: Snippet not found\n' });
+
+    global.fetch.mockRejectedValueOnce(Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNREFUSED' } }));
+    expect((await run('get', '12')).err).toBe('snip: Could not reach https://work.example.com (ECONNREFUSED)\n');
+
+    // Without a token, a 401 says how to add one
+    fs.rmSync(process.env.SNIP_CONFIG);
+    respondWith({ error: 'Authentication required' }, 401);
+    expect((await run('get', '12')).err).toMatch(/^snip: Authentication required\. Create an API token under Settings/);
+  });
+
+  test('search should send the query and filters and list the results', async () => {
+    respondWith({
+      snippets: [snippet, { id: 7, title: 'Untagged', content: 'x', language: 'text', tags: [] }],
+      pagination: { total: 5, has_more: true }
+    });
+
+    const result = await run('search', 'retry', 'lang:python', '-t', 'utils,http', '--tag', 'utils', '--favorites', '-n', '2');
+
+    expect(result.code).toBe(0);
+    expect(result.out).toBe([
+      '    12  python        Retry helper  [utils]',
+      '     7  text          Untagged',
+      '… 3 more; narrow the search or raise --limit',
+      ''
+    ].join('\n'));
+
+    const url = global.fetch.mock.calls[0][0];
+    expect(url.pathname).toBe('/api/snippets');
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      search: 'retry lang:python',
+      tags: 'utils,http',
+      favorites: 'true',
+      limit: '2'
+    });
+
+    respondWith({ snippets: [], pagination: { total: 0, has_more: false } });
+    expect((await run('search', 'nothing')).out).toBe('No snippets found\n');
+    expect(global.fetch.mock.calls[1][0].searchParams.get('limit')).toBe('20');
+  });
+
+  test('import should upload the file with the import options and summarize the results', async () => {
+    const file = path.join(directory, 'snippets.json');
+    fs.writeFileSync(file, JSON.stringify({ snippets: [snippet] }));
+    respondWith({
+      results: {
+        success: 1,
+        skipped: 1,
+        errors: 0,
+        details: [
+          { title: 'Retry helper', status: 'imported', message: 'Imported' },
+          { title: 'Old helper', status: 'skipped', message: 'Snippet already exists as #3' }
+        ]
+      }
+    });
+
+    const result = await run('import', file, '--overwrite');
+
+    expect(result.code).toBe(0);
+    expect(result.out).toBe('Imported 1, skipped 1, failed 0\n  Old helper: Snippet already exists as #3\n');
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url.toString()).toBe('https://work.example.com/api/snippets/import');
+    expect(options.method).toBe('POST');
+    expect(options.body.get('overwriteExisting')).toBe('true');
+    expect(options.body.get('skipDuplicates')).toBe('true');
+    const upload = options.body.get('file');
+    expect(upload.name).toBe('snippets.json');
+    expect(JSON.parse(await upload.text())).toEqual({ snippets: [snippet] });
+  });
+
+  test('import should refuse files that aren\'t a JSON export before sending anything', async () => {
+    const notJson = path.join(directory, 'notes.md');
+    fs.writeFileSync(notJson, '# Notes');
+    const wrongShape = path.join(directory, 'list.json');
+    fs.writeFileSync(wrongShape, '[]');
+
+    expect((await run('import', notJson)).err).toMatch(/^snip: .*notes\.md is not JSON/);
+    expect((await run('import', wrongShape)).err).toMatch(/^snip: The file has no "snippets" array/);
+    const missing = await run('import', path.join(directory, 'missing.json'));
+    expect(missing.code).toBe(1);
+    expect(missing.err).toContain('ENOENT');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
@@ -5,6 +5,8 @@
 PRAGMA foreign_keys = ON;
 
 -- Create snippets table
+-- visibility: 'private' (owner only), 'team' (every signed-in user) or 'public' (anyone,
+-- signed in or not); share links show any snippet to anyone
 CREATE TABLE IF NOT EXISTS snippets (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     title TEXT NOT NULL,
@@ -12,8 +14,11 @@ CREATE TABLE IF NOT EXISTS snippets (
     language TEXT NOT NULL DEFAULT 'text',
     source TEXT,
     version INTEGER NOT NULL DEFAULT 1,
+    user_id INTEGER,
+    visibility TEXT NOT NULL DEFAULT 'private' CHECK (visibility IN ('private', 'team', 'public')),
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
 -- Create tags table
@@ -34,13 +39,15 @@ CREATE TABLE IF NOT EXISTS snippet_tags (
     UNIQUE(snippet_id, tag_id)
 );
 
--- Create favorites table
+-- Create favorites table; each user keeps their own favorites
 CREATE TABLE IF NOT EXISTS favorites (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
     snippet_id INTEGER NOT NULL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     FOREIGN KEY (snippet_id) REFERENCES snippets(id) ON DELETE CASCADE,
-    UNIQUE(snippet_id)
+    UNIQUE(user_id, snippet_id)
 );
 
 -- Create versions table for snippet history
@@ -56,16 +63,127 @@ CREATE TABLE IF NOT EXISTS versions (
     FOREIGN KEY (snippet_id) REFERENCES snippets(id) ON DELETE CASCADE
 );
 
+-- Create saved_searches table for named list queries (smart collections)
+-- Tag lists are stored as JSON arrays of tag names
+CREATE TABLE IF NOT EXISTS saved_searches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    name TEXT NOT NULL,
+    search TEXT NOT NULL DEFAULT '',
+    language TEXT,
+    tags TEXT NOT NULL DEFAULT '[]',
+    any_tags TEXT NOT NULL DEFAULT '[]',
+    exclude_tags TEXT NOT NULL DEFAULT '[]',
+    favorites BOOLEAN NOT NULL DEFAULT 0,
+    sort TEXT,
+    sort_order TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE(user_id, name)
+);
+
+-- Create collections table for manually curated folders; parent_id nests them
+CREATE TABLE IF NOT EXISTS collections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    name TEXT NOT NULL,
+    description TEXT,
+    parent_id INTEGER,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (parent_id) REFERENCES collections(id) ON DELETE CASCADE
+);
+
+-- Create collection_snippets junction table; a snippet can be in several collections
+CREATE TABLE IF NOT EXISTS collection_snippets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    collection_id INTEGER NOT NULL,
+    snippet_id INTEGER NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (collection_id) REFERENCES collections(id) ON DELETE CASCADE,
+    FOREIGN KEY (snippet_id) REFERENCES snippets(id) ON DELETE CASCADE,
+    UNIQUE(collection_id, snippet_id)
+);
+
+-- Create users table for local accounts; passwords are stored as scrypt hashes
+CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL COLLATE NOCASE,
+    display_name TEXT,
+    password_hash TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_login_at DATETIME
+);
+
+-- Create sessions table for logins; only a SHA-256 hash of the session token is kept
+CREATE TABLE IF NOT EXISTS sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Create api_tokens table for personal tokens used by scripts and editor plugins.
+-- Like sessions only a hash is kept; token_prefix is enough to recognise a token in lists.
+-- scopes is a JSON array of 'read', 'write' and 'admin'; revoked tokens are kept for the record
+CREATE TABLE IF NOT EXISTS api_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    token_prefix TEXT NOT NULL,
+    scopes TEXT NOT NULL DEFAULT '["read"]',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME,
+    revoked_at DATETIME,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Create share_links table for read-only links to single snippets that work without an account.
+-- Only a hash of the link token is kept, like api_tokens; password_hash is set for password-protected
+-- links and expires_at for links that stop working after a while. Revoked links are kept for the record
+CREATE TABLE IF NOT EXISTS share_links (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    snippet_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    token_prefix TEXT NOT NULL,
+    password_hash TEXT,
+    expires_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    view_count INTEGER NOT NULL DEFAULT 0,
+    last_viewed_at DATETIME,
+    revoked_at DATETIME,
+    FOREIGN KEY (snippet_id) REFERENCES snippets(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_snippets_language ON snippets(language);
 CREATE INDEX IF NOT EXISTS idx_snippets_created_at ON snippets(created_at);
+CREATE INDEX IF NOT EXISTS idx_snippets_user_id ON snippets(user_id);
+CREATE INDEX IF NOT EXISTS idx_favorites_snippet_id ON favorites(snippet_id);
+CREATE INDEX IF NOT EXISTS idx_saved_searches_user_id ON saved_searches(user_id);
 CREATE INDEX IF NOT EXISTS idx_snippet_tags_snippet_id ON snippet_tags(snippet_id);
 CREATE INDEX IF NOT EXISTS idx_snippet_tags_tag_id ON snippet_tags(tag_id);
 CREATE INDEX IF NOT EXISTS idx_versions_snippet_id ON versions(snippet_id);
+CREATE INDEX IF NOT EXISTS idx_collections_parent_id ON collections(parent_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_collections_sibling_name ON collections(user_id, IFNULL(parent_id, 0), name);
+CREATE INDEX IF NOT EXISTS idx_collection_snippets_snippet_id ON collection_snippets(snippet_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_share_links_snippet_id ON share_links(snippet_id);
 
--- Create trigger to auto-update updated_at timestamp
+-- Create trigger to auto-update updated_at timestamp when the snippet itself changes
+-- (not when only its owner or visibility does)
 CREATE TRIGGER IF NOT EXISTS update_snippets_updated_at
-    AFTER UPDATE ON snippets
+    AFTER UPDATE OF title, content, language, source ON snippets
     FOR EACH ROW
 BEGIN
     UPDATE snippets SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
@@ -81,4 +199,84 @@ BEGIN
     VALUES (OLD.id, OLD.title, OLD.content, OLD.language, OLD.source, OLD.version);
     
     UPDATE snippets SET version = version + 1 WHERE id = NEW.id;
-END;
\ No newline at end of file
+END;
+
+-- Full-text search index over snippet title, content, source and tag names.
+-- rowid mirrors snippets.id; the triggers below keep it in sync.
+CREATE VIRTUAL TABLE IF NOT EXISTS snippets_fts USING fts5(
+    title,
+    content,
+    source,
+    tags,
+    tokenize = 'porter unicode61'
+);
+
+-- Backfill the index for snippets created before it existed
+INSERT INTO snippets_fts (rowid, title, content, source, tags)
+SELECT s.id, s.title, s.content, COALESCE(s.source, ''),
+       COALESCE((SELECT GROUP_CONCAT(t.name, ' ')
+                 FROM snippet_tags st
+                 JOIN tags t ON st.tag_id = t.id
+                 WHERE st.snippet_id = s.id), '')
+FROM snippets s
+WHERE s.id NOT IN (SELECT rowid FROM snippets_fts);
+
+CREATE TRIGGER IF NOT EXISTS snippets_fts_insert
+    AFTER INSERT ON snippets
+    FOR EACH ROW
+BEGIN
+    INSERT INTO snippets_fts (rowid, title, content, source, tags)
+    VALUES (NEW.id, NEW.title, NEW.content, COALESCE(NEW.source, ''), '');
+END;
+
+CREATE TRIGGER IF NOT EXISTS snippets_fts_update
+    AFTER UPDATE OF title, content, source ON snippets
+    FOR EACH ROW
+BEGIN
+    UPDATE snippets_fts
+    SET title = NEW.title, content = NEW.content, source = COALESCE(NEW.source, '')
+    WHERE rowid = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS snippets_fts_delete
+    AFTER DELETE ON snippets
+    FOR EACH ROW
+BEGIN
+    DELETE FROM snippets_fts WHERE rowid = OLD.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS snippets_fts_tag_added
+    AFTER INSERT ON snippet_tags
+    FOR EACH ROW
+BEGIN
+    UPDATE snippets_fts
+    SET tags = COALESCE((SELECT GROUP_CONCAT(t.name, ' ')
+                         FROM snippet_tags st
+                         JOIN tags t ON st.tag_id = t.id
+                         WHERE st.snippet_id = NEW.snippet_id), '')
+    WHERE rowid = NEW.snippet_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS snippets_fts_tag_removed
+    AFTER DELETE ON snippet_tags
+    FOR EACH ROW
+BEGIN
+    UPDATE snippets_fts
+    SET tags = COALESCE((SELECT GROUP_CONCAT(t.name, ' ')
+                         FROM snippet_tags st
+                         JOIN tags t ON st.tag_id = t.id
+                         WHERE st.snippet_id = OLD.snippet_id), '')
+    WHERE rowid = OLD.snippet_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS snippets_fts_tag_renamed
+    AFTER UPDATE OF name ON tags
+    FOR EACH ROW
+BEGIN
+    UPDATE snippets_fts
+    SET tags = COALESCE((SELECT GROUP_CONCAT(t.name, ' ')
+                         FROM snippet_tags st
+                         JOIN tags t ON st.tag_id = t.id
+                         WHERE st.snippet_id = snippets_fts.rowid), '')
+    WHERE rowid IN (SELECT snippet_id FROM snippet_tags WHERE tag_id = NEW.id);
+END;
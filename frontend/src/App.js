@@ -1,14 +1,51 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
 import './theme.css';
 import Dashboard from './components/Dashboard';
 import Analytics from './components/Analytics';
 import Navbar from './components/Navbar';
+import Login from './components/Login';
+import Settings from './components/Settings';
+import SharedSnippet from './components/SharedSnippet';
+import api, { UNAUTHORIZED_EVENT } from './api';
 
 function App() {
   const [selectedSnippets, setSelectedSnippets] = useState([]);
   const [refreshKey, setRefreshKey] = useState(0);
+  const [session, setSession] = useState({ loading: true, user: null, registrationOpen: false });
+
+  // Check for an existing session, and drop back to the login screen when one expires
+  useEffect(() => {
+    api.auth.getSession()
+      .then(({ user, registration_open }) => {
+        setSession({ loading: false, user, registrationOpen: registration_open });
+      })
+      .catch((err) => {
+        console.error('Error checking session:', err);
+        setSession(prev => ({ ...prev, loading: false }));
+      });
+
+    const handleUnauthorized = () => {
+      setSession(prev => ({ ...prev, user: null }));
+    };
+    window.addEventListener(UNAUTHORIZED_EVENT, handleUnauthorized);
+    return () => window.removeEventListener(UNAUTHORIZED_EVENT, handleUnauthorized);
+  }, []);
+
+  const handleLogin = (user) => {
+    setSession({ loading: false, user, registrationOpen: false });
+  };
+
+  const handleLogout = async () => {
+    try {
+      await api.auth.logout();
+    } catch (err) {
+      console.error('Error logging out:', err);
+    }
+    setSelectedSnippets([]);
+    setSession(prev => ({ ...prev, user: null }));
+  };
 
   const handleSnippetSelection = (snippets) => {
     setSelectedSnippets(snippets);
@@ -48,26 +85,48 @@ function App() {
           }}
         />
         
-        <Navbar 
-          selectedSnippets={selectedSnippets}
-          onImportSuccess={handleImportSuccess}
-        />
-        
-        <main className="main-content">
-          <Routes>
-            <Route 
-              path="/" 
-              element={
-                <Dashboard 
-                  selectedSnippets={selectedSnippets}
-                  onSnippetSelection={handleSnippetSelection}
-                  refreshKey={refreshKey}
-                />
-              } 
-            />
-            <Route path="/analytics" element={<Analytics />} />
-          </Routes>
-        </main>
+        <Routes>
+          {/* Share links are public, so they skip the login screen */}
+          <Route path="/s/:token" element={<SharedSnippet />} />
+          <Route
+            path="*"
+            element={
+              session.loading ? (
+                <div className="loading-container text-center p-6">
+                  <div className="spinner"></div>
+                </div>
+              ) : !session.user ? (
+                <Login registrationOpen={session.registrationOpen} onLogin={handleLogin} />
+              ) : (
+                <>
+                  <Navbar 
+                    selectedSnippets={selectedSnippets}
+                    onImportSuccess={handleImportSuccess}
+                    user={session.user}
+                    onLogout={handleLogout}
+                  />
+
+                  <main className="main-content">
+                    <Routes>
+                      <Route 
+                        path="/" 
+                        element={
+                          <Dashboard 
+                            selectedSnippets={selectedSnippets}
+                            onSnippetSelection={handleSnippetSelection}
+                            refreshKey={refreshKey}
+                          />
+                        } 
+                      />
+                      <Route path="/analytics" element={<Analytics />} />
+                      <Route path="/settings" element={<Settings user={session.user} />} />
+                    </Routes>
+                  </main>
+                </>
+              )
+            }
+          />
+        </Routes>
       </div>
     </Router>
   );
@@ -3,6 +3,9 @@ import toast from 'react-hot-toast';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001';
 
+// Fired when the server rejects the session so the app can show the login screen
+export const UNAUTHORIZED_EVENT = 'mysnippethub:unauthorized';
+
 // Generic API request function
 async function apiRequest(endpoint, options = {}) {
   const url = `${API_BASE_URL}${endpoint}`;
@@ -11,6 +14,7 @@ async function apiRequest(endpoint, options = {}) {
       'Content-Type': 'application/json',
       ...options.headers,
     },
+    credentials: 'include', // send the session cookie to the API origin
     ...options,
   };
 
@@ -19,15 +23,21 @@ async function apiRequest(endpoint, options = {}) {
     
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-      throw new Error(errorData.error || `HTTP ${response.status}`);
+      const error = new Error(errorData.error || errorData.errors?.[0]?.msg || `HTTP ${response.status}`);
+      error.status = response.status;
+      error.data = errorData;
+      if (response.status === 401 && !endpoint.startsWith('/api/auth/')) {
+        window.dispatchEvent(new Event(UNAUTHORIZED_EVENT));
+      }
+      throw error;
     }
 
     return await response.json();
   } catch (error) {
     console.error(`API request failed: ${endpoint}`, error);
     
-    // Show error toast for non-GET requests
-    if (options.method && options.method !== 'GET') {
+    // Show error toast for non-GET requests; 401s are handled by the login screen
+    if (options.method && options.method !== 'GET' && error.status !== 401) {
       toast.error(error.message || 'An error occurred');
     }
     
@@ -35,6 +45,18 @@ async function apiRequest(endpoint, options = {}) {
   }
 }
 
+// Toasts summing up an import's results; skipped snippets aren't failures
+const showImportResults = (results) => {
+  const counts = [`${results.success} snippets imported`];
+  if (results.updated > 0) counts.push(`${results.updated} updated`);
+  if (results.skipped > 0) counts.push(`${results.skipped} skipped`);
+  toast.success(`Import completed: ${counts.join(', ')}`);
+
+  if (results.errors > 0) {
+    toast.error(`${results.errors} snippets failed to import`);
+  }
+};
+
 // Snippets API
 export const snippetsAPI = {
   // Get all snippets with optional filters
@@ -48,6 +70,12 @@ export const snippetsAPI = {
     return apiRequest(`/api/snippets${query ? `?${query}` : ''}`);
   },
 
+  // Get one page of snippets; pass limit plus offset or cursor
+  // Returns { snippets, pagination: { total, limit, offset, has_more, next_cursor } }
+  getPage: async (params = {}) => {
+    return snippetsAPI.getAll({ limit: 24, ...params });
+  },
+
   // Get single snippet by ID
   getById: async (id) => {
     return apiRequest(`/api/snippets/${id}`);
@@ -102,18 +130,34 @@ export const snippetsAPI = {
     return apiRequest(`/api/snippets/${id}/diff/${versionNumber}`);
   },
 
-  // Export snippets
-  export: async (format = 'json', snippetIds = []) => {
+  // Get per-field diff between any two versions (version numbers or 'current')
+  // format: 'unified' (patch text), 'words' (inline word changes) or 'json' (hunks)
+  compareVersions: async (id, fromVersion, toVersion, format = 'unified') => {
+    return apiRequest(`/api/snippets/${id}/diff/${fromVersion}/${toVersion}?format=${format}`);
+  },
+
+  // Export snippets as json, ndjson, zip, backup, md, vscode, jetbrains or sublime; options.collectionId limits the
+  // export to a collection and options.groupBy ('tag' or 'language') picks the folders of a zip
+  export: async (format = 'json', snippetIds = [], options = {}) => {
     const params = new URLSearchParams();
     params.append('type', format);
     if (snippetIds.length > 0) {
       params.append('ids', snippetIds.join(','));
     }
+    if (options.collectionId) {
+      params.append('collection', options.collectionId);
+      if (options.includeSubcollections === false) {
+        params.append('include_subcollections', 'false');
+      }
+    }
+    if (options.groupBy) {
+      params.append('group_by', options.groupBy);
+    }
     
     const url = `${API_BASE_URL}/api/snippets/export?${params.toString()}`;
     
     // Use fetch directly for file downloads
-    const response = await fetch(url);
+    const response = await fetch(url, { credentials: 'include' });
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({ error: 'Export failed' }));
       throw new Error(errorData.error || `HTTP ${response.status}`);
@@ -122,14 +166,15 @@ export const snippetsAPI = {
     return response;
   },
 
-  // Import snippets
+  // Import snippets; options.resolutions maps a conflict's index from previewImport to
+  // 'keep', 'replace', 'keep_both' or 'merge_tags'
   import: async (file, options = {}) => {
     const formData = new FormData();
     formData.append('file', file);
     
     // Add options to form data
     Object.entries(options).forEach(([key, value]) => {
-      formData.append(key, value.toString());
+      formData.append(key, typeof value === 'object' ? JSON.stringify(value) : value.toString());
     });
     
     const result = await apiRequest('/api/snippets/import', {
@@ -138,15 +183,102 @@ export const snippetsAPI = {
       body: formData,
     });
     
-    toast.success(`Import completed: ${result.results.success} snippets imported`);
-    if (result.results.errors > 0) {
-      toast.error(`${result.results.errors} snippets failed to import`);
+    showImportResults(result.results);
+    return result;
+  },
+
+  // Import an NDJSON export by streaming it to the server, so large libraries don't have to fit
+  // in one upload. onProgress gets { processed, total, success, updated, skipped, errors, bytes } after each batch
+  importStream: async (file, options = {}, onProgress = () => {}) => {
+    const params = new URLSearchParams();
+    Object.entries(options).forEach(([key, value]) => {
+      params.append(key, value.toString());
+    });
+
+    const endpoint = `/api/snippets/import/stream?${params.toString()}`;
+    let result;
+    try {
+      const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-ndjson' },
+        credentials: 'include',
+        body: file,
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ error: 'Import failed' }));
+        const error = new Error(errorData.error || `HTTP ${response.status}`);
+        error.status = response.status;
+        if (response.status === 401) {
+          window.dispatchEvent(new Event(UNAUTHORIZED_EVENT));
+        }
+        throw error;
+      }
+
+      // The response is NDJSON as well: progress lines, then a done or error line
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffered = '';
+      const handleLine = (line) => {
+        if (!line.trim()) return;
+        const event = JSON.parse(line);
+        if (event.type === 'progress') onProgress(event);
+        if (event.type === 'done') result = event;
+        if (event.type === 'error') throw new Error(event.error);
+      };
+
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffered += decoder.decode(value, { stream: true });
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        lines.forEach(handleLine);
+      }
+      handleLine(buffered + decoder.decode());
+
+      if (!result) {
+        throw new Error('The import ended before it finished');
+      }
+    } catch (error) {
+      console.error(`API request failed: ${endpoint}`, error);
+      if (error.status !== 401) {
+        toast.error(error.message || 'An error occurred');
+      }
+      throw error;
     }
-    
+
+    showImportResults(result.results);
     return result;
   },
 
-  // Validate import file
+  // Get the placeholders ({{name}}, ${1:label}) in a snippet's content
+  getTemplate: async (id) => {
+    return apiRequest(`/api/snippets/${id}/template`);
+  },
+
+  // Fill in a snippet's placeholders; returns { content, variables, missing, filename }.
+  // Nothing is saved, so there is no success toast
+  render: async (id, values) => {
+    return apiRequest(`/api/snippets/${id}/render`, {
+      method: 'POST',
+      body: JSON.stringify({ values }),
+    });
+  },
+
+  // URL of a snippet's raw text or embed ('raw' or 'embed'), for wikis and docs.
+  // params are { lines, theme }; empty values are left out
+  fileUrl: (id, kind, params = {}) => {
+    const searchParams = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value) searchParams.append(key, value);
+    });
+
+    const query = searchParams.toString();
+    return `${API_BASE_URL}/api/snippets/${id}/${kind}${query ? `?${query}` : ''}`;
+  },
+
+  // Validate import file; also returns the detected format and a preview of the parsed snippets
   validateImport: async (file) => {
     const formData = new FormData();
     formData.append('file', file);
@@ -157,6 +289,19 @@ export const snippetsAPI = {
       body: formData,
     });
   },
+
+  // Dry run of an import: what validateImport returns plus a summary of new and conflicting
+  // snippets, and each conflict with the snippet of yours it matches and a word diff
+  previewImport: async (file) => {
+    const formData = new FormData();
+    formData.append('file', file);
+
+    return apiRequest('/api/snippets/import/preview', {
+      method: 'POST',
+      headers: {}, // Remove Content-Type for FormData
+      body: formData,
+    });
+  },
 };
 
 // Tags API
@@ -269,6 +414,236 @@ export const analyticsAPI = {
   },
 };
 
+// Saved searches API (smart collections)
+export const savedSearchesAPI = {
+  // Get all saved searches with live snippet counts
+  getAll: async () => {
+    return apiRequest('/api/saved-searches');
+  },
+
+  // Save the current query under a name
+  create: async (savedSearch) => {
+    const result = await apiRequest('/api/saved-searches', {
+      method: 'POST',
+      body: JSON.stringify(savedSearch),
+    });
+    toast.success('Search saved!');
+    return result;
+  },
+
+  // Rename or change a saved search
+  update: async (id, savedSearch) => {
+    const result = await apiRequest(`/api/saved-searches/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(savedSearch),
+    });
+    toast.success('Saved search updated!');
+    return result;
+  },
+
+  // Delete a saved search
+  delete: async (id) => {
+    const result = await apiRequest(`/api/saved-searches/${id}`, {
+      method: 'DELETE',
+    });
+    toast.success('Saved search deleted!');
+    return result;
+  },
+};
+
+// Collections API (manually curated folders)
+export const collectionsAPI = {
+  // Get all collections as a flat list with snippet counts
+  getAll: async () => {
+    return apiRequest('/api/collections');
+  },
+
+  // Create a collection, optionally inside another one
+  create: async (collection) => {
+    const result = await apiRequest('/api/collections', {
+      method: 'POST',
+      body: JSON.stringify(collection),
+    });
+    toast.success('Collection created!');
+    return result;
+  },
+
+  // Rename, describe or move a collection
+  update: async (id, collection) => {
+    const result = await apiRequest(`/api/collections/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(collection),
+    });
+    toast.success('Collection updated!');
+    return result;
+  },
+
+  // Delete a collection and its nested collections
+  delete: async (id) => {
+    const result = await apiRequest(`/api/collections/${id}`, {
+      method: 'DELETE',
+    });
+    toast.success('Collection deleted!');
+    return result;
+  },
+
+  // Set the order of sibling collections
+  reorder: async (ids) => {
+    return apiRequest('/api/collections/reorder', {
+      method: 'POST',
+      body: JSON.stringify({ ids }),
+    });
+  },
+
+  // Add snippets to a collection
+  addSnippets: async (id, snippetIds) => {
+    const result = await apiRequest(`/api/collections/${id}/snippets`, {
+      method: 'POST',
+      body: JSON.stringify({ snippet_ids: snippetIds }),
+    });
+    toast.success(result.added > 0
+      ? `Added ${result.added} snippet(s) to "${result.collection.name}"`
+      : `Already in "${result.collection.name}"`);
+    return result;
+  },
+
+  // Remove a snippet from a collection
+  removeSnippet: async (id, snippetId) => {
+    const result = await apiRequest(`/api/collections/${id}/snippets/${snippetId}`, {
+      method: 'DELETE',
+    });
+    toast.success('Removed from collection');
+    return result;
+  },
+};
+
+// Auth API (accounts and login sessions)
+export const authAPI = {
+  // Get the signed-in user (null when signed out) and whether sign-up is open
+  getSession: async () => {
+    return apiRequest('/api/auth/session');
+  },
+
+  login: async (username, password) => {
+    return apiRequest('/api/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({ username, password }),
+    });
+  },
+
+  // Create an account; signs in unless a signed-in user is adding a teammate
+  register: async (account) => {
+    return apiRequest('/api/auth/register', {
+      method: 'POST',
+      body: JSON.stringify(account),
+    });
+  },
+
+  logout: async () => {
+    return apiRequest('/api/auth/logout', {
+      method: 'POST',
+    });
+  },
+
+  changePassword: async (currentPassword, newPassword) => {
+    const result = await apiRequest('/api/auth/password', {
+      method: 'PUT',
+      body: JSON.stringify({ current_password: currentPassword, new_password: newPassword }),
+    });
+    toast.success('Password changed!');
+    return result;
+  },
+};
+
+// API tokens API (personal tokens for scripts and editor plugins)
+export const tokensAPI = {
+  // Get the user's tokens, revoked ones included
+  getAll: async () => {
+    return apiRequest('/api/tokens');
+  },
+
+  // Create a token; the response carries the token itself, which is never shown again
+  create: async (name, scopes) => {
+    const result = await apiRequest('/api/tokens', {
+      method: 'POST',
+      body: JSON.stringify({ name, scopes }),
+    });
+    toast.success('API token created!');
+    return result;
+  },
+
+  revoke: async (id) => {
+    const result = await apiRequest(`/api/tokens/${id}`, {
+      method: 'DELETE',
+    });
+    toast.success('API token revoked');
+    return result;
+  },
+};
+
+// Share links API
+export const sharesAPI = {
+  // Get a snippet's share links (owner only), revoked and expired ones included
+  getAll: async (snippetId) => {
+    return apiRequest(`/api/snippets/${snippetId}/shares`);
+  },
+
+  // Create a share link; options are { expires_in_days, password }, both optional.
+  // The response carries the token itself, which is never shown again
+  create: async (snippetId, options = {}) => {
+    const result = await apiRequest(`/api/snippets/${snippetId}/shares`, {
+      method: 'POST',
+      body: JSON.stringify(options),
+    });
+    toast.success('Share link created!');
+    return result;
+  },
+
+  revoke: async (snippetId, shareId) => {
+    const result = await apiRequest(`/api/snippets/${snippetId}/shares/${shareId}`, {
+      method: 'DELETE',
+    });
+    toast.success('Share link revoked');
+    return result;
+  },
+
+  // Public side, no account needed. Password-protected links need the password with every request
+  getShared: async (token, password) => {
+    return apiRequest(`/api/share/${encodeURIComponent(token)}`, {
+      headers: password ? { 'X-Share-Password': password } : {},
+    });
+  },
+
+  // URL of the shared snippet's raw text, download or embed ('raw', 'download', 'embed' or 'embed.js')
+  fileUrl: (token, kind) => `${API_BASE_URL}/api/share/${encodeURIComponent(token)}/${kind}`,
+
+  // Fetch the raw text or download as a Blob, for password-protected links that can't be plain hrefs
+  getFile: async (token, kind, password) => {
+    const response = await fetch(sharesAPI.fileUrl(token, kind), {
+      headers: password ? { 'X-Share-Password': password } : {},
+    });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({ error: 'Download failed' }));
+      throw new Error(errorData.error || `HTTP ${response.status}`);
+    }
+
+    return response.blob();
+  },
+};
+
+// Public snippets API; anyone can open these, with or without an account
+export const publicAPI = {
+  fileUrl: (id, kind, params = {}) => {
+    const searchParams = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value) searchParams.append(key, value);
+    });
+
+    const query = searchParams.toString();
+    return `${API_BASE_URL}/api/public/${id}/${kind}${query ? `?${query}` : ''}`;
+  },
+};
+
 // Health check
 export const healthAPI = {
   check: async () => {
@@ -282,6 +657,12 @@ const api = {
   tags: tagsAPI,
   favorites: favoritesAPI,
   analytics: analyticsAPI,
+  savedSearches: savedSearchesAPI,
+  collections: collectionsAPI,
+  auth: authAPI,
+  tokens: tokensAPI,
+  shares: sharesAPI,
+  public: publicAPI,
   health: healthAPI,
 };
 
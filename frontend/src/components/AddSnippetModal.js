@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import api from '../api';
-import { validateSnippet, generateTagColor } from '../utils';
+import { validateSnippet, generateTagColor, SNIPPET_VISIBILITIES } from '../utils';
 import SnippetEditor from './SnippetEditor';
 
 const AddSnippetModal = ({ snippet, onClose, onSave }) => {
@@ -9,6 +9,7 @@ const AddSnippetModal = ({ snippet, onClose, onSave }) => {
     content: '',
     language: 'javascript',
     source: '',
+    visibility: 'private',
     tags: []
   });
   const [errors, setErrors] = useState({});
@@ -34,6 +35,7 @@ const AddSnippetModal = ({ snippet, onClose, onSave }) => {
         content: snippet.content || '',
         language: snippet.language || 'javascript',
         source: snippet.source || '',
+        visibility: snippet.visibility || 'private',
         tags: snippet.tags || []
       });
     }
@@ -244,6 +246,24 @@ const AddSnippetModal = ({ snippet, onClose, onSave }) => {
             />
           </div>
 
+          {/* Visibility */}
+          <div className="form-group mb-4">
+            <label className="form-label" htmlFor="snippet-visibility">Visibility</label>
+            <select
+              id="snippet-visibility"
+              name="visibility"
+              className="input"
+              value={formData.visibility}
+              onChange={handleInputChange}
+            >
+              {SNIPPET_VISIBILITIES.map(visibility => (
+                <option key={visibility.value} value={visibility.value}>
+                  {visibility.icon} {visibility.label} ({visibility.description})
+                </option>
+              ))}
+            </select>
+          </div>
+
           {/* Tags */}
           <div className="form-group mb-4">
             <label className="form-label">Tags</label>
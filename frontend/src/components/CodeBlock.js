@@ -0,0 +1,38 @@
+import React from 'react';
+import { Highlight, themes } from 'prism-react-renderer';
+
+// Read-only, syntax-highlighted code, as shown in the snippet detail modal and on shared pages
+const CodeBlock = ({ code, language, maxHeight = '24rem' }) => (
+  <Highlight
+    theme={themes.vsDark}
+    code={code}
+    language={language || 'text'}
+  >
+    {({ className, style, tokens, getLineProps, getTokenProps }) => (
+      <pre
+        className={`${className} modal-code-preview`}
+        style={{
+          ...style,
+          margin: 0,
+          padding: 'var(--space-md)',
+          fontSize: 'var(--font-size-sm)',
+          lineHeight: '1.6',
+          borderRadius: 'var(--radius-md)',
+          overflow: 'auto',
+          maxHeight,
+          border: '1px solid var(--border-primary)'
+        }}
+      >
+        {tokens.map((line, i) => (
+          <div key={i} {...getLineProps({ line, key: i })}>
+            {line.map((token, key) => (
+              <span key={key} {...getTokenProps({ token, key })} />
+            ))}
+          </div>
+        ))}
+      </pre>
+    )}
+  </Highlight>
+);
+
+export default CodeBlock;
@@ -0,0 +1,265 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import api from '../api';
+import { SNIPPET_DRAG_TYPE } from '../utils';
+
+// Group the flat collection list by parent; the server already orders siblings by position
+const buildTree = (collections) => {
+  const children = new Map();
+  collections.forEach(collection => {
+    const key = collection.parent_id ?? null;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(collection);
+  });
+  return children;
+};
+
+// Manually curated, nestable collections; snippet cards can be dropped onto them
+const Collections = ({ activeId, onSelect, onSnippetsAdded, refreshKey }) => {
+  const [collections, setCollections] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const [dropTargetId, setDropTargetId] = useState(null);
+
+  const fetchCollections = useCallback(async () => {
+    try {
+      const data = await api.collections.getAll();
+      setCollections(data);
+    } catch (err) {
+      console.error('Error fetching collections:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCollections();
+  }, [fetchCollections, refreshKey]);
+
+  const tree = useMemo(() => buildTree(collections), [collections]);
+
+  const handleCreate = async (parentId = null) => {
+    const name = window.prompt(parentId ? 'Name the new sub-collection' : 'Name the new collection');
+    if (!name || !name.trim()) return;
+
+    try {
+      await api.collections.create({ name: name.trim(), parent_id: parentId });
+      if (parentId) {
+        setCollapsed(prev => {
+          const next = new Set(prev);
+          next.delete(parentId);
+          return next;
+        });
+      }
+      await fetchCollections();
+    } catch (err) {
+      console.error('Error creating collection:', err);
+    }
+  };
+
+  const handleEdit = async (collection) => {
+    const name = window.prompt('Rename collection', collection.name);
+    if (name === null || !name.trim()) return;
+    const description = window.prompt('Description (optional)', collection.description || '');
+    if (description === null) return;
+
+    try {
+      await api.collections.update(collection.id, { name: name.trim(), description: description.trim() });
+      await fetchCollections();
+    } catch (err) {
+      console.error('Error updating collection:', err);
+    }
+  };
+
+  const handleDelete = async (collection) => {
+    const nested = tree.has(collection.id) ? ' and the collections inside it' : '';
+    if (!window.confirm(`Delete the collection "${collection.name}"${nested}? Its snippets are not affected.`)) {
+      return;
+    }
+
+    try {
+      await api.collections.delete(collection.id);
+      if (String(collection.id) === String(activeId)) onSelect(null);
+      await fetchCollections();
+    } catch (err) {
+      console.error('Error deleting collection:', err);
+    }
+  };
+
+  // Swap a collection with its neighbour among its siblings
+  const handleMove = async (collection, offset) => {
+    const siblings = tree.get(collection.parent_id ?? null).map(c => c.id);
+    const index = siblings.indexOf(collection.id);
+    const target = index + offset;
+    if (target < 0 || target >= siblings.length) return;
+
+    [siblings[index], siblings[target]] = [siblings[target], siblings[index]];
+
+    try {
+      await api.collections.reorder(siblings);
+      await fetchCollections();
+    } catch (err) {
+      console.error('Error reordering collections:', err);
+    }
+  };
+
+  const toggleCollapsed = (collectionId) => {
+    setCollapsed(prev => {
+      const next = new Set(prev);
+      if (next.has(collectionId)) next.delete(collectionId);
+      else next.add(collectionId);
+      return next;
+    });
+  };
+
+  // Drop targets only react to snippet cards, not to files or text dragged in from elsewhere
+  const handleDragOver = (e, collectionId) => {
+    if (!e.dataTransfer.types.includes(SNIPPET_DRAG_TYPE)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setDropTargetId(collectionId);
+  };
+
+  const handleDragLeave = (e, collectionId) => {
+    if (e.currentTarget.contains(e.relatedTarget)) return;
+    setDropTargetId(current => (current === collectionId ? null : current));
+  };
+
+  const handleDrop = async (e, collection) => {
+    e.preventDefault();
+    setDropTargetId(null);
+
+    let snippetIds;
+    try {
+      snippetIds = JSON.parse(e.dataTransfer.getData(SNIPPET_DRAG_TYPE));
+    } catch {
+      return;
+    }
+    if (!Array.isArray(snippetIds) || snippetIds.length === 0) return;
+
+    try {
+      const result = await api.collections.addSnippets(collection.id, snippetIds);
+      setCollections(prev => prev.map(c => (c.id === collection.id ? result.collection : c)));
+      onSnippetsAdded?.(collection.id);
+    } catch (err) {
+      console.error('Error adding snippets to collection:', err);
+    }
+  };
+
+  const renderCollections = (parentId, depth) => (
+    (tree.get(parentId) || []).map((collection, index, siblings) => {
+      const hasChildren = tree.has(collection.id);
+      const isCollapsed = collapsed.has(collection.id);
+      const isActive = String(collection.id) === String(activeId);
+
+      return (
+        <React.Fragment key={collection.id}>
+          <li
+            className={[
+              'sidebar-item',
+              isActive ? 'sidebar-item-active' : '',
+              dropTargetId === collection.id ? 'sidebar-item-drop-target' : '',
+            ].join(' ')}
+            style={{ paddingLeft: `${depth * 0.75}rem` }}
+            onDragOver={(e) => handleDragOver(e, collection.id)}
+            onDragLeave={(e) => handleDragLeave(e, collection.id)}
+            onDrop={(e) => handleDrop(e, collection)}
+          >
+            <button
+              type="button"
+              className="collection-toggle"
+              onClick={() => toggleCollapsed(collection.id)}
+              aria-label={isCollapsed ? 'Expand' : 'Collapse'}
+              style={{ visibility: hasChildren ? 'visible' : 'hidden' }}
+            >
+              {isCollapsed ? '▸' : '▾'}
+            </button>
+            <button
+              type="button"
+              className="sidebar-item-link"
+              onClick={() => onSelect(isActive ? null : collection.id)}
+              title={collection.description || collection.name}
+            >
+              <span className="sidebar-item-name">📁 {collection.name}</span>
+              <span className="sidebar-item-count">{collection.snippet_count}</span>
+            </button>
+            <div className="sidebar-item-actions">
+              <button
+                type="button"
+                className="btn btn-sm btn-ghost"
+                onClick={() => handleCreate(collection.id)}
+                title="New sub-collection"
+              >
+                ＋
+              </button>
+              <button
+                type="button"
+                className="btn btn-sm btn-ghost"
+                onClick={() => handleMove(collection, -1)}
+                disabled={index === 0}
+                title="Move up"
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                className="btn btn-sm btn-ghost"
+                onClick={() => handleMove(collection, 1)}
+                disabled={index === siblings.length - 1}
+                title="Move down"
+              >
+                ↓
+              </button>
+              <button
+                type="button"
+                className="btn btn-sm btn-ghost"
+                onClick={() => handleEdit(collection)}
+                title="Rename"
+              >
+                ✏️
+              </button>
+              <button
+                type="button"
+                className="btn btn-sm btn-ghost"
+                onClick={() => handleDelete(collection)}
+                title="Delete"
+              >
+                🗑️
+              </button>
+            </div>
+          </li>
+          {hasChildren && !isCollapsed && renderCollections(collection.id, depth + 1)}
+        </React.Fragment>
+      );
+    })
+  );
+
+  return (
+    <div className="collections mt-6">
+      <div className="flex justify-between items-center">
+        <h3 className="sidebar-heading">Collections</h3>
+        <button
+          type="button"
+          className="btn btn-sm btn-ghost"
+          onClick={() => handleCreate()}
+          title="New collection"
+        >
+          ＋
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="text-center p-2"><div className="spinner"></div></div>
+      ) : collections.length === 0 ? (
+        <p className="text-sm text-muted">
+          Create a collection, then drag snippets onto it to file them.
+        </p>
+      ) : (
+        <ul className="sidebar-list">
+          {renderCollections(null, 0)}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default Collections;
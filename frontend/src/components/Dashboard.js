@@ -1,87 +1,275 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { Highlight, themes } from 'prism-react-renderer';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import api from '../api';
-import { debounce, searchSnippets, filterSnippets, sortSnippets } from '../utils';
+import { debounce, getLanguageDisplayName, getVisibility } from '../utils';
 import SnippetCard from './SnippetCard';
 import AddSnippetModal from './AddSnippetModal';
+import VersionHistory from './VersionHistory';
+import ShareLinks from './ShareLinks';
+import EmbedCode from './EmbedCode';
+import TemplateForm from './TemplateForm';
+import CodeBlock from './CodeBlock';
+import TagFilter from './TagFilter';
+import SearchQueryInput from './SearchQueryInput';
+import SmartCollections, { savedSearchParams } from './SmartCollections';
+import Collections from './Collections';
+
+const PAGE_SIZE = 24;
+
+// Sort fields offered in the toolbar with the direction the server uses by default
+const SORT_OPTIONS = [
+  { value: 'created_at', label: 'Date Added', order: 'desc' },
+  { value: 'updated_at', label: 'Date Modified', order: 'desc' },
+  { value: 'favorited_at', label: 'Recently Favorited', order: 'desc' },
+  { value: 'versions', label: 'Most Versions', order: 'desc' },
+  { value: 'title_natural', label: 'Title', order: 'asc' },
+  { value: 'language', label: 'Language', order: 'asc' },
+];
+
+const defaultOrderFor = (sort) => SORT_OPTIONS.find(option => option.value === sort)?.order || 'desc';
+
+// Tag lists are stored comma-separated in the URL
+const splitList = (value) => (value ? value.split(',').filter(Boolean) : []);
 
 const Dashboard = ({ selectedSnippets = [], onSnippetSelection, refreshKey }) => {
   // State
   const [snippets, setSnippets] = useState([]);
-  const [filteredSnippets, setFilteredSnippets] = useState([]);
+  const [pagination, setPagination] = useState({ total: 0, has_more: false, next_cursor: null });
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
   const [actionLoading, setActionLoading] = useState(false);
 
-  // Filter and search state
-  const [searchQuery, setSearchQuery] = useState('');
-  const [filters, setFilters] = useState({
-    language: 'all',
-    tag: 'all',
-    favorites: false,
-  });
-  const [sortBy, setSortBy] = useState('created_at');
-  const [sortOrder] = useState('desc');
+  // Search, filters and sort live in the URL so a view can be bookmarked and shared
+  const [searchParams, setSearchParams] = useSearchParams();
+  const urlQuery = searchParams.get('q') || '';
+  const allTagsParam = searchParams.get('tags');
+  const legacyTagParam = searchParams.get('tag'); // older single-tag links
+  const anyTagsParam = searchParams.get('any_tags');
+  const excludeTagsParam = searchParams.get('exclude_tags');
+  const tagFilter = useMemo(() => ({
+    all: [...new Set([...splitList(allTagsParam), ...splitList(legacyTagParam)])],
+    any: splitList(anyTagsParam),
+    exclude: splitList(excludeTagsParam),
+  }), [allTagsParam, legacyTagParam, anyTagsParam, excludeTagsParam]);
+  const filters = {
+    language: searchParams.get('language') || 'all',
+    tags: tagFilter,
+    favorites: searchParams.get('favorites') === 'true',
+  };
+  const defaultSort = urlQuery ? 'relevance' : 'created_at';
+  const sortBy = searchParams.get('sort') || defaultSort;
+  const sortOrder = searchParams.get('order') || defaultOrderFor(sortBy);
+  const collectionId = searchParams.get('collection') || '';
+
+  // The search box updates immediately; the URL follows once typing pauses
+  const [searchQuery, setSearchQuery] = useState(urlQuery);
+  const [queryError, setQueryError] = useState(null); // server parse error for urlQuery
+  const [languages, setLanguages] = useState([]);
+  const [tags, setTags] = useState([]);
+  // Bumped after changes that can move smart collection counts
+  const [collectionsVersion, setCollectionsVersion] = useState(0);
 
   // Modal state
   const [showAddModal, setShowAddModal] = useState(false);
   const [selectedSnippet, setSelectedSnippet] = useState(null);
+  const [detailTab, setDetailTab] = useState('code'); // 'code', 'template', 'history', 'share' or 'embed'
+  // Placeholders in the open snippet; the Fill In tab only shows when there are some
+  const [templateVariables, setTemplateVariables] = useState([]);
   const [editingSnippet, setEditingSnippet] = useState(null);
 
-  // Fetch data
+  // Incremented per first-page request so late responses for old filters are dropped
+  const requestIdRef = useRef(0);
+  const sentinelRef = useRef(null);
+
+  // Search, filters and sort are applied by the server
+  const queryParams = useMemo(() => ({
+    search: urlQuery,
+    language: filters.language !== 'all' ? filters.language : '',
+    tags: filters.tags.all.join(','),
+    any_tags: filters.tags.any.join(','),
+    exclude_tags: filters.tags.exclude.join(','),
+    favorites: filters.favorites ? 'true' : '',
+    collection: collectionId,
+    sort: sortBy,
+    // Relevance is always best match first
+    order: sortBy === 'relevance' ? '' : sortOrder,
+  }), [urlQuery, filters.language, filters.tags, filters.favorites, collectionId, sortBy, sortOrder]);
+
+  const hasActiveFilters = Boolean(
+    urlQuery || filters.favorites || filters.language !== 'all' ||
+    Object.values(filters.tags).some(names => names.length > 0)
+  );
+
+  // Merge updates into the URL, dropping defaults to keep links short.
+  // Filter and sort changes push a history entry; typing replaces it.
+  const updateParams = useCallback((updates, { replace = false } = {}) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+
+      Object.entries(updates).forEach(([key, value]) => {
+        const serialized = Array.isArray(value) ? value.join(',') : value;
+        if (serialized === '' || serialized === null || serialized === undefined || serialized === false || serialized === 'all') {
+          next.delete(key);
+        } else {
+          next.set(key, String(serialized));
+        }
+      });
+
+      // Relevance is the implicit sort while searching and meaningless without a query
+      const sort = next.get('sort');
+      if (sort === (next.get('q') ? 'relevance' : 'created_at') || (sort === 'relevance' && !next.get('q'))) {
+        next.delete('sort');
+      }
+      if (next.get('order') === defaultOrderFor(next.get('sort') || 'created_at')) {
+        next.delete('order');
+      }
+
+      return next;
+    }, { replace });
+  }, [setSearchParams]);
+
+  // Fetch the first page for the current query
   const fetchSnippets = useCallback(async () => {
+    const requestId = ++requestIdRef.current;
+
     try {
-      setLoading(true);
-      const snippetsData = await api.snippets.getAll();
-      
-      setSnippets(snippetsData);
+      const page = await api.snippets.getPage({ ...queryParams, limit: PAGE_SIZE });
+      if (requestId !== requestIdRef.current) return;
+
+      setSnippets(page.snippets);
+      setPagination(page.pagination);
       setError(null);
+      setQueryError(null);
     } catch (err) {
+      if (requestId !== requestIdRef.current) return;
+
+      // Invalid queries are reported under the search box; the last results stay visible
+      if (err.status === 400) {
+        setQueryError({ ...err.data, query: queryParams.search });
+        return;
+      }
       setError('Failed to load snippets. Make sure the backend server is running.');
       console.error('Error fetching data:', err);
     } finally {
-      setLoading(false);
-    }
-  }, []);
-
-  // Apply all filters and search
-  const applyFilters = useCallback((query, filterState, sort, order) => {
-    let result = [...snippets];
-
-    // Search
-    if (query) {
-      result = searchSnippets(result, query);
+      if (requestId === requestIdRef.current) setLoading(false);
     }
+  }, [queryParams]);
 
-    // Filters
-    result = filterSnippets(result, filterState);
+  // Append the next page using the cursor from the previous one
+  const loadMore = useCallback(async () => {
+    if (loadingMore || !pagination.next_cursor) return;
 
-    // Sort
-    result = sortSnippets(result, sort, order);
+    const requestId = requestIdRef.current;
 
-    setFilteredSnippets(result);
-  }, [snippets]);
+    try {
+      setLoadingMore(true);
+      const page = await api.snippets.getPage({
+        ...queryParams,
+        limit: PAGE_SIZE,
+        cursor: pagination.next_cursor,
+      });
+      if (requestId !== requestIdRef.current) return;
+
+      setSnippets(prev => [...prev, ...page.snippets]);
+      setPagination(page.pagination);
+    } catch (err) {
+      console.error('Error loading more snippets:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [loadingMore, pagination.next_cursor, queryParams]);
 
   // Debounced search
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  const debouncedSearch = useCallback(
-    debounce((query) => {
-      applyFilters(query, filters, sortBy, sortOrder);
-    }, 300),
-    [applyFilters, filters, sortBy, sortOrder]
-  );
+  const debouncedUpdateQuery = useCallback(debounce((query) => {
+    updateParams({ q: query.trim() }, { replace: true });
+  }, 300), [updateParams]);
 
   // Handle search
   const handleSearch = (query) => {
     setSearchQuery(query);
-    debouncedSearch(query);
+    debouncedUpdateQuery(query);
+  };
+
+  // Only show a parse error while the box still holds the query that caused it,
+  // shifting its position past any leading spaces trimmed before sending
+  const visibleQueryError = queryError && queryError.query === searchQuery.trim()
+    ? {
+        ...queryError,
+        position: (queryError.position ?? 0) + searchQuery.length - searchQuery.trimStart().length,
+      }
+    : null;
+
+  const handleSelectSavedSearch = (savedSearch) => {
+    setSearchQuery(savedSearch.search);
+    setSearchParams(savedSearchParams(savedSearch));
+  };
+
+  const handleSaveSearch = async () => {
+    const name = window.prompt('Name this smart collection');
+    if (!name || !name.trim()) return;
+
+    try {
+      await api.savedSearches.create({
+        name: name.trim(),
+        search: urlQuery,
+        language: filters.language !== 'all' ? filters.language : null,
+        tags: filters.tags.all,
+        any_tags: filters.tags.any,
+        exclude_tags: filters.tags.exclude,
+        favorites: filters.favorites,
+        sort: searchParams.get('sort'),
+        order: searchParams.get('order'),
+      });
+      setCollectionsVersion(prev => prev + 1);
+    } catch (err) {
+      console.error('Error saving search:', err);
+    }
+  };
+
+  // Re-fetch when snippets are dropped into the collection being viewed
+  const handleSnippetsAdded = async (targetCollectionId) => {
+    if (String(targetCollectionId) === collectionId) {
+      await fetchSnippets();
+    }
+  };
+
+  const handleRemoveFromCollection = async () => {
+    if (actionLoading || selectedSnippets.length === 0) return;
+
+    try {
+      setActionLoading(true);
+      for (const snippet of selectedSnippets) {
+        await api.collections.removeSnippet(collectionId, snippet.id);
+      }
+      onSnippetSelection?.([]);
+      setCollectionsVersion(prev => prev + 1);
+      await fetchSnippets();
+    } catch (err) {
+      console.error('Error removing snippets from collection:', err);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const clearFilters = () => {
+    setSearchQuery('');
+    setSearchParams({});
   };
 
   // Handle snippet actions
   const handleSnippetClick = (snippet) => {
+    setDetailTab('code');
     setSelectedSnippet(snippet);
   };
 
+  const handleRollback = async (updatedSnippet) => {
+    setSelectedSnippet(updatedSnippet);
+    setCollectionsVersion(prev => prev + 1);
+    await fetchSnippets();
+  };
+
   const handleEditSnippet = (snippet) => {
     setEditingSnippet(snippet);
     setShowAddModal(true);
@@ -97,7 +285,9 @@ const Dashboard = ({ selectedSnippets = [], onSnippetSelection, refreshKey }) =>
     try {
       setActionLoading(true);
       await api.snippets.delete(snippetId);
-      await fetchSnippets();
+      setSnippets(prev => prev.filter(s => s.id !== snippetId));
+      setPagination(prev => ({ ...prev, total: Math.max(prev.total - 1, 0) }));
+      setCollectionsVersion(prev => prev + 1);
     } catch (err) {
       console.error('Error deleting snippet:', err);
       alert('Failed to delete snippet. Please try again.');
@@ -111,8 +301,17 @@ const Dashboard = ({ selectedSnippets = [], onSnippetSelection, refreshKey }) =>
     
     try {
       setActionLoading(true);
-      await api.favorites.toggle(snippetId);
-      await fetchSnippets();
+      const result = await api.favorites.toggle(snippetId);
+
+      if (filters.favorites && !result.is_favorite) {
+        setSnippets(prev => prev.filter(s => s.id !== snippetId));
+        setPagination(prev => ({ ...prev, total: Math.max(prev.total - 1, 0) }));
+      } else {
+        setSnippets(prev => prev.map(s => (
+          s.id === snippetId ? { ...s, is_favorite: result.is_favorite } : s
+        )));
+      }
+      setCollectionsVersion(prev => prev + 1);
     } catch (err) {
       console.error('Error toggling favorite:', err);
       alert('Failed to update favorite. Please try again.');
@@ -124,6 +323,7 @@ const Dashboard = ({ selectedSnippets = [], onSnippetSelection, refreshKey }) =>
   const handleSnippetSaved = async () => {
     setShowAddModal(false);
     setEditingSnippet(null);
+    setCollectionsVersion(prev => prev + 1);
     await fetchSnippets();
   };
 
@@ -139,10 +339,10 @@ const Dashboard = ({ selectedSnippets = [], onSnippetSelection, refreshKey }) =>
   };
 
   const handleSelectAll = () => {
-    if (selectedSnippets.length === filteredSnippets.length) {
+    if (selectedSnippets.length === snippets.length) {
       onSnippetSelection?.([]);
     } else {
-      onSnippetSelection?.(filteredSnippets);
+      onSnippetSelection?.(snippets);
     }
   };
 
@@ -159,9 +359,57 @@ const Dashboard = ({ selectedSnippets = [], onSnippetSelection, refreshKey }) =>
     fetchSnippets();
   }, [fetchSnippets, refreshKey]);
 
+  // Keep the search box in step with the URL on back/forward navigation
+  useEffect(() => {
+    setSearchQuery(current => (current.trim() === urlQuery ? current : urlQuery));
+  }, [urlQuery]);
+
+  // Look for placeholders whenever another snippet (or version) is opened
+  const selectedSnippetId = selectedSnippet?.id;
+  const selectedSnippetContent = selectedSnippet?.content;
   useEffect(() => {
-    applyFilters(searchQuery, filters, sortBy, sortOrder);
-  }, [snippets, searchQuery, filters, sortBy, sortOrder, applyFilters]);
+    setTemplateVariables([]);
+    if (!selectedSnippetId) return;
+
+    let cancelled = false;
+    api.snippets.getTemplate(selectedSnippetId)
+      .then(({ variables }) => {
+        if (!cancelled) setTemplateVariables(variables);
+      })
+      .catch(err => console.error('Error reading snippet template:', err));
+    return () => { cancelled = true; };
+  }, [selectedSnippetId, selectedSnippetContent]);
+
+  // Filter options
+  useEffect(() => {
+    const fetchFilterOptions = async () => {
+      try {
+        const [languageStats, tagList] = await Promise.all([
+          api.analytics.getLanguages(),
+          api.tags.getAll(),
+        ]);
+        setLanguages(languageStats.map(stat => stat.language));
+        setTags(tagList.filter(tag => tag.usage_count > 0).map(tag => tag.name));
+      } catch (err) {
+        console.error('Error fetching filter options:', err);
+      }
+    };
+
+    fetchFilterOptions();
+  }, [refreshKey]);
+
+  // Infinite scroll: load the next page when the sentinel below the grid comes into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !pagination.has_more || !('IntersectionObserver' in window)) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMore();
+    }, { rootMargin: '400px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [loadMore, pagination.has_more]);
 
   // Loading state
   if (loading) {
@@ -201,7 +449,7 @@ const Dashboard = ({ selectedSnippets = [], onSnippetSelection, refreshKey }) =>
           <div>
             <h2 className="text-xl font-bold mb-2">My Snippets</h2>
             <p className="text-muted">
-              {filteredSnippets.length} of {snippets.length} snippets
+              Showing {snippets.length} of {pagination.total} snippets
               {selectedSnippets.length > 0 && (
                 <span className="text-accent ml-2">
                   • {selectedSnippets.length} selected
@@ -228,124 +476,205 @@ const Dashboard = ({ selectedSnippets = [], onSnippetSelection, refreshKey }) =>
         </div>
       </div>
 
-      {/* Search Bar */}
-      <div className="search-bar mb-6">
-        <div className="search-container">
-          <input
-            type="text"
-            className="input search-input"
-            placeholder="Search snippets by title, content, language, or tags..."
-            value={searchQuery}
-            onChange={(e) => handleSearch(e.target.value)}
+      <div className="dashboard-layout">
+        <aside className="dashboard-sidebar">
+          <SmartCollections
+            currentParams={searchParams}
+            onSelect={handleSelectSavedSearch}
+            refreshKey={`${refreshKey}-${collectionsVersion}`}
+          />
+          <Collections
+            activeId={collectionId}
+            onSelect={(id) => updateParams({ collection: id })}
+            onSnippetsAdded={handleSnippetsAdded}
+            refreshKey={`${refreshKey}-${collectionsVersion}`}
           />
-          <div className="search-icon">
-            🔍
+        </aside>
+
+        <div className="dashboard-main">
+          {/* Search Bar */}
+          <div className="search-bar mb-6">
+            <SearchQueryInput
+              value={searchQuery}
+              onChange={handleSearch}
+              languages={languages}
+              tags={tags}
+              error={visibleQueryError}
+            />
           </div>
-        </div>
-      </div>
 
-      {/* Filter and Selection Controls */}
-      <div className="controls-bar flex justify-between items-center mb-6">
-        <div className="filter-buttons flex gap-2">
-          <button
-            className={`btn btn-sm ${filters.favorites ? 'btn-secondary' : 'btn-ghost'}`}
-            onClick={() => {
-              const newFilters = { ...filters, favorites: !filters.favorites };
-              setFilters(newFilters);
-              applyFilters(searchQuery, newFilters, sortBy, sortOrder);
-            }}
-          >
-            ⭐ Favorites Only
-          </button>
-          <select
-            className="input"
-            style={{ width: 'auto', padding: '0.25rem 0.5rem' }}
-            value={sortBy}
-            onChange={(e) => {
-              setSortBy(e.target.value);
-              applyFilters(searchQuery, filters, e.target.value, sortOrder);
-            }}
-          >
-            <option value="created_at">Recently Added</option>
-            <option value="updated_at">Recently Modified</option>
-            <option value="title">Title A-Z</option>
-            <option value="language">Language</option>
-          </select>
-        </div>
-        
-        {/* Selection Controls */}
-        {filteredSnippets.length > 0 && (
-          <div className="selection-controls flex gap-2">
-            <button
-              className="btn btn-sm btn-ghost"
-              onClick={handleSelectAll}
-              title={selectedSnippets.length === filteredSnippets.length ? 'Clear Selection' : 'Select All Visible'}
-            >
-              {selectedSnippets.length === filteredSnippets.length ? '☐' : '☑'} 
-              {selectedSnippets.length === filteredSnippets.length ? 'Deselect All' : 'Select All'}
-            </button>
-            {selectedSnippets.length > 0 && (
+          {/* Filter and Selection Controls */}
+          <div className="controls-bar flex justify-between items-center mb-6">
+            <div className="filter-buttons flex gap-2">
               <button
-                className="btn btn-sm btn-ghost text-muted"
-                onClick={handleClearSelection}
-                title="Clear Selection"
+                className={`btn btn-sm ${filters.favorites ? 'btn-secondary' : 'btn-ghost'}`}
+                onClick={() => updateParams({ favorites: !filters.favorites })}
               >
-                ✕ Clear
+                ⭐ Favorites Only
               </button>
+              <select
+                className="input"
+                style={{ width: 'auto', padding: '0.25rem 0.5rem' }}
+                value={filters.language}
+                onChange={(e) => updateParams({ language: e.target.value })}
+                aria-label="Filter by language"
+              >
+                <option value="all">All Languages</option>
+                {languages.map(language => (
+                  <option key={language} value={language}>{getLanguageDisplayName(language)}</option>
+                ))}
+              </select>
+              <TagFilter
+                tags={tags}
+                value={filters.tags}
+                onChange={(next) => updateParams({
+                  tag: '',
+                  tags: next.all,
+                  any_tags: next.any,
+                  exclude_tags: next.exclude,
+                })}
+              />
+              <select
+                className="input"
+                style={{ width: 'auto', padding: '0.25rem 0.5rem' }}
+                value={sortBy}
+                onChange={(e) => updateParams({ sort: e.target.value, order: '' })}
+                aria-label="Sort by"
+              >
+                {urlQuery && <option value="relevance">Best Match</option>}
+                {SORT_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              {sortBy !== 'relevance' && (
+                <button
+                  className="btn btn-sm btn-ghost"
+                  onClick={() => updateParams({ order: sortOrder === 'asc' ? 'desc' : 'asc' })}
+                  title={sortOrder === 'asc' ? 'Ascending' : 'Descending'}
+                  aria-label="Toggle sort order"
+                >
+                  {sortOrder === 'asc' ? '↑' : '↓'}
+                </button>
+              )}
+              {hasActiveFilters && (
+                <button
+                  className="btn btn-sm btn-outline"
+                  onClick={handleSaveSearch}
+                  title="Save this search as a smart collection"
+                >
+                  💾 Save Search
+                </button>
+              )}
+            </div>
+            
+            {/* Selection Controls */}
+            {snippets.length > 0 && (
+              <div className="selection-controls flex gap-2">
+                <button
+                  className="btn btn-sm btn-ghost"
+                  onClick={handleSelectAll}
+                  title={selectedSnippets.length === snippets.length ? 'Clear Selection' : 'Select All Visible'}
+                >
+                  {selectedSnippets.length === snippets.length ? '☐' : '☑'} 
+                  {selectedSnippets.length === snippets.length ? 'Deselect All' : 'Select All'}
+                </button>
+                {collectionId && selectedSnippets.length > 0 && (
+                  <button
+                    className="btn btn-sm btn-ghost"
+                    onClick={handleRemoveFromCollection}
+                    disabled={actionLoading}
+                    title="Remove the selected snippets from this collection"
+                  >
+                    📤 Remove from Collection
+                  </button>
+                )}
+                {selectedSnippets.length > 0 && (
+                  <button
+                    className="btn btn-sm btn-ghost text-muted"
+                    onClick={handleClearSelection}
+                    title="Clear Selection"
+                  >
+                    ✕ Clear
+                  </button>
+                )}
+              </div>
             )}
           </div>
-        )}
-      </div>
 
-      {/* Snippets Grid or Empty State */}
-      {filteredSnippets.length === 0 ? (
-        <div className="empty-state text-center p-6">
-          <div className="empty-icon mb-4">
-            <span style={{ fontSize: '4rem', opacity: 0.5 }}>📝</span>
-          </div>
+          {/* Snippets Grid or Empty State */}
           {snippets.length === 0 ? (
-            <>
-              <h3 className="mb-2">Welcome to MySnippetHub!</h3>
-              <p className="text-muted mb-4">Create your first snippet to get started</p>
-              <button 
-                className="btn btn-primary"
-                onClick={() => setShowAddModal(true)}
-              >
-                Add Your First Snippet
-              </button>
-            </>
+            <div className="empty-state text-center p-6">
+              <div className="empty-icon mb-4">
+                <span style={{ fontSize: '4rem', opacity: 0.5 }}>📝</span>
+              </div>
+              {collectionId && !hasActiveFilters ? (
+                <>
+                  <h3 className="mb-2">This collection is empty</h3>
+                  <p className="text-muted mb-4">Drag snippets onto it in the sidebar to add them</p>
+                  <button 
+                    className="btn btn-outline"
+                    onClick={() => updateParams({ collection: '' })}
+                  >
+                    Show All Snippets
+                  </button>
+                </>
+              ) : !hasActiveFilters ? (
+                <>
+                  <h3 className="mb-2">Welcome to MySnippetHub!</h3>
+                  <p className="text-muted mb-4">Create your first snippet to get started</p>
+                  <button 
+                    className="btn btn-primary"
+                    onClick={() => setShowAddModal(true)}
+                  >
+                    Add Your First Snippet
+                  </button>
+                </>
+              ) : (
+                <>
+                  <h3 className="mb-2">No snippets found</h3>
+                  <p className="text-muted mb-4">Try adjusting your search or filters</p>
+                  <button 
+                    className="btn btn-outline"
+                    onClick={clearFilters}
+                  >
+                    Clear Filters
+                  </button>
+                </>
+              )}
+            </div>
           ) : (
-            <>
-              <h3 className="mb-2">No snippets found</h3>
-              <p className="text-muted mb-4">Try adjusting your search or filters</p>
-              <button 
-                className="btn btn-outline"
-                onClick={() => {
-                  setSearchQuery('');
-                  setFilters({ language: 'all', tag: 'all', favorites: false });
-                }}
+            <div className="snippets-grid grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {snippets.map((snippet) => (
+                <SnippetCard
+                  key={snippet.id}
+                  snippet={snippet}
+                  isSelected={isSnippetSelected(snippet)}
+                  onSelect={(isSelected) => handleSnippetSelect(snippet, isSelected)}
+                  onClick={() => handleSnippetClick(snippet)}
+                  onEdit={() => handleEditSnippet(snippet)}
+                  onDelete={() => handleDeleteSnippet(snippet.id)}
+                  onToggleFavorite={() => handleToggleFavorite(snippet.id)}
+                  dragSnippetIds={isSnippetSelected(snippet) ? selectedSnippets.map(s => s.id) : [snippet.id]}
+                />
+              ))}
+            </div>
+          )}
+
+          {/* Infinite scroll sentinel with a manual fallback */}
+          {pagination.has_more && (
+            <div ref={sentinelRef} className="load-more text-center p-6">
+              <button
+                className={`btn btn-outline ${loadingMore ? 'loading' : ''}`}
+                onClick={loadMore}
+                disabled={loadingMore}
               >
-                Clear Filters
+                {loadingMore && <div className="spinner mr-2"></div>}
+                {loadingMore ? 'Loading...' : `Load more (${pagination.total - snippets.length} remaining)`}
               </button>
-            </>
+            </div>
           )}
         </div>
-      ) : (
-        <div className="snippets-grid grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {filteredSnippets.map((snippet) => (
-            <SnippetCard
-              key={snippet.id}
-              snippet={snippet}
-              isSelected={isSnippetSelected(snippet)}
-              onSelect={(isSelected) => handleSnippetSelect(snippet, isSelected)}
-              onClick={() => handleSnippetClick(snippet)}
-              onEdit={() => handleEditSnippet(snippet)}
-              onDelete={() => handleDeleteSnippet(snippet.id)}
-              onToggleFavorite={() => handleToggleFavorite(snippet.id)}
-            />
-          ))}
-        </div>
-      )}
+      </div>
 
       {/* Add/Edit Snippet Modal */}
       {showAddModal && (
@@ -366,7 +695,10 @@ const Dashboard = ({ selectedSnippets = [], onSnippetSelection, refreshKey }) =>
             setSelectedSnippet(null);
           }
         }}>
-          <div className="modal p-6" onClick={(e) => e.stopPropagation()}>
+          <div
+            className={`modal p-6 ${detailTab === 'history' ? 'snippet-detail-modal-wide' : ''}`}
+            onClick={(e) => e.stopPropagation()}
+          >
             <div className="flex justify-between items-center mb-4">
               <h3>{selectedSnippet.title}</h3>
               <button 
@@ -379,6 +711,10 @@ const Dashboard = ({ selectedSnippets = [], onSnippetSelection, refreshKey }) =>
             
             <div className="mb-4">
               <span className="badge badge-primary mr-2">{selectedSnippet.language}</span>
+              <span className="badge mr-2" title={getVisibility(selectedSnippet.visibility).description}>
+                {getVisibility(selectedSnippet.visibility).icon} {getVisibility(selectedSnippet.visibility).label}
+                {selectedSnippet.is_owner === false && selectedSnippet.owner_name && ` · ${selectedSnippet.owner_name}`}
+              </span>
               {selectedSnippet.tags.map((tag) => (
                 <span key={tag.id} className="badge mr-1">
                   {tag.name}
@@ -386,39 +722,65 @@ const Dashboard = ({ selectedSnippets = [], onSnippetSelection, refreshKey }) =>
               ))}
             </div>
             
-            <div className="mb-4">
-              <Highlight
-                theme={themes.vsDark}
-                code={selectedSnippet.content}
-                language={selectedSnippet.language || 'text'}
+            <div className="detail-tabs flex gap-2 mb-4">
+              <button
+                className={`btn btn-sm ${detailTab === 'code' ? 'btn-secondary' : 'btn-ghost'}`}
+                onClick={() => setDetailTab('code')}
               >
-                {({ className, style, tokens, getLineProps, getTokenProps }) => (
-                  <pre 
-                    className={`${className} modal-code-preview`}
-                    style={{
-                      ...style,
-                      margin: 0,
-                      padding: 'var(--space-md)',
-                      fontSize: 'var(--font-size-sm)',
-                      lineHeight: '1.6',
-                      borderRadius: 'var(--radius-md)',
-                      overflow: 'auto',
-                      maxHeight: '24rem',
-                      border: '1px solid var(--border-primary)'
-                    }}
-                  >
-                    {tokens.map((line, i) => (
-                      <div key={i} {...getLineProps({ line, key: i })}>
-                        {line.map((token, key) => (
-                          <span key={key} {...getTokenProps({ token, key })} />
-                        ))}
-                      </div>
-                    ))}
-                  </pre>
-                )}
-              </Highlight>
+                📄 Code
+              </button>
+              {templateVariables.length > 0 && (
+                <button
+                  className={`btn btn-sm ${detailTab === 'template' ? 'btn-secondary' : 'btn-ghost'}`}
+                  onClick={() => setDetailTab('template')}
+                >
+                  🧩 Fill In ({templateVariables.length})
+                </button>
+              )}
+              <button
+                className={`btn btn-sm ${detailTab === 'history' ? 'btn-secondary' : 'btn-ghost'}`}
+                onClick={() => setDetailTab('history')}
+              >
+                🕘 History (v{selectedSnippet.version})
+              </button>
+              {selectedSnippet.is_owner && (
+                <button
+                  className={`btn btn-sm ${detailTab === 'share' ? 'btn-secondary' : 'btn-ghost'}`}
+                  onClick={() => setDetailTab('share')}
+                >
+                  🔗 Share
+                </button>
+              )}
+              <button
+                className={`btn btn-sm ${detailTab === 'embed' ? 'btn-secondary' : 'btn-ghost'}`}
+                onClick={() => setDetailTab('embed')}
+              >
+                {'</>'} Embed
+              </button>
             </div>
 
+            {detailTab === 'template' && templateVariables.length > 0 ? (
+              <div className="mb-4">
+                <TemplateForm snippet={selectedSnippet} variables={templateVariables} />
+              </div>
+            ) : detailTab === 'history' ? (
+              <div className="mb-4">
+                <VersionHistory snippet={selectedSnippet} onRollback={handleRollback} />
+              </div>
+            ) : detailTab === 'share' ? (
+              <div className="mb-4">
+                <ShareLinks snippet={selectedSnippet} />
+              </div>
+            ) : detailTab === 'embed' ? (
+              <div className="mb-4">
+                <EmbedCode snippet={selectedSnippet} />
+              </div>
+            ) : (
+              <div className="mb-4">
+                <CodeBlock code={selectedSnippet.content} language={selectedSnippet.language} />
+              </div>
+            )}
+
             <div className="flex gap-2">
               <button 
                 className="btn btn-outline"
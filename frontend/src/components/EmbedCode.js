@@ -0,0 +1,116 @@
+import React, { useState, useMemo } from 'react';
+import api from '../api';
+import { copyToClipboard } from '../utils';
+
+const EMBED_THEMES = [
+  { value: 'dark', label: 'Dark' },
+  { value: 'light', label: 'Light' },
+  { value: 'auto', label: 'Match reader (auto)' },
+];
+
+const LINE_RANGE_PATTERN = /^\d+(-\d+)?$/;
+
+// Helper function to size an iframe to the lines it shows (20px per line plus the footer)
+const iframeHeight = (content, lines) => {
+  const total = content.replace(/\n$/, '').split('\n').length;
+  let shown = total;
+  if (lines) {
+    const [start, end = start] = lines.split('-').map(Number);
+    shown = Math.max(1, Math.min(end, total) - start + 1);
+  }
+  return Math.min(shown, 30) * 20 + 52;
+};
+
+// Raw and embed links for putting a snippet into wikis and docs
+const EmbedCode = ({ snippet }) => {
+  const [theme, setTheme] = useState('dark');
+  const [lines, setLines] = useState('');
+
+  const trimmedLines = lines.trim();
+  const linesValid = !trimmedLines || LINE_RANGE_PATTERN.test(trimmedLines);
+  const params = { theme: theme === 'dark' ? '' : theme, lines: linesValid ? trimmedLines : '' };
+
+  // Public snippets embed through the public routes, which work on any site and without an account
+  const isPublic = snippet.visibility === 'public';
+  const files = isPublic ? api.public : api.snippets;
+  const embedUrl = files.fileUrl(snippet.id, 'embed', params);
+  const height = useMemo(
+    () => iframeHeight(snippet.content, linesValid ? trimmedLines : ''),
+    [snippet.content, linesValid, trimmedLines]
+  );
+
+  const codes = [
+    {
+      label: 'iframe',
+      value: `<iframe src="${embedUrl}" style="width: 100%; border: 0;" height="${height}" title="${snippet.title.replace(/"/g, '&quot;')}"></iframe>`,
+    },
+    {
+      label: 'Raw URL',
+      value: files.fileUrl(snippet.id, 'raw', { lines: params.lines }),
+    },
+  ];
+  if (isPublic) {
+    codes.splice(1, 0, {
+      label: 'Script',
+      value: `<script src="${files.fileUrl(snippet.id, 'embed.js', params)}"></script>`,
+    });
+  }
+
+  return (
+    <div className="embed-code">
+      {isPublic ? (
+        <p className="text-sm text-muted mb-4">
+          This snippet is public, so these embeds work on any site and for readers without an account.
+        </p>
+      ) : (
+        <p className="text-sm text-muted mb-4">
+          Embeds show to readers who can see this snippet in MySnippetHub, on sites your server allows to embed
+          it. For other sites, readers without an account or a script embed, make it public or share it from the
+          Share tab instead.
+        </p>
+      )}
+
+      <div className="embed-options flex gap-2 mb-4">
+        <select className="input" value={theme} onChange={(e) => setTheme(e.target.value)} aria-label="Theme">
+          {EMBED_THEMES.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          className={`input ${linesValid ? '' : 'error'}`}
+          placeholder="Lines, e.g. 10-25"
+          value={lines}
+          onChange={(e) => setLines(e.target.value)}
+          aria-label="Lines"
+        />
+      </div>
+
+      {codes.map(code => (
+        <div key={code.label} className="form-group mb-2">
+          <span className="form-label">{code.label}</span>
+          <div className="flex gap-2">
+            <input className="input font-mono text-sm" value={code.value} readOnly onFocus={(e) => e.target.select()} />
+            <button
+              type="button"
+              className="btn btn-outline"
+              onClick={() => copyToClipboard(code.value, `${code.label} copied to clipboard!`)}
+            >
+              📋 Copy
+            </button>
+          </div>
+        </div>
+      ))}
+
+      <span className="form-label mt-4">Preview</span>
+      <iframe
+        className="embed-preview"
+        src={embedUrl}
+        title={`Embed preview of ${snippet.title}`}
+        height={height}
+      />
+    </div>
+  );
+};
+
+export default EmbedCode;
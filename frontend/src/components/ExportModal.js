@@ -1,24 +1,66 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import api from '../api';
 import { saveAs } from 'file-saver';
 
+// Export formats; the editor formats turn placeholders into the editor's tab stops
+const EXPORT_FORMATS = [
+  { value: 'json', label: 'JSON', extension: 'json', description: 'Complete data with metadata - can be re-imported' },
+  { value: 'ndjson', label: 'NDJSON', extension: 'ndjson', description: 'One snippet per line, streamed - for large libraries, can be re-imported' },
+  { value: 'zip', label: 'ZIP Archive', extension: 'zip', description: 'A file per snippet in folders, with a manifest - for git, can be re-imported' },
+  { value: 'backup', label: 'Full Backup', extension: 'json', description: 'Your whole library with version history, tag colors, favorites and collections - restores exactly' },
+  { value: 'md', label: 'Markdown', extension: 'md', description: 'Human-readable format for documentation - can be re-imported' },
+  { value: 'vscode', label: 'VS Code', extension: 'code-snippets', description: 'Snippets file for your .vscode folder or user snippets' },
+  { value: 'jetbrains', label: 'JetBrains', extension: 'xml', description: 'Live template set for IntelliJ, WebStorm, PyCharm and friends' },
+  { value: 'sublime', label: 'Sublime Text', extension: 'sublime-snippet', description: 'Snippet file, or a ZIP of them when exporting several' },
+];
+
 const ExportModal = ({ isOpen, onClose, selectedSnippets = [] }) => {
   const [format, setFormat] = useState('json');
-  const [exportType, setExportType] = useState('all'); // 'all' or 'selected'
+  const [exportType, setExportType] = useState('all'); // 'all', 'selected' or 'collection'
+  const [collections, setCollections] = useState([]);
+  const [collectionId, setCollectionId] = useState('');
+  const [includeSubcollections, setIncludeSubcollections] = useState(true);
+  const [groupBy, setGroupBy] = useState('tag'); // ZIP archive folders: 'tag' or 'language'
   const [loading, setLoading] = useState(false);
 
+  useEffect(() => {
+    if (!isOpen) return;
+
+    api.collections.getAll()
+      .then(setCollections)
+      .catch(err => console.error('Error fetching collections:', err));
+  }, [isOpen]);
+
   if (!isOpen) return null;
 
+  const selectedCollection = collections.find(c => String(c.id) === String(collectionId));
+  const selectedFormat = EXPORT_FORMATS.find(f => f.value === format);
+  const filenameBase = format === 'backup' ? 'mysnippethub-backup' : 'mysnippethub-export';
+
+  // A full backup always covers the whole library
+  const handleFormatChange = (value) => {
+    setFormat(value);
+    if (value === 'backup') setExportType('all');
+  };
+  // Several Sublime snippets come back zipped; the server's file name is used when it sends one
+  const extension = format === 'sublime' && !(exportType === 'selected' && selectedSnippets.length === 1)
+    ? 'zip'
+    : selectedFormat.extension;
+
   const handleExport = async () => {
     try {
       setLoading(true);
       
       const snippetIds = exportType === 'selected' ? selectedSnippets.map(s => s.id) : [];
-      const response = await api.snippets.export(format, snippetIds);
+      const options = exportType === 'collection'
+        ? { collectionId: selectedCollection.id, includeSubcollections }
+        : {};
+      if (format === 'zip') options.groupBy = groupBy;
+      const response = await api.snippets.export(format, snippetIds, options);
       
       // Get filename from Content-Disposition header or create default
       const contentDisposition = response.headers.get('Content-Disposition');
-      let filename = `mysnippethub-export-${new Date().toISOString().slice(0, 10)}.${format === 'json' ? 'json' : 'md'}`;
+      let filename = `${filenameBase}-${new Date().toISOString().slice(0, 10)}.${extension}`;
       
       if (contentDisposition) {
         const filenameMatch = contentDisposition.match(/filename="(.+)"/);
@@ -33,7 +75,9 @@ const ExportModal = ({ isOpen, onClose, selectedSnippets = [] }) => {
 
       // Show success message based on export type
       const count = exportType === 'selected' ? selectedSnippets.length : 'all';
-      const message = `Successfully exported ${count} snippet${count !== 1 && count !== 'all' ? 's' : ''} as ${format.toUpperCase()}`;
+      const message = exportType === 'collection'
+        ? `Successfully exported "${selectedCollection.name}" as ${selectedFormat.label}`
+        : `Successfully exported ${count} snippet${count !== 1 && count !== 'all' ? 's' : ''} as ${selectedFormat.label}`;
       
       // Use toast through api service or directly
       if (window.toast) {
@@ -95,18 +139,56 @@ const ExportModal = ({ isOpen, onClose, selectedSnippets = [] }) => {
                 />
                 <span>All snippets</span>
               </label>
-              <label className={`radio-option ${selectedSnippets.length === 0 ? 'disabled' : ''}`}>
+              <label className={`radio-option ${selectedSnippets.length === 0 || format === 'backup' ? 'disabled' : ''}`}>
                 <input
                   type="radio"
                   name="exportType"
                   value="selected"
                   checked={exportType === 'selected'}
                   onChange={(e) => setExportType(e.target.value)}
-                  disabled={loading || selectedSnippets.length === 0}
+                  disabled={loading || selectedSnippets.length === 0 || format === 'backup'}
                 />
                 <span>Selected snippets ({selectedSnippets.length})</span>
               </label>
+              <label className={`radio-option ${collections.length === 0 || format === 'backup' ? 'disabled' : ''}`}>
+                <input
+                  type="radio"
+                  name="exportType"
+                  value="collection"
+                  checked={exportType === 'collection'}
+                  onChange={(e) => setExportType(e.target.value)}
+                  disabled={loading || collections.length === 0 || format === 'backup'}
+                />
+                <span>A collection</span>
+              </label>
             </div>
+            {exportType === 'collection' && (
+              <div className="mt-2">
+                <select
+                  className="input"
+                  value={collectionId}
+                  onChange={(e) => setCollectionId(e.target.value)}
+                  disabled={loading}
+                  aria-label="Collection to export"
+                >
+                  <option value="">Choose a collection…</option>
+                  {collections.map(collection => (
+                    <option key={collection.id} value={collection.id}>
+                      {collection.name} ({collection.snippet_count})
+                    </option>
+                  ))}
+                </select>
+                <label className="checkbox-option mt-2">
+                  <input
+                    type="checkbox"
+                    checked={includeSubcollections}
+                    onChange={(e) => setIncludeSubcollections(e.target.checked)}
+                    disabled={loading}
+                  />
+                  <span className="text-sm">Include nested collections</span>
+                </label>
+              </div>
+            )}
             {selectedSnippets.length === 0 && (
               <p className="text-muted text-sm mt-2">
                 Select snippets in the dashboard to enable selective export
@@ -118,39 +200,39 @@ const ExportModal = ({ isOpen, onClose, selectedSnippets = [] }) => {
           <div className="form-group mb-4">
             <label className="form-label">Export Format</label>
             <div className="radio-group">
-              <label className="radio-option">
-                <input
-                  type="radio"
-                  name="format"
-                  value="json"
-                  checked={format === 'json'}
-                  onChange={(e) => setFormat(e.target.value)}
-                  disabled={loading}
-                />
-                <div className="format-option">
-                  <span className="format-title">JSON</span>
-                  <span className="format-description">
-                    Complete data with metadata - can be re-imported
-                  </span>
-                </div>
-              </label>
-              <label className="radio-option">
-                <input
-                  type="radio"
-                  name="format"
-                  value="md"
-                  checked={format === 'md'}
-                  onChange={(e) => setFormat(e.target.value)}
-                  disabled={loading}
-                />
-                <div className="format-option">
-                  <span className="format-title">Markdown</span>
-                  <span className="format-description">
-                    Human-readable format for documentation
-                  </span>
-                </div>
-              </label>
+              {EXPORT_FORMATS.map(option => (
+                <label key={option.value} className="radio-option">
+                  <input
+                    type="radio"
+                    name="format"
+                    value={option.value}
+                    checked={format === option.value}
+                    onChange={(e) => handleFormatChange(e.target.value)}
+                    disabled={loading}
+                  />
+                  <div className="format-option">
+                    <span className="format-title">{option.label}</span>
+                    <span className="format-description">
+                      {option.description}
+                    </span>
+                  </div>
+                </label>
+              ))}
             </div>
+            {format === 'zip' && (
+              <div className="mt-2">
+                <select
+                  className="input"
+                  value={groupBy}
+                  onChange={(e) => setGroupBy(e.target.value)}
+                  disabled={loading}
+                  aria-label="Archive folders"
+                >
+                  <option value="tag">A folder per tag</option>
+                  <option value="language">A folder per language</option>
+                </select>
+              </div>
+            )}
           </div>
 
           {/* Export Preview */}
@@ -160,17 +242,19 @@ const ExportModal = ({ isOpen, onClose, selectedSnippets = [] }) => {
               <div className="detail-item">
                 <span className="label">Snippets:</span>
                 <span className="value">
-                  {exportType === 'all' ? 'All snippets' : `${selectedSnippets.length} selected`}
+                  {exportType === 'all' && 'All snippets'}
+                  {exportType === 'selected' && `${selectedSnippets.length} selected`}
+                  {exportType === 'collection' && (selectedCollection ? `Collection "${selectedCollection.name}"` : 'No collection chosen')}
                 </span>
               </div>
               <div className="detail-item">
                 <span className="label">Format:</span>
-                <span className="value">{format.toUpperCase()}</span>
+                <span className="value">{selectedFormat.label}</span>
               </div>
               <div className="detail-item">
                 <span className="label">File name:</span>
                 <span className="value">
-                  mysnippethub-export-{new Date().toISOString().slice(0, 10)}.{format === 'json' ? 'json' : 'md'}
+                  {filenameBase}-{new Date().toISOString().slice(0, 10)}.{extension}
                 </span>
               </div>
             </div>
@@ -190,10 +274,14 @@ const ExportModal = ({ isOpen, onClose, selectedSnippets = [] }) => {
             type="button"
             className={`btn btn-primary ${loading ? 'loading' : ''}`}
             onClick={handleExport}
-            disabled={loading || (exportType === 'selected' && selectedSnippets.length === 0)}
+            disabled={
+              loading ||
+              (exportType === 'selected' && selectedSnippets.length === 0) ||
+              (exportType === 'collection' && !selectedCollection)
+            }
           >
             {loading && <div className="spinner mr-2"></div>}
-            {loading ? 'Exporting...' : `Export ${format.toUpperCase()}`}
+            {loading ? 'Exporting...' : `Export ${selectedFormat.label}`}
           </button>
         </div>
       </div>
@@ -1,6 +1,147 @@
 import React, { useState } from 'react';
 import { useDropzone } from 'react-dropzone';
 import api from '../api';
+import CodeBlock from './CodeBlock';
+import WordDiff from './WordDiff';
+
+// Files over this size have to be NDJSON, which is streamed instead of uploaded in one go
+const MAX_UPLOAD_SIZE = 10 * 1024 * 1024;
+// How much of an NDJSON file is read for the preview
+const STREAM_PREVIEW_BYTES = 64 * 1024;
+const STREAM_PREVIEW_LIMIT = 100;
+
+const isStreamFile = (file) => /\.(ndjson|jsonl)$/i.test(file.name);
+
+// Check the start of an NDJSON export and preview its first snippets without reading the whole file
+const previewStreamFile = async (file) => {
+  const text = await file.slice(0, STREAM_PREVIEW_BYTES).text();
+  const lines = text.split('\n');
+  // The last line may have been cut off by the slice
+  if (file.size > STREAM_PREVIEW_BYTES) lines.pop();
+
+  const errors = [];
+  const warnings = [];
+  const preview = [];
+  let header = null;
+
+  lines.filter(line => line.trim()).forEach((line, index) => {
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      if (index === 0) errors.push('The file does not start with a JSON line');
+      return;
+    }
+
+    if (index === 0 && record.type === 'header') {
+      header = record;
+      return;
+    }
+    if (preview.length < STREAM_PREVIEW_LIMIT && typeof record.title === 'string') {
+      preview.push({
+        title: record.title,
+        language: record.language || 'text',
+        content: typeof record.content === 'string' ? record.content.slice(0, 2000) : '',
+        tags: Array.isArray(record.tags) ? record.tags.map(tag => (typeof tag === 'string' ? tag : tag.name)) : []
+      });
+    }
+  });
+
+  if (header && header.format !== 'mysnippethub-ndjson') {
+    errors.push(`Unknown NDJSON format: ${header.format}`);
+  }
+  if (!header && errors.length === 0) {
+    warnings.push('No header line - the number of snippets is only known once the import finishes');
+  }
+  if (errors.length === 0 && preview.length === 0) {
+    warnings.push('No snippets found at the start of the file');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    streaming: true,
+    format: 'ndjson',
+    format_label: 'MySnippetHub NDJSON',
+    stats: { totalSnippets: header ? header.total_snippets : null },
+    preview
+  };
+};
+
+const CONFLICT_LABELS = {
+  identical: 'Already in your library',
+  title_conflict: 'Same title, different content',
+  similar: 'Similar to one of yours'
+};
+
+const RESOLUTION_OPTIONS = [
+  { value: 'keep', label: 'Keep mine (skip this one)' },
+  { value: 'replace', label: 'Replace mine' },
+  { value: 'keep_both', label: 'Keep both' },
+  { value: 'merge_tags', label: 'Add its tags to mine' }
+];
+
+// Identical snippets are skipped and the rest imported as new ones, as an import without choices does
+const defaultResolutions = (conflicts = []) => Object.fromEntries(
+  conflicts.map(conflict => [conflict.index, conflict.status === 'identical' ? 'keep' : 'keep_both'])
+);
+
+// One incoming snippet that matches one of the user's, with what would change and the choice to make
+const ImportConflict = ({ conflict, resolution, onChange, disabled }) => {
+  const fields = conflict.diff?.fields;
+
+  return (
+    <li className="import-conflict">
+      <div className="import-conflict-header">
+        <div>
+          <div className="title">{conflict.title}</div>
+          <div className="text-xs text-muted">
+            {CONFLICT_LABELS[conflict.status]}
+            {conflict.status === 'similar' && ` (${Math.round(conflict.similarity * 100)}%)`}
+            {' - yours is '}#{conflict.existing.id} "{conflict.existing.title}"
+          </div>
+        </div>
+        <select
+          className="input"
+          value={resolution}
+          onChange={(e) => onChange(e.target.value)}
+          disabled={disabled}
+          aria-label={`What to do with ${conflict.title}`}
+        >
+          {RESOLUTION_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {fields && (
+        <details>
+          <summary className="text-sm">Compare with yours</summary>
+          {fields.title.changed && (
+            <div className="text-sm">Title: <WordDiff parts={fields.title.diff} /></div>
+          )}
+          {fields.language.changed && (
+            <p className="text-sm">Language: {fields.language.from} → {fields.language.to}</p>
+          )}
+          <p className="text-sm">
+            Tags: {conflict.existing.tags.join(', ') || 'none'} → {conflict.tags.join(', ') || 'none'}
+          </p>
+          {fields.content.changed
+            ? <WordDiff parts={fields.content.diff} />
+            : <p className="text-sm text-muted">The content is the same.</p>}
+        </details>
+      )}
+    </li>
+  );
+};
+
+// How far a streamed import has got: by snippets when the header gave a total, otherwise by bytes
+const progressPercent = (progress, validation, file) => {
+  if (!progress) return 0;
+  const ratio = progress.total ? progress.processed / progress.total : progress.bytes / file.size;
+  return Math.min(100, Math.round(ratio * 100));
+};
 
 const ImportModal = ({ isOpen, onClose, onImportSuccess }) => {
   const [file, setFile] = useState(null);
@@ -13,11 +154,22 @@ const ImportModal = ({ isOpen, onClose, onImportSuccess }) => {
     preserveIds: false
   });
   const [importResults, setImportResults] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [resolutions, setResolutions] = useState({});
 
   const onDrop = async (acceptedFiles) => {
     if (acceptedFiles.length > 0) {
       const selectedFile = acceptedFiles[0];
       setFile(selectedFile);
+
+      if (!isStreamFile(selectedFile) && selectedFile.size > MAX_UPLOAD_SIZE) {
+        setValidation({
+          valid: false,
+          errors: ['Files over 10 MB must be NDJSON exports (.ndjson), which are imported as a stream'],
+          warnings: []
+        });
+        return;
+      }
       await validateFile(selectedFile);
     }
   };
@@ -25,17 +177,22 @@ const ImportModal = ({ isOpen, onClose, onImportSuccess }) => {
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
     accept: {
-      'application/json': ['.json']
+      'application/json': ['.json', '.code-snippets'],
+      'text/markdown': ['.md', '.markdown'],
+      'application/zip': ['.zip'],
+      'application/x-ndjson': ['.ndjson', '.jsonl']
     },
-    maxFiles: 1,
-    maxSize: 10 * 1024 * 1024 // 10MB
+    maxFiles: 1
   });
 
   const validateFile = async (file) => {
     try {
       setLoading(true);
-      const validationResult = await api.snippets.validateImport(file);
+      const validationResult = isStreamFile(file)
+        ? await previewStreamFile(file)
+        : await api.snippets.previewImport(file);
       setValidation(validationResult);
+      setResolutions(defaultResolutions(validationResult.conflicts));
       
       if (validationResult.valid) {
         setStep('options');
@@ -55,7 +212,10 @@ const ImportModal = ({ isOpen, onClose, onImportSuccess }) => {
   const handleImport = async () => {
     try {
       setLoading(true);
-      const results = await api.snippets.import(file, importOptions);
+      setProgress(null);
+      const results = validation?.streaming
+        ? await api.snippets.importStream(file, importOptions, setProgress)
+        : await api.snippets.import(file, { ...importOptions, resolutions });
       setImportResults(results);
       setStep('results');
       
@@ -78,6 +238,8 @@ const ImportModal = ({ isOpen, onClose, onImportSuccess }) => {
     setFile(null);
     setValidation(null);
     setImportResults(null);
+    setProgress(null);
+    setResolutions({});
     setStep('upload');
     setImportOptions({
       overwriteExisting: false,
@@ -140,10 +302,13 @@ const ImportModal = ({ isOpen, onClose, onImportSuccess }) => {
                     <div className="dropzone-icon">📁</div>
                     <div className="dropzone-text">
                       {isDragActive ? (
-                        <p>Drop your JSON file here...</p>
+                        <p>Drop your file here...</p>
                       ) : (
                         <>
                           <p>Drag & drop your MySnippetHub export file here</p>
+                          <p className="text-muted">
+                            or VS Code snippets, a GitHub gist (JSON or ZIP) or Markdown with code blocks
+                          </p>
                           <p className="text-muted">or click to browse</p>
                         </>
                       )}
@@ -202,72 +367,193 @@ const ImportModal = ({ isOpen, onClose, onImportSuccess }) => {
                     <span className="label">File:</span>
                     <span className="value">{file.name}</span>
                   </div>
+                  {validation.format_label && (
+                    <div className="stat-item">
+                      <span className="label">Format:</span>
+                      <span className="value">{validation.format_label}</span>
+                    </div>
+                  )}
                   <div className="stat-item">
                     <span className="label">Total snippets:</span>
-                    <span className="value">{validation.stats.totalSnippets}</span>
-                  </div>
-                  <div className="stat-item">
-                    <span className="label">Valid snippets:</span>
-                    <span className="value text-success">{validation.stats.validSnippets}</span>
+                    <span className="value">{validation.stats.totalSnippets ?? 'Unknown'}</span>
                   </div>
+                  {!validation.streaming && (
+                    <div className="stat-item">
+                      <span className="label">Valid snippets:</span>
+                      <span className="value text-success">{validation.stats.validSnippets}</span>
+                    </div>
+                  )}
                   {validation.stats.invalidSnippets > 0 && (
                     <div className="stat-item">
                       <span className="label">Invalid snippets:</span>
                       <span className="value text-error">{validation.stats.invalidSnippets}</span>
                     </div>
                   )}
+                  {validation.summary && (
+                    <>
+                      <div className="stat-item">
+                        <span className="label">New snippets:</span>
+                        <span className="value text-success">{validation.summary.new}</span>
+                      </div>
+                      <div className="stat-item">
+                        <span className="label">Already in your library:</span>
+                        <span className="value">{validation.summary.identical}</span>
+                      </div>
+                      <div className="stat-item">
+                        <span className="label">Conflicts:</span>
+                        <span className="value text-warning">
+                          {validation.summary.title_conflict + validation.summary.similar}
+                        </span>
+                      </div>
+                    </>
+                  )}
                 </div>
               </div>
 
-              <div className="import-options">
-                <h3>Import Options</h3>
-                <div className="form-group">
-                  <label className="checkbox-option">
-                    <input
-                      type="checkbox"
-                      checked={importOptions.overwriteExisting}
-                      onChange={(e) => setImportOptions(prev => ({
-                        ...prev,
-                        overwriteExisting: e.target.checked
-                      }))}
-                    />
-                    <span>Overwrite existing snippets</span>
-                    <small className="text-muted">
-                      Update snippets that already exist (matched by title and content)
-                    </small>
-                  </label>
-
-                  <label className="checkbox-option">
-                    <input
-                      type="checkbox"
-                      checked={importOptions.skipDuplicates}
-                      onChange={(e) => setImportOptions(prev => ({
-                        ...prev,
-                        skipDuplicates: e.target.checked
-                      }))}
-                    />
-                    <span>Skip duplicate snippets</span>
-                    <small className="text-muted">
-                      Don't import snippets that already exist
-                    </small>
-                  </label>
-
-                  <label className="checkbox-option">
-                    <input
-                      type="checkbox"
-                      checked={importOptions.preserveIds}
-                      onChange={(e) => setImportOptions(prev => ({
-                        ...prev,
-                        preserveIds: e.target.checked
-                      }))}
-                    />
-                    <span>Preserve original IDs</span>
-                    <small className="text-muted">
-                      Attempt to keep original snippet IDs (may cause conflicts)
-                    </small>
-                  </label>
+              {validation.conflicts && validation.conflicts.length > 0 && (
+                <div className="import-conflicts mb-4">
+                  <div className="flex justify-between items-center gap-2">
+                    <h3>Matches in Your Library</h3>
+                    <select
+                      className="input"
+                      value=""
+                      onChange={(e) => setResolutions(Object.fromEntries(
+                        validation.conflicts.map(conflict => [conflict.index, e.target.value])
+                      ))}
+                      disabled={loading}
+                      aria-label="Choose for all"
+                    >
+                      <option value="">Choose for all…</option>
+                      {RESOLUTION_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <ul className="import-conflict-list">
+                    {validation.conflicts.map(conflict => (
+                      <ImportConflict
+                        key={conflict.index}
+                        conflict={conflict}
+                        resolution={resolutions[conflict.index]}
+                        onChange={(value) => setResolutions(prev => ({ ...prev, [conflict.index]: value }))}
+                        disabled={loading}
+                      />
+                    ))}
+                  </ul>
                 </div>
-              </div>
+              )}
+
+              {validation.preview && validation.preview.length > 0 && (
+                <div className="import-preview mb-4">
+                  <h3>Snippets Found</h3>
+                  <ul className="import-preview-list">
+                    {validation.preview.map((snippet, index) => (
+                      <li key={index}>
+                        <details>
+                          <summary>
+                            <span className="title">{snippet.title}</span>
+                            <span className="badge badge-primary">{snippet.language}</span>
+                          </summary>
+                          <CodeBlock code={snippet.content} language={snippet.language} maxHeight="12rem" />
+                        </details>
+                      </li>
+                    ))}
+                  </ul>
+                  {validation.stats.totalSnippets > validation.preview.length && (
+                    <p className="text-muted text-sm mt-2">
+                      ... and {validation.stats.totalSnippets - validation.preview.length} more
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {validation.format === 'mysnippethub-backup' ? (
+                <div className="import-options">
+                  <h3>Restore</h3>
+                  <p className="text-sm text-muted">
+                    A full backup is restored exactly as it was saved: snippets keep their IDs, dates and
+                    version history, with their tags, favorites and collections. Snippets of yours with the
+                    same IDs are replaced by the backed-up ones.
+                  </p>
+                </div>
+              ) : (
+                <div className="import-options">
+                  <h3>Import Options</h3>
+                  {validation.streaming && (
+                    <p className="text-sm text-muted">
+                      NDJSON files are streamed to the server and imported in batches, so the preview only
+                      covers the start of the file and invalid lines are reported once the import runs.
+                    </p>
+                  )}
+                  <div className="form-group">
+                    {/* Matches in the library are decided one by one above; a streamed file can't be previewed */}
+                    {validation.streaming && (
+                      <>
+                        <label className="checkbox-option">
+                          <input
+                            type="checkbox"
+                            checked={importOptions.overwriteExisting}
+                            onChange={(e) => setImportOptions(prev => ({
+                              ...prev,
+                              overwriteExisting: e.target.checked
+                            }))}
+                          />
+                          <span>Overwrite existing snippets</span>
+                          <small className="text-muted">
+                            Update snippets that already exist (matched by title and content)
+                          </small>
+                        </label>
+
+                        <label className="checkbox-option">
+                          <input
+                            type="checkbox"
+                            checked={importOptions.skipDuplicates}
+                            onChange={(e) => setImportOptions(prev => ({
+                              ...prev,
+                              skipDuplicates: e.target.checked
+                            }))}
+                          />
+                          <span>Skip duplicate snippets</span>
+                          <small className="text-muted">
+                            Don't import snippets that already exist
+                          </small>
+                        </label>
+                      </>
+                    )}
+
+                    <label className="checkbox-option">
+                      <input
+                        type="checkbox"
+                        checked={importOptions.preserveIds}
+                        onChange={(e) => setImportOptions(prev => ({
+                          ...prev,
+                          preserveIds: e.target.checked
+                        }))}
+                      />
+                      <span>Preserve original IDs</span>
+                      <small className="text-muted">
+                        Keep the IDs from the file where they are free; taken IDs get new ones, and a
+                        snippet of yours with the same ID counts as the same snippet
+                      </small>
+                    </label>
+                  </div>
+                </div>
+              )}
+
+              {loading && validation.streaming && (
+                <div className="import-progress mt-4">
+                  <div className="import-progress-bar">
+                    <div className="import-progress-fill" style={{ width: `${progressPercent(progress, validation, file)}%` }} />
+                  </div>
+                  <p className="text-sm text-muted mt-2">
+                    {progress
+                      ? `${progress.processed}${progress.total ? ` of ${progress.total}` : ''} snippets processed`
+                        + ` - ${progress.success} imported, ${progress.updated} updated, ${progress.skipped} skipped,`
+                        + ` ${progress.errors} failed`
+                      : 'Uploading...'}
+                  </p>
+                </div>
+              )}
             </div>
           )}
 
@@ -289,6 +575,13 @@ const ImportModal = ({ isOpen, onClose, onImportSuccess }) => {
                       <span className="label">Failed to import</span>
                     </div>
                   )}
+                  {importResults.results.updated > 0 && (
+                    <div className="result-item success">
+                      <span className="icon">↻</span>
+                      <span className="count">{importResults.results.updated}</span>
+                      <span className="label">Updated</span>
+                    </div>
+                  )}
                   {importResults.results.skipped > 0 && (
                     <div className="result-item skipped">
                       <span className="icon">-</span>
@@ -311,6 +604,7 @@ const ImportModal = ({ isOpen, onClose, onImportSuccess }) => {
                       {importResults.results.details.length > 10 && (
                         <p className="text-muted">
                           ... and {importResults.results.details.length - 10} more
+                          {importResults.results.details_truncated && ' (later entries were not recorded)'}
                         </p>
                       )}
                     </div>
@@ -347,7 +641,7 @@ const ImportModal = ({ isOpen, onClose, onImportSuccess }) => {
                 disabled={loading}
               >
                 {loading && <div className="spinner mr-2"></div>}
-                {loading ? 'Importing...' : 'Import Snippets'}
+                {loading ? 'Importing...' : validation?.format === 'mysnippethub-backup' ? 'Restore Backup' : 'Import Snippets'}
               </button>
             </>
           )}
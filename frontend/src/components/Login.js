@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import api from '../api';
+
+// Sign-in screen; offers sign-up while the server allows it (e.g. for the first account)
+const Login = ({ registrationOpen = false, onLogin }) => {
+  const [mode, setMode] = useState(registrationOpen ? 'register' : 'login');
+  const [username, setUsername] = useState('');
+  const [displayName, setDisplayName] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const isRegister = mode === 'register';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (loading) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      const result = isRegister
+        ? await api.auth.register({ username: username.trim(), password, display_name: displayName.trim() || null })
+        : await api.auth.login(username.trim(), password);
+      onLogin(result.user);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const switchMode = () => {
+    setMode(isRegister ? 'login' : 'register');
+    setError(null);
+  };
+
+  return (
+    <div className="auth-screen">
+      <form className="card auth-card" onSubmit={handleSubmit}>
+        <div className="navbar-brand mb-4">
+          <div className="brand-logo">
+            <span className="brand-symbol">{'<>'}</span>
+          </div>
+          <h1 className="brand-text">
+            My<span className="text-accent">Snippet</span><span className="text-purple">Hub</span>
+          </h1>
+        </div>
+
+        <h2 className="text-lg font-bold mb-4">{isRegister ? 'Create your account' : 'Sign in'}</h2>
+
+        <div className="form-group mb-4">
+          <label className="form-label" htmlFor="auth-username">Username</label>
+          <input
+            id="auth-username"
+            type="text"
+            className="input"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            autoFocus
+            required
+          />
+        </div>
+
+        {isRegister && (
+          <div className="form-group mb-4">
+            <label className="form-label" htmlFor="auth-display-name">Display name</label>
+            <input
+              id="auth-display-name"
+              type="text"
+              className="input"
+              value={displayName}
+              onChange={(e) => setDisplayName(e.target.value)}
+              autoComplete="name"
+              placeholder="Optional"
+            />
+          </div>
+        )}
+
+        <div className="form-group mb-4">
+          <label className="form-label" htmlFor="auth-password">Password</label>
+          <input
+            id="auth-password"
+            type="password"
+            className={`input ${error ? 'error' : ''}`}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete={isRegister ? 'new-password' : 'current-password'}
+            minLength={isRegister ? 8 : undefined}
+            required
+          />
+          {isRegister && (
+            <div className="text-muted text-sm mt-1">At least 8 characters</div>
+          )}
+        </div>
+
+        {error && (
+          <div className="error-text text-error text-sm mb-4" role="alert">{error}</div>
+        )}
+
+        <button
+          type="submit"
+          className={`btn btn-primary auth-submit ${loading ? 'loading' : ''}`}
+          disabled={loading}
+        >
+          {loading && <div className="spinner mr-2"></div>}
+          {isRegister ? 'Create Account' : 'Sign In'}
+        </button>
+
+        {registrationOpen && (
+          <p className="text-sm text-muted text-center mt-4">
+            {isRegister ? 'Already have an account? ' : 'New here? '}
+            <button type="button" className="btn btn-ghost btn-sm" onClick={switchMode}>
+              {isRegister ? 'Sign in' : 'Create an account'}
+            </button>
+          </p>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default Login;
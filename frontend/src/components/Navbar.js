@@ -3,7 +3,7 @@ import { NavLink } from 'react-router-dom';
 import ExportModal from './ExportModal';
 import ImportModal from './ImportModal';
 
-const Navbar = ({ selectedSnippets = [], onImportSuccess }) => {
+const Navbar = ({ selectedSnippets = [], onImportSuccess, user, onLogout }) => {
   const [showExportModal, setShowExportModal] = useState(false);
   const [showImportModal, setShowImportModal] = useState(false);
 
@@ -45,6 +45,14 @@ const Navbar = ({ selectedSnippets = [], onImportSuccess }) => {
             >
               <span className="nav-text">📊 Analytics</span>
             </NavLink>
+            <NavLink 
+              to="/settings" 
+              className={({ isActive }) => 
+                `nav-item ${isActive ? 'nav-item-active' : ''}`
+              }
+            >
+              <span className="nav-text">⚙️ Settings</span>
+            </NavLink>
           </div>
 
           {/* Export/Import Actions */}
@@ -65,9 +73,23 @@ const Navbar = ({ selectedSnippets = [], onImportSuccess }) => {
             </button>
           </div>
 
-          {/* Version Badge */}
+          {/* Version Badge and Account */}
           <div className="navbar-end">
             <span className="badge">v1.1.0</span>
+            {user && (
+              <div className="navbar-user">
+                <span className="text-sm text-muted" title={`Signed in as ${user.username}`}>
+                  👤 {user.display_name || user.username}
+                </span>
+                <button
+                  className="btn btn-ghost btn-sm"
+                  onClick={onLogout}
+                  title="Sign out"
+                >
+                  Sign Out
+                </button>
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -0,0 +1,177 @@
+import React, { useState, useRef, useLayoutEffect } from 'react';
+import { getLanguageDisplayName } from '../utils';
+
+const MAX_SUGGESTIONS = 8;
+
+// Filters understood by the server's query parser
+const FIELD_SUGGESTIONS = [
+  { insert: 'lang:', label: 'lang:', hint: 'Language' },
+  { insert: 'tag:', label: 'tag:', hint: 'Has tag (tag:a,b for any of)' },
+  { insert: 'is:fav', label: 'is:fav', hint: 'Favorites only' },
+  { insert: 'created:>', label: 'created:>YYYY-MM-DD', hint: 'Created after a date' },
+  { insert: 'updated:>', label: 'updated:>YYYY-MM-DD', hint: 'Modified after a date' },
+  { insert: 'source:', label: 'source:', hint: 'Source contains' },
+];
+
+// Quote values with spaces so the parser reads them as one token
+const quoteValue = (value) => (/\s/.test(value) ? `"${value}"` : value);
+
+// Suggestions for the token being typed, e.g. "ta" -> tag:, "lang:py" -> lang:python
+const getSuggestions = (token, languages, tags) => {
+  const field = /^(-?)([a-z]+):(.*)$/i.exec(token);
+
+  if (!field) {
+    const partial = /^(-?)([a-z]+)$/i.exec(token);
+    if (!partial) return [];
+    const [, negation, name] = partial;
+    return FIELD_SUGGESTIONS
+      .filter(suggestion => suggestion.insert.startsWith(name.toLowerCase()))
+      .map(suggestion => ({ ...suggestion, insert: `${negation}${suggestion.insert}` }));
+  }
+
+  const [, negation, name, partialValue] = field;
+  const value = partialValue.replace(/^"/, '').toLowerCase();
+  const valueSuggestions = (values, prefix, format = (item) => item) => values
+    .filter(item => item.toLowerCase().startsWith(value) && item.toLowerCase() !== value)
+    .map(item => ({
+      insert: `${negation}${prefix}:${quoteValue(item)}`,
+      label: `${prefix}:${item}`,
+      hint: format(item),
+    }));
+
+  switch (name.toLowerCase()) {
+    case 'lang':
+    case 'language':
+      return valueSuggestions(languages, 'lang', getLanguageDisplayName);
+    case 'tag':
+      return valueSuggestions(tags, 'tag', () => 'Tag');
+    case 'is':
+      return valueSuggestions(['fav'], 'is', () => 'Favorites only');
+    default:
+      return [];
+  }
+};
+
+const SearchQueryInput = ({ value, onChange, languages = [], tags = [], error }) => {
+  const inputRef = useRef(null);
+  const pendingCaretRef = useRef(null);
+  const [caret, setCaret] = useState(value.length);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  // The token under the caret runs back to the previous space
+  const tokenStart = value.lastIndexOf(' ', caret - 1) + 1;
+  const token = value.slice(tokenStart, caret);
+  const suggestions = open && token ? getSuggestions(token, languages, tags).slice(0, MAX_SUGGESTIONS) : [];
+
+  // Restore the caret after a suggestion rewrites the value
+  useLayoutEffect(() => {
+    if (pendingCaretRef.current !== null && inputRef.current) {
+      inputRef.current.setSelectionRange(pendingCaretRef.current, pendingCaretRef.current);
+      pendingCaretRef.current = null;
+    }
+  }, [value]);
+
+  const updateCaret = (e) => {
+    setCaret(e.target.selectionStart ?? e.target.value.length);
+  };
+
+  const handleChange = (e) => {
+    updateCaret(e);
+    setOpen(true);
+    setActiveIndex(0);
+    onChange(e.target.value);
+  };
+
+  const applySuggestion = (suggestion) => {
+    // Field names and operators wait for a value; complete values get a trailing space
+    const completesToken = !/[:>]$/.test(suggestion.insert);
+    const rest = value.slice(caret).replace(/^\S*/, '');
+    const insert = suggestion.insert + (completesToken && !rest.startsWith(' ') ? ' ' : '');
+    const nextValue = value.slice(0, tokenStart) + insert + rest;
+    const nextCaret = tokenStart + insert.length;
+
+    pendingCaretRef.current = nextCaret;
+    setCaret(nextCaret);
+    setActiveIndex(0);
+    setOpen(!completesToken);
+    onChange(nextValue);
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((activeIndex + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((activeIndex - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      applySuggestion(suggestions[Math.min(activeIndex, suggestions.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <>
+      <div className="search-container dropdown">
+        <input
+          ref={inputRef}
+          type="text"
+          className={`input search-input ${error ? 'error' : ''}`}
+          placeholder='Search or filter — lang:python tag:pandas is:fav created:>2025-01-01 "exact phrase"'
+          value={value}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onKeyUp={updateCaret}
+          onClick={updateCaret}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          aria-invalid={Boolean(error)}
+          aria-autocomplete="list"
+          spellCheck={false}
+        />
+        <div className="search-icon">
+          🔍
+        </div>
+
+        {suggestions.length > 0 && (
+          <div className="dropdown-menu search-suggestions" role="listbox">
+            {suggestions.map((suggestion, index) => (
+              <button
+                key={suggestion.insert}
+                type="button"
+                role="option"
+                aria-selected={index === activeIndex}
+                className={`dropdown-item flex justify-between ${index === activeIndex ? 'search-suggestion-active' : ''}`}
+                // Keep focus in the input so the caret position survives
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => applySuggestion(suggestion)}
+              >
+                <span className="font-mono">{suggestion.label}</span>
+                <span className="text-muted">{suggestion.hint}</span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <p className="search-error text-error text-sm" role="alert">
+          {error.details || error.error}
+          {error.length > 0 && (
+            <>
+              {' — '}
+              <code className="font-mono">{value.slice(error.position, error.position + error.length)}</code>
+            </>
+          )}
+        </p>
+      )}
+    </>
+  );
+};
+
+export default SearchQueryInput;
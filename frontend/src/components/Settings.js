@@ -0,0 +1,251 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../api';
+import { copyToClipboard, formatDate, formatDateExact } from '../utils';
+
+const TOKEN_SCOPES = [
+  { value: 'read', label: 'Read', description: 'List, search and fetch snippets' },
+  { value: 'write', label: 'Write', description: 'Also create, edit and delete snippets' },
+  { value: 'admin', label: 'Admin', description: 'Also manage API tokens and change the password' },
+];
+
+// Account settings: personal API tokens for scripts and editor plugins, and the password
+const Settings = ({ user }) => {
+  const [tokens, setTokens] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [tokenName, setTokenName] = useState('');
+  const [tokenScopes, setTokenScopes] = useState(['read']);
+  const [creating, setCreating] = useState(false);
+  const [newToken, setNewToken] = useState(null);
+
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [changingPassword, setChangingPassword] = useState(false);
+
+  const fetchTokens = useCallback(async () => {
+    try {
+      setTokens(await api.tokens.getAll());
+    } catch (err) {
+      console.error('Error fetching API tokens:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTokens();
+  }, [fetchTokens]);
+
+  const toggleScope = (scope) => {
+    setTokenScopes(prev => (
+      prev.includes(scope) ? prev.filter(s => s !== scope) : [...prev, scope]
+    ));
+  };
+
+  const handleCreateToken = async (e) => {
+    e.preventDefault();
+    if (creating || !tokenName.trim() || tokenScopes.length === 0) return;
+
+    try {
+      setCreating(true);
+      const created = await api.tokens.create(tokenName.trim(), tokenScopes);
+      setNewToken(created);
+      setTokenName('');
+      setTokenScopes(['read']);
+      await fetchTokens();
+    } catch (err) {
+      console.error('Error creating API token:', err);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) return;
+
+    try {
+      await api.tokens.revoke(token.id);
+      if (newToken?.id === token.id) setNewToken(null);
+      await fetchTokens();
+    } catch (err) {
+      console.error('Error revoking API token:', err);
+    }
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    if (changingPassword) return;
+
+    try {
+      setChangingPassword(true);
+      await api.auth.changePassword(currentPassword, newPassword);
+      setCurrentPassword('');
+      setNewPassword('');
+    } catch (err) {
+      console.error('Error changing password:', err);
+    } finally {
+      setChangingPassword(false);
+    }
+  };
+
+  return (
+    <div className="container settings-page">
+      <div className="dashboard-header mb-6">
+        <h2 className="text-2xl font-bold mb-2">⚙️ Settings</h2>
+        <p className="text-muted">
+          Signed in as <strong>{user?.display_name || user?.username}</strong>
+        </p>
+      </div>
+
+      <section className="card p-6 mb-6">
+        <h3 className="text-lg font-bold mb-2">API Tokens</h3>
+        <p className="text-sm text-muted mb-4">
+          Scripts and editor plugins can send a token as <code>Authorization: Bearer &lt;token&gt;</code> instead
+          of signing in.
+        </p>
+
+        {newToken && (
+          <div className="token-reveal mb-4" role="status">
+            <p className="text-sm mb-2">
+              Copy <strong>{newToken.name}</strong> now. It won't be shown again.
+            </p>
+            <div className="flex gap-2">
+              <input className="input font-mono" value={newToken.token} readOnly onFocus={(e) => e.target.select()} />
+              <button
+                type="button"
+                className="btn btn-primary"
+                onClick={() => copyToClipboard(newToken.token, 'Token copied to clipboard!')}
+              >
+                📋 Copy
+              </button>
+              <button type="button" className="btn btn-ghost" onClick={() => setNewToken(null)}>
+                Done
+              </button>
+            </div>
+          </div>
+        )}
+
+        <form className="mb-6" onSubmit={handleCreateToken}>
+          <div className="form-group mb-4">
+            <label className="form-label" htmlFor="token-name">Name</label>
+            <input
+              id="token-name"
+              type="text"
+              className="input"
+              placeholder="e.g., Work laptop CLI"
+              value={tokenName}
+              onChange={(e) => setTokenName(e.target.value)}
+              maxLength={100}
+            />
+          </div>
+
+          <div className="form-group mb-4">
+            <span className="form-label">Scopes</span>
+            {TOKEN_SCOPES.map(scope => (
+              <label key={scope.value} className="checkbox-option">
+                <input
+                  type="checkbox"
+                  checked={tokenScopes.includes(scope.value)}
+                  onChange={() => toggleScope(scope.value)}
+                />
+                <div>
+                  <span>{scope.label}</span>
+                  <small>{scope.description}</small>
+                </div>
+              </label>
+            ))}
+          </div>
+
+          <button
+            type="submit"
+            className={`btn btn-primary ${creating ? 'loading' : ''}`}
+            disabled={creating || !tokenName.trim() || tokenScopes.length === 0}
+          >
+            {creating && <div className="spinner mr-2"></div>}
+            Create Token
+          </button>
+        </form>
+
+        {loading ? (
+          <div className="text-center p-4"><div className="spinner"></div></div>
+        ) : tokens.length === 0 ? (
+          <p className="text-sm text-muted">No API tokens yet.</p>
+        ) : (
+          <ul className="token-list">
+            {tokens.map(token => (
+              <li key={token.id} className={`token-item ${token.revoked_at ? 'token-item-revoked' : ''}`}>
+                <div className="token-item-info">
+                  <div className="flex items-center gap-2 mb-1">
+                    <strong>{token.name}</strong>
+                    <code className="text-sm text-muted">{token.token_prefix}…</code>
+                    {token.scopes.map(scope => (
+                      <span key={scope} className="badge text-xs">{scope}</span>
+                    ))}
+                  </div>
+                  <div className="text-sm text-muted">
+                    Created {formatDateExact(token.created_at)}
+                    {' · '}
+                    {token.last_used_at ? `Last used ${formatDate(token.last_used_at)}` : 'Never used'}
+                    {token.revoked_at && ` · Revoked ${formatDateExact(token.revoked_at)}`}
+                  </div>
+                </div>
+                {!token.revoked_at && (
+                  <button
+                    type="button"
+                    className="btn btn-sm btn-ghost text-error"
+                    onClick={() => handleRevoke(token)}
+                  >
+                    Revoke
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <section className="card p-6 mb-6">
+        <h3 className="text-lg font-bold mb-2">Change Password</h3>
+        <p className="text-sm text-muted mb-4">Your other browser sessions are signed out. API tokens keep working.</p>
+
+        <form onSubmit={handleChangePassword}>
+          <div className="form-group mb-4">
+            <label className="form-label" htmlFor="current-password">Current password</label>
+            <input
+              id="current-password"
+              type="password"
+              className="input"
+              value={currentPassword}
+              onChange={(e) => setCurrentPassword(e.target.value)}
+              autoComplete="current-password"
+              required
+            />
+          </div>
+          <div className="form-group mb-4">
+            <label className="form-label" htmlFor="new-password">New password</label>
+            <input
+              id="new-password"
+              type="password"
+              className="input"
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+              autoComplete="new-password"
+              minLength={8}
+              required
+            />
+            <div className="text-muted text-sm mt-1">At least 8 characters</div>
+          </div>
+          <button
+            type="submit"
+            className={`btn btn-secondary ${changingPassword ? 'loading' : ''}`}
+            disabled={changingPassword}
+          >
+            {changingPassword && <div className="spinner mr-2"></div>}
+            Change Password
+          </button>
+        </form>
+      </section>
+    </div>
+  );
+};
+
+export default Settings;
@@ -0,0 +1,195 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../api';
+import { copyToClipboard, formatDate, formatDateExact } from '../utils';
+
+const EXPIRY_OPTIONS = [
+  { value: '', label: 'Never expires' },
+  { value: '1', label: 'Expires in 1 day' },
+  { value: '7', label: 'Expires in 7 days' },
+  { value: '30', label: 'Expires in 30 days' },
+  { value: '90', label: 'Expires in 90 days' },
+];
+
+// Page address a share token opens in the browser
+const shareUrl = (token) => `${window.location.origin}/s/${token}`;
+
+// Script tag that shows the shared snippet on any site, like a gist embed
+const scriptEmbed = (token) => `<script src="${api.shares.fileUrl(token, 'embed.js')}"></script>`;
+
+// Helper function to describe where a share link stands
+const linkStatus = (link) => {
+  if (link.revoked_at) return `Revoked ${formatDateExact(link.revoked_at)}`;
+  if (link.expired) return `Expired ${formatDateExact(link.expires_at)}`;
+  if (link.expires_at) return `Expires ${formatDateExact(link.expires_at)}`;
+  return 'Never expires';
+};
+
+// Read-only links to one snippet for people without an account (owners only)
+const ShareLinks = ({ snippet }) => {
+  const [links, setLinks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expiresInDays, setExpiresInDays] = useState('7');
+  const [password, setPassword] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [newLink, setNewLink] = useState(null);
+
+  const fetchLinks = useCallback(async () => {
+    try {
+      setLinks(await api.shares.getAll(snippet.id));
+    } catch (err) {
+      console.error('Error fetching share links:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [snippet.id]);
+
+  useEffect(() => {
+    setNewLink(null);
+    fetchLinks();
+  }, [fetchLinks]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (creating) return;
+
+    try {
+      setCreating(true);
+      const created = await api.shares.create(snippet.id, {
+        ...(expiresInDays && { expires_in_days: Number(expiresInDays) }),
+        ...(password && { password }),
+      });
+      setNewLink(created);
+      setPassword('');
+      await fetchLinks();
+    } catch (err) {
+      console.error('Error creating share link:', err);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (link) => {
+    if (!window.confirm('Revoke this share link? Anyone who has it will lose access.')) return;
+
+    try {
+      await api.shares.revoke(snippet.id, link.id);
+      if (newLink?.id === link.id) setNewLink(null);
+      await fetchLinks();
+    } catch (err) {
+      console.error('Error revoking share link:', err);
+    }
+  };
+
+  return (
+    <div className="share-links">
+      <p className="text-sm text-muted mb-4">
+        Anyone with a share link can read this snippet, copy it and download it, even without an account.
+      </p>
+
+      {newLink && (
+        <div className="token-reveal mb-4" role="status">
+          <p className="text-sm mb-2">
+            Copy the link now. It won't be shown again.
+            {newLink.has_password ? ' Send the password separately.' : ' The script tag below embeds it on any site.'}
+          </p>
+          <div className="flex gap-2">
+            <input className="input font-mono" value={shareUrl(newLink.token)} readOnly onFocus={(e) => e.target.select()} />
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={() => copyToClipboard(shareUrl(newLink.token), 'Share link copied to clipboard!')}
+            >
+              📋 Copy
+            </button>
+            <button type="button" className="btn btn-ghost" onClick={() => setNewLink(null)}>
+              Done
+            </button>
+          </div>
+          {!newLink.has_password && (
+            <div className="flex gap-2 mt-2">
+              <input className="input font-mono text-sm" value={scriptEmbed(newLink.token)} readOnly onFocus={(e) => e.target.select()} aria-label="Script embed" />
+              <button
+                type="button"
+                className="btn btn-outline"
+                onClick={() => copyToClipboard(scriptEmbed(newLink.token), 'Script embed copied to clipboard!')}
+              >
+                📋 Embed
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      <form className="share-link-form flex gap-2 mb-4" onSubmit={handleCreate}>
+        <select
+          className="input"
+          value={expiresInDays}
+          onChange={(e) => setExpiresInDays(e.target.value)}
+          aria-label="Expiry"
+        >
+          {EXPIRY_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <input
+          type="password"
+          className="input"
+          placeholder="Password (optional)"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete="new-password"
+          minLength={4}
+        />
+        <button
+          type="submit"
+          className={`btn btn-primary ${creating ? 'loading' : ''}`}
+          disabled={creating}
+        >
+          {creating && <div className="spinner mr-2"></div>}
+          Create Link
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="text-center p-4"><div className="spinner"></div></div>
+      ) : links.length === 0 ? (
+        <p className="text-sm text-muted">Not shared yet.</p>
+      ) : (
+        <ul className="token-list">
+          {links.map(link => {
+            const inactive = Boolean(link.revoked_at || link.expired);
+            return (
+              <li key={link.id} className={`token-item ${inactive ? 'token-item-revoked' : ''}`}>
+                <div className="token-item-info">
+                  <div className="flex items-center gap-2 mb-1">
+                    <code className="text-sm">/s/{link.token_prefix}…</code>
+                    {link.has_password && <span className="badge text-xs">🔒 password</span>}
+                  </div>
+                  <div className="text-sm text-muted">
+                    Created {formatDateExact(link.created_at)}
+                    {' · '}
+                    {linkStatus(link)}
+                    {' · '}
+                    {link.view_count === 1 ? '1 view' : `${link.view_count} views`}
+                    {link.last_viewed_at && `, last ${formatDate(link.last_viewed_at)}`}
+                  </div>
+                </div>
+                {!link.revoked_at && (
+                  <button
+                    type="button"
+                    className="btn btn-sm btn-ghost text-error"
+                    onClick={() => handleRevoke(link)}
+                  >
+                    Revoke
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ShareLinks;
@@ -0,0 +1,188 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import api from '../api';
+import CodeBlock from './CodeBlock';
+import { copyToClipboard, formatDateExact } from '../utils';
+
+// Read-only page behind a share link; works without signing in
+const SharedSnippet = () => {
+  const { token } = useParams();
+  const [shared, setShared] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [passwordRequired, setPasswordRequired] = useState(false);
+  const [password, setPassword] = useState('');
+  const [unlocking, setUnlocking] = useState(false);
+
+  const fetchShared = useCallback(async (withPassword) => {
+    try {
+      setShared(await api.shares.getShared(token, withPassword));
+      setPasswordRequired(false);
+      setError(null);
+    } catch (err) {
+      if (err.data?.password_required) {
+        setPasswordRequired(true);
+        setError(withPassword ? err.message : null);
+      } else {
+        setError(err.message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchShared();
+  }, [fetchShared]);
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    if (unlocking || !password) return;
+
+    setUnlocking(true);
+    await fetchShared(password);
+    setUnlocking(false);
+  };
+
+  // Protected links can't be plain links because the password travels in a header
+  const openFile = async (kind) => {
+    try {
+      const blob = await api.shares.getFile(token, kind, password);
+      const url = URL.createObjectURL(blob);
+      if (kind === 'raw') {
+        window.open(url, '_blank', 'noopener');
+      } else {
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = shared.snippet.filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+      }
+      setTimeout(() => URL.revokeObjectURL(url), 10000);
+    } catch (err) {
+      console.error(`Error fetching shared snippet ${kind}:`, err);
+      setError(err.message);
+    }
+  };
+
+  const brand = (
+    <div className="navbar-brand mb-4">
+      <div className="brand-logo">
+        <span className="brand-symbol">{'<>'}</span>
+      </div>
+      <h1 className="brand-text">
+        My<span className="text-accent">Snippet</span><span className="text-purple">Hub</span>
+      </h1>
+    </div>
+  );
+
+  if (loading) {
+    return (
+      <div className="loading-container text-center p-6">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  if (!shared) {
+    return (
+      <div className="auth-screen">
+        {passwordRequired ? (
+          <form className="card auth-card" onSubmit={handleUnlock}>
+            {brand}
+            <h2 className="text-lg font-bold mb-2">🔒 Password required</h2>
+            <p className="text-sm text-muted mb-4">Whoever shared this snippet protected it with a password.</p>
+            <div className="form-group mb-4">
+              <label className="form-label" htmlFor="share-password">Password</label>
+              <input
+                id="share-password"
+                type="password"
+                className="input"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoFocus
+                required
+              />
+            </div>
+            {error && <p className="text-error text-sm mb-4" role="alert">{error}</p>}
+            <button
+              type="submit"
+              className={`btn btn-primary auth-submit ${unlocking ? 'loading' : ''}`}
+              disabled={unlocking || !password}
+            >
+              {unlocking && <div className="spinner mr-2"></div>}
+              View Snippet
+            </button>
+          </form>
+        ) : (
+          <div className="card auth-card text-center">
+            {brand}
+            <h2 className="text-lg font-bold mb-2">Snippet unavailable</h2>
+            <p className="text-muted">{error || 'This share link does not work.'}</p>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  const { snippet, share } = shared;
+
+  return (
+    <div className="container shared-snippet-page">
+      {brand}
+
+      <div className="card p-6">
+        <h2 className="text-2xl font-bold mb-2">{snippet.title}</h2>
+        <div className="text-sm text-muted mb-4">
+          {snippet.owner_name && <>Shared by <strong>{snippet.owner_name}</strong> · </>}
+          Updated {formatDateExact(snippet.updated_at)}
+          {share.expires_at && ` · Link expires ${formatDateExact(share.expires_at)}`}
+        </div>
+
+        <div className="mb-4">
+          <span className="badge badge-primary mr-2">{snippet.language}</span>
+          {snippet.tags.map((tag) => (
+            <span key={tag.name} className="badge mr-1">
+              {tag.name}
+            </span>
+          ))}
+        </div>
+
+        <div className="mb-4">
+          <CodeBlock code={snippet.content} language={snippet.language} maxHeight="none" />
+        </div>
+
+        {snippet.source && (
+          <p className="text-sm text-muted mb-4">Source: {snippet.source}</p>
+        )}
+
+        <div className="flex gap-2">
+          <button
+            className="btn btn-outline"
+            onClick={() => copyToClipboard(snippet.content)}
+          >
+            📋 Copy
+          </button>
+          {share.has_password ? (
+            <>
+              <button className="btn btn-ghost" onClick={() => openFile('raw')}>📄 Raw</button>
+              <button className="btn btn-ghost" onClick={() => openFile('download')}>⬇️ Download</button>
+            </>
+          ) : (
+            <>
+              <a className="btn btn-ghost" href={api.shares.fileUrl(token, 'raw')} target="_blank" rel="noopener noreferrer">
+                📄 Raw
+              </a>
+              <a className="btn btn-ghost" href={api.shares.fileUrl(token, 'download')}>
+                ⬇️ Download
+              </a>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SharedSnippet;
@@ -0,0 +1,142 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../api';
+
+// Counts are refreshed on this interval and whenever the window regains focus,
+// so changes made elsewhere (another tab, an import) show up without a reload
+const REFRESH_INTERVAL = 30000;
+
+// Dashboard URL parameters for a saved search, leaving out empty values
+export const savedSearchParams = (savedSearch) => {
+  const params = new URLSearchParams();
+  const entries = {
+    q: savedSearch.search,
+    language: savedSearch.language,
+    tags: savedSearch.tags.join(','),
+    any_tags: savedSearch.any_tags.join(','),
+    exclude_tags: savedSearch.exclude_tags.join(','),
+    favorites: savedSearch.favorites ? 'true' : '',
+    sort: savedSearch.sort,
+    order: savedSearch.order,
+  };
+
+  Object.entries(entries).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+  return params;
+};
+
+// Order-independent form of a query string, for spotting the active collection
+const canonical = (params) => [...params.entries()].map(entry => entry.join('=')).sort().join('&');
+
+// Saved searches listed as smart collections with live snippet counts
+const SmartCollections = ({ currentParams, onSelect, refreshKey }) => {
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchSavedSearches = useCallback(async () => {
+    try {
+      const data = await api.savedSearches.getAll();
+      setSavedSearches(data);
+    } catch (err) {
+      console.error('Error fetching saved searches:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSavedSearches();
+  }, [fetchSavedSearches, refreshKey]);
+
+  useEffect(() => {
+    const interval = setInterval(fetchSavedSearches, REFRESH_INTERVAL);
+    window.addEventListener('focus', fetchSavedSearches);
+
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener('focus', fetchSavedSearches);
+    };
+  }, [fetchSavedSearches]);
+
+  const isActive = (savedSearch) => (
+    currentParams.toString() !== '' && canonical(savedSearchParams(savedSearch)) === canonical(currentParams)
+  );
+
+  const handleRename = async (savedSearch) => {
+    const name = window.prompt('Rename smart collection', savedSearch.name);
+    if (!name || !name.trim() || name.trim() === savedSearch.name) return;
+
+    try {
+      await api.savedSearches.update(savedSearch.id, { name: name.trim() });
+      await fetchSavedSearches();
+    } catch (err) {
+      console.error('Error renaming saved search:', err);
+    }
+  };
+
+  const handleDelete = async (savedSearch) => {
+    if (!window.confirm(`Delete the smart collection "${savedSearch.name}"? Its snippets are not affected.`)) {
+      return;
+    }
+
+    try {
+      await api.savedSearches.delete(savedSearch.id);
+      setSavedSearches(prev => prev.filter(s => s.id !== savedSearch.id));
+    } catch (err) {
+      console.error('Error deleting saved search:', err);
+    }
+  };
+
+  return (
+    <div className="smart-collections">
+      <h3 className="sidebar-heading">Smart Collections</h3>
+
+      {loading ? (
+        <div className="text-center p-2"><div className="spinner"></div></div>
+      ) : savedSearches.length === 0 ? (
+        <p className="text-sm text-muted">
+          Save a search or filter combination to keep it here.
+        </p>
+      ) : (
+        <ul className="sidebar-list">
+          {savedSearches.map(savedSearch => (
+            <li
+              key={savedSearch.id}
+              className={`sidebar-item ${isActive(savedSearch) ? 'sidebar-item-active' : ''}`}
+            >
+              <button
+                type="button"
+                className="sidebar-item-link"
+                onClick={() => onSelect(savedSearch)}
+                title={savedSearch.search || savedSearch.name}
+              >
+                <span className="sidebar-item-name">🔎 {savedSearch.name}</span>
+                <span className="sidebar-item-count">{savedSearch.count}</span>
+              </button>
+              <div className="sidebar-item-actions">
+                <button
+                  type="button"
+                  className="btn btn-sm btn-ghost"
+                  onClick={() => handleRename(savedSearch)}
+                  title="Rename"
+                >
+                  ✏️
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-sm btn-ghost"
+                  onClick={() => handleDelete(savedSearch)}
+                  title="Delete"
+                >
+                  🗑️
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SmartCollections;
@@ -1,6 +1,19 @@
 import React from 'react';
 import { Highlight, themes } from 'prism-react-renderer';
-import { getLanguageColor, getCodePreview, formatDate, copyToClipboard, getContrastTextColor } from '../utils';
+import { getLanguageColor, getCodePreview, formatDate, copyToClipboard, getContrastTextColor, getVisibility, SNIPPET_DRAG_TYPE } from '../utils';
+
+// Render search highlight segments ({ text, match }) with matches wrapped in <mark>
+const HighlightedText = ({ segments }) => (
+  <>
+    {segments.map((segment, index) => (
+      segment.match
+        ? <mark key={index} className="search-match">{segment.text}</mark>
+        : <React.Fragment key={index}>{segment.text}</React.Fragment>
+    ))}
+  </>
+);
+
+const hasMatch = (segments) => Array.isArray(segments) && segments.some(segment => segment.match);
 
 const SnippetCard = ({ 
   snippet, 
@@ -9,7 +22,8 @@ const SnippetCard = ({
   onClick, 
   onEdit, 
   onDelete, 
-  onToggleFavorite 
+  onToggleFavorite,
+  dragSnippetIds
 }) => {
   const handleCopy = (e) => {
     e.stopPropagation();
@@ -46,8 +60,27 @@ const SnippetCard = ({
     }
   };
 
+  // Dropping the card on a collection files it (and the rest of the selection, if it's selected)
+  const handleDragStart = (e) => {
+    e.dataTransfer.setData(SNIPPET_DRAG_TYPE, JSON.stringify(dragSnippetIds));
+    e.dataTransfer.setData('text/plain', snippet.title);
+    e.dataTransfer.effectAllowed = 'copy';
+  };
+
+  // Teammates' snippets can be read, copied and starred but only their owner changes them
+  const canEdit = snippet.is_owner !== false;
+  const visibility = getVisibility(snippet.visibility);
+
+  const titleHighlight = snippet.highlights?.title;
+  const contentHighlight = snippet.highlights?.content;
+
   return (
-    <div className={`card snippet-card ${isSelected ? 'snippet-card-selected' : ''}`} onClick={onClick}>
+    <div
+      className={`card snippet-card ${isSelected ? 'snippet-card-selected' : ''}`}
+      onClick={onClick}
+      draggable={Boolean(dragSnippetIds)}
+      onDragStart={dragSnippetIds ? handleDragStart : undefined}
+    >
       <div className="card-header">
         <div className="flex justify-between items-start mb-2">
           <div className="flex items-center gap-2">
@@ -81,7 +114,9 @@ const SnippetCard = ({
                 </div>
               </div>
             )}
-            <h3 className="card-title">{snippet.title}</h3>
+            <h3 className="card-title">
+              {hasMatch(titleHighlight) ? <HighlightedText segments={titleHighlight} /> : snippet.title}
+            </h3>
           </div>
           <div className="snippet-actions flex gap-1">
             <button
@@ -111,7 +146,9 @@ const SnippetCard = ({
           >
             {snippet.language}
           </span>
-          <span className="text-sm text-muted">
+          <span className="text-sm text-muted snippet-meta">
+            <span title={`${visibility.label}: ${visibility.description}`}>{visibility.icon}</span>
+            {!canEdit && snippet.owner_name && <span className="snippet-owner">{snippet.owner_name}</span>}
             {formatDate(snippet.created_at)}
           </span>
         </div>
@@ -149,6 +186,12 @@ const SnippetCard = ({
         </Highlight>
       </div>
 
+      {hasMatch(contentHighlight) && (
+        <p className="search-fragment font-mono text-sm mb-4" title="Matching content">
+          <HighlightedText segments={contentHighlight} />
+        </p>
+      )}
+
       <div className="card-footer">
         <div className="flex justify-between items-center">
           <div className="tags flex gap-1 flex-wrap">
@@ -171,22 +214,24 @@ const SnippetCard = ({
             )}
           </div>
           
-          <div className="card-actions flex gap-1">
-            <button 
-              className="btn btn-sm btn-outline"
-              onClick={handleEdit}
-              title="Edit snippet"
-            >
-              ✏️
-            </button>
-            <button 
-              className="btn btn-sm btn-ghost text-error"
-              onClick={handleDelete}
-              title="Delete snippet"
-            >
-              🗑️
-            </button>
-          </div>
+          {canEdit && (
+            <div className="card-actions flex gap-1">
+              <button 
+                className="btn btn-sm btn-outline"
+                onClick={handleEdit}
+                title="Edit snippet"
+              >
+                ✏️
+              </button>
+              <button 
+                className="btn btn-sm btn-ghost text-error"
+                onClick={handleDelete}
+                title="Delete snippet"
+              >
+                🗑️
+              </button>
+            </div>
+          )}
         </div>
       </div>
     </div>
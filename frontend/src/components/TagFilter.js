@@ -0,0 +1,72 @@
+import React from 'react';
+
+// Chip modes in the order a click cycles through them
+const MODES = [
+  { key: 'all', symbol: '+', label: 'Must have' },
+  { key: 'any', symbol: '~', label: 'Any of' },
+  { key: 'exclude', symbol: '−', label: 'Exclude' },
+];
+
+// Tag chip picker: each chosen tag is required, optional (any of) or excluded.
+// value is { all, any, exclude }, each an array of tag names.
+const TagFilter = ({ tags = [], value, onChange }) => {
+  const chips = MODES.flatMap(mode => value[mode.key].map(name => ({ name, mode })));
+  const available = tags.filter(name => !chips.some(chip => chip.name === name));
+
+  const withoutTag = (name) => ({
+    all: value.all.filter(tag => tag !== name),
+    any: value.any.filter(tag => tag !== name),
+    exclude: value.exclude.filter(tag => tag !== name),
+  });
+
+  const handleAdd = (name) => {
+    if (!name) return;
+    onChange({ ...value, all: [...value.all, name] });
+  };
+
+  const handleCycle = (chip) => {
+    const nextMode = MODES[(MODES.indexOf(chip.mode) + 1) % MODES.length];
+    const next = withoutTag(chip.name);
+    onChange({ ...next, [nextMode.key]: [...next[nextMode.key], chip.name] });
+  };
+
+  return (
+    <div className="tag-filter flex items-center gap-2">
+      {chips.map(chip => (
+        <span key={chip.name} className={`tag-filter-chip tag-filter-${chip.mode.key}`}>
+          <button
+            type="button"
+            className="tag-filter-toggle"
+            onClick={() => handleCycle(chip)}
+            title={`${chip.mode.label} — click to change`}
+          >
+            {chip.mode.symbol} #{chip.name}
+          </button>
+          <button
+            type="button"
+            className="tag-filter-remove"
+            onClick={() => onChange(withoutTag(chip.name))}
+            aria-label={`Remove ${chip.name} filter`}
+          >
+            ×
+          </button>
+        </span>
+      ))}
+      <select
+        className="input"
+        style={{ width: 'auto', padding: '0.25rem 0.5rem' }}
+        value=""
+        onChange={(e) => handleAdd(e.target.value)}
+        aria-label="Add tag filter"
+        disabled={available.length === 0}
+      >
+        <option value="">{chips.length > 0 ? '+ Tag' : 'Filter by tags'}</option>
+        {available.map(name => (
+          <option key={name} value={name}>#{name}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default TagFilter;
@@ -0,0 +1,100 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import toast from 'react-hot-toast';
+import api from '../api';
+import CodeBlock from './CodeBlock';
+import { copyToClipboard, debounce } from '../utils';
+
+// Fill-in form for a snippet's placeholders, with a live preview of the result
+const TemplateForm = ({ snippet, variables }) => {
+  const [values, setValues] = useState({});
+  const [rendered, setRendered] = useState(null);
+
+  const renderTemplate = useMemo(() => debounce(async (snippetId, nextValues) => {
+    try {
+      setRendered(await api.snippets.render(snippetId, nextValues));
+    } catch (err) {
+      console.error('Error rendering template:', err);
+    }
+  }, 250), []);
+
+  useEffect(() => {
+    setValues({});
+  }, [snippet.id]);
+
+  useEffect(() => {
+    renderTemplate(snippet.id, values);
+  }, [renderTemplate, snippet.id, snippet.content, values]);
+
+  const handleChange = (name, value) => {
+    setValues(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([rendered.content], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = rendered.filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    toast.success('Snippet downloaded!');
+  };
+
+  const missing = rendered?.missing || [];
+
+  return (
+    <div className="template-form">
+      <div className="template-fields mb-4">
+        {variables.map(variable => (
+          <div key={variable.name} className="form-group">
+            <label className="form-label" htmlFor={`template-${variable.name}`}>
+              {variable.label}
+              {variable.syntax === 'tabstop' && <span className="text-muted text-xs"> ${variable.name}</span>}
+            </label>
+            <input
+              id={`template-${variable.name}`}
+              type="text"
+              className={`input ${missing.includes(variable.name) ? 'error' : ''}`}
+              placeholder={variable.default ?? 'Required'}
+              value={values[variable.name] ?? ''}
+              onChange={(e) => handleChange(variable.name, e.target.value)}
+            />
+          </div>
+        ))}
+      </div>
+
+      {rendered && (
+        <>
+          <div className="mb-4">
+            <CodeBlock code={rendered.content} language={snippet.language} maxHeight="16rem" />
+          </div>
+          {missing.length > 0 && (
+            <p className="text-sm text-muted mb-4">
+              Still blank: {missing.join(', ')}
+            </p>
+          )}
+          <div className="flex gap-2">
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={() => copyToClipboard(rendered.content, 'Filled-in snippet copied!')}
+            >
+              📋 Copy Result
+            </button>
+            <button type="button" className="btn btn-outline" onClick={handleDownload}>
+              ⬇️ Download
+            </button>
+            <button type="button" className="btn btn-ghost" onClick={() => setValues({})}>
+              Reset
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TemplateForm;
@@ -0,0 +1,272 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { parseDiff, Diff, Hunk } from 'react-diff-view';
+import 'react-diff-view/style/index.css';
+import api from '../api';
+import WordDiff from './WordDiff';
+import { formatDate, formatDateExact } from '../utils';
+
+// react-diff-view's parser expects a git-style header in front of the unified diff
+const parseUnifiedDiff = (diffText) => {
+  const body = diffText.replace(/^=+\n/, '');
+  return parseDiff(`diff --git a/snippet b/snippet\n${body}`);
+};
+
+const METADATA_FIELDS = [
+  { field: 'title', label: 'Title' },
+  { field: 'language', label: 'Language' },
+  { field: 'source', label: 'Source' },
+];
+
+const VersionHistory = ({ snippet, onRollback }) => {
+  const [versions, setVersions] = useState([]);
+  const [fromVersion, setFromVersion] = useState('');
+  const [toVersion, setToVersion] = useState('current');
+  const [viewType, setViewType] = useState('unified'); // 'unified', 'split' or 'words'
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [diffLoading, setDiffLoading] = useState(false);
+  const [rollingBack, setRollingBack] = useState(false);
+  const [error, setError] = useState(null);
+  const diffFormat = viewType === 'words' ? 'words' : 'unified';
+
+  const fetchVersions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await api.snippets.getVersions(snippet.id);
+      setVersions(data);
+      setFromVersion(data.length > 0 ? String(data[0].version_number) : '');
+      setToVersion('current');
+      setError(null);
+    } catch (err) {
+      setError('Failed to load version history.');
+      console.error('Error fetching versions:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [snippet.id]);
+
+  useEffect(() => {
+    fetchVersions();
+  }, [fetchVersions, snippet.version]);
+
+  // Load the diff whenever the compared pair changes
+  useEffect(() => {
+    if (!fromVersion || fromVersion === toVersion) {
+      setComparison(null);
+      return;
+    }
+
+    let cancelled = false;
+    const fetchDiff = async () => {
+      try {
+        setDiffLoading(true);
+        const result = await api.snippets.compareVersions(snippet.id, fromVersion, toVersion, diffFormat);
+        if (!cancelled) setComparison(result);
+      } catch (err) {
+        console.error('Error fetching diff:', err);
+        if (!cancelled) setComparison(null);
+      } finally {
+        if (!cancelled) setDiffLoading(false);
+      }
+    };
+
+    fetchDiff();
+    return () => {
+      cancelled = true;
+    };
+  }, [snippet.id, snippet.version, fromVersion, toVersion, diffFormat]);
+
+  const files = useMemo(
+    () => (comparison ? parseUnifiedDiff(comparison.diff) : []),
+    [comparison]
+  );
+  const contentChange = comparison?.fields?.content;
+
+  const entries = [
+    {
+      key: 'current',
+      version_number: snippet.version,
+      title: snippet.title,
+      created_at: snippet.updated_at,
+      is_current: true,
+    },
+    ...versions.map((version) => ({ key: String(version.version_number), ...version })),
+  ];
+
+  const handleRollback = async (versionNumber) => {
+    if (rollingBack) return;
+
+    if (!window.confirm(`Roll back "${snippet.title}" to version ${versionNumber}? The current content stays in the history.`)) {
+      return;
+    }
+
+    try {
+      setRollingBack(true);
+      const updatedSnippet = await api.snippets.rollback(snippet.id, versionNumber);
+      onRollback?.(updatedSnippet);
+    } catch (err) {
+      console.error('Error rolling back snippet:', err);
+    } finally {
+      setRollingBack(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center p-4">
+        <div className="spinner mb-2"></div>
+        <p className="text-muted text-sm">Loading history...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="text-center p-4">
+        <p className="text-error mb-2">{error}</p>
+        <button className="btn btn-sm btn-outline" onClick={fetchVersions}>
+          Try Again
+        </button>
+      </div>
+    );
+  }
+
+  if (versions.length === 0) {
+    return (
+      <div className="text-center p-4">
+        <p className="text-muted">No previous versions yet. Edits to the title or content are recorded here.</p>
+      </div>
+    );
+  }
+
+  const versionLabel = (key) => (key === 'current' ? `v${snippet.version} (current)` : `v${key}`);
+
+  return (
+    <div className="version-history">
+      <div className="version-list">
+        {entries.map((entry) => {
+          const isCompared = entry.key === fromVersion || entry.key === toVersion;
+
+          return (
+            <div key={entry.key} className={`version-item ${isCompared ? 'version-item-active' : ''}`}>
+              <div className="version-info">
+                <div className="flex items-center gap-2">
+                  <span className="font-medium">v{entry.version_number}</span>
+                  {entry.is_current && <span className="badge badge-primary text-xs">Current</span>}
+                </div>
+                <div className="text-sm text-muted" title={formatDateExact(entry.created_at)}>
+                  {formatDate(entry.created_at)}
+                </div>
+                <div className="version-title text-sm">{entry.title}</div>
+              </div>
+              {!entry.is_current && (
+                <div className="version-actions flex gap-2">
+                  <button
+                    className="btn btn-sm btn-ghost"
+                    onClick={() => {
+                      setFromVersion(entry.key);
+                      setToVersion('current');
+                    }}
+                    title="Compare with current version"
+                  >
+                    Diff
+                  </button>
+                  {snippet.is_owner !== false && (
+                    <button
+                      className="btn btn-sm btn-outline"
+                      onClick={() => handleRollback(entry.version_number)}
+                      disabled={rollingBack}
+                      title={`Roll back to version ${entry.version_number}`}
+                    >
+                      ↩ Restore
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="version-compare">
+        <div className="version-compare-controls flex justify-between items-center gap-2 mb-3">
+          <div className="flex items-center gap-2">
+            <select
+              className="input"
+              value={fromVersion}
+              onChange={(e) => setFromVersion(e.target.value)}
+              aria-label="Compare from version"
+            >
+              {entries.map((entry) => (
+                <option key={entry.key} value={entry.key}>{versionLabel(entry.key)}</option>
+              ))}
+            </select>
+            <span className="text-muted">→</span>
+            <select
+              className="input"
+              value={toVersion}
+              onChange={(e) => setToVersion(e.target.value)}
+              aria-label="Compare to version"
+            >
+              {entries.map((entry) => (
+                <option key={entry.key} value={entry.key}>{versionLabel(entry.key)}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex gap-2">
+            {['unified', 'split', 'words'].map((type) => (
+              <button
+                key={type}
+                className={`btn btn-sm ${viewType === type ? 'btn-secondary' : 'btn-ghost'}`}
+                onClick={() => setViewType(type)}
+              >
+                {type.charAt(0).toUpperCase() + type.slice(1)}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {comparison && METADATA_FIELDS.some(({ field }) => comparison.fields[field].changed) && (
+          <div className="version-field-changes mb-2">
+            {METADATA_FIELDS.filter(({ field }) => comparison.fields[field].changed).map(({ field, label }) => (
+              <p key={field} className="text-sm text-muted">
+                {label}: <span className="text-error">{comparison.fields[field].from || '(none)'}</span>
+                {' → '}
+                <span className="text-success">{comparison.fields[field].to || '(none)'}</span>
+              </p>
+            ))}
+          </div>
+        )}
+
+        {contentChange?.stats && (
+          <p className="text-sm text-muted mb-2">
+            <span className="text-success">+{contentChange.stats.additions}</span>{' '}
+            <span className="text-error">-{contentChange.stats.deletions}</span> lines
+          </p>
+        )}
+
+        <div className="version-diff">
+          {fromVersion === toVersion ? (
+            <p className="text-muted text-sm p-4">Pick two different versions to compare.</p>
+          ) : diffLoading && !comparison ? (
+            <div className="text-center p-4"><div className="spinner"></div></div>
+          ) : !contentChange?.changed ? (
+            <p className="text-muted text-sm p-4">No content changes between these versions.</p>
+          ) : viewType === 'words' ? (
+            comparison.format === 'words'
+              ? <WordDiff parts={contentChange.diff} />
+              : <div className="text-center p-4"><div className="spinner"></div></div>
+          ) : (
+            files.map((file, index) => (
+              <Diff key={index} viewType={viewType} diffType={file.type} hunks={file.hunks}>
+                {(hunks) => hunks.map((hunk) => <Hunk key={hunk.content} hunk={hunk} />)}
+              </Diff>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VersionHistory;
@@ -0,0 +1,17 @@
+import React from 'react';
+
+// Inline word-level diff from the 'words' format ({ value, added, removed } parts)
+const WordDiff = ({ parts }) => (
+  <pre className="word-diff">
+    {parts.map((part, index) => (
+      <span
+        key={index}
+        className={part.added ? 'word-diff-added' : part.removed ? 'word-diff-removed' : undefined}
+      >
+        {part.value}
+      </span>
+    ))}
+  </pre>
+);
+
+export default WordDiff;
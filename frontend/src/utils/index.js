@@ -210,83 +210,25 @@ export const validateSnippet = (snippet) => {
   };
 };
 
-// Search through snippets
-export const searchSnippets = (snippets, query) => {
-  if (!query) return snippets;
-
-  const searchTerm = query.toLowerCase();
-  
-  return snippets.filter(snippet => 
-    snippet.title.toLowerCase().includes(searchTerm) ||
-    snippet.content.toLowerCase().includes(searchTerm) ||
-    snippet.language.toLowerCase().includes(searchTerm) ||
-    (snippet.source && snippet.source.toLowerCase().includes(searchTerm)) ||
-    snippet.tags.some(tag => tag.name.toLowerCase().includes(searchTerm))
-  );
-};
-
-// Filter snippets by criteria
-export const filterSnippets = (snippets, filters) => {
-  return snippets.filter(snippet => {
-    // Language filter
-    if (filters.language && filters.language !== 'all') {
-      if (snippet.language !== filters.language) return false;
-    }
-
-    // Tag filter
-    if (filters.tag && filters.tag !== 'all') {
-      if (!snippet.tags.some(tag => tag.name === filters.tag)) return false;
-    }
-
-    // Favorites filter
-    if (filters.favorites) {
-      if (!snippet.is_favorite) return false;
-    }
-
-    return true;
-  });
-};
-
-// Sort snippets
-export const sortSnippets = (snippets, sortBy, order = 'desc') => {
-  const sorted = [...snippets].sort((a, b) => {
-    let valueA, valueB;
-
-    switch (sortBy) {
-      case 'title':
-        valueA = a.title.toLowerCase();
-        valueB = b.title.toLowerCase();
-        break;
-      case 'language':
-        valueA = a.language.toLowerCase();
-        valueB = b.language.toLowerCase();
-        break;
-      case 'created_at':
-        valueA = new Date(a.created_at);
-        valueB = new Date(b.created_at);
-        break;
-      case 'updated_at':
-        valueA = new Date(a.updated_at);
-        valueB = new Date(b.updated_at);
-        break;
-      default:
-        valueA = new Date(a.created_at);
-        valueB = new Date(b.created_at);
-    }
-
-    if (valueA < valueB) return order === 'asc' ? -1 : 1;
-    if (valueA > valueB) return order === 'asc' ? 1 : -1;
-    return 0;
-  });
-
-  return sorted;
-};
-
 // Generate unique ID (simple version)
 export const generateId = () => {
   return Math.random().toString(36).substr(2, 9);
 };
 
+// Drag-and-drop data type carrying a JSON array of snippet IDs
+export const SNIPPET_DRAG_TYPE = 'application/x-mysnippethub-snippets';
+
+// Who can see a snippet, matching the server's visibility values
+export const SNIPPET_VISIBILITIES = [
+  { value: 'private', label: 'Private', icon: '🔒', description: 'Only you' },
+  { value: 'team', label: 'Team', icon: '👥', description: 'Everyone signed in to this MySnippetHub' },
+  { value: 'public', label: 'Public', icon: '🌐', description: 'Anyone, even without an account' },
+];
+
+export const getVisibility = (value) => (
+  SNIPPET_VISIBILITIES.find(visibility => visibility.value === value) || SNIPPET_VISIBILITIES[0]
+);
+
 // Check if user prefers dark mode
 export const prefersDarkMode = () => {
   return window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
@@ -352,9 +294,6 @@ const utils = {
   generateTagColor,
   getContrastTextColor,
   validateSnippet,
-  searchSnippets,
-  filterSnippets,
-  sortSnippets,
   generateId,
   prefersDarkMode,
   storage,